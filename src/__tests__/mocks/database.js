@@ -0,0 +1,36 @@
+// Stand-in for src/config/database.js. `pool.query` and the transaction
+// client's `query` are jest mocks; `withTransaction` runs its callback with
+// the client and records BEGIN/COMMIT/ROLLBACK like the real one.
+//
+//   jest.mock('../config/database', () => require('../__tests__/mocks/database').createDatabaseMock());
+const createDatabaseMock = () => {
+  const client = {
+    query: jest.fn(async () => ({ rows: [], rowCount: 0 }))
+  };
+
+  const pool = {
+    query: jest.fn(async () => ({ rows: [], rowCount: 0 }))
+  };
+
+  const withTransaction = jest.fn(async (fn) => {
+    await client.query('BEGIN');
+    try {
+      const result = await fn(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    }
+  });
+
+  return {
+    pool,
+    client,
+    withTransaction
+  };
+};
+
+module.exports = {
+  createDatabaseMock
+};
@@ -0,0 +1,56 @@
+// Minimal request and response objects for calling controllers directly
+const mockRequest = ({ body = {}, params = {}, query = {}, headers = {}, ...rest } = {}) => ({
+  body,
+  params,
+  query,
+  headers,
+  ip: '127.0.0.1',
+  get: (name) => headers[name.toLowerCase()],
+  ...rest
+});
+
+const mockResponse = () => {
+  const res = {
+    statusCode: 200,
+    body: undefined,
+    headers: {},
+    cookies: {}
+  };
+
+  res.status = jest.fn((code) => {
+    res.statusCode = code;
+    return res;
+  });
+  res.json = jest.fn((body) => {
+    res.body = body;
+    return res;
+  });
+  res.send = jest.fn((body) => {
+    res.body = body;
+    return res;
+  });
+  res.set = jest.fn((name, value) => {
+    res.headers[name] = value;
+    return res;
+  });
+  res.cookie = jest.fn((name, value, options) => {
+    res.cookies[name] = { value, options };
+    return res;
+  });
+  res.clearCookie = jest.fn((name) => {
+    delete res.cookies[name];
+    return res;
+  });
+  res.redirect = jest.fn((url) => {
+    res.statusCode = 302;
+    res.headers.Location = url;
+    return res;
+  });
+
+  return res;
+};
+
+module.exports = {
+  mockRequest,
+  mockResponse
+};
@@ -0,0 +1,68 @@
+// Stand-in for the Supabase client. Every query builder call is recorded,
+// and awaiting a query resolves to the next response queued for its table
+// (`{ data: null, error: null }` when none is queued).
+//
+//   jest.mock('../config/supabase', () => require('../__tests__/mocks/supabase').createSupabaseMock());
+//   supabase.respond('users', { data: user, error: null });
+//   supabase.queriesOf('users')[0].calls  // [['select', '*'], ['eq', 'id', ...], ...]
+const createSupabaseMock = () => {
+  const queries = [];
+  const responses = {};
+
+  const nextResponse = (key) => {
+    const queue = responses[key] || [];
+    return queue.length > 0 ? queue.shift() : { data: null, error: null };
+  };
+
+  const createQuery = (key) => {
+    const query = { table: key, calls: [] };
+    queries.push(query);
+
+    const builder = new Proxy({}, {
+      get(target, method) {
+        if (method === 'then') {
+          const result = nextResponse(key);
+          return (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+        }
+
+        return (...args) => {
+          query.calls.push([method, ...args]);
+          return builder;
+        };
+      }
+    });
+
+    return builder;
+  };
+
+  return {
+    from: (table) => createQuery(table),
+    rpc: (fn, params) => createQuery(`rpc:${fn}`).rpc(fn, params),
+    storage: {
+      from: (bucket) => createQuery(`storage:${bucket}`)
+    },
+
+    respond(key, ...results) {
+      responses[key] = [...(responses[key] || []), ...results];
+    },
+
+    queriesOf(key) {
+      return queries.filter(query => query.table === key);
+    },
+
+    // The arguments of the first call of `method` in a recorded query
+    argsOf(query, method) {
+      const call = query.calls.find(([name]) => name === method);
+      return call ? call.slice(1) : undefined;
+    },
+
+    reset() {
+      queries.length = 0;
+      Object.keys(responses).forEach(key => delete responses[key]);
+    }
+  };
+};
+
+module.exports = {
+  createSupabaseMock
+};
@@ -4,4 +4,9 @@ require('dotenv').config({ path: '.env.test' });
 // Set test environment variables
 process.env.NODE_ENV = 'test';
 process.env.JWT_SECRET = 'test-jwt-secret';
-process.env.JWT_REFRESH_SECRET = 'test-refresh-jwt-secret'; 
\ No newline at end of file
+process.env.JWT_REFRESH_SECRET = 'test-refresh-jwt-secret'; 
+
+// SMTP credentials keep the email service from creating an Ethereal test
+// account over the network when it loads
+process.env.SMTP_HOST = 'localhost';
+process.env.SMTP_USER = 'test';
@@ -15,6 +15,11 @@ const enterpriseRoutes = require('./routes/enterprise');
 const notificationRoutes = require('./routes/notifications');
 const webhookRoutes = require('./routes/webhook');
 const crmRoutes = require('./routes/crm');
+const scimRoutes = require('./routes/scim');
+const onboardingRoutes = require('./routes/onboarding');
+const platformRoutes = require('./routes/platform');
+const offboardingService = require('./services/offboardingService');
+const exportService = require('./services/exportService');
 
 const app = express();
 
@@ -24,9 +29,15 @@ app.set('trust proxy', 1);
 // Security middleware
 app.use(helmet());
 
-// CORS configuration
+// CORS configuration: credentialed requests are only accepted from the
+// configured frontends (comma-separated CORS_ORIGINS, default FRONTEND_URL)
+const corsOrigins = (process.env.CORS_ORIGINS || process.env.FRONTEND_URL || 'http://localhost:3000')
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean);
+
 app.use(cors({
-  origin: '*',
+  origin: corsOrigins,
   credentials: true
 }));
 
@@ -77,6 +88,9 @@ app.use('/api/enterprise', enterpriseRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/webhook', webhookRoutes);
 app.use('/api/crm', crmRoutes);
+app.use('/api/onboarding', onboardingRoutes);
+app.use('/api/platform', platformRoutes);
+app.use('/scim/v2', scimRoutes);
 
 // 404 handler
 app.use(notFound);
@@ -88,10 +102,18 @@ const PORT = process.env.PORT || 5000;
 
 const start = async () => {
   try {
+    // Fail the exports the previous process was running before accepting
+    // new ones
+    await exportService.failInterruptedJobs()
+      .catch(error => console.error('Export cleanup error:', error));
+
     app.listen(PORT, () => {
       console.log(`🚀 Server running on port ${PORT}`);
       console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
     });
+
+    // Hard-delete cancelled enterprises once their grace period is over
+    offboardingService.startPurgeSchedule();
   } catch (error) {
     console.error('❌ Error starting server:', error);
     process.exit(1);
@@ -0,0 +1,104 @@
+// Config types that can be stored in `enterprise_configs` through the config
+// API, each with the JSON Schema its `config_data` must match. Schemas use
+// the subset of JSON Schema that `configService` validates: type (one name
+// or a list), enum, minimum, maximum, minLength, maxLength, pattern,
+// properties, required, additionalProperties, items and maxItems. Titles,
+// descriptions and defaults are for rendering forms.
+
+const PASSWORD_POLICY_SCHEMA = {
+  type: 'object',
+  title: 'Password policy',
+  properties: {
+    minLength: { type: 'integer', minimum: 6, maximum: 72, default: 8 },
+    requireUppercase: { type: 'boolean', default: true },
+    requireLowercase: { type: 'boolean', default: true },
+    requireNumber: { type: 'boolean', default: true },
+    requireSymbol: { type: 'boolean', default: false },
+    blockCommonPasswords: { type: 'boolean', default: true },
+    historyDepth: {
+      type: 'integer',
+      minimum: 0,
+      maximum: 24,
+      default: 5,
+      description: 'Recent passwords that cannot be reused, 0 to allow reuse'
+    },
+    maxAgeDays: { type: 'integer', minimum: 0, default: 0, description: 'Days before a password expires, 0 to disable' }
+  },
+  additionalProperties: false
+};
+
+const CONFIG_SCHEMAS = {
+  lead_fields: {
+    type: 'object',
+    title: 'Lead fields',
+    description: 'CRM contact properties, keyed by property name',
+    additionalProperties: {
+      type: 'object',
+      properties: {
+        label: { type: 'string', maxLength: 200 },
+        type: { type: 'string', maxLength: 50 },
+        is_selected: { type: 'boolean', default: false },
+        required: { type: 'boolean', default: false }
+      }
+    }
+  },
+  // Free-form: the rules are handed to the qualification prompt as JSON, so
+  // configs of any shape saved before schemas existed stay valid
+  lead_qualification_rules: {
+    type: ['object', 'array'],
+    title: 'Lead qualification rules',
+    description: 'Rules for the AI lead qualification, passed to the model as JSON'
+  },
+  auth_settings: {
+    type: 'object',
+    title: 'Authentication settings',
+    properties: {
+      requireEmailVerification: { type: 'boolean', default: false },
+      mfaPolicy: { type: 'string', enum: ['optional', 'managers', 'all'], default: 'optional' },
+      ssoOnly: {
+        type: 'boolean',
+        default: false,
+        description: 'Password login only for holders of sso:manage'
+      },
+      selfSignup: { type: 'string', enum: ['auto_join', 'approval', 'disabled'], default: 'approval' },
+      passwordPolicy: PASSWORD_POLICY_SCHEMA
+    },
+    additionalProperties: false
+  },
+  branding: {
+    type: 'object',
+    title: 'Branding',
+    properties: {
+      companyName: { type: 'string', maxLength: 200 },
+      logoUrl: { type: 'string', maxLength: 2000, pattern: '^https?://' },
+      primaryColor: { type: 'string', pattern: '^#[0-9a-fA-F]{6}$', default: '#667eea' },
+      secondaryColor: { type: 'string', pattern: '^#[0-9a-fA-F]{6}$', default: '#764ba2' },
+      emailFooter: { type: 'string', maxLength: 1000 }
+    },
+    additionalProperties: false
+  },
+  notification_settings: {
+    type: 'object',
+    title: 'Notification settings',
+    properties: {
+      leadAssignment: { type: 'boolean', default: true },
+      taskReminders: { type: 'boolean', default: true },
+      meetingInvites: { type: 'boolean', default: true },
+      workTransfers: { type: 'boolean', default: true },
+      digest: { type: 'string', enum: ['none', 'daily', 'weekly'], default: 'none' }
+    },
+    additionalProperties: false
+  }
+};
+
+// Internal records kept in `enterprise_configs` that the config API must
+// never read or write
+const RESERVED_CONFIG_TYPES = ['password_reset_tokens', 'refresh_tokens'];
+
+const CONFIG_TYPES = Object.keys(CONFIG_SCHEMAS);
+
+module.exports = {
+  CONFIG_SCHEMAS,
+  CONFIG_TYPES,
+  RESERVED_CONFIG_TYPES
+};
@@ -0,0 +1,31 @@
+const { Pool } = require('pg');
+
+// Direct Postgres connection for work that needs transactions or queries
+// the Supabase client cannot express. Use the Supabase client everywhere
+// else.
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL
+});
+
+// Run `fn` with a client inside a transaction; it is rolled back if `fn`
+// throws
+const withTransaction = async (fn) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  pool,
+  withTransaction
+};
@@ -0,0 +1,64 @@
+// Permission catalogue. Roles carry a subset of these in `roles.permissions`.
+const PERMISSIONS = [
+  'enterprise:read',
+  'enterprise:update',
+  'enterprise:export',
+  'enterprise:cancel',
+  'config:read',
+  'config:write',
+  'lead_fields:read',
+  'lead_fields:write',
+  'rules:read',
+  'rules:write',
+  'crm:read',
+  'crm:manage',
+  'users:read',
+  'users:invite',
+  'users:manage',
+  'users:impersonate',
+  'roles:manage',
+  'sso:manage',
+  'scim:manage',
+  'api_keys:manage',
+  'leads:assign',
+  'tasks:manage',
+  'notifications:send'
+];
+
+// Reps work their own data and can read shared enterprise setup
+const REP_PERMISSIONS = [
+  'enterprise:read',
+  'lead_fields:read',
+  'rules:read',
+  'users:read',
+  'notifications:send'
+];
+
+// Permission sets for the roles seeded with every enterprise. Also used as a
+// fallback for roles created before permissions were stored on the role.
+const DEFAULT_ROLE_PERMISSIONS = {
+  MANAGER: [...PERMISSIONS],
+  AE: [...REP_PERMISSIONS],
+  SDR: [...REP_PERMISSIONS]
+};
+
+// Roles seeded for every new enterprise
+const DEFAULT_ROLES = [
+  { name: 'AE', description: 'Account Executive', is_system_role: false },
+  { name: 'SDR', description: 'Sales Development Representative', is_system_role: false },
+  { name: 'MANAGER', description: 'Admin', is_system_role: true }
+];
+
+// Permissions that only users can hold: managing access itself (keys, roles,
+// SCIM tokens) and acting as another user
+const USER_ONLY_PERMISSIONS = ['api_keys:manage', 'roles:manage', 'scim:manage', 'users:impersonate'];
+
+// Scopes that can be granted to API keys
+const API_KEY_SCOPES = PERMISSIONS.filter(permission => !USER_ONLY_PERMISSIONS.includes(permission));
+
+module.exports = {
+  PERMISSIONS,
+  API_KEY_SCOPES,
+  DEFAULT_ROLE_PERMISSIONS,
+  DEFAULT_ROLES
+};
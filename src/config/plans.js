@@ -0,0 +1,49 @@
+// Entitlements of each subscription plan (`enterprises.subscription_plan`).
+// A null limit is unlimited. Seats count active members plus pending
+// invitations; AI qualifications are counted per calendar month (UTC).
+
+// Features that are only available on some plans
+const FEATURES = ['sso', 'scim', 'api_keys', 'bulk_import'];
+
+const PLANS = {
+  basic: {
+    name: 'Basic',
+    seats: 5,
+    crmProviders: ['hubspot'],
+    aiQualificationsPerMonth: 100,
+    features: []
+  },
+  pro: {
+    name: 'Pro',
+    seats: 50,
+    crmProviders: ['hubspot', 'salesforce'],
+    aiQualificationsPerMonth: 5000,
+    features: ['sso', 'api_keys', 'bulk_import']
+  },
+  enterprise: {
+    name: 'Enterprise',
+    seats: null,
+    crmProviders: ['hubspot', 'salesforce'],
+    aiQualificationsPerMonth: null,
+    features: [...FEATURES]
+  }
+};
+
+// Plan of enterprises without a known `subscription_plan`
+const DEFAULT_PLAN = 'basic';
+
+// Subscription statuses under which the plan's entitlements apply
+const ACTIVE_SUBSCRIPTION_STATUSES = ['active', 'trialing'];
+
+const SUBSCRIPTION_STATUSES = [...ACTIVE_SUBSCRIPTION_STATUSES, 'past_due', 'canceled'];
+
+const PLAN_IDS = Object.keys(PLANS);
+
+module.exports = {
+  FEATURES,
+  PLANS,
+  PLAN_IDS,
+  DEFAULT_PLAN,
+  ACTIVE_SUBSCRIPTION_STATUSES,
+  SUBSCRIPTION_STATUSES
+};
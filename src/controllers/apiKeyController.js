@@ -0,0 +1,191 @@
+const { validationResult } = require('express-validator');
+const apiKeyService = require('../services/apiKeyService');
+const { hasPermission } = require('../middleware/permissions');
+
+const formatApiKey = (apiKey) => ({
+  id: apiKey.id,
+  name: apiKey.name,
+  prefix: `rvp_${apiKey.prefix}`,
+  scopes: apiKey.scopes || [],
+  createdBy: apiKey.created_by,
+  expiresAt: apiKey.expires_at,
+  lastUsedAt: apiKey.last_used_at,
+  createdAt: apiKey.created_at,
+  updatedAt: apiKey.updated_at
+});
+
+// Managers can only grant scopes they hold themselves
+const findUngrantableScopes = async (req, scopes) => {
+  const ungrantable = [];
+  for (const scope of scopes) {
+    if (!(await hasPermission(req, scope))) {
+      ungrantable.push(scope);
+    }
+  }
+
+  return ungrantable;
+};
+
+// List active API keys of an enterprise
+const listApiKeys = async (req, res) => {
+  try {
+    const apiKeys = await apiKeyService.listKeys(req.enterpriseId);
+
+    res.json({
+      success: true,
+      data: {
+        apiKeys: apiKeys.map(formatApiKey)
+      }
+    });
+  } catch (error) {
+    console.error('List API keys error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching API keys'
+    });
+  }
+};
+
+// Create an API key. The full key is only returned once.
+const createApiKey = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { name, scopes, expiresAt } = req.body;
+
+    const ungrantable = await findUngrantableScopes(req, scopes);
+    if (ungrantable.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot grant scopes you do not have',
+        missingPermissions: ungrantable
+      });
+    }
+
+    const { key, apiKey } = await apiKeyService.createKey(req.enterpriseId, {
+      name,
+      scopes: [...new Set(scopes)],
+      expiresAt,
+      createdBy: req.user.userId
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Store it now; it will not be shown again.',
+      data: {
+        key,
+        apiKey: formatApiKey(apiKey)
+      }
+    });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating API key'
+    });
+  }
+};
+
+// Update the name, scopes or expiry of an API key
+const updateApiKey = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { keyId } = req.params;
+    const { name, scopes, expiresAt } = req.body;
+
+    if (scopes) {
+      const ungrantable = await findUngrantableScopes(req, scopes);
+      if (ungrantable.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: 'You cannot grant scopes you do not have',
+          missingPermissions: ungrantable
+        });
+      }
+    }
+
+    const updateData = {
+      name,
+      scopes: scopes && [...new Set(scopes)],
+      expires_at: expiresAt
+    };
+
+    // Remove undefined values
+    Object.keys(updateData).forEach(key =>
+      updateData[key] === undefined && delete updateData[key]
+    );
+
+    if (Object.keys(updateData).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No valid fields provided for update'
+      });
+    }
+
+    const apiKey = await apiKeyService.updateKey(req.enterpriseId, keyId, updateData);
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'API key updated successfully',
+      data: {
+        apiKey: formatApiKey(apiKey)
+      }
+    });
+  } catch (error) {
+    console.error('Update API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating API key'
+    });
+  }
+};
+
+// Revoke an API key; it stops working immediately
+const revokeApiKey = async (req, res) => {
+  try {
+    const revoked = await apiKeyService.revokeKey(req.enterpriseId, req.params.keyId);
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'API key revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking API key'
+    });
+  }
+};
+
+module.exports = {
+  listApiKeys,
+  createApiKey,
+  updateApiKey,
+  revokeApiKey
+};
@@ -1,7 +1,80 @@
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { validationResult } = require('express-validator');
 const authService = require('../services/authService');
+const tokenService = require('../services/tokenService');
+const sessionService = require('../services/sessionService');
+const invitationService = require('../services/invitationService');
+const joinRequestService = require('../services/joinRequestService');
+const emailVerificationService = require('../services/emailVerificationService');
+const mfaService = require('../services/mfaService');
+const lockoutService = require('../services/lockoutService');
+const membershipService = require('../services/membershipService');
+const onboardingService = require('../services/onboardingService');
+const passwordPolicyService = require('../services/passwordPolicyService');
+const entitlementService = require('../services/entitlementService');
+const { sendEntitlementError } = require('../middleware/entitlements');
+const { sendThrottled } = require('../middleware/bruteForce');
+
+// Check a new password against the enterprise password policy, including
+// reuse of recent passwords for existing users. Returns validation errors in
+// the express-validator shape; empty when the password is acceptable.
+const checkPasswordPolicy = async (password, { enterpriseId, user = {}, field = 'password' }) => {
+  const policy = passwordPolicyService.getPolicy(await authService.getAuthSettings(enterpriseId));
+  const violations = passwordPolicyService.validate(password, policy, user);
+
+  if (violations.length === 0 && user.id && await passwordPolicyService.isReused(user.id, password, policy)) {
+    violations.push(`Password must not match any of your last ${policy.historyDepth} passwords`);
+  }
+
+  return violations.map(msg => ({ type: 'field', path: field, msg, location: 'body' }));
+};
+
+const sendPasswordPolicyErrors = (res, errors) => res.status(400).json({
+  success: false,
+  message: 'Password does not meet the password policy',
+  errors
+});
+
+// Record a request to join an enterprise. It reaches the administrators
+// once the requester confirms the address from the emailed link.
+const requestToJoin = async (res, { enterprise, name, email, password }) => {
+  const pendingRequest = await joinRequestService.findPendingRequest(enterprise.id, email);
+  if (pendingRequest) {
+    return res.status(409).json({
+      success: false,
+      message: 'A request to join this enterprise is already pending'
+    });
+  }
+
+  const { joinRequest, token } = await joinRequestService.createRequest({
+    enterpriseId: enterprise.id,
+    name,
+    email,
+    passwordHash: await authService.hashPassword(password)
+  });
+
+  // Email failures should not fail the request; signing up again resends
+  try {
+    await joinRequestService.sendVerification(joinRequest, enterprise, token);
+  } catch (error) {
+    console.error('Send join request verification email error:', error);
+  }
+
+  res.status(202).json({
+    success: true,
+    message: `Check your email to confirm your request to join ${enterprise.name}`,
+    data: {
+      joinRequest: {
+        id: joinRequest.id,
+        status: joinRequest.status,
+        enterprise: {
+          id: enterprise.id,
+          name: enterprise.name
+        }
+      }
+    }
+  });
+};
 
 // Register new user
 const register = async (req, res) => {
@@ -14,7 +87,36 @@ const register = async (req, res) => {
       });
     }
 
-    const { name, email, password, enterpriseId } = req.body;
+    const { name, email, password } = req.body;
+
+    // Users sign up to the enterprise that owns their email domain
+    const enterprise = await authService.findEnterpriseByDomain(email.split('@').pop().toLowerCase());
+    if (!enterprise) {
+      return res.status(404).json({
+        success: false,
+        code: 'NO_ENTERPRISE_FOR_DOMAIN',
+        message: 'No enterprise uses your email domain. Ask your administrator for an invitation.'
+      });
+    }
+
+    const enterpriseId = enterprise.id;
+
+    const authSettings = await authService.getAuthSettings(enterpriseId);
+    if (authSettings.ssoOnly) {
+      return res.status(403).json({
+        success: false,
+        code: 'SSO_REQUIRED',
+        message: 'This enterprise requires single sign-on'
+      });
+    }
+
+    if (authSettings.selfSignup === 'disabled') {
+      return res.status(403).json({
+        success: false,
+        code: 'SELF_SIGNUP_DISABLED',
+        message: 'This enterprise does not allow self sign-up. Ask your administrator for an invitation.'
+      });
+    }
 
     // Check if user already exists
     const existingUser = await authService.findUserByEmail(email);
@@ -25,15 +127,34 @@ const register = async (req, res) => {
       });
     }
 
-    // Create new user
-    const user = await authService.createUser({ name, email, password, enterpriseId });
+    const passwordErrors = await checkPasswordPolicy(password, { enterpriseId, user: { name, email } });
+    if (passwordErrors.length > 0) {
+      return sendPasswordPolicyErrors(res, passwordErrors);
+    }
+
+    // Unless the enterprise lets its domain join directly, the account is
+    // only created once an administrator approves the request
+    if (authSettings.selfSignup !== 'auto_join') {
+      return requestToJoin(res, { enterprise, name, email, password });
+    }
 
-    // Generate tokens
-    const accessToken = authService.generateAccessToken(user);
-    const refreshToken = authService.generateRefreshToken(user);
+    // Create new user with the default role
+    const { denial, result: user } = await entitlementService.withSeats(enterprise, () =>
+      authService.createUser({ name, email, password, enterpriseId })
+    );
+    if (denial) {
+      return sendEntitlementError(res, denial);
+    }
+
+    // Verification failures should not block registration; users can resend
+    try {
+      await emailVerificationService.sendVerification(user);
+    } catch (error) {
+      console.error('Send verification email error:', error);
+    }
 
-    // Save refresh token
-    await authService.saveRefreshToken(user.id, refreshToken);
+    // Generate tokens
+    const { accessToken, refreshToken } = await tokenService.startSession(user, sessionService.getClientInfo(req));
 
     res.status(201).json({
       success: true,
@@ -69,11 +190,12 @@ const login = async (req, res) => {
       });
     }
 
-    const { email, password } = req.body;
+    const { email, password, enterpriseId } = req.body;
 
     // Find user
-    const user = await authService.findUserByEmail(email);
+    let user = await authService.findUserByEmail(email);
     if (!user) {
+      await lockoutService.recordFailure(req.bruteForce.keys);
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials, user not found'
@@ -83,16 +205,81 @@ const login = async (req, res) => {
     // Check password
     const isPasswordValid = await bcrypt.compare(password, user.password_hash);
     if (!isPasswordValid) {
+      await lockoutService.recordFailure(req.bruteForce.keys, user);
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials, check your password'
       });
     }
 
-    // Generate tokens
-    const accessToken = authService.generateAccessToken(user);
-    const refreshToken = authService.generateRefreshToken(user);
+    // Sign in to the requested enterprise, or to the default one. From here
+    // on the user's enterprise and role are those of that membership.
+    user = enterpriseId
+      ? await membershipService.scopeUser(user, enterpriseId)
+      : await membershipService.scopeUserToDefault(user);
+    if (!user) {
+      return res.status(403).json({
+        success: false,
+        code: 'NOT_A_MEMBER',
+        message: 'You are not a member of this enterprise'
+      });
+    }
+
+    const authSettings = await authService.getAuthSettings(user.enterprise_id);
+    const restriction = await authService.getSignInRestriction(user, authSettings);
+    if (restriction) {
+      return res.status(403).json({
+        success: false,
+        ...restriction
+      });
+    }
+
+    // Second factor: enrolled users, or users the enterprise policy forces
+    // to enrol, get a short-lived challenge instead of tokens
+    if (await mfaService.isEnabled(user.id)) {
+      return res.json({
+        success: true,
+        message: 'MFA verification required',
+        data: {
+          mfaRequired: true,
+          mfaToken: mfaService.generateChallengeToken(user, 'verify')
+        }
+      });
+    }
+
+    if (mfaService.isRequiredFor(authSettings, user.roles?.name)) {
+      return res.json({
+        success: true,
+        message: 'Your enterprise requires MFA. Set it up to continue.',
+        data: {
+          mfaRequired: true,
+          mfaEnrollmentRequired: true,
+          mfaToken: mfaService.generateChallengeToken(user, 'enroll')
+        }
+      });
+    }
+
+    // The account counter is only cleared once no second factor is due;
+    // failed codes count against it too, so clearing it on the password
+    // alone would let a re-login reset them
+    await lockoutService.recordSuccess(req.bruteForce.keys);
 
+    // Expired passwords must be replaced before logging in. The password was
+    // just verified, so a reset token is issued directly. With MFA this
+    // happens after the second factor, in mfaController.
+    const resetToken = await authService.issueExpiredPasswordReset(user, authSettings);
+    if (resetToken) {
+      return res.status(403).json({
+        success: false,
+        code: 'PASSWORD_EXPIRED',
+        message: 'Your password has expired. Choose a new one to continue.',
+        data: { resetToken }
+      });
+    }
+
+    // Generate tokens
+    const { accessToken, refreshToken } = await tokenService.startSession(user, sessionService.getClientInfo(req));
+    const memberships = await membershipService.listMemberships(user.id);
 
     res.json({
       success: true,
@@ -104,6 +291,8 @@ const login = async (req, res) => {
           email: user.email,
           createdAt: user.createdAt
         },
+        enterpriseId: user.enterprise_id,
+        memberships: memberships.map(membershipService.toResponse),
         accessToken,
         refreshToken
       }
@@ -117,13 +306,155 @@ const login = async (req, res) => {
   }
 };
 
-// Logout user
+// Accept an invitation for an existing account by adding a membership. The
+// user then signs in to the enterprise as usual, including MFA.
+const joinInvitingEnterprise = async (req, res, user, invitation) => {
+  // Guessing the password here counts towards the same lockout as login.
+  // Accepting does not sign in, so a correct password leaves the counter
+  // alone.
+  const keys = lockoutService.buildKeys('login', { ip: req.ip, email: user.email });
+  const attempt = await lockoutService.check(keys);
+  if (!attempt.allowed) {
+    return sendThrottled(res, attempt);
+  }
+
+  if (!(await authService.verifyPassword(user.id, req.body.password))) {
+    await lockoutService.recordFailure(keys, user);
+    return res.status(401).json({
+      success: false,
+      message: 'An account already exists for this email. Enter its password to accept the invitation.'
+    });
+  }
+
+  if (await membershipService.findMembership(user.id, invitation.enterprise_id)) {
+    return res.status(400).json({
+      success: false,
+      message: 'You are already a member of this enterprise'
+    });
+  }
+
+  const claimed = await invitationService.claimInvitation(invitation.id);
+  if (!claimed) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid or expired invitation'
+    });
+  }
+
+  let membership;
+  try {
+    membership = await membershipService.addMembership(user.id, invitation.enterprise_id, invitation.role_id);
+  } catch (error) {
+    await invitationService.releaseInvitation(invitation.id);
+    throw error;
+  }
+
+  res.json({
+    success: true,
+    message: 'Invitation accepted successfully. Log in to access the enterprise.',
+    data: {
+      membership: membershipService.toResponse(membership)
+    }
+  });
+};
+
+// Accept an invitation and set the account password
+const acceptInvite = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { token, password } = req.body;
+
+    const invitation = await invitationService.verifyInvitationToken(token);
+    if (!invitation) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired invitation'
+      });
+    }
+
+    // Existing users join the inviting enterprise with their account, after
+    // confirming its password
+    const existingUser = await authService.findUserByEmail(invitation.email);
+    if (existingUser) {
+      return joinInvitingEnterprise(req, res, existingUser, invitation);
+    }
+
+    const passwordErrors = await checkPasswordPolicy(password, {
+      enterpriseId: invitation.enterprise_id,
+      user: { name: invitation.name, email: invitation.email }
+    });
+    if (passwordErrors.length > 0) {
+      return sendPasswordPolicyErrors(res, passwordErrors);
+    }
+
+    // Single use: claim before creating the account
+    const claimed = await invitationService.claimInvitation(invitation.id);
+    if (!claimed) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired invitation'
+      });
+    }
+
+    let user;
+    try {
+      user = await authService.createUser({
+        name: invitation.name,
+        email: invitation.email,
+        password,
+        enterpriseId: invitation.enterprise_id,
+        roleId: invitation.role_id
+      });
+    } catch (error) {
+      await invitationService.releaseInvitation(invitation.id);
+      throw error;
+    }
+
+    // Following the emailed link proves ownership of the address
+    user = await authService.updateUser(user.id, { email_verified: true });
+
+    // Generate tokens
+    const { accessToken, refreshToken } = await tokenService.startSession(user, sessionService.getClientInfo(req));
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation accepted successfully',
+      data: {
+        user: {
+          id: user.id,
+          name: user.name,
+          email: user.email,
+          createdAt: user.createdAt
+        },
+        accessToken,
+        refreshToken
+      }
+    });
+  } catch (error) {
+    console.error('Accept invite error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error accepting invitation'
+    });
+  }
+};
+
+// Logout user by revoking the current session
 const logout = async (req, res) => {
   try {
     const { refreshToken } = req.body;
-    
+
+    await tokenService.revokeFamily(req.user.sid, 'logout');
+
     if (refreshToken) {
-      await authService.removeRefreshToken(refreshToken);
+      await tokenService.revokeRefreshToken(refreshToken, req.user.userId);
     }
 
     res.json({
@@ -151,12 +482,9 @@ const refreshToken = async (req, res) => {
       });
     }
 
-    // Verify refresh token
-    const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
-    
-    // Check if token exists in database
-    const tokenExists = await authService.findRefreshToken(refreshToken);
-    if (!tokenExists) {
+    // Verify and rotate refresh token
+    const tokenRecord = await tokenService.consumeRefreshToken(refreshToken);
+    if (!tokenRecord) {
       return res.status(401).json({
         success: false,
         message: 'Invalid refresh token'
@@ -164,21 +492,33 @@ const refreshToken = async (req, res) => {
     }
 
     // Get user
-    const user = await authService.findUserById(decoded.userId);
-    if (!user) {
+    const account = await authService.findUserById(tokenRecord.user_id);
+    if (!account) {
+      await tokenService.revokeFamily(tokenRecord.family_id, 'user_inactive');
       return res.status(401).json({
         success: false,
         message: 'User not found'
       });
     }
 
-    // Generate new access token
-    const newAccessToken = authService.generateAccessToken(user);
+    // The session stays in its enterprise, with the current role there
+    const user = await membershipService.scopeUser(account, tokenRecord.enterprise_id);
+    if (!user) {
+      await tokenService.revokeFamily(tokenRecord.family_id, 'membership_ended');
+      return res.status(401).json({
+        success: false,
+        message: 'You are no longer a member of this enterprise'
+      });
+    }
+
+    // Issue a new pair in the same session
+    const tokens = await tokenService.rotateSession(user, tokenRecord, sessionService.getClientInfo(req));
 
     res.json({
       success: true,
       data: {
-        accessToken: newAccessToken
+        accessToken: tokens.accessToken,
+        refreshToken: tokens.refreshToken
       }
     });
   } catch (error) {
@@ -203,6 +543,9 @@ const forgotPassword = async (req, res) => {
 
     const { email } = req.body;
 
+    // Every request counts towards the throttle
+    await lockoutService.recordFailure(req.bruteForce.keys);
+
     const user = await authService.findUserByEmail(email);
     if (!user) {
       // Don't reveal if user exists or not
@@ -235,16 +578,32 @@ const forgotPassword = async (req, res) => {
 // Reset password
 const resetPassword = async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
     const { token } = req.params;
     const { password } = req.body;
 
-    if (!password || password.length < 6) {
+    const resetToken = await authService.findPasswordResetToken(token);
+    const user = resetToken && await authService.findUserById(resetToken.userId);
+    if (!user) {
+      await lockoutService.recordFailure(req.bruteForce.keys);
       return res.status(400).json({
         success: false,
-        message: 'Password must be at least 6 characters long'
+        message: 'Invalid or expired reset token'
       });
     }
 
+    const passwordErrors = await checkPasswordPolicy(password, { enterpriseId: user.enterprise_id, user });
+    if (passwordErrors.length > 0) {
+      return sendPasswordPolicyErrors(res, passwordErrors);
+    }
+
     const result = await authService.resetPasswordWithToken(token, password);
     
     if (!result) {
@@ -267,6 +626,38 @@ const resetPassword = async (req, res) => {
   }
 };
 
+// Unlock an account with the token from the lockout email
+const unlockAccount = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const unlocked = await lockoutService.unlockWithToken(req.body.token);
+    if (!unlocked) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired unlock token'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Account unlocked successfully'
+    });
+  } catch (error) {
+    console.error('Unlock account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error unlocking account'
+    });
+  }
+};
+
 // Change password
 const changePassword = async (req, res) => {
   try {
@@ -281,15 +672,42 @@ const changePassword = async (req, res) => {
     const { currentPassword, newPassword } = req.body;
     const userId = req.user.userId;
 
-    const result = await authService.changePassword(userId, currentPassword, newPassword);
-    
-    if (!result) {
+    const user = await authService.findUserById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const isCurrentPasswordValid = await authService.verifyPassword(userId, currentPassword);
+    if (!isCurrentPasswordValid) {
+      await lockoutService.recordFailure(req.bruteForce.keys, user);
       return res.status(400).json({
         success: false,
         message: 'Current password is incorrect'
       });
     }
 
+    await lockoutService.recordSuccess(req.bruteForce.keys);
+
+    const passwordErrors = await checkPasswordPolicy(newPassword, {
+      enterpriseId: user.enterprise_id,
+      user,
+      field: 'newPassword'
+    });
+    if (passwordErrors.length > 0) {
+      return sendPasswordPolicyErrors(res, passwordErrors);
+    }
+
+    const result = await authService.setPassword(userId, newPassword);
+    if (!result) {
+      return res.status(500).json({
+        success: false,
+        message: 'Error changing password'
+      });
+    }
+
     res.json({
       success: true,
       message: 'Password changed successfully'
@@ -307,7 +725,10 @@ const changePassword = async (req, res) => {
 const getProfile = async (req, res) => {
   try {
     const userId = req.user.userId;
-    const user = await authService.findUserById(userId);
+    const account = await authService.findUserById(userId);
+
+    // Role in the enterprise the session is signed in to
+    const user = account && await membershipService.scopeUser(account, req.user.enterpriseId);
 
     if (!user) {
       return res.status(404).json({
@@ -323,6 +744,8 @@ const getProfile = async (req, res) => {
           id: user.id,
           name: user.name,
           email: user.email,
+          emailVerified: user.email_verified,
+          pendingEmail: user.pending_email || null,
           phone: user.phone,
           location: user.location,
           bio: user.bio,
@@ -333,6 +756,10 @@ const getProfile = async (req, res) => {
             name: user.roles.name,
             description: user.roles.description
           } : null,
+          enterprise: user.enterprises ? {
+            id: user.enterprises.id,
+            name: user.enterprises.name
+          } : null,
           createdAt: user.createdAt,
           updatedAt: user.updatedAt
         }
@@ -357,13 +784,30 @@ const updateProfile = async (req, res) => {
 
     const updateData = {};
     if (name !== undefined) updateData.name = name;
-    if (email !== undefined) updateData.email = email.toLowerCase();
     if (phone !== undefined) updateData.phone = phone;
     if (location !== undefined) updateData.location = location;
     if (bio !== undefined) updateData.bio = bio;
     if (goole_meet_connected !== undefined) updateData.goole_meet_connected = goole_meet_connected;
     if (gmail_connected !== undefined) updateData.gmail_connected = gmail_connected;
 
+    // An email change is held as pending until the new address is verified
+    const newEmail = email !== undefined ? String(email).trim().toLowerCase() : undefined;
+    if (newEmail !== undefined) {
+      const currentUser = await authService.findUserById(userId);
+
+      if (newEmail !== currentUser.email) {
+        const existingUser = await authService.findUserByEmail(newEmail);
+        if (existingUser) {
+          return res.status(400).json({
+            success: false,
+            message: 'User already exists with this email'
+          });
+        }
+
+        updateData.pending_email = newEmail;
+      }
+    }
+
     if (Object.keys(updateData).length === 0) {
       return res.status(400).json({
         success: false,
@@ -373,6 +817,10 @@ const updateProfile = async (req, res) => {
 
     const updatedUser = await authService.updateUser(userId, updateData);
 
+    if (updateData.pending_email) {
+      await emailVerificationService.sendVerification(updatedUser, updateData.pending_email);
+    }
+
     res.json({
       success: true,
       message: 'Profile updated successfully',
@@ -381,6 +829,7 @@ const updateProfile = async (req, res) => {
           id: updatedUser.id,
           name: updatedUser.name,
           email: updatedUser.email,
+          pendingEmail: updatedUser.pending_email || null,
           phone: updatedUser.phone,
           location: updatedUser.location || null,
           bio: updatedUser.bio || null,
@@ -402,6 +851,154 @@ const updateProfile = async (req, res) => {
   }
 };
 
+// Verify an email address (new account or pending email change)
+const verifyEmail = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { token } = req.body;
+
+    const record = await emailVerificationService.consumeToken(token);
+    if (!record) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification token'
+      });
+    }
+
+    const user = await authService.findUserById(record.user_id);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification token'
+      });
+    }
+
+    let updateData;
+    if (record.email === user.email) {
+      updateData = { email_verified: true };
+    } else if (record.email === user.pending_email) {
+      const existingUser = await authService.findUserByEmail(record.email);
+      if (existingUser && existingUser.id !== user.id) {
+        return res.status(400).json({
+          success: false,
+          message: 'User already exists with this email'
+        });
+      }
+
+      updateData = { email: record.email, pending_email: null, email_verified: true };
+    } else {
+      // The address was superseded by a later change request
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification token'
+      });
+    }
+
+    const updatedUser = await authService.updateUser(user.id, updateData);
+
+    // A verified address may complete the domain claim of an enterprise
+    // onboarded without review
+    await onboardingService.claimPendingDomain(updatedUser);
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully',
+      data: {
+        user: {
+          id: updatedUser.id,
+          email: updatedUser.email,
+          emailVerified: updatedUser.email_verified
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error verifying email'
+    });
+  }
+};
+
+// Confirm the address of a join request, sending it to the administrators
+const verifyJoinRequest = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const joinRequest = await joinRequestService.verifyRequest(req.body.token);
+    if (!joinRequest) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification token'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Your request has been sent to the administrators',
+      data: {
+        joinRequest: {
+          id: joinRequest.id,
+          status: joinRequest.status
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Verify join request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error verifying join request'
+    });
+  }
+};
+
+// Resend the verification email for the pending or unverified address
+const resendVerification = async (req, res) => {
+  try {
+    const user = await authService.findUserById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const email = user.pending_email || (!user.email_verified ? user.email : null);
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    await emailVerificationService.sendVerification(user, email);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error sending verification email'
+    });
+  }
+};
+
 // Delete user account
 const deleteAccount = async (req, res) => {
   try {
@@ -425,12 +1022,17 @@ const deleteAccount = async (req, res) => {
 module.exports = {
   register,
   login,
+  acceptInvite,
   logout,
   refreshToken,
   forgotPassword,
   resetPassword,
+  unlockAccount,
   changePassword,
   getProfile,
   updateProfile,
+  verifyEmail,
+  verifyJoinRequest,
+  resendVerification,
   deleteAccount
 }; 
\ No newline at end of file
@@ -0,0 +1,205 @@
+jest.mock('../config/supabase', () => require('../__tests__/mocks/supabase').createSupabaseMock());
+jest.mock('../services/authService', () => ({
+  findUserByEmail: jest.fn(),
+  verifyPassword: jest.fn(),
+  getAuthSettings: jest.fn(),
+  getSignInRestriction: jest.fn(),
+  issueExpiredPasswordReset: jest.fn()
+}));
+jest.mock('../services/lockoutService', () => ({
+  buildKeys: jest.requireActual('../services/lockoutService').buildKeys,
+  check: jest.fn(),
+  recordFailure: jest.fn(),
+  recordSuccess: jest.fn()
+}));
+jest.mock('../services/membershipService', () => ({
+  findMembership: jest.fn(),
+  addMembership: jest.fn(),
+  scopeUser: jest.fn(),
+  scopeUserToDefault: jest.fn(),
+  listMemberships: jest.fn(),
+  toResponse: jest.fn()
+}));
+jest.mock('../services/mfaService', () => ({
+  isEnabled: jest.fn(),
+  isRequiredFor: jest.fn(),
+  generateChallengeToken: jest.fn()
+}));
+jest.mock('../services/invitationService', () => ({
+  verifyInvitationToken: jest.fn(),
+  claimInvitation: jest.fn(),
+  releaseInvitation: jest.fn()
+}));
+jest.mock('../services/tokenService', () => ({
+  startSession: jest.fn()
+}));
+
+const bcrypt = require('bcryptjs');
+const authService = require('../services/authService');
+const invitationService = require('../services/invitationService');
+const lockoutService = require('../services/lockoutService');
+const membershipService = require('../services/membershipService');
+const mfaService = require('../services/mfaService');
+const tokenService = require('../services/tokenService');
+const authController = require('./authController');
+const { mockRequest, mockResponse } = require('../__tests__/mocks/express');
+
+describe('authController.login', () => {
+  const keys = [{ key: 'account:ada@example.com', scope: 'account' }];
+  let user;
+
+  const login = async (password = 'correct-password') => {
+    const req = mockRequest({
+      body: { email: 'ada@example.com', password },
+      bruteForce: { action: 'login', keys }
+    });
+    const res = mockResponse();
+    await authController.login(req, res);
+    return res;
+  };
+
+  beforeAll(async () => {
+    user = {
+      id: 'user-1',
+      email: 'ada@example.com',
+      enterprise_id: 'ent-1',
+      roles: { name: 'AE' },
+      password_hash: await bcrypt.hash('correct-password', 4)
+    };
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    authService.findUserByEmail.mockResolvedValue(user);
+    authService.getAuthSettings.mockResolvedValue({ mfaPolicy: 'optional' });
+    authService.getSignInRestriction.mockResolvedValue(null);
+    authService.issueExpiredPasswordReset.mockResolvedValue(null);
+    membershipService.scopeUserToDefault.mockResolvedValue(user);
+    membershipService.listMemberships.mockResolvedValue([]);
+    mfaService.isEnabled.mockResolvedValue(false);
+    mfaService.isRequiredFor.mockReturnValue(false);
+    mfaService.generateChallengeToken.mockReturnValue('mfa-challenge');
+    tokenService.startSession.mockResolvedValue({ accessToken: 'access', refreshToken: 'refresh' });
+  });
+
+  it('records a wrong password against the account', async () => {
+    const res = await login('wrong-password');
+
+    expect(res.statusCode).toBe(401);
+    expect(lockoutService.recordFailure).toHaveBeenCalledWith(keys, user);
+  });
+
+  it('starts a session for a valid password', async () => {
+    const res = await login();
+
+    expect(res.statusCode).toBe(200);
+    expect(lockoutService.recordSuccess).toHaveBeenCalledWith(keys);
+    expect(res.body.data).toMatchObject({ accessToken: 'access', refreshToken: 'refresh' });
+  });
+
+  it('returns a reset token for an expired password without MFA', async () => {
+    authService.issueExpiredPasswordReset.mockResolvedValue('reset-token');
+
+    const res = await login();
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body).toMatchObject({ code: 'PASSWORD_EXPIRED', data: { resetToken: 'reset-token' } });
+    expect(tokenService.startSession).not.toHaveBeenCalled();
+  });
+
+  it('keeps failed second-factor attempts when the password is entered again', async () => {
+    mfaService.isEnabled.mockResolvedValue(true);
+
+    const res = await login();
+
+    expect(res.body.data).toMatchObject({ mfaRequired: true });
+    expect(lockoutService.recordSuccess).not.toHaveBeenCalled();
+  });
+
+  it('keeps the account counter until forced MFA enrolment completes', async () => {
+    mfaService.isRequiredFor.mockReturnValue(true);
+
+    const res = await login();
+
+    expect(res.body.data).toMatchObject({ mfaEnrollmentRequired: true });
+    expect(lockoutService.recordSuccess).not.toHaveBeenCalled();
+  });
+
+  it('asks for the second factor before reporting an expired password', async () => {
+    mfaService.isEnabled.mockResolvedValue(true);
+    authService.issueExpiredPasswordReset.mockResolvedValue('reset-token');
+
+    const res = await login();
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data).toEqual({ mfaRequired: true, mfaToken: 'mfa-challenge' });
+    expect(authService.issueExpiredPasswordReset).not.toHaveBeenCalled();
+  });
+
+  it('asks for MFA enrolment before reporting an expired password', async () => {
+    mfaService.isRequiredFor.mockReturnValue(true);
+    authService.issueExpiredPasswordReset.mockResolvedValue('reset-token');
+
+    const res = await login();
+
+    expect(res.body.data).toMatchObject({ mfaEnrollmentRequired: true });
+    expect(authService.issueExpiredPasswordReset).not.toHaveBeenCalled();
+  });
+});
+
+describe('authController.acceptInvite for an existing account', () => {
+  const user = { id: 'user-1', email: 'ada@example.com', enterprise_id: 'ent-2' };
+  const accountKeys = [
+    { key: 'ip:login:127.0.0.1', scope: 'ip' },
+    { key: 'account:ada@example.com', scope: 'account', email: 'ada@example.com', lockable: true }
+  ];
+
+  const accept = async () => {
+    const req = mockRequest({ body: { token: 'invite-token', password: 'guess' } });
+    const res = mockResponse();
+    await authController.acceptInvite(req, res);
+    return res;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    invitationService.verifyInvitationToken.mockResolvedValue({ id: 'invitation-1', email: 'ada@example.com', enterprise_id: 'ent-1', role_id: 'role-ae' });
+    invitationService.claimInvitation.mockResolvedValue(true);
+    authService.findUserByEmail.mockResolvedValue(user);
+    lockoutService.check.mockResolvedValue({ allowed: true, locked: false, retryAfter: 0 });
+    membershipService.findMembership.mockResolvedValue(null);
+    membershipService.addMembership.mockResolvedValue({ id: 'membership-1' });
+    membershipService.toResponse.mockReturnValue({ id: 'membership-1' });
+  });
+
+  it('counts a wrong password against the login lockout', async () => {
+    authService.verifyPassword.mockResolvedValue(false);
+
+    const res = await accept();
+
+    expect(res.statusCode).toBe(401);
+    expect(lockoutService.check).toHaveBeenCalledWith(accountKeys);
+    expect(lockoutService.recordFailure).toHaveBeenCalledWith(accountKeys, user);
+    expect(invitationService.claimInvitation).not.toHaveBeenCalled();
+  });
+
+  it('refuses to check the password of a locked account', async () => {
+    lockoutService.check.mockResolvedValue({ allowed: false, locked: true, retryAfter: 600 });
+
+    const res = await accept();
+
+    expect(res.statusCode).toBe(423);
+    expect(res.headers['Retry-After']).toBe('600');
+    expect(authService.verifyPassword).not.toHaveBeenCalled();
+  });
+
+  it('joins the enterprise without clearing the counter', async () => {
+    authService.verifyPassword.mockResolvedValue(true);
+
+    const res = await accept();
+
+    expect(res.statusCode).toBe(200);
+    expect(membershipService.addMembership).toHaveBeenCalledWith('user-1', 'ent-1', 'role-ae');
+    expect(lockoutService.recordSuccess).not.toHaveBeenCalled();
+  });
+});
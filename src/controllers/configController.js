@@ -0,0 +1,208 @@
+const { validationResult } = require('express-validator');
+const configService = require('../services/configService');
+
+const formatVersion = (configVersion) => ({
+  version: configVersion.version,
+  configType: configVersion.config_type,
+  comment: configVersion.comment,
+  createdBy: configVersion.created_by,
+  apiKeyId: configVersion.api_key_id,
+  rolledBackFrom: configVersion.rolled_back_from,
+  createdAt: configVersion.created_at,
+  ...(configVersion.config_data !== undefined && { configData: configVersion.config_data })
+});
+
+const sendVersionNotFound = (res, version) => res.status(404).json({
+  success: false,
+  message: `Config version ${version} not found`
+});
+
+// JSON Schemas of the config types, for rendering config forms
+const getConfigSchema = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        configTypes: configService.getSchemas()
+      }
+    });
+  } catch (error) {
+    console.error('Get config schema error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching config schema'
+    });
+  }
+};
+
+// List the versions of a config, newest first
+const listConfigVersions = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { configType } = req.params;
+
+    const [versions, active] = await Promise.all([
+      configService.listVersions(req.enterpriseId, configType),
+      configService.getActiveConfig(req.enterpriseId, configType)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        configType,
+        activeVersion: active?.version || null,
+        versions: versions.map(formatVersion)
+      }
+    });
+  } catch (error) {
+    console.error('List config versions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching config versions'
+    });
+  }
+};
+
+// Get one version of a config with its data
+const getConfigVersion = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { configType, version } = req.params;
+
+    const configVersion = await configService.findVersion(req.enterpriseId, configType, version);
+    if (!configVersion) {
+      return sendVersionNotFound(res, version);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        version: formatVersion(configVersion)
+      }
+    });
+  } catch (error) {
+    console.error('Get config version error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching config version'
+    });
+  }
+};
+
+// Compare two versions of a config
+const diffConfigVersions = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { configType } = req.params;
+    const { from, to } = req.query;
+
+    const [fromVersion, toVersion] = await Promise.all([
+      configService.findVersion(req.enterpriseId, configType, from),
+      configService.findVersion(req.enterpriseId, configType, to)
+    ]);
+
+    if (!fromVersion || !toVersion) {
+      return sendVersionNotFound(res, fromVersion ? to : from);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        configType,
+        from: parseInt(from),
+        to: parseInt(to),
+        changes: configService.diff(fromVersion.config_data, toVersion.config_data)
+      }
+    });
+  } catch (error) {
+    console.error('Diff config versions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error comparing config versions'
+    });
+  }
+};
+
+// Make a prior version of a config active again. The rollback is itself
+// recorded as a new version.
+const rollbackConfig = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { configType } = req.params;
+    const { version, comment } = req.body;
+
+    const configVersion = await configService.findVersion(req.enterpriseId, configType, version);
+    if (!configVersion) {
+      return sendVersionNotFound(res, version);
+    }
+
+    // Versions written before the schema changed may no longer be valid
+    const configErrors = configService.validateConfig(configType, configVersion.config_data);
+    if (configErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Version ${version} does not match the current schema of ${configType}`,
+        errors: configErrors
+      });
+    }
+
+    const result = await configService.rollback(configVersion, {
+      author: {
+        userId: req.user.userId,
+        apiKeyId: req.user.apiKeyId
+      },
+      comment
+    });
+
+    res.json({
+      success: true,
+      message: `Config rolled back to version ${version}`,
+      data: {
+        config: result.config,
+        version: formatVersion(result.version)
+      }
+    });
+  } catch (error) {
+    console.error('Rollback config error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error rolling back config'
+    });
+  }
+};
+
+module.exports = {
+  getConfigSchema,
+  listConfigVersions,
+  getConfigVersion,
+  diffConfigVersions,
+  rollbackConfig
+};
@@ -0,0 +1,102 @@
+jest.mock('../config/supabase', () => require('../__tests__/mocks/supabase').createSupabaseMock());
+jest.mock('../services/configService', () => {
+  const configService = jest.requireActual('../services/configService');
+  return Object.assign(Object.create(Object.getPrototypeOf(configService)), configService, {
+    listVersions: jest.fn(),
+    getActiveConfig: jest.fn(),
+    findVersion: jest.fn(),
+    rollback: jest.fn()
+  });
+});
+
+const configService = require('../services/configService');
+const configController = require('./configController');
+const { mockRequest, mockResponse } = require('../__tests__/mocks/express');
+
+describe('configController', () => {
+  const versions = {
+    2: { version: 2, config_type: 'auth_settings', config_data: { mfaPolicy: 'optional' }, created_by: 'user-1' },
+    3: { version: 3, config_type: 'auth_settings', config_data: { mfaPolicy: 'required' }, created_by: 'user-1' }
+  };
+
+  const call = async (handler, { params = {}, query = {}, body = {} } = {}) => {
+    const req = mockRequest({
+      params: { configType: 'auth_settings', ...params },
+      query,
+      body,
+      user: { userId: 'user-2' },
+      enterpriseId: 'ent-1'
+    });
+    const res = mockResponse();
+    await configController[handler](req, res);
+    return res;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    configService.findVersion.mockImplementation(async (enterpriseId, configType, version) =>
+      (enterpriseId === 'ent-1' && versions[version]) || null
+    );
+  });
+
+  it('lists versions with the active one', async () => {
+    configService.listVersions.mockResolvedValue([3, 2].map(version => ({ version, config_type: 'auth_settings' })));
+    configService.getActiveConfig.mockResolvedValue({ config_data: {}, version: 3 });
+
+    const res = await call('listConfigVersions');
+
+    expect(configService.listVersions).toHaveBeenCalledWith('ent-1', 'auth_settings');
+    expect(res.body.data.activeVersion).toBe(3);
+    expect(res.body.data.versions.map(version => version.version)).toEqual([3, 2]);
+    expect(res.body.data.versions[0]).not.toHaveProperty('configData');
+  });
+
+  it('diffs two versions', async () => {
+    const res = await call('diffConfigVersions', { query: { from: '2', to: '3' } });
+
+    expect(res.body.data).toMatchObject({
+      from: 2,
+      to: 3,
+      changes: [{ path: 'mfaPolicy', change: 'changed', from: 'optional', to: 'required' }]
+    });
+  });
+
+  it('returns 404 for a version that does not exist in the enterprise', async () => {
+    const res = await call('diffConfigVersions', { query: { from: '2', to: '9' } });
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.message).toBe('Config version 9 not found');
+  });
+
+  describe('rollbackConfig', () => {
+    it('writes the prior version as a new one, recording who rolled back', async () => {
+      configService.rollback.mockResolvedValue({
+        config: { config_data: versions[2].config_data, version: 4 },
+        version: { version: 4, config_type: 'auth_settings', rolled_back_from: 2, created_by: 'user-2' }
+      });
+
+      const res = await call('rollbackConfig', { body: { version: 2, comment: 'Undo' } });
+
+      expect(configService.rollback).toHaveBeenCalledWith(versions[2], { author: { userId: 'user-2', apiKeyId: undefined }, comment: 'Undo' });
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.version).toMatchObject({ version: 4, rolledBackFrom: 2 });
+    });
+
+    it('returns 404 for an unknown version', async () => {
+      const res = await call('rollbackConfig', { body: { version: 7 } });
+
+      expect(res.statusCode).toBe(404);
+      expect(configService.rollback).not.toHaveBeenCalled();
+    });
+
+    it('refuses a version that no longer matches the schema', async () => {
+      configService.findVersion.mockResolvedValue({ version: 1, config_type: 'auth_settings', config_data: { mfaPolicy: 'sometimes' } });
+
+      const res = await call('rollbackConfig', { body: { version: 1 } });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.errors).toEqual([expect.objectContaining({ path: 'configData.mfaPolicy' })]);
+      expect(configService.rollback).not.toHaveBeenCalled();
+    });
+  });
+});
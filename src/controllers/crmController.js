@@ -1,5 +1,7 @@
 const { validationResult } = require('express-validator');
 const supabase = require('../config/supabase');
+const entitlementService = require('../services/entitlementService');
+const { sendEntitlementError } = require('../middleware/entitlements');
 
 // Allowed CRM providers
 const ALLOWED_PROVIDERS = ['hubspot', 'salesforce'];
@@ -39,6 +41,12 @@ const upsertCRMConfig = async (req, res) => {
       });
     }
 
+    // The enterprise's plan must include the provider
+    const planDenial = entitlementService.checkCrmProvider(req.enterprise, provider);
+    if (planDenial) {
+      return sendEntitlementError(res, planDenial);
+    }
+
     // Enterprise from authenticated user
     const enterpriseId = req.user?.enterpriseId;
     if (!enterpriseId) {
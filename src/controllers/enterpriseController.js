@@ -1,63 +1,23 @@
 const { validationResult } = require('express-validator');
-const authService = require('../services/authService');
 const supabase = require('../config/supabase');
+const lockoutService = require('../services/lockoutService');
+const scimService = require('../services/scimService');
+const roleService = require('../services/roleService');
+const directoryService = require('../services/directoryService');
+const configService = require('../services/configService');
+const { CONFIG_TYPES, RESERVED_CONFIG_TYPES } = require('../config/configSchemas');
 const axios = require('axios');
 
-// Create new enterprise
-const createEnterprise = async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        errors: errors.array()
-      });
-    }
-
-    const enterpriseData = {
-      name: req.body.name,
-      domain: req.body.domain,
-      industry: req.body.industry,
-      company_size: req.body.company_size,
-      subscription_plan: req.body.subscription_plan || 'basic',
-      subscription_status: 'active',
-      is_active: true
-    };
-
-    // Create enterprise
-    const enterprise = await authService.createEnterprise(enterpriseData);
-
-    // Create default roles for the enterprise
-    await createDefaultRoles(enterprise.id);
-
-    res.status(201).json({
-      success: true,
-      message: 'Enterprise created successfully',
-      data: {
-        enterprise
-      }
-    });
-  } catch (error) {
-    console.error('Enterprise creation error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error creating enterprise'
-    });
-  }
-};
+// Who made a config change, recorded on its version
+const getConfigAuthor = (req) => ({
+  userId: req.user.userId,
+  apiKeyId: req.user.apiKeyId
+});
 
 // Get enterprise details
 const getEnterprise = async (req, res) => {
   try {
-    const { id } = req.params;
-    const enterprise = await authService.findEnterpriseById(id);
-
-    if (!enterprise) {
-      return res.status(404).json({
-        success: false,
-        message: 'Enterprise not found'
-      });
-    }
+    const enterprise = req.enterprise;
 
     res.json({
       success: true,
@@ -90,8 +50,7 @@ const updateEnterprise = async (req, res) => {
       name: req.body.name,
       domain: req.body.domain,
       industry: req.body.industry,
-      company_size: req.body.company_size,
-      subscription_plan: req.body.subscription_plan
+      company_size: req.body.company_size
     };
 
     // Remove undefined values
@@ -135,17 +94,20 @@ const getEnterpriseConfig = async (req, res) => {
     const { id } = req.params;
     const { configType } = req.query;
 
-    let query = supabase
+    if (configType && !configService.isKnownType(configType)) {
+      return res.status(400).json({
+        success: false,
+        message: RESERVED_CONFIG_TYPES.includes(configType) ? 'Config type is reserved for internal use' : 'Unknown config type'
+      });
+    }
+
+    // Only registered config types; internal records never leave the API
+    const { data: configs, error } = await supabase
       .from('enterprise_configs')
       .select('*')
       .eq('enterprise_id', id)
-      .eq('is_active', true);
-
-    if (configType) {
-      query = query.eq('config_type', configType);
-    }
-
-    const { data: configs, error } = await query;
+      .eq('is_active', true)
+      .in('config_type', configType ? [configType] : CONFIG_TYPES);
 
     if (error) {
       throw error;
@@ -166,39 +128,43 @@ const getEnterpriseConfig = async (req, res) => {
   }
 };
 
+// Respond with the schema violations of a config payload
+const sendInvalidConfig = (res, errors) => res.status(400).json({
+  success: false,
+  message: 'Config data does not match the schema of its type',
+  errors
+});
+
 // Update enterprise configuration
 const updateEnterpriseConfig = async (req, res) => {
   try {
-    const { id } = req.params;
-    const { configType, configData } = req.body;
-
-    if (!configType || !configData) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
         success: false,
-        message: 'Config type and config data are required'
+        errors: errors.array()
       });
     }
 
-    const { data: config, error } = await supabase
-      .from('enterprise_configs')
-      .upsert({
-        enterprise_id: id,
-        config_type: configType,
-        config_data: configData,
-        is_active: true
-      })
-      .select()
-      .single();
+    const { id } = req.params;
+    const { configType, configData, comment } = req.body;
 
-    if (error) {
-      throw error;
+    const configErrors = configService.validateConfig(configType, configData);
+    if (configErrors.length > 0) {
+      return sendInvalidConfig(res, configErrors);
     }
 
+    const { config, version } = await configService.saveConfig(id, configType, configData, {
+      author: getConfigAuthor(req),
+      comment
+    });
+
     res.json({
       success: true,
       message: 'Enterprise configuration updated successfully',
       data: {
-        config
+        config,
+        version: version.version
       }
     });
   } catch (error) {
@@ -210,41 +176,31 @@ const updateEnterpriseConfig = async (req, res) => {
   }
 };
 
-// Helper function to create default roles
-const createDefaultRoles = async (enterpriseId) => {
-  const defaultRoles = [
-    {
-      enterprise_id: enterpriseId,
-      name: 'AE',
-      description: 'Account Executive',
-      is_system_role: false
-    },
-    {
-      enterprise_id: enterpriseId,
-      name: 'SDR',
-      description: 'Sales Development Representative',
-      is_system_role: false
-    },
-    {
-      enterprise_id: enterpriseId,
-      name: 'MANAGER',
-      description: 'Admin',
-      is_system_role: true
-    }
-  ];
-
-  for (const role of defaultRoles) {
-    await supabase
-      .from('roles')
-      .insert(role);
-  }
-};
-
-// Get all users of an enterprise with roles and details
+// Get the members of an enterprise with their roles: filtered, sorted and
+// paginated by cursor, or exported as CSV with `format=csv`
 const getEnterpriseUsers = async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
     const { enterpriseId } = req.params;
-    const { page = 1, limit = 20, search, role, status } = req.query;
+    const {
+      limit,
+      cursor,
+      search,
+      role,
+      status = 'active',
+      lastLoginAfter,
+      lastLoginBefore,
+      sortBy = 'joined',
+      sortOrder = 'desc',
+      format
+    } = req.query;
 
     // Validate enterprise ID
     if (!enterpriseId) {
@@ -254,134 +210,56 @@ const getEnterpriseUsers = async (req, res) => {
       });
     }
 
-    // Check if enterprise exists
-    const enterprise = await authService.findEnterpriseById(enterpriseId);
-    if (!enterprise) {
-      return res.status(404).json({
-        success: false,
-        message: 'Enterprise not found'
-      });
-    }
-
-    // Build query
-    let query = supabase
-      .from('users')
-      .select(`
-        id,
-        name,
-        email,
-        avatar_url,
-        phone,
-        timezone,
-        is_active,
-        email_verified,
-        last_login,
-        created_at,
-        updated_at,
-        roles:role_id (
-          id,
-          name,
-          description,
-          is_system_role
-        )
-      `)
-      .eq('enterprise_id', enterpriseId)
-      .eq('is_active', true);
+    // Enterprise resolved by tenant scope
+    const enterprise = req.enterprise;
 
-    // Apply filters
-    if (search) {
-      query = query.or(`name.ilike.%${search}%,email.ilike.%${search}%`);
-    }
+    const filters = { search, status, lastLoginAfter, lastLoginBefore };
 
     if (role) {
-      query = query.eq('roles.name', role);
-    }
-
-    if (status === 'active') {
-      query = query.eq('is_active', true);
-    } else if (status === 'inactive') {
-      query = query.eq('is_active', false);
+      const matchedRole = await roleService.findRole({ enterpriseId, roleName: role });
+      if (!matchedRole) {
+        return res.status(400).json({
+          success: false,
+          message: 'Role not found in this enterprise'
+        });
+      }
+      filters.roleId = matchedRole.id;
     }
 
-    // Get total count for pagination
-    const { count } = await supabase
-      .from('users')
-      .select('*', { count: 'exact', head: true })
-      .eq('enterprise_id', enterpriseId)
-      .eq('is_active', true);
-
-    // Apply pagination
-    const offset = (page - 1) * limit;
-    query = query.range(offset, offset + limit - 1);
-
-    // Order by creation date (newest first)
-    query = query.order('created_at', { ascending: false });
+    if (format === 'csv') {
+      const { csv, truncated } = await directoryService.exportCsv(enterpriseId, filters, { sortBy, sortOrder });
 
-    const { data: users, error } = await query;
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="${enterprise.domain || 'enterprise'}-users.csv"`);
+      // More members matched than an export holds; narrow the filters
+      if (truncated) {
+        res.set('X-Export-Truncated', 'true');
+        res.set('X-Export-Row-Limit', String(directoryService.maxExportRows));
+      }
+      return res.send(csv);
+    }
 
-    if (error) {
-      console.error('Error fetching enterprise users:', error);
-      return res.status(500).json({
+    const page = await directoryService.listMembers(enterpriseId, filters, { sortBy, sortOrder, limit, cursor });
+    if (!page) {
+      return res.status(400).json({
         success: false,
-        message: 'Error fetching users'
+        message: 'Invalid cursor for this sort order'
       });
     }
 
-    // Transform data for frontend
-    const transformedUsers = users.map(user => ({
-      id: user.id,
-      name: user.name,
-      email: user.email,
-      avatar: user.avatar_url,
-      phone: user.phone,
-      timezone: user.timezone,
-      isActive: user.is_active,
-      emailVerified: user.email_verified,
-      lastLogin: user.last_login,
-      createdAt: user.created_at,
-      updatedAt: user.updated_at,
-      role: {
-        id: user.roles?.id,
-        name: user.roles?.name,
-        description: user.roles?.description,
-        isSystemRole: user.roles?.is_system_role
-      }
-    }));
-
-    // Get role statistics
-    const roleStats = await supabase
-      .from('users')
-      .select(`
-        roles:role_id (
-          name
-        )
-      `)
-      .eq('enterprise_id', enterpriseId)
-      .eq('is_active', true);
-
-    const roleCounts = {};
-    if (roleStats.data) {
-      roleStats.data.forEach(user => {
-        const roleName = user.roles?.name || 'Unknown';
-        roleCounts[roleName] = (roleCounts[roleName] || 0) + 1;
-      });
-    }
+    const statistics = await directoryService.getStatistics(enterpriseId, filters);
 
     res.json({
       success: true,
       data: {
-        users: transformedUsers,
+        users: page.members,
         pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total: count || 0,
-          totalPages: Math.ceil((count || 0) / limit)
-        },
-        statistics: {
-          totalUsers: count || 0,
-          activeUsers: transformedUsers.filter(u => u.isActive).length,
-          roleDistribution: roleCounts
+          limit: page.limit,
+          nextCursor: page.nextCursor,
+          hasMore: Boolean(page.nextCursor),
+          total: statistics.totalUsers
         },
+        statistics,
         enterprise: {
           id: enterprise.id,
           name: enterprise.name,
@@ -411,20 +289,25 @@ const getEnterpriseUserById = async (req, res) => {
       });
     }
 
-    const { data: user, error } = await supabase
-      .from('users')
+    // Deactivated members are included, as in the directory
+    const { data: member, error } = await supabase
+      .from('enterprise_memberships')
       .select(`
-        id,
-        name,
-        email,
-        avatar_url,
-        phone,
-        timezone,
-        is_active,
-        email_verified,
-        last_login,
         created_at,
-        updated_at,
+        is_active,
+        users!inner (
+          id,
+          name,
+          email,
+          avatar_url,
+          phone,
+          timezone,
+          is_active,
+          email_verified,
+          last_login,
+          created_at,
+          updated_at
+        ),
         roles:role_id (
           id,
           name,
@@ -433,10 +316,11 @@ const getEnterpriseUserById = async (req, res) => {
         )
       `)
       .eq('enterprise_id', enterpriseId)
-      .eq('id', userId)
+      .eq('user_id', userId)
+      .eq('users.is_active', true)
       .single();
 
-    if (error || !user) {
+    if (error || !member) {
       return res.status(404).json({
         success: false,
         message: 'User not found in this enterprise'
@@ -444,6 +328,7 @@ const getEnterpriseUserById = async (req, res) => {
     }
 
     // Transform data
+    const { users: user, roles } = member;
     const transformedUser = {
       id: user.id,
       name: user.name,
@@ -451,16 +336,17 @@ const getEnterpriseUserById = async (req, res) => {
       avatar: user.avatar_url,
       phone: user.phone,
       timezone: user.timezone,
-      isActive: user.is_active,
+      isActive: member.is_active,
       emailVerified: user.email_verified,
       lastLogin: user.last_login,
+      joinedAt: member.created_at,
       createdAt: user.created_at,
       updatedAt: user.updated_at,
       role: {
-        id: user.roles?.id,
-        name: user.roles?.name,
-        description: user.roles?.description,
-        isSystemRole: user.roles?.is_system_role
+        id: roles?.id,
+        name: roles?.name,
+        description: roles?.description,
+        isSystemRole: roles?.is_system_role
       }
     };
 
@@ -478,11 +364,134 @@ const getEnterpriseUserById = async (req, res) => {
   }
 };
 
+// List accounts of the enterprise that are locked after failed sign-ins
+const getLockedAccounts = async (req, res) => {
+  try {
+    const records = await lockoutService.listLockedAccounts(req.enterpriseId);
+
+    res.json({
+      success: true,
+      data: {
+        lockedAccounts: records.map(record => ({
+          userId: record.users?.id,
+          name: record.users?.name,
+          email: record.users?.email || record.email,
+          failedAttempts: record.failed_count,
+          lastFailedAt: record.last_failed_at,
+          lockedUntil: record.locked_until
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get locked accounts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching locked accounts'
+    });
+  }
+};
+
+// Clear the lockout of a user in the enterprise
+const unlockEnterpriseUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const cleared = await lockoutService.clearAccountLock(req.enterpriseId, userId);
+    if (!cleared) {
+      return res.status(404).json({
+        success: false,
+        message: 'No lockout found for this user'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Account unlocked successfully'
+    });
+  } catch (error) {
+    console.error('Unlock enterprise user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error unlocking account'
+    });
+  }
+};
+
+// Get the status of the enterprise's SCIM token
+const getScimToken = async (req, res) => {
+  try {
+    const record = await scimService.getActiveToken(req.enterpriseId);
+
+    res.json({
+      success: true,
+      data: {
+        active: Boolean(record),
+        createdBy: record?.created_by || null,
+        createdAt: record?.created_at || null,
+        lastUsedAt: record?.last_used_at || null
+      }
+    });
+  } catch (error) {
+    console.error('Get SCIM token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching SCIM token'
+    });
+  }
+};
+
+// Generate a new SCIM token, replacing the previous one. The token is only
+// returned once.
+const createScimToken = async (req, res) => {
+  try {
+    const { token, record } = await scimService.createToken(req.enterpriseId, req.user.userId);
+
+    res.status(201).json({
+      success: true,
+      message: 'SCIM token generated. Store it now; it will not be shown again.',
+      data: {
+        token,
+        createdAt: record.created_at
+      }
+    });
+  } catch (error) {
+    console.error('Create SCIM token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating SCIM token'
+    });
+  }
+};
+
+// Revoke the SCIM token, disabling provisioning
+const revokeScimToken = async (req, res) => {
+  try {
+    const revoked = await scimService.revokeTokens(req.enterpriseId);
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'No active SCIM token'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'SCIM token revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke SCIM token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking SCIM token'
+    });
+  }
+};
+
 // Store or update lead fields configuration for an enterprise
 const storeLeadFields = async (req, res) => {
   try {
     const { id } = req.params;
-    const { leadFields } = req.body;
+    const { leadFields, comment } = req.body;
 
     if (!leadFields || typeof leadFields !== 'object') {
       return res.status(400).json({
@@ -491,25 +500,20 @@ const storeLeadFields = async (req, res) => {
       });
     }
 
-    const { data: config, error } = await supabase
-      .from('enterprise_configs')
-      .upsert({
-        enterprise_id: id,
-        config_type: 'lead_fields',
-        config_data: leadFields,
-        is_active: true
-      }, { onConflict: 'enterprise_id,config_type' })
-      .select()
-      .single();
-
-    if (error) {
-      throw error;
+    const configErrors = configService.validateConfig('lead_fields', leadFields, 'leadFields');
+    if (configErrors.length > 0) {
+      return sendInvalidConfig(res, configErrors);
     }
 
+    const { config, version } = await configService.saveConfig(id, 'lead_fields', leadFields, {
+      author: getConfigAuthor(req),
+      comment
+    });
+
     res.json({
       success: true,
       message: 'Lead fields saved successfully',
-      data: { config }
+      data: { config, version: version.version }
     });
   } catch (error) {
     console.error('Store lead fields error:', error);
@@ -524,7 +528,7 @@ const storeLeadFields = async (req, res) => {
 const storeQualificationRules = async (req, res) => {
   try {
     const { id } = req.params;
-    const { rules } = req.body;
+    const { rules, comment } = req.body;
 
     if (!rules || typeof rules !== 'object') {
       return res.status(400).json({
@@ -533,20 +537,17 @@ const storeQualificationRules = async (req, res) => {
       });
     }
 
-    const { data: config, error } = await supabase
-      .from('enterprise_configs')
-      .upsert({
-        enterprise_id: id,
-        config_type: 'lead_qualification_rules',
-        config_data: rules,
-        is_active: true
-      }, { onConflict: 'enterprise_id,config_type' })
-      .select()
-      .single();
+    const configErrors = configService.validateConfig('lead_qualification_rules', rules, 'rules');
+    if (configErrors.length > 0) {
+      return sendInvalidConfig(res, configErrors);
+    }
 
-    if (error) throw error;
+    const { config, version } = await configService.saveConfig(id, 'lead_qualification_rules', rules, {
+      author: getConfigAuthor(req),
+      comment
+    });
 
-    res.json({ success: true, message: 'Qualification rules saved', data: { config } });
+    res.json({ success: true, message: 'Qualification rules saved', data: { config, version: version.version } });
   } catch (error) {
     console.error('Store qualification rules error:', error);
     res.status(500).json({ success: false, message: 'Error saving qualification rules' });
@@ -711,24 +712,16 @@ const refreshLeadFieldsFromHubspot = async (req, res) => {
       };
     });
 
-    // 4. Upsert lead_fields config with latest keys
-    const { data: config, error } = await supabase
-      .from('enterprise_configs')
-      .upsert({
-        enterprise_id: id,
-        config_type: 'lead_fields',
-        config_data: newFieldsObj,
-        is_active: true
-      }, { onConflict: 'enterprise_id,config_type' })
-      .select()
-      .single();
-
-    if (error) throw error;
+    // 4. Save lead_fields config with latest keys as a new version
+    const { config, version } = await configService.saveConfig(id, 'lead_fields', newFieldsObj, {
+      author: getConfigAuthor(req),
+      comment: 'Refreshed from HubSpot'
+    });
 
     res.json({
       success: true,
       message: 'Lead fields refreshed from HubSpot',
-      data: { config }
+      data: { config, version: version.version }
     });
   } catch (error) {
     console.error('Refresh lead fields error:', error.response?.data || error);
@@ -737,13 +730,17 @@ const refreshLeadFieldsFromHubspot = async (req, res) => {
 };
 
 module.exports = {
-  createEnterprise,
   getEnterprise,
   updateEnterprise,
   getEnterpriseConfig,
   updateEnterpriseConfig,
   getEnterpriseUsers,
   getEnterpriseUserById,
+  getLockedAccounts,
+  unlockEnterpriseUser,
+  getScimToken,
+  createScimToken,
+  revokeScimToken,
   storeLeadFields,
   getLeadFields,
   storeQualificationRules,
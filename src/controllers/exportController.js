@@ -0,0 +1,114 @@
+const authService = require('../services/authService');
+const exportService = require('../services/exportService');
+
+const formatExportJob = (job) => ({
+  id: job.id,
+  status: job.status,
+  progress: {
+    datasetsDone: job.datasets_done,
+    datasetsTotal: job.datasets_total,
+    currentDataset: job.current_dataset,
+    recordsExported: job.records_exported
+  },
+  sizeBytes: job.size_bytes,
+  error: job.error,
+  requestedBy: job.requested_by,
+  createdAt: job.created_at,
+  startedAt: job.started_at,
+  completedAt: job.completed_at,
+  expiresAt: job.expires_at
+});
+
+// Start a full export of the enterprise's data. The archive is built in the
+// background; poll the export for progress and its download link.
+const createExport = async (req, res) => {
+  try {
+    const activeJob = await exportService.findActiveJob(req.enterpriseId);
+    if (activeJob) {
+      return res.status(409).json({
+        success: false,
+        message: 'An export of this enterprise is already in progress',
+        data: { exportId: activeJob.id }
+      });
+    }
+
+    const job = await exportService.createJob(req.enterpriseId, req.user.userId);
+    const requester = await authService.findUserById(req.user.userId);
+
+    exportService.runJob(job, {
+      enterprise: req.enterprise,
+      requester
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Export started. The download link will be emailed to you when it is ready.',
+      data: {
+        export: formatExportJob(job),
+        datasets: exportService.datasets
+      }
+    });
+  } catch (error) {
+    console.error('Create export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error starting export'
+    });
+  }
+};
+
+// Recent exports of the enterprise, newest first
+const listExports = async (req, res) => {
+  try {
+    const jobs = await exportService.listJobs(req.enterpriseId);
+
+    res.json({
+      success: true,
+      data: {
+        exports: jobs.map(formatExportJob)
+      }
+    });
+  } catch (error) {
+    console.error('List exports error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching exports'
+    });
+  }
+};
+
+// Progress of an export, with a fresh download link once it has completed
+const getExport = async (req, res) => {
+  try {
+    const job = await exportService.findJob(req.enterpriseId, req.params.exportId);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Export not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        export: {
+          ...formatExportJob(job),
+          files: job.manifest?.files || [],
+          downloadUrl: await exportService.createDownloadUrl(job)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching export'
+    });
+  }
+};
+
+module.exports = {
+  createExport,
+  listExports,
+  getExport
+};
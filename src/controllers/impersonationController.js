@@ -0,0 +1,182 @@
+const { validationResult } = require('express-validator');
+const authService = require('../services/authService');
+const tokenService = require('../services/tokenService');
+const sessionService = require('../services/sessionService');
+const roleService = require('../services/roleService');
+const membershipService = require('../services/membershipService');
+const impersonationService = require('../services/impersonationService');
+const { hasPermission } = require('../middleware/permissions');
+
+// Start impersonating a user of the same enterprise. Returns a time-boxed
+// access token flagged with the impersonator.
+const startImpersonation = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { userId } = req.params;
+    const { reason } = req.body;
+
+    if (userId === req.user.userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot impersonate yourself'
+      });
+    }
+
+    const account = await authService.findUserById(userId);
+    const user = account && await membershipService.scopeUser(account, req.user.enterpriseId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found in this enterprise'
+      });
+    }
+
+    // Impersonation must not grant permissions the impersonator lacks
+    const targetPermissions = await roleService.getPermissions({
+      roleId: user.role_id,
+      enterpriseId: user.enterprise_id
+    });
+    for (const permission of targetPermissions) {
+      if (!(await hasPermission(req, permission))) {
+        return res.status(403).json({
+          success: false,
+          message: 'You cannot impersonate a user with permissions you do not have'
+        });
+      }
+    }
+
+    const { accessToken, session } = await tokenService.startImpersonation(req.user.userId, user, {
+      reason,
+      ...sessionService.getClientInfo(req)
+    });
+
+    await impersonationService.logEvent({
+      sessionId: session.id,
+      impersonatorId: req.user.userId,
+      userId: user.id,
+      enterpriseId: user.enterprise_id,
+      event: 'start',
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      reason
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Impersonating ${user.name}`,
+      data: {
+        accessToken,
+        expiresAt: session.expires_at,
+        impersonatedUser: {
+          id: user.id,
+          name: user.name,
+          email: user.email,
+          role: user.roles?.name
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Start impersonation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error starting impersonation'
+    });
+  }
+};
+
+// End the impersonation session of the presented token
+const stopImpersonation = async (req, res) => {
+  try {
+    if (!req.user.impersonatorId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Not an impersonation session'
+      });
+    }
+
+    await tokenService.revokeFamily(req.user.sid, 'impersonation_ended');
+
+    await impersonationService.logEvent({
+      sessionId: req.user.sid,
+      impersonatorId: req.actor.userId,
+      userId: req.user.userId,
+      enterpriseId: req.user.enterpriseId,
+      event: 'end',
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Impersonation ended'
+    });
+  } catch (error) {
+    console.error('Stop impersonation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error ending impersonation'
+    });
+  }
+};
+
+// List the impersonation audit trail of an enterprise
+const listAuditLogs = async (req, res) => {
+  try {
+    const { impersonatorId, userId, sessionId, page = 1, limit = 50 } = req.query;
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+    const offset = (Math.max(parseInt(page) || 1, 1) - 1) * pageSize;
+
+    const { logs, count } = await impersonationService.listAuditLogs(req.enterpriseId, {
+      impersonatorId,
+      userId,
+      sessionId,
+      limit: pageSize,
+      offset
+    });
+
+    res.json({
+      success: true,
+      data: {
+        logs: logs.map(log => ({
+          id: log.id,
+          sessionId: log.session_id,
+          event: log.event,
+          impersonator: log.impersonator,
+          user: log.user,
+          method: log.method,
+          path: log.path,
+          statusCode: log.status_code,
+          ipAddress: log.ip_address,
+          userAgent: log.user_agent,
+          reason: log.reason,
+          createdAt: log.created_at
+        })),
+        pagination: {
+          page: Math.floor(offset / pageSize) + 1,
+          limit: pageSize,
+          total: count,
+          totalPages: Math.ceil(count / pageSize)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('List impersonation logs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching impersonation logs'
+    });
+  }
+};
+
+module.exports = {
+  startImpersonation,
+  stopImpersonation,
+  listAuditLogs
+};
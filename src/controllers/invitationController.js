@@ -0,0 +1,139 @@
+const invitationService = require('../services/invitationService');
+const entitlementService = require('../services/entitlementService');
+const { sendEntitlementError } = require('../middleware/entitlements');
+
+const INVITATION_STATUSES = ['pending', 'accepted', 'revoked'];
+
+const formatInvitation = (invitation) => ({
+  id: invitation.id,
+  name: invitation.name,
+  email: invitation.email,
+  role: invitation.roles ? {
+    id: invitation.roles.id,
+    name: invitation.roles.name
+  } : null,
+  status: invitation.status === 'pending' && new Date(invitation.expires_at) < new Date()
+    ? 'expired'
+    : invitation.status,
+  invitedBy: invitation.invited_by,
+  expiresAt: invitation.expires_at,
+  acceptedAt: invitation.accepted_at,
+  createdAt: invitation.created_at
+});
+
+// List invitations of an enterprise
+const listInvitations = async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    if (status && !INVITATION_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Allowed values: ${INVITATION_STATUSES.join(', ')}`
+      });
+    }
+
+    const invitations = await invitationService.listInvitations(req.enterpriseId, status);
+
+    res.json({
+      success: true,
+      data: {
+        invitations: invitations.map(formatInvitation)
+      }
+    });
+  } catch (error) {
+    console.error('List invitations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching invitations'
+    });
+  }
+};
+
+// Resend a pending invitation with a fresh token and expiry
+const resendInvitation = async (req, res) => {
+  try {
+    const { invitationId } = req.params;
+
+    const invitation = await invitationService.findInvitationById(req.enterpriseId, invitationId);
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    if (invitation.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Invitation is already ${invitation.status}`
+      });
+    }
+
+    // An expired invitation no longer holds a seat; resending takes one again
+    const issueToken = () => invitationService.issueToken(invitation.id);
+    let token;
+    if (new Date(invitation.expires_at) < new Date()) {
+      const { denial, result } = await entitlementService.withSeats(req.enterprise, issueToken);
+      if (denial) {
+        return sendEntitlementError(res, denial);
+      }
+      token = result;
+    } else {
+      token = await issueToken();
+    }
+
+    await invitationService.sendInvitationEmail(invitation, token, {
+      enterprise: req.enterprise,
+      invitedBy: req.body.invitedBy
+    });
+
+    const refreshedInvitation = await invitationService.findInvitationById(req.enterpriseId, invitation.id);
+
+    res.json({
+      success: true,
+      message: 'Invitation resent successfully',
+      data: {
+        invitation: formatInvitation(refreshedInvitation)
+      }
+    });
+  } catch (error) {
+    console.error('Resend invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error resending invitation'
+    });
+  }
+};
+
+// Revoke a pending invitation
+const revokeInvitation = async (req, res) => {
+  try {
+    const { invitationId } = req.params;
+
+    const invitation = await invitationService.revokeInvitation(req.enterpriseId, invitationId);
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending invitation not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Invitation revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking invitation'
+    });
+  }
+};
+
+module.exports = {
+  listInvitations,
+  resendInvitation,
+  revokeInvitation
+};
@@ -0,0 +1,202 @@
+const { validationResult } = require('express-validator');
+const authService = require('../services/authService');
+const joinRequestService = require('../services/joinRequestService');
+const emailService = require('../services/emailService');
+const roleService = require('../services/roleService');
+const entitlementService = require('../services/entitlementService');
+const { exceedsCallerPermissions } = require('../middleware/permissions');
+const { sendEntitlementError } = require('../middleware/entitlements');
+
+const JOIN_REQUEST_STATUSES = ['pending', 'approved', 'denied'];
+
+const formatJoinRequest = (joinRequest) => ({
+  id: joinRequest.id,
+  name: joinRequest.name,
+  email: joinRequest.email,
+  status: joinRequest.status,
+  userId: joinRequest.user_id,
+  reviewedBy: joinRequest.reviewed_by,
+  reviewedAt: joinRequest.reviewed_at,
+  createdAt: joinRequest.created_at
+});
+
+// Respond to a decision on a request that is missing or already decided
+const sendNotPending = async (req, res) => {
+  const joinRequest = await joinRequestService.findRequest(req.enterpriseId, req.params.requestId);
+  if (!joinRequest) {
+    return res.status(404).json({
+      success: false,
+      message: 'Join request not found'
+    });
+  }
+
+  res.status(400).json({
+    success: false,
+    message: `Join request is already ${joinRequest.status}`
+  });
+};
+
+// List requests to join an enterprise
+const listJoinRequests = async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    if (status && !JOIN_REQUEST_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Allowed values: ${JOIN_REQUEST_STATUSES.join(', ')}`
+      });
+    }
+
+    const joinRequests = await joinRequestService.listRequests(req.enterpriseId, status);
+
+    res.json({
+      success: true,
+      data: {
+        joinRequests: joinRequests.map(formatJoinRequest)
+      }
+    });
+  } catch (error) {
+    console.error('List join requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching join requests'
+    });
+  }
+};
+
+// Approve a join request, creating the account with the requested password
+// and the given role (the default AE role if none is given)
+const approveJoinRequest = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { requestId } = req.params;
+    const { roleId } = req.body;
+
+    const role = roleId
+      ? await roleService.findRole({ roleId, enterpriseId: req.enterpriseId })
+      : await roleService.findRole({ enterpriseId: req.enterpriseId, roleName: 'AE' });
+    if (!role) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role not found in this enterprise'
+      });
+    }
+
+    if (await exceedsCallerPermissions(req, role.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot grant a role with permissions you do not hold'
+      });
+    }
+
+    const pendingRequest = await joinRequestService.findRequest(req.enterpriseId, requestId);
+    if (!pendingRequest || pendingRequest.status !== 'pending') {
+      return sendNotPending(req, res);
+    }
+
+    // The address may have been registered since the request was made. The
+    // request does not prove ownership of that account, so it is not joined.
+    if (await authService.findUserByEmail(pendingRequest.email)) {
+      return res.status(409).json({
+        success: false,
+        message: 'An account already exists for this email. Send it an invitation instead.'
+      });
+    }
+
+    const joinRequest = await joinRequestService.decideRequest(req.enterpriseId, requestId, 'approved', req.user.userId);
+    if (!joinRequest) {
+      return sendNotPending(req, res);
+    }
+
+    let user;
+    try {
+      const { denial, result } = await entitlementService.withSeats(req.enterprise, () => authService.createUser({
+        name: joinRequest.name,
+        email: joinRequest.email,
+        passwordHash: joinRequest.password_hash,
+        enterpriseId: req.enterpriseId,
+        roleId: role.id
+      }));
+      if (denial) {
+        await joinRequestService.releaseRequest(joinRequest.id);
+        return sendEntitlementError(res, denial);
+      }
+      user = result;
+    } catch (error) {
+      await joinRequestService.releaseRequest(joinRequest.id);
+      throw error;
+    }
+
+    // The requester confirmed the address before the request was listed
+    user = await authService.updateUser(user.id, { email_verified: true });
+
+    await joinRequestService.completeRequest(joinRequest.id, { userId: user.id });
+
+    // Notification failures should not undo the approval
+    try {
+      await emailService.sendWelcomeEmail(user);
+    } catch (error) {
+      console.error('Join request approval email error:', error);
+    }
+
+    res.json({
+      success: true,
+      message: 'Join request approved',
+      data: {
+        joinRequest: formatJoinRequest({ ...joinRequest, user_id: user.id })
+      }
+    });
+  } catch (error) {
+    console.error('Approve join request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error approving join request'
+    });
+  }
+};
+
+// Deny a join request; no account is created
+const denyJoinRequest = async (req, res) => {
+  try {
+    const joinRequest = await joinRequestService.decideRequest(req.enterpriseId, req.params.requestId, 'denied', req.user.userId);
+    if (!joinRequest) {
+      return sendNotPending(req, res);
+    }
+
+    await joinRequestService.completeRequest(joinRequest.id);
+
+    try {
+      await joinRequestService.sendDeniedEmail(joinRequest, req.enterprise);
+    } catch (error) {
+      console.error('Join request denial email error:', error);
+    }
+
+    res.json({
+      success: true,
+      message: 'Join request denied',
+      data: {
+        joinRequest: formatJoinRequest(joinRequest)
+      }
+    });
+  } catch (error) {
+    console.error('Deny join request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error denying join request'
+    });
+  }
+};
+
+module.exports = {
+  listJoinRequests,
+  approveJoinRequest,
+  denyJoinRequest
+};
@@ -0,0 +1,90 @@
+jest.mock('../config/supabase', () => require('../__tests__/mocks/supabase').createSupabaseMock());
+jest.mock('../services/authService', () => ({
+  findUserByEmail: jest.fn(),
+  createUser: jest.fn(),
+  updateUser: jest.fn()
+}));
+jest.mock('../services/joinRequestService', () => ({
+  findRequest: jest.fn(),
+  decideRequest: jest.fn(),
+  releaseRequest: jest.fn(),
+  completeRequest: jest.fn()
+}));
+jest.mock('../services/emailService', () => ({
+  sendWelcomeEmail: jest.fn()
+}));
+jest.mock('../services/entitlementService', () => ({
+  withSeats: jest.fn()
+}));
+jest.mock('../services/roleService', () => ({
+  findRole: jest.fn(),
+  resolveRolePermissions: jest.requireActual('../services/roleService').resolveRolePermissions
+}));
+
+const supabase = require('../config/supabase');
+const authService = require('../services/authService');
+const joinRequestService = require('../services/joinRequestService');
+const entitlementService = require('../services/entitlementService');
+const roleService = require('../services/roleService');
+const joinRequestController = require('./joinRequestController');
+const { mockRequest, mockResponse } = require('../__tests__/mocks/express');
+
+describe('joinRequestController.approveJoinRequest', () => {
+  const manager = { id: 'role-manager', name: 'MANAGER', is_system_role: true };
+  const sdr = { id: 'role-sdr', name: 'SDR', is_system_role: false, permissions: ['users:read'] };
+  const joinRequest = { id: 'request-1', name: 'Ada', email: 'ada@acme.com', status: 'pending', password_hash: 'hash' };
+
+  const approve = async (roleId) => {
+    supabase.respond('roles', { data: { id: 'role-approver' }, error: null });
+    const req = mockRequest({
+      params: { requestId: joinRequest.id },
+      body: { roleId },
+      user: { userId: 'user-1', permissions: ['users:read', 'users:invite'] },
+      enterpriseId: 'ent-1',
+      enterprise: { id: 'ent-1' }
+    });
+    const res = mockResponse();
+    await joinRequestController.approveJoinRequest(req, res);
+    return res;
+  };
+
+  beforeEach(() => {
+    supabase.reset();
+    jest.clearAllMocks();
+    roleService.findRole.mockImplementation(async ({ roleId }) => [manager, sdr].find(role => role.id === roleId) || null);
+    joinRequestService.findRequest.mockResolvedValue(joinRequest);
+    joinRequestService.decideRequest.mockResolvedValue({ ...joinRequest, status: 'approved' });
+    authService.findUserByEmail.mockResolvedValue(null);
+    authService.createUser.mockResolvedValue({ id: 'user-2' });
+    authService.updateUser.mockResolvedValue({ id: 'user-2', email: joinRequest.email });
+    entitlementService.withSeats.mockImplementation(async (enterprise, take) => ({ result: await take() }));
+  });
+
+  it('refuses to grant a role with permissions the approver does not hold', async () => {
+    const res = await approve(manager.id);
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.message).toBe('You cannot grant a role with permissions you do not hold');
+    expect(joinRequestService.decideRequest).not.toHaveBeenCalled();
+    expect(authService.createUser).not.toHaveBeenCalled();
+  });
+
+  it('creates the account with a role within the approver\'s permissions', async () => {
+    const res = await approve(sdr.id);
+
+    expect(res.statusCode).toBe(200);
+    expect(authService.createUser).toHaveBeenCalledWith(expect.objectContaining({ enterpriseId: 'ent-1', roleId: sdr.id }));
+    expect(joinRequestService.completeRequest).toHaveBeenCalledWith('request-1', { userId: 'user-2' });
+  });
+
+  it('creates the account while holding a seat and releases the request when none is left', async () => {
+    entitlementService.withSeats.mockResolvedValue({ denial: { status: 402, code: 'SEAT_LIMIT_REACHED', message: 'All 5 seats of the Basic plan are taken.' } });
+
+    const res = await approve(sdr.id);
+
+    expect(entitlementService.withSeats).toHaveBeenCalledWith({ id: 'ent-1' }, expect.any(Function));
+    expect(res.statusCode).toBe(402);
+    expect(authService.createUser).not.toHaveBeenCalled();
+    expect(joinRequestService.releaseRequest).toHaveBeenCalledWith('request-1');
+  });
+});
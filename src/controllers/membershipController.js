@@ -0,0 +1,110 @@
+const { validationResult } = require('express-validator');
+const authService = require('../services/authService');
+const tokenService = require('../services/tokenService');
+const sessionService = require('../services/sessionService');
+const membershipService = require('../services/membershipService');
+const mfaService = require('../services/mfaService');
+const passwordPolicyService = require('../services/passwordPolicyService');
+
+// List the enterprises the current user belongs to
+const listMemberships = async (req, res) => {
+  try {
+    const memberships = await membershipService.listMemberships(req.user.userId);
+
+    res.json({
+      success: true,
+      data: {
+        memberships: memberships.map(membership => ({
+          ...membershipService.toResponse(membership),
+          current: membership.enterprise_id === req.user.enterpriseId
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('List memberships error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching memberships'
+    });
+  }
+};
+
+// Switch the active enterprise. The current session ends and a new one is
+// started whose tokens carry the enterprise and the role held there.
+const switchEnterprise = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { enterpriseId } = req.body;
+
+    const account = await authService.findUserById(req.user.userId);
+    const user = account && await membershipService.scopeUser(account, enterpriseId);
+    if (!user) {
+      return res.status(403).json({
+        success: false,
+        code: 'NOT_A_MEMBER',
+        message: 'You are not a member of this enterprise'
+      });
+    }
+
+    // The target enterprise's sign-in rules apply as if logging in to it
+    const authSettings = await authService.getAuthSettings(user.enterprise_id);
+    const restriction = await authService.getSignInRestriction(user, authSettings);
+    if (restriction) {
+      return res.status(403).json({
+        success: false,
+        ...restriction
+      });
+    }
+
+    if (mfaService.isRequiredFor(authSettings, user.roles?.name) && !(await mfaService.isEnabled(user.id))) {
+      return res.status(403).json({
+        success: false,
+        code: 'MFA_ENROLLMENT_REQUIRED',
+        message: 'This enterprise requires MFA. Set it up before switching to it.'
+      });
+    }
+
+    if (passwordPolicyService.isExpired(user, passwordPolicyService.getPolicy(authSettings))) {
+      return res.status(403).json({
+        success: false,
+        code: 'PASSWORD_EXPIRED',
+        message: 'Your password has expired under this enterprise\'s policy. Change it before switching.'
+      });
+    }
+
+    await tokenService.revokeFamily(req.user.sid, 'enterprise_switched');
+    const { accessToken, refreshToken } = await tokenService.startSession(user, sessionService.getClientInfo(req));
+
+    res.json({
+      success: true,
+      message: `Switched to ${user.enterprises?.name}`,
+      data: {
+        enterpriseId: user.enterprise_id,
+        role: user.roles ? {
+          id: user.roles.id,
+          name: user.roles.name
+        } : null,
+        accessToken,
+        refreshToken
+      }
+    });
+  } catch (error) {
+    console.error('Switch enterprise error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error switching enterprise'
+    });
+  }
+};
+
+module.exports = {
+  listMemberships,
+  switchEnterprise
+};
@@ -0,0 +1,345 @@
+const bcrypt = require('bcryptjs');
+const { validationResult } = require('express-validator');
+const authService = require('../services/authService');
+const tokenService = require('../services/tokenService');
+const sessionService = require('../services/sessionService');
+const membershipService = require('../services/membershipService');
+const mfaService = require('../services/mfaService');
+const lockoutService = require('../services/lockoutService');
+const supabase = require('../config/supabase');
+
+// Get MFA status of the current user
+const getStatus = async (req, res) => {
+  try {
+    const mfa = await mfaService.getMfa(req.user.userId);
+
+    res.json({
+      success: true,
+      data: {
+        enabled: Boolean(mfa?.enabled),
+        enabledAt: mfa?.enabled_at || null,
+        recoveryCodesRemaining: mfa?.enabled ? (mfa.recovery_code_hashes || []).length : 0
+      }
+    });
+  } catch (error) {
+    console.error('Get MFA status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching MFA status'
+    });
+  }
+};
+
+// Start TOTP enrolment and return the provisioning URI for the QR code
+const setup = async (req, res) => {
+  try {
+    const user = await authService.findUserById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (await mfaService.isEnabled(user.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'MFA is already enabled'
+      });
+    }
+
+    const issuer = user.enterprises?.name || 'RevUp Bolt';
+    const { secret, otpauthUrl } = await mfaService.startEnrollment(user, issuer);
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app and confirm with a code',
+      data: {
+        secret,
+        otpauthUrl
+      }
+    });
+  } catch (error) {
+    console.error('MFA setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error starting MFA setup'
+    });
+  }
+};
+
+// Confirm enrolment with a first code. When enrolment was forced during
+// login, this also completes the login.
+const enable = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const recoveryCodes = await mfaService.confirmEnrollment(req.user.userId, req.body.code);
+    if (!recoveryCodes) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    const data = { recoveryCodes };
+
+    if (req.user.mfaEnrollment) {
+      // Complete the login to the enterprise it was started for
+      const account = await authService.findUserById(req.user.userId);
+      const user = account && await membershipService.scopeUser(account, req.user.enterpriseId);
+      if (!user) {
+        return res.status(401).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      // Both factors are now proven; login left the account counter alone
+      await lockoutService.recordSuccess(lockoutService.buildKeys('mfa', { ip: req.ip, email: account.email }));
+
+      // MFA stays enabled; the login continues once the password is replaced
+      const resetToken = await authService.issueExpiredPasswordReset(user, await authService.getAuthSettings(user.enterprise_id));
+      if (resetToken) {
+        return res.status(403).json({
+          success: false,
+          code: 'PASSWORD_EXPIRED',
+          message: 'MFA enabled, but your password has expired. Choose a new one to continue.',
+          data: { recoveryCodes, resetToken }
+        });
+      }
+
+      const { accessToken, refreshToken } = await tokenService.startSession(user, sessionService.getClientInfo(req));
+      const memberships = await membershipService.listMemberships(user.id);
+
+      data.user = {
+        id: user.id,
+        name: user.name,
+        email: user.email,
+        createdAt: user.createdAt
+      };
+      data.enterpriseId = user.enterprise_id;
+      data.memberships = memberships.map(membershipService.toResponse);
+      data.accessToken = accessToken;
+      data.refreshToken = refreshToken;
+    }
+
+    res.json({
+      success: true,
+      message: 'MFA enabled. Store your recovery codes somewhere safe.',
+      data
+    });
+  } catch (error) {
+    console.error('MFA enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error enabling MFA'
+    });
+  }
+};
+
+// Disable MFA after re-checking password and a current code. Failures
+// count towards the account lockout.
+const disable = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { password, code } = req.body;
+    const userId = req.user.userId;
+
+    const user = await authService.findUserById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const authSettings = await authService.getAuthSettings(user.enterprise_id);
+    if (mfaService.isRequiredFor(authSettings, user.roles?.name)) {
+      return res.status(403).json({
+        success: false,
+        message: 'MFA is required by your enterprise and cannot be disabled'
+      });
+    }
+
+    const { data: credentials } = await supabase
+      .from('users')
+      .select('password_hash')
+      .eq('id', userId)
+      .single();
+
+    // The code is only checked once the password is, so a wrong password
+    // cannot burn a recovery code
+    const isPasswordValid = credentials && await bcrypt.compare(password, credentials.password_hash);
+    const isCodeValid = isPasswordValid && (await mfaService.verifyCode(userId, code)
+      || await mfaService.useRecoveryCode(userId, code));
+
+    if (!isCodeValid) {
+      await lockoutService.recordFailure(req.bruteForce.keys, user);
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid password or verification code'
+      });
+    }
+
+    await lockoutService.recordSuccess(req.bruteForce.keys);
+    await mfaService.disable(userId);
+
+    res.json({
+      success: true,
+      message: 'MFA disabled'
+    });
+  } catch (error) {
+    console.error('MFA disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error disabling MFA'
+    });
+  }
+};
+
+// Replace all recovery codes
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const userId = req.user.userId;
+
+    if (!(await mfaService.verifyCode(userId, req.body.code))) {
+      await lockoutService.recordFailure(req.bruteForce.keys, await authService.findUserById(userId));
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    const recoveryCodes = await mfaService.regenerateRecoveryCodes(userId);
+
+    res.json({
+      success: true,
+      message: 'Recovery codes regenerated',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error regenerating recovery codes'
+    });
+  }
+};
+
+// Second login step: exchange the MFA challenge (see the mfaChallenge
+// middleware) and a code (or recovery code) for the access/refresh pair.
+// Failed codes count towards the account lockout like failed passwords.
+const verifyLogin = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { code, recoveryCode } = req.body;
+    const { userId, enterpriseId } = req.user;
+
+    const account = await authService.findUserById(userId);
+    if (!account) {
+      return res.status(401).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const isValid = recoveryCode
+      ? await mfaService.useRecoveryCode(userId, recoveryCode)
+      : await mfaService.verifyCode(userId, code);
+
+    if (!isValid) {
+      await lockoutService.recordFailure(req.bruteForce.keys, account);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    await lockoutService.recordSuccess(req.bruteForce.keys);
+
+    // Complete the login to the enterprise it was started for
+    const user = await membershipService.scopeUser(account, enterpriseId);
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Expired passwords are only reported once both factors are verified
+    const resetToken = await authService.issueExpiredPasswordReset(user, await authService.getAuthSettings(user.enterprise_id));
+    if (resetToken) {
+      return res.status(403).json({
+        success: false,
+        code: 'PASSWORD_EXPIRED',
+        message: 'Your password has expired. Choose a new one to continue.',
+        data: { resetToken }
+      });
+    }
+
+    // Generate tokens
+    const { accessToken, refreshToken } = await tokenService.startSession(user, sessionService.getClientInfo(req));
+    const memberships = await membershipService.listMemberships(user.id);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        user: {
+          id: user.id,
+          name: user.name,
+          email: user.email,
+          createdAt: user.createdAt
+        },
+        enterpriseId: user.enterprise_id,
+        memberships: memberships.map(membershipService.toResponse),
+        accessToken,
+        refreshToken
+      }
+    });
+  } catch (error) {
+    console.error('MFA verify error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error verifying MFA code'
+    });
+  }
+};
+
+module.exports = {
+  getStatus,
+  setup,
+  enable,
+  disable,
+  regenerateRecoveryCodes,
+  verifyLogin
+};
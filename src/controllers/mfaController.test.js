@@ -0,0 +1,201 @@
+jest.mock('../config/supabase', () => require('../__tests__/mocks/supabase').createSupabaseMock());
+jest.mock('../services/authService', () => ({
+  findUserById: jest.fn(),
+  getAuthSettings: jest.fn(),
+  issueExpiredPasswordReset: jest.fn()
+}));
+jest.mock('../services/mfaService', () => ({
+  isRequiredFor: jest.fn(),
+  confirmEnrollment: jest.fn(),
+  verifyCode: jest.fn(),
+  useRecoveryCode: jest.fn(),
+  disable: jest.fn()
+}));
+jest.mock('../services/lockoutService', () => ({
+  buildKeys: jest.requireActual('../services/lockoutService').buildKeys,
+  recordFailure: jest.fn(),
+  recordSuccess: jest.fn()
+}));
+jest.mock('../services/membershipService', () => ({
+  scopeUser: jest.fn(),
+  listMemberships: jest.fn(),
+  toResponse: jest.fn()
+}));
+jest.mock('../services/tokenService', () => ({
+  startSession: jest.fn()
+}));
+
+const bcrypt = require('bcryptjs');
+const supabase = require('../config/supabase');
+const authService = require('../services/authService');
+const mfaService = require('../services/mfaService');
+const lockoutService = require('../services/lockoutService');
+const membershipService = require('../services/membershipService');
+const tokenService = require('../services/tokenService');
+const mfaController = require('./mfaController');
+const { mockRequest, mockResponse } = require('../__tests__/mocks/express');
+
+describe('mfaController.disable', () => {
+  const keys = [{ key: 'account:ada@example.com', scope: 'account' }];
+  const user = { id: 'user-1', email: 'ada@example.com', enterprise_id: 'ent-1', roles: { name: 'AE' } };
+
+  const disable = async (body) => {
+    const req = mockRequest({ body, user: { userId: 'user-1', email: user.email }, bruteForce: { action: 'mfa', keys } });
+    const res = mockResponse();
+    await mfaController.disable(req, res);
+    return res;
+  };
+
+  beforeEach(async () => {
+    supabase.reset();
+    jest.clearAllMocks();
+    authService.findUserById.mockResolvedValue(user);
+    authService.getAuthSettings.mockResolvedValue({ mfaPolicy: 'optional' });
+    mfaService.isRequiredFor.mockReturnValue(false);
+    mfaService.verifyCode.mockResolvedValue(false);
+    mfaService.useRecoveryCode.mockResolvedValue(true);
+    supabase.respond('users', { data: { password_hash: await bcrypt.hash('correct-password', 4) }, error: null });
+  });
+
+  it('does not spend a recovery code when the password is wrong', async () => {
+    const res = await disable({ password: 'wrong-password', code: 'abcde-12345' });
+
+    expect(res.statusCode).toBe(400);
+    expect(mfaService.verifyCode).not.toHaveBeenCalled();
+    expect(mfaService.useRecoveryCode).not.toHaveBeenCalled();
+    expect(mfaService.disable).not.toHaveBeenCalled();
+    expect(lockoutService.recordFailure).toHaveBeenCalledWith(keys, user);
+  });
+
+  it('counts a wrong code towards the lockout', async () => {
+    mfaService.useRecoveryCode.mockResolvedValue(false);
+
+    const res = await disable({ password: 'correct-password', code: '000000' });
+
+    expect(res.statusCode).toBe(400);
+    expect(lockoutService.recordFailure).toHaveBeenCalledWith(keys, user);
+    expect(mfaService.disable).not.toHaveBeenCalled();
+  });
+
+  it('disables MFA with the password and a recovery code', async () => {
+    const res = await disable({ password: 'correct-password', code: 'abcde-12345' });
+
+    expect(res.statusCode).toBe(200);
+    expect(mfaService.useRecoveryCode).toHaveBeenCalledWith('user-1', 'abcde-12345');
+    expect(mfaService.disable).toHaveBeenCalledWith('user-1');
+  });
+
+  it('refuses when the enterprise requires MFA', async () => {
+    mfaService.isRequiredFor.mockReturnValue(true);
+
+    const res = await disable({ password: 'correct-password', code: '123456' });
+
+    expect(res.statusCode).toBe(403);
+    expect(mfaService.disable).not.toHaveBeenCalled();
+  });
+});
+
+describe('mfaController.verifyLogin', () => {
+  const account = { id: 'user-1', email: 'ada@example.com', enterprise_id: 'ent-1' };
+  const keys = [{ key: 'account:ada@example.com', scope: 'account' }];
+
+  const verifyLogin = async (body) => {
+    const req = mockRequest({
+      body: { mfaToken: 'challenge', ...body },
+      user: { userId: 'user-1', email: account.email, enterpriseId: 'ent-2', mfaChallenge: true },
+      bruteForce: { action: 'mfa', keys }
+    });
+    const res = mockResponse();
+    await mfaController.verifyLogin(req, res);
+    return res;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    authService.findUserById.mockResolvedValue(account);
+    membershipService.scopeUser.mockResolvedValue({ ...account, enterprise_id: 'ent-2' });
+    membershipService.listMemberships.mockResolvedValue([]);
+    tokenService.startSession.mockResolvedValue({ accessToken: 'access', refreshToken: 'refresh' });
+    authService.getAuthSettings.mockResolvedValue({ passwordPolicy: { maxAgeDays: 90 } });
+    authService.issueExpiredPasswordReset.mockResolvedValue(null);
+  });
+
+  it('records a wrong TOTP code as a failed attempt on the account', async () => {
+    mfaService.verifyCode.mockResolvedValue(false);
+
+    const res = await verifyLogin({ code: '000000' });
+
+    expect(res.statusCode).toBe(401);
+    expect(lockoutService.recordFailure).toHaveBeenCalledWith(keys, account);
+    expect(tokenService.startSession).not.toHaveBeenCalled();
+  });
+
+  it('records a wrong recovery code as a failed attempt on the account', async () => {
+    mfaService.useRecoveryCode.mockResolvedValue(false);
+
+    const res = await verifyLogin({ recoveryCode: 'abcde-12345' });
+
+    expect(res.statusCode).toBe(401);
+    expect(lockoutService.recordFailure).toHaveBeenCalledWith(keys, account);
+  });
+
+  it('completes the login to the challenged enterprise and clears the counter', async () => {
+    mfaService.verifyCode.mockResolvedValue(true);
+
+    const res = await verifyLogin({ code: '123456' });
+
+    expect(res.statusCode).toBe(200);
+    expect(lockoutService.recordSuccess).toHaveBeenCalledWith(keys);
+    expect(membershipService.scopeUser).toHaveBeenCalledWith(account, 'ent-2');
+    expect(res.body.data).toMatchObject({ enterpriseId: 'ent-2', accessToken: 'access', refreshToken: 'refresh' });
+  });
+
+  it('reports an expired password only after the second factor', async () => {
+    mfaService.verifyCode.mockResolvedValue(true);
+    authService.issueExpiredPasswordReset.mockResolvedValue('reset-token');
+
+    const res = await verifyLogin({ code: '123456' });
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body).toMatchObject({ code: 'PASSWORD_EXPIRED', data: { resetToken: 'reset-token' } });
+    expect(tokenService.startSession).not.toHaveBeenCalled();
+  });
+
+  it('does not issue a reset token for a wrong code', async () => {
+    mfaService.verifyCode.mockResolvedValue(false);
+    authService.issueExpiredPasswordReset.mockResolvedValue('reset-token');
+
+    const res = await verifyLogin({ code: '000000' });
+
+    expect(res.statusCode).toBe(401);
+    expect(authService.issueExpiredPasswordReset).not.toHaveBeenCalled();
+  });
+});
+
+describe('mfaController.enable during a forced enrolment', () => {
+  const account = { id: 'user-1', email: 'ada@example.com', enterprise_id: 'ent-1' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    authService.findUserById.mockResolvedValue(account);
+    authService.getAuthSettings.mockResolvedValue({});
+    authService.issueExpiredPasswordReset.mockResolvedValue(null);
+    membershipService.scopeUser.mockResolvedValue(account);
+    membershipService.listMemberships.mockResolvedValue([]);
+    tokenService.startSession.mockResolvedValue({ accessToken: 'access', refreshToken: 'refresh' });
+  });
+
+  it('clears the account counter once the login completes', async () => {
+    mfaService.confirmEnrollment.mockResolvedValue(['abcde-12345']);
+    const req = mockRequest({ body: { code: '123456' }, user: { userId: 'user-1', enterpriseId: 'ent-1', mfaEnrollment: true } });
+    const res = mockResponse();
+
+    await mfaController.enable(req, res);
+
+    expect(res.body.data).toMatchObject({ accessToken: 'access' });
+    expect(lockoutService.recordSuccess).toHaveBeenCalledWith([
+      { key: 'ip:mfa:127.0.0.1', scope: 'ip' },
+      { key: 'account:ada@example.com', scope: 'account', email: 'ada@example.com', lockable: true }
+    ]);
+  });
+});
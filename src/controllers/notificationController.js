@@ -1,9 +1,16 @@
 const { validationResult } = require('express-validator');
 const emailService = require('../services/emailService');
 const authService = require('../services/authService');
+const membershipService = require('../services/membershipService');
+const invitationService = require('../services/invitationService');
+const lockoutService = require('../services/lockoutService');
+const notificationService = require('../services/notificationService');
 const supabase = require('../config/supabase');
+const entitlementService = require('../services/entitlementService');
+const { hasPermission, exceedsCallerPermissions } = require('../middleware/permissions');
+const { sendEntitlementError } = require('../middleware/entitlements');
 
-// Send account creation invite
+// Send account invitation
 const sendAccountInvite = async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -14,58 +21,92 @@ const sendAccountInvite = async (req, res) => {
       });
     }
 
-    const { email, name, roleId, enterpriseId, invitedBy } = req.body;
+    const { email, name, roleId, invitedBy } = req.body;
+    const enterpriseId = req.enterpriseId;
 
-    // Check if user already exists
+    // Users of other enterprises can be invited to join this one
     const existingUser = await authService.findUserByEmail(email);
-    if (existingUser) {
+    if (existingUser && await membershipService.findMembership(existingUser.id, enterpriseId)) {
       return res.status(400).json({
         success: false,
-        message: 'User already exists with this email'
+        message: 'User is already a member of this enterprise'
       });
     }
 
-    // Generate temporary password
-    const tempPassword = generateTemporaryPassword();
+    const pendingInvitation = await invitationService.findPendingInvitation(enterpriseId, email);
+    if (pendingInvitation) {
+      return res.status(409).json({
+        success: false,
+        message: 'A pending invitation already exists for this email',
+        data: { invitationId: pendingInvitation.id }
+      });
+    }
 
-    // Create user with temporary password
-    const userData = {
-      name,
-      email,
-      password: tempPassword,
+    // Role must belong to the caller's enterprise
+    const { data: role } = await supabase
+      .from('roles')
+      .select('id')
+      .eq('id', roleId)
+      .eq('enterprise_id', enterpriseId)
+      .maybeSingle();
+
+    if (!role) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role not found in this enterprise'
+      });
+    }
+
+    // The invitee could be the caller themselves at another address
+    if (await exceedsCallerPermissions(req, role.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot invite users to a role with permissions you do not hold'
+      });
+    }
+
+    // A pending invitation takes a seat until it is accepted or expires
+    const { denial, result } = await entitlementService.withSeats(req.enterprise, () => invitationService.createInvitation({
       enterpriseId,
-      roleId
-    };
+      email,
+      name,
+      roleId,
+      invitedBy: req.user.userId
+    }));
+    if (denial) {
+      return sendEntitlementError(res, denial);
+    }
 
-    const user = await authService.createUser(userData);
+    const { invitation, token } = result;
 
     // Send invite email
-    await emailService.sendAccountInvite(user, {
-      tempPassword,
-      invitedBy,
-      roleName: user.roles?.name || 'User'
+    await invitationService.sendInvitationEmail(invitation, token, {
+      enterprise: req.enterprise,
+      invitedBy
     });
 
     // Create notification record
-    await createNotificationRecord({
+    await notificationService.createNotification({
       enterpriseId,
-      userId: user.id,
+      userId: req.user.userId,
       title: 'Account Invitation Sent',
       message: `Account invitation sent to ${email}`,
       type: 'info',
-      relatedId: user.id,
-      relatedType: 'user'
+      relatedId: invitation.id,
+      relatedType: 'invitation'
     });
 
     res.json({
       success: true,
       message: 'Account invitation sent successfully',
       data: {
-        user: {
-          id: user.id,
-          name: user.name,
-          email: user.email,
-          role: user.roles?.name
+        invitation: {
+          id: invitation.id,
+          name: invitation.name,
+          email: invitation.email,
+          role: invitation.roles?.name,
+          status: invitation.status,
+          expiresAt: invitation.expires_at
         }
       }
     });
@@ -84,7 +125,7 @@ const sendWelcomeEmail = async (req, res) => {
     const { userId } = req.params;
 
     const user = await authService.findUserById(userId);
-    if (!user) {
+    if (!user || !(await membershipService.findMembership(user.id, req.enterpriseId))) {
       return res.status(404).json({
         success: false,
         message: 'User not found'
@@ -119,6 +160,9 @@ const sendPasswordResetEmail = async (req, res) => {
 
     const { email } = req.body;
 
+    // Every request counts towards the throttle
+    await lockoutService.recordFailure(req.bruteForce.keys);
+
     const user = await authService.findUserByEmail(email);
     if (!user) {
       // Don't reveal if user exists or not
@@ -170,6 +214,7 @@ const sendMeetingInvite = async (req, res) => {
         leads:lead_id (name, company)
       `)
       .eq('id', meetingId)
+      .eq('enterprise_id', req.enterpriseId)
       .single();
 
     if (meetingError || !meeting) {
@@ -186,7 +231,8 @@ const sendMeetingInvite = async (req, res) => {
         *,
         enterprises:enterprise_id (name)
       `)
-      .in('id', attendeeIds);
+      .in('id', attendeeIds)
+      .eq('enterprise_id', req.enterpriseId);
 
     if (attendeesError) {
       throw attendeesError;
@@ -225,6 +271,7 @@ const sendLeadAssignmentNotification = async (req, res) => {
       .from('leads')
       .select('*')
       .eq('id', leadId)
+      .eq('enterprise_id', req.enterpriseId)
       .single();
 
     if (leadError || !lead) {
@@ -236,7 +283,7 @@ const sendLeadAssignmentNotification = async (req, res) => {
 
     // Get assigned user
     const assignedUser = await authService.findUserById(assignedToId);
-    if (!assignedUser) {
+    if (!assignedUser || !(await membershipService.findMembership(assignedUser.id, req.enterpriseId))) {
       return res.status(404).json({
         success: false,
         message: 'Assigned user not found'
@@ -247,7 +294,7 @@ const sendLeadAssignmentNotification = async (req, res) => {
     await emailService.sendLeadAssignment(assignedUser, lead);
 
     // Create notification record
-    await createNotificationRecord({
+    await notificationService.createNotification({
       enterpriseId: assignedUser.enterprise_id,
       userId: assignedToId,
       title: 'New Lead Assigned',
@@ -291,10 +338,18 @@ const sendTaskReminder = async (req, res) => {
 
     // Get task owner
     const taskOwner = await authService.findUserById(task.user_id);
-    if (!taskOwner) {
+    if (!taskOwner || !(await membershipService.findMembership(taskOwner.id, req.enterpriseId))) {
       return res.status(404).json({
         success: false,
-        message: 'Task owner not found'
+        message: 'Task not found'
+      });
+    }
+
+    // Reps may only send reminders for their own tasks
+    if (task.user_id !== req.user.userId && !(await hasPermission(req, 'tasks:manage'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Insufficient permissions'
       });
     }
 
@@ -423,26 +478,6 @@ const markAllNotificationsAsRead = async (req, res) => {
   }
 };
 
-// Helper functions
-const generateTemporaryPassword = () => {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789!@#$%^&*';
-  let password = '';
-  for (let i = 0; i < 12; i++) {
-    password += chars.charAt(Math.floor(Math.random() * chars.length));
-  }
-  return password;
-};
-
-const createNotificationRecord = async (notificationData) => {
-  const { error } = await supabase
-    .from('notifications')
-    .insert(notificationData);
-
-  if (error) {
-    console.error('Error creating notification record:', error);
-  }
-};
-
 module.exports = {
   sendAccountInvite,
   sendWelcomeEmail,
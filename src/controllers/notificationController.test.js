@@ -0,0 +1,86 @@
+jest.mock('../config/supabase', () => require('../__tests__/mocks/supabase').createSupabaseMock());
+jest.mock('../services/authService', () => ({
+  findUserByEmail: jest.fn()
+}));
+jest.mock('../services/membershipService', () => ({
+  findMembership: jest.fn()
+}));
+jest.mock('../services/invitationService', () => ({
+  findPendingInvitation: jest.fn(),
+  createInvitation: jest.fn(),
+  sendInvitationEmail: jest.fn()
+}));
+jest.mock('../services/notificationService', () => ({
+  createNotification: jest.fn()
+}));
+jest.mock('../services/entitlementService', () => ({
+  withSeats: jest.fn()
+}));
+jest.mock('../services/roleService', () => ({
+  findRole: jest.fn(),
+  resolveRolePermissions: jest.requireActual('../services/roleService').resolveRolePermissions
+}));
+
+const supabase = require('../config/supabase');
+const authService = require('../services/authService');
+const invitationService = require('../services/invitationService');
+const entitlementService = require('../services/entitlementService');
+const roleService = require('../services/roleService');
+const notificationController = require('./notificationController');
+const { mockRequest, mockResponse } = require('../__tests__/mocks/express');
+
+describe('notificationController.sendAccountInvite', () => {
+  const manager = { id: 'role-manager', name: 'MANAGER', is_system_role: true };
+  const sdr = { id: 'role-sdr', name: 'SDR', is_system_role: false, permissions: ['users:read'] };
+
+  const invite = async (roleId) => {
+    supabase.respond('roles', { data: { id: roleId }, error: null });
+    const req = mockRequest({
+      body: { email: 'me+admin@acme.com', name: 'Me Again', roleId },
+      user: { userId: 'user-1', permissions: ['users:read', 'users:invite'] },
+      enterpriseId: 'ent-1',
+      enterprise: { id: 'ent-1', name: 'Acme' }
+    });
+    const res = mockResponse();
+    await notificationController.sendAccountInvite(req, res);
+    return res;
+  };
+
+  beforeEach(() => {
+    supabase.reset();
+    jest.clearAllMocks();
+    authService.findUserByEmail.mockResolvedValue(null);
+    invitationService.findPendingInvitation.mockResolvedValue(null);
+    invitationService.createInvitation.mockResolvedValue({
+      invitation: { id: 'invitation-1', email: 'me+admin@acme.com', status: 'pending' },
+      token: 'token'
+    });
+    entitlementService.withSeats.mockImplementation(async (enterprise, take) => ({ result: await take() }));
+    roleService.findRole.mockImplementation(async ({ roleId }) => [manager, sdr].find(role => role.id === roleId) || null);
+  });
+
+  it('refuses to invite to a role with permissions the caller does not hold', async () => {
+    const res = await invite(manager.id);
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.message).toBe('You cannot invite users to a role with permissions you do not hold');
+    expect(invitationService.createInvitation).not.toHaveBeenCalled();
+  });
+
+  it('invites to a role within the caller\'s permissions', async () => {
+    const res = await invite(sdr.id);
+
+    expect(res.statusCode).toBe(200);
+    expect(invitationService.createInvitation).toHaveBeenCalledWith(expect.objectContaining({ roleId: sdr.id, invitedBy: 'user-1' }));
+  });
+
+  it('creates the invitation while holding a seat', async () => {
+    entitlementService.withSeats.mockResolvedValue({ denial: { status: 402, code: 'SEAT_LIMIT_REACHED', message: 'All 5 seats of the Basic plan are taken.' } });
+
+    const res = await invite(sdr.id);
+
+    expect(entitlementService.withSeats).toHaveBeenCalledWith({ id: 'ent-1', name: 'Acme' }, expect.any(Function));
+    expect(res.statusCode).toBe(402);
+    expect(invitationService.createInvitation).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,213 @@
+const { validationResult } = require('express-validator');
+const offboardingService = require('../services/offboardingService');
+
+const formatCancellation = (enterprise) => ({
+  id: enterprise.id,
+  name: enterprise.name,
+  domain: enterprise.domain,
+  cancelledAt: enterprise.cancelled_at,
+  cancelledBy: enterprise.cancelled_by,
+  reason: enterprise.cancellation_reason,
+  purgeAfter: enterprise.purge_after
+});
+
+const formatCertificate = (certificate) => ({
+  id: certificate.id,
+  enterpriseId: certificate.enterprise_id,
+  enterpriseName: certificate.enterprise_name,
+  enterpriseDomain: certificate.enterprise_domain,
+  cancelledAt: certificate.cancelled_at,
+  cancelledBy: certificate.cancelled_by,
+  cancellationReason: certificate.cancellation_reason,
+  deletedUsers: certificate.deleted_users,
+  deletedRows: certificate.deleted_rows,
+  purgedAt: certificate.purged_at,
+  digest: certificate.digest
+});
+
+// Cancel the caller's enterprise. The name must be typed back to confirm.
+const cancelEnterprise = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { confirmName, reason } = req.body;
+
+    if (confirmName !== req.enterprise.name) {
+      return res.status(400).json({
+        success: false,
+        message: 'confirmName must match the enterprise name'
+      });
+    }
+
+    const enterprise = await offboardingService.cancelEnterprise(req.enterpriseId, {
+      cancelledBy: req.user.userId,
+      reason
+    });
+    if (!enterprise) {
+      return res.status(404).json({
+        success: false,
+        message: 'Enterprise not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Enterprise cancelled. Its data will be deleted after the grace period.',
+      data: {
+        enterprise: formatCancellation(enterprise)
+      }
+    });
+  } catch (error) {
+    console.error('Cancel enterprise error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error cancelling enterprise'
+    });
+  }
+};
+
+// Cancelled enterprises awaiting purge (platform administrators)
+const listCancelledEnterprises = async (req, res) => {
+  try {
+    const enterprises = await offboardingService.listCancelled();
+
+    res.json({
+      success: true,
+      data: {
+        enterprises: enterprises.map(formatCancellation)
+      }
+    });
+  } catch (error) {
+    console.error('List cancelled enterprises error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching cancelled enterprises'
+    });
+  }
+};
+
+// Cancel an enterprise on the platform's side, e.g. for non-payment
+const cancelEnterpriseAsPlatform = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const enterprise = await offboardingService.cancelEnterprise(req.params.enterpriseId, {
+      reason: req.body.reason
+    });
+    if (!enterprise) {
+      return res.status(404).json({
+        success: false,
+        message: 'Enterprise not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Enterprise cancelled',
+      data: {
+        enterprise: formatCancellation(enterprise)
+      }
+    });
+  } catch (error) {
+    console.error('Cancel enterprise error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error cancelling enterprise'
+    });
+  }
+};
+
+// Reactivate a cancelled enterprise within its grace period
+const restoreEnterprise = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const enterprise = await offboardingService.restoreEnterprise(req.params.enterpriseId);
+    if (!enterprise) {
+      return res.status(404).json({
+        success: false,
+        message: 'No cancelled enterprise within its grace period was found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Enterprise restored',
+      data: {
+        enterprise: {
+          id: enterprise.id,
+          name: enterprise.name,
+          domain: enterprise.domain,
+          subscriptionPlan: enterprise.subscription_plan,
+          subscriptionStatus: enterprise.subscription_status
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Restore enterprise error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error restoring enterprise'
+    });
+  }
+};
+
+// Deletion certificate of a purged enterprise
+const getDeletionCertificate = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const certificate = await offboardingService.findCertificate(req.params.enterpriseId);
+    if (!certificate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Deletion certificate not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        certificate: formatCertificate(certificate)
+      }
+    });
+  } catch (error) {
+    console.error('Get deletion certificate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching deletion certificate'
+    });
+  }
+};
+
+module.exports = {
+  cancelEnterprise,
+  listCancelledEnterprises,
+  cancelEnterpriseAsPlatform,
+  restoreEnterprise,
+  getDeletionCertificate
+};
@@ -0,0 +1,298 @@
+const { validationResult } = require('express-validator');
+const authService = require('../services/authService');
+const tokenService = require('../services/tokenService');
+const sessionService = require('../services/sessionService');
+const onboardingService = require('../services/onboardingService');
+const captchaService = require('../services/captchaService');
+const passwordPolicyService = require('../services/passwordPolicyService');
+const emailService = require('../services/emailService');
+const emailVerificationService = require('../services/emailVerificationService');
+
+const ONBOARDING_REQUEST_STATUSES = ['pending', 'approved', 'rejected'];
+
+const formatOnboardingRequest = (onboardingRequest) => ({
+  id: onboardingRequest.id,
+  enterprise: onboardingRequest.enterprise_data,
+  owner: {
+    name: onboardingRequest.owner_name,
+    email: onboardingRequest.owner_email
+  },
+  status: onboardingRequest.status,
+  enterpriseId: onboardingRequest.enterprise_id,
+  reviewNote: onboardingRequest.review_note,
+  reviewedAt: onboardingRequest.reviewed_at,
+  createdAt: onboardingRequest.created_at
+});
+
+const sendAlreadyTaken = (res) => res.status(409).json({
+  success: false,
+  message: 'An enterprise with this domain or an account with this email already exists'
+});
+
+// Welcome the owner of a new enterprise and ask them to verify their email.
+// Failures are logged; the enterprise exists either way.
+const sendOwnerEmails = async (owner) => {
+  try {
+    await emailService.sendWelcomeEmail(owner);
+    await emailVerificationService.sendVerification(owner);
+  } catch (error) {
+    console.error('Onboarding email error:', error);
+  }
+};
+
+// Sign up a new enterprise and its owner. Depending on ONBOARDING_PROTECTION
+// the enterprise is created right away after a captcha check, or the request
+// waits for a platform administrator.
+const onboard = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { owner: ownerInput, captchaToken } = req.body;
+    const enterprise = {
+      name: req.body.name,
+      domain: req.body.domain.toLowerCase(),
+      industry: req.body.industry,
+      company_size: req.body.company_size
+    };
+
+    if (await authService.findEnterpriseByDomain(enterprise.domain) || await authService.findUserByEmail(ownerInput.email)) {
+      return sendAlreadyTaken(res);
+    }
+
+    // There is no enterprise policy yet, so the default one applies
+    const violations = passwordPolicyService.validate(ownerInput.password, passwordPolicyService.getPolicy(), ownerInput);
+    if (violations.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password does not meet the password policy',
+        errors: violations.map(msg => ({ type: 'field', path: 'owner.password', msg, location: 'body' }))
+      });
+    }
+
+    const owner = {
+      name: ownerInput.name,
+      email: ownerInput.email,
+      passwordHash: await authService.hashPassword(ownerInput.password)
+    };
+
+    if (onboardingService.getProtectionMode() === 'approval') {
+      if (await onboardingService.hasPendingRequest(enterprise.domain)) {
+        return res.status(409).json({
+          success: false,
+          message: 'An onboarding request for this domain is already pending'
+        });
+      }
+
+      const onboardingRequest = await onboardingService.createRequest({ enterprise, owner });
+
+      return res.status(202).json({
+        success: true,
+        message: 'Your request has been received and will be reviewed shortly',
+        data: {
+          onboardingRequest: {
+            id: onboardingRequest.id,
+            status: onboardingRequest.status
+          }
+        }
+      });
+    }
+
+    // Nobody reviews captcha sign-ups, so the owner proves the domain with an
+    // address at it; the domain is bound once that address is verified
+    if (ownerInput.email.split('@').pop().toLowerCase() !== enterprise.domain) {
+      return res.status(400).json({
+        success: false,
+        code: 'OWNER_EMAIL_NOT_AT_DOMAIN',
+        message: 'The owner email must be an address at the enterprise domain'
+      });
+    }
+
+    if (!(await captchaService.verify(captchaToken, req.ip))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Captcha verification failed'
+      });
+    }
+
+    const provisioned = await onboardingService.provisionEnterprise({ enterprise, owner, domainVerified: false });
+    if (!provisioned) {
+      return sendAlreadyTaken(res);
+    }
+
+    const user = await authService.findUserById(provisioned.ownerId);
+    await sendOwnerEmails(user);
+
+    const { accessToken, refreshToken } = await tokenService.startSession(user, sessionService.getClientInfo(req));
+
+    res.status(201).json({
+      success: true,
+      message: 'Enterprise created successfully. Verify your email to connect your domain.',
+      data: {
+        enterprise: user.enterprises,
+        user: {
+          id: user.id,
+          name: user.name,
+          email: user.email,
+          role: user.roles?.name
+        },
+        accessToken,
+        refreshToken
+      }
+    });
+  } catch (error) {
+    console.error('Enterprise onboarding error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating enterprise'
+    });
+  }
+};
+
+// List onboarding requests (platform administrators)
+const listOnboardingRequests = async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    if (status && !ONBOARDING_REQUEST_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Allowed values: ${ONBOARDING_REQUEST_STATUSES.join(', ')}`
+      });
+    }
+
+    const onboardingRequests = await onboardingService.listRequests(status);
+
+    res.json({
+      success: true,
+      data: {
+        onboardingRequests: onboardingRequests.map(formatOnboardingRequest)
+      }
+    });
+  } catch (error) {
+    console.error('List onboarding requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching onboarding requests'
+    });
+  }
+};
+
+// Respond to a decision on a request that is missing or already decided
+const sendNotPending = async (req, res) => {
+  const onboardingRequest = await onboardingService.findRequest(req.params.requestId);
+  if (!onboardingRequest) {
+    return res.status(404).json({
+      success: false,
+      message: 'Onboarding request not found'
+    });
+  }
+
+  res.status(400).json({
+    success: false,
+    message: `Onboarding request is already ${onboardingRequest.status}`
+  });
+};
+
+// Approve an onboarding request and provision its enterprise
+const approveOnboardingRequest = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const onboardingRequest = await onboardingService.decideRequest(req.params.requestId, 'approved', req.body.note);
+    if (!onboardingRequest) {
+      return sendNotPending(req, res);
+    }
+
+    let provisioned;
+    try {
+      provisioned = await onboardingService.provisionEnterprise({
+        enterprise: onboardingRequest.enterprise_data,
+        owner: {
+          name: onboardingRequest.owner_name,
+          email: onboardingRequest.owner_email,
+          passwordHash: onboardingRequest.owner_password_hash
+        }
+      });
+    } catch (error) {
+      await onboardingService.releaseRequest(onboardingRequest.id);
+      throw error;
+    }
+
+    if (!provisioned) {
+      await onboardingService.releaseRequest(onboardingRequest.id);
+      return sendAlreadyTaken(res);
+    }
+
+    await onboardingService.completeRequest(onboardingRequest.id, { enterpriseId: provisioned.enterpriseId });
+
+    const owner = await authService.findUserById(provisioned.ownerId);
+    await sendOwnerEmails(owner);
+
+    res.json({
+      success: true,
+      message: 'Onboarding request approved',
+      data: {
+        onboardingRequest: formatOnboardingRequest({ ...onboardingRequest, enterprise_id: provisioned.enterpriseId })
+      }
+    });
+  } catch (error) {
+    console.error('Approve onboarding request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error approving onboarding request'
+    });
+  }
+};
+
+// Reject an onboarding request; nothing is created
+const rejectOnboardingRequest = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const onboardingRequest = await onboardingService.decideRequest(req.params.requestId, 'rejected', req.body.note);
+    if (!onboardingRequest) {
+      return sendNotPending(req, res);
+    }
+
+    await onboardingService.completeRequest(onboardingRequest.id);
+
+    res.json({
+      success: true,
+      message: 'Onboarding request rejected',
+      data: {
+        onboardingRequest: formatOnboardingRequest(onboardingRequest)
+      }
+    });
+  } catch (error) {
+    console.error('Reject onboarding request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error rejecting onboarding request'
+    });
+  }
+};
+
+module.exports = {
+  onboard,
+  listOnboardingRequests,
+  approveOnboardingRequest,
+  rejectOnboardingRequest
+};
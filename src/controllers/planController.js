@@ -0,0 +1,81 @@
+const { validationResult } = require('express-validator');
+const supabase = require('../config/supabase');
+const entitlementService = require('../services/entitlementService');
+
+// The enterprise's plan limits next to its current usage
+const getUsage = async (req, res) => {
+  try {
+    const usage = await entitlementService.getUsage(req.enterprise);
+
+    res.json({
+      success: true,
+      data: {
+        usage
+      }
+    });
+  } catch (error) {
+    console.error('Get usage error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching usage'
+    });
+  }
+};
+
+// Change an enterprise's plan or subscription status (platform administrators)
+const updateSubscription = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { enterpriseId } = req.params;
+    const { plan, status } = req.body;
+
+    const updateData = {
+      ...(plan !== undefined && { subscription_plan: plan }),
+      ...(status !== undefined && { subscription_status: status })
+    };
+
+    const { data: enterprise, error } = await supabase
+      .from('enterprises')
+      .update(updateData)
+      .eq('id', enterpriseId)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Error updating subscription: ${error.message}`);
+    }
+
+    if (!enterprise) {
+      return res.status(404).json({
+        success: false,
+        message: 'Enterprise not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Subscription updated successfully',
+      data: {
+        usage: await entitlementService.getUsage(enterprise)
+      }
+    });
+  } catch (error) {
+    console.error('Update subscription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating subscription'
+    });
+  }
+};
+
+module.exports = {
+  getUsage,
+  updateSubscription
+};
@@ -0,0 +1,264 @@
+const { validationResult } = require('express-validator');
+const roleService = require('../services/roleService');
+const { missingPermissions, exceedsCallerPermissions } = require('../middleware/permissions');
+
+const formatRole = (role) => ({
+  id: role.id,
+  name: role.name,
+  description: role.description,
+  isSystemRole: role.is_system_role,
+  permissions: roleService.resolveRolePermissions(role),
+  userCount: role.user_count,
+  createdAt: role.created_at,
+  updatedAt: role.updated_at
+});
+
+const sendMissingPermissions = (res, missing) => res.status(403).json({
+  success: false,
+  message: 'You cannot grant permissions you do not hold',
+  missingPermissions: missing
+});
+
+const sendExceedsPermissions = (res) => res.status(403).json({
+  success: false,
+  message: 'You cannot manage a role with permissions you do not hold'
+});
+
+// List roles of an enterprise with member counts
+const listRoles = async (req, res) => {
+  try {
+    const roles = await roleService.listRoles(req.enterpriseId);
+
+    res.json({
+      success: true,
+      data: {
+        roles: roles.map(formatRole)
+      }
+    });
+  } catch (error) {
+    console.error('List roles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching roles'
+    });
+  }
+};
+
+// Create a custom role
+const createRole = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { name, description, permissions = [] } = req.body;
+
+    const missing = await missingPermissions(req, permissions);
+    if (missing.length > 0) {
+      return sendMissingPermissions(res, missing);
+    }
+
+    const existingRole = await roleService.findRole({ enterpriseId: req.enterpriseId, roleName: name });
+    if (existingRole) {
+      return res.status(409).json({
+        success: false,
+        message: 'A role with this name already exists'
+      });
+    }
+
+    const role = await roleService.createRole(req.enterpriseId, { name, description, permissions });
+
+    res.status(201).json({
+      success: true,
+      message: 'Role created successfully',
+      data: {
+        role: formatRole({ ...role, user_count: 0 })
+      }
+    });
+  } catch (error) {
+    console.error('Create role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating role'
+    });
+  }
+};
+
+// Update name, description or permissions of a role
+const updateRole = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { roleId } = req.params;
+    const { name, description, permissions } = req.body;
+
+    const role = await roleService.findRole({ roleId, enterpriseId: req.enterpriseId });
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    // Nobody edits the role they hold themselves, or a role more powerful
+    // than their own
+    if (role.id === req.user.roleId) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot edit your own role'
+      });
+    }
+
+    if (await exceedsCallerPermissions(req, role.id)) {
+      return sendExceedsPermissions(res);
+    }
+
+    if (permissions !== undefined) {
+      const missing = await missingPermissions(req, permissions);
+      if (missing.length > 0) {
+        return sendMissingPermissions(res, missing);
+      }
+    }
+
+    // System roles keep their name and permission set
+    if (role.is_system_role && ((name !== undefined && name !== role.name) || permissions !== undefined)) {
+      return res.status(403).json({
+        success: false,
+        message: 'System roles can only have their description changed'
+      });
+    }
+
+    if (name !== undefined && name !== role.name) {
+      const existingRole = await roleService.findRole({ enterpriseId: req.enterpriseId, roleName: name });
+      if (existingRole) {
+        return res.status(409).json({
+          success: false,
+          message: 'A role with this name already exists'
+        });
+      }
+    }
+
+    const updateData = { name, description, permissions };
+
+    // Remove undefined values
+    Object.keys(updateData).forEach(key =>
+      updateData[key] === undefined && delete updateData[key]
+    );
+
+    if (Object.keys(updateData).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No valid fields provided for update'
+      });
+    }
+
+    const updatedRole = await roleService.updateRole(req.enterpriseId, roleId, updateData);
+    if (!updatedRole) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Role updated successfully',
+      data: {
+        role: formatRole(updatedRole)
+      }
+    });
+  } catch (error) {
+    console.error('Update role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating role'
+    });
+  }
+};
+
+// Delete a custom role. Members must be moved to another role first, either
+// beforehand or via `reassignToRoleId` in the request body.
+const deleteRole = async (req, res) => {
+  try {
+    const { roleId } = req.params;
+    const { reassignToRoleId } = req.body;
+
+    const role = await roleService.findRole({ roleId, enterpriseId: req.enterpriseId });
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    if (role.is_system_role) {
+      return res.status(403).json({
+        success: false,
+        message: 'System roles cannot be deleted'
+      });
+    }
+
+    if (await exceedsCallerPermissions(req, role.id)) {
+      return sendExceedsPermissions(res);
+    }
+
+    const userCount = await roleService.countRoleUsers(req.enterpriseId, role.id);
+
+    if (userCount > 0) {
+      if (!reassignToRoleId) {
+        return res.status(409).json({
+          success: false,
+          message: 'Role is assigned to users. Provide reassignToRoleId to move them to another role.',
+          data: { userCount }
+        });
+      }
+
+      const targetRole = await roleService.findRole({ roleId: reassignToRoleId, enterpriseId: req.enterpriseId });
+      if (!targetRole || targetRole.id === role.id) {
+        return res.status(400).json({
+          success: false,
+          message: 'Reassignment role not found in this enterprise'
+        });
+      }
+
+      if (await exceedsCallerPermissions(req, targetRole.id)) {
+        return sendExceedsPermissions(res);
+      }
+
+      await roleService.reassignUsers(req.enterpriseId, role.id, targetRole.id);
+    }
+
+    await roleService.deleteRole(req.enterpriseId, role.id);
+
+    res.json({
+      success: true,
+      message: 'Role deleted successfully',
+      data: {
+        reassignedUsers: userCount
+      }
+    });
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting role'
+    });
+  }
+};
+
+module.exports = {
+  listRoles,
+  createRole,
+  updateRole,
+  deleteRole
+};
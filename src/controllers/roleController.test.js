@@ -0,0 +1,128 @@
+jest.mock('../config/supabase', () => require('../__tests__/mocks/supabase').createSupabaseMock());
+jest.mock('../services/roleService', () => ({
+  findRole: jest.fn(),
+  createRole: jest.fn(),
+  updateRole: jest.fn(),
+  countRoleUsers: jest.fn(),
+  reassignUsers: jest.fn(),
+  deleteRole: jest.fn(),
+  resolveRolePermissions: jest.requireActual('../services/roleService').resolveRolePermissions
+}));
+
+const roleService = require('../services/roleService');
+const roleController = require('./roleController');
+const { DEFAULT_ROLE_PERMISSIONS } = require('../config/permissions');
+const { mockRequest, mockResponse } = require('../__tests__/mocks/express');
+
+describe('roleController', () => {
+  const manager = { id: 'role-manager', name: 'MANAGER', is_system_role: true };
+  const admin = { id: 'role-admin', name: 'Admin', is_system_role: false, permissions: ['roles:manage', 'users:read', 'users:invite'] };
+  const sdr = { id: 'role-sdr', name: 'SDR', is_system_role: false, permissions: ['users:read'] };
+  const roles = [manager, admin, sdr];
+
+  // A caller holding the `admin` role unless told otherwise
+  const call = async (handler, { body = {}, params = {}, user = {} } = {}) => {
+    const req = mockRequest({
+      body,
+      params,
+      user: { userId: 'user-1', roleId: admin.id, permissions: admin.permissions, ...user },
+      enterpriseId: 'ent-1'
+    });
+    const res = mockResponse();
+    await roleController[handler](req, res);
+    return res;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    roleService.findRole.mockImplementation(async ({ roleId, roleName }) =>
+      roles.find(role => role.id === roleId || (roleName && role.name === roleName)) || null
+    );
+    roleService.createRole.mockImplementation(async (enterpriseId, data) => ({ id: 'role-new', ...data }));
+    roleService.updateRole.mockImplementation(async (enterpriseId, roleId, data) => ({ ...roles.find(role => role.id === roleId), ...data }));
+    roleService.countRoleUsers.mockResolvedValue(0);
+  });
+
+  describe('createRole', () => {
+    it('refuses permissions the caller does not hold', async () => {
+      const res = await call('createRole', { body: { name: 'Ops', permissions: ['users:read', 'crm:manage'] } });
+
+      expect(res.statusCode).toBe(403);
+      expect(res.body.missingPermissions).toEqual(['crm:manage']);
+      expect(roleService.createRole).not.toHaveBeenCalled();
+    });
+
+    it('creates a role within the caller\'s permissions', async () => {
+      const res = await call('createRole', { body: { name: 'Ops', permissions: ['users:read'] } });
+
+      expect(res.statusCode).toBe(201);
+      expect(roleService.createRole).toHaveBeenCalledWith('ent-1', { name: 'Ops', description: undefined, permissions: ['users:read'] });
+    });
+  });
+
+  describe('updateRole', () => {
+    it('refuses to edit the caller\'s own role', async () => {
+      const res = await call('updateRole', { params: { roleId: admin.id }, body: { permissions: [...admin.permissions, 'crm:manage'] } });
+
+      expect(res.statusCode).toBe(403);
+      expect(res.body.message).toBe('You cannot edit your own role');
+      expect(roleService.updateRole).not.toHaveBeenCalled();
+    });
+
+    it('refuses to grant a role permissions the caller does not hold', async () => {
+      const res = await call('updateRole', { params: { roleId: sdr.id }, body: { permissions: ['users:read', 'users:impersonate'] } });
+
+      expect(res.statusCode).toBe(403);
+      expect(res.body.missingPermissions).toEqual(['users:impersonate']);
+      expect(roleService.updateRole).not.toHaveBeenCalled();
+    });
+
+    it('refuses to edit a role more powerful than the caller\'s', async () => {
+      const res = await call('updateRole', { params: { roleId: manager.id }, body: { description: 'Owners' } });
+
+      expect(res.statusCode).toBe(403);
+      expect(res.body.message).toBe('You cannot manage a role with permissions you do not hold');
+    });
+
+    it('keeps the name and permissions of system roles', async () => {
+      const user = { roleId: 'role-owner', permissions: DEFAULT_ROLE_PERMISSIONS.MANAGER };
+
+      const renamed = await call('updateRole', { params: { roleId: manager.id }, body: { name: 'Owner' }, user });
+      const regranted = await call('updateRole', { params: { roleId: manager.id }, body: { permissions: ['users:read'] }, user });
+      const described = await call('updateRole', { params: { roleId: manager.id }, body: { description: 'Owners' }, user });
+
+      expect(renamed.statusCode).toBe(403);
+      expect(regranted.statusCode).toBe(403);
+      expect(regranted.body.message).toBe('System roles can only have their description changed');
+      expect(described.statusCode).toBe(200);
+      expect(roleService.updateRole).toHaveBeenCalledTimes(1);
+    });
+
+    it('updates a role within the caller\'s permissions', async () => {
+      const res = await call('updateRole', { params: { roleId: sdr.id }, body: { permissions: ['users:read', 'users:invite'] } });
+
+      expect(res.statusCode).toBe(200);
+      expect(roleService.updateRole).toHaveBeenCalledWith('ent-1', sdr.id, { permissions: ['users:read', 'users:invite'] });
+    });
+  });
+
+  describe('deleteRole', () => {
+    it('refuses to delete a system role', async () => {
+      const res = await call('deleteRole', { params: { roleId: manager.id }, user: { permissions: DEFAULT_ROLE_PERMISSIONS.MANAGER } });
+
+      expect(res.statusCode).toBe(403);
+      expect(res.body.message).toBe('System roles cannot be deleted');
+      expect(roleService.deleteRole).not.toHaveBeenCalled();
+    });
+
+    it('refuses to move members to a role more powerful than the caller\'s', async () => {
+      roleService.countRoleUsers.mockResolvedValue(3);
+
+      const res = await call('deleteRole', { params: { roleId: sdr.id }, body: { reassignToRoleId: manager.id } });
+
+      expect(res.statusCode).toBe(403);
+      expect(roleService.reassignUsers).not.toHaveBeenCalled();
+      expect(roleService.deleteRole).not.toHaveBeenCalled();
+    });
+  });
+});
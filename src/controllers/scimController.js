@@ -0,0 +1,466 @@
+const crypto = require('crypto');
+const authService = require('../services/authService');
+const roleService = require('../services/roleService');
+const scimService = require('../services/scimService');
+const entitlementService = require('../services/entitlementService');
+const membershipService = require('../services/membershipService');
+const tokenService = require('../services/tokenService');
+
+const { SCHEMAS, ScimError } = scimService;
+
+const getBaseUrl = (req) => `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+
+const sendResource = (res, status, resource) => res
+  .status(status)
+  .type('application/scim+json')
+  .json(resource);
+
+// SCIM errors use their own response format (RFC 7644 section 3.12)
+const sendError = (res, error, context) => {
+  if (error instanceof ScimError) {
+    return sendResource(res, error.status, {
+      schemas: [SCHEMAS.error],
+      status: String(error.status),
+      scimType: error.scimType,
+      detail: error.message
+    });
+  }
+
+  console.error(`SCIM ${context} error:`, error);
+  sendResource(res, 500, {
+    schemas: [SCHEMAS.error],
+    status: '500',
+    detail: `Error ${context}`
+  });
+};
+
+const getDefaultRole = async (enterpriseId) => {
+  const role = await roleService.findRole({ enterpriseId, roleName: 'AE' });
+  if (!role) {
+    throw new Error('Default role not found for enterprise');
+  }
+
+  return role;
+};
+
+const getPatchOperations = (body) => {
+  if (!body?.schemas?.includes(SCHEMAS.patchOp) || !Array.isArray(body.Operations)) {
+    throw new ScimError(400, 'Request must be a PatchOp with Operations', 'invalidSyntax');
+  }
+
+  return body.Operations;
+};
+
+// Active users take a seat of the enterprise's plan. `take` activates or
+// creates the user while the seat is held, so concurrent provisioning
+// requests cannot oversubscribe the plan.
+const withSeat = async (req, take) => {
+  const { denial, result } = await entitlementService.withSeats(req.enterprise, take);
+  if (denial) {
+    throw new ScimError(denial.status, denial.message);
+  }
+
+  return result;
+};
+
+// Deprovisioning ends the user's membership of this enterprise and revokes
+// the sessions opened in it. The account and its other memberships are kept.
+const deactivateMember = async (req, userId) => {
+  await membershipService.setActive(userId, req.enterpriseId, false);
+  await tokenService.revokeAllUserSessions(userId, 'membership_deactivated', { enterpriseId: req.enterpriseId });
+};
+
+// Reactivation restores the membership with the role it held
+const reactivateMember = async (req, userId) => {
+  await membershipService.setActive(userId, req.enterpriseId, true);
+  return scimService.findUser(req.enterpriseId, userId);
+};
+
+// Apply user attribute changes. Activity is that of the user's membership.
+const applyUserChanges = async (req, user, attributes) => {
+  const { is_active: isActive, ...updateData } = attributes;
+
+  if (updateData.email && updateData.email !== user.email) {
+    const existingUser = await scimService.findUserByEmail(updateData.email);
+    if (existingUser) {
+      throw new ScimError(409, 'userName is already in use', 'uniqueness');
+    }
+  }
+
+  let updatedUser = user;
+  if (Object.keys(updateData).length > 0) {
+    updatedUser = await scimService.updateUser(req.enterpriseId, user.id, updateData);
+  }
+
+  if (isActive === false && user.is_active) {
+    await deactivateMember(req, user.id);
+    updatedUser = { ...updatedUser, is_active: false };
+  } else if (isActive === true && !user.is_active) {
+    updatedUser = await withSeat(req, () => reactivateMember(req, user.id));
+  }
+
+  return updatedUser;
+};
+
+// Discovery
+const getServiceProviderConfig = (req, res) => {
+  sendResource(res, 200, {
+    schemas: ['urn:ietf:params:scim:schemas:core:2.0:ServiceProviderConfig'],
+    patch: { supported: true },
+    bulk: { supported: false, maxOperations: 0, maxPayloadSize: 0 },
+    filter: { supported: true, maxResults: 200 },
+    changePassword: { supported: false },
+    sort: { supported: false },
+    etag: { supported: false },
+    authenticationSchemes: [{
+      type: 'oauthbearertoken',
+      name: 'OAuth Bearer Token',
+      description: 'Per-enterprise SCIM token'
+    }]
+  });
+};
+
+const getResourceTypes = (req, res) => {
+  const baseUrl = getBaseUrl(req);
+  const resourceTypes = [
+    { id: 'User', name: 'User', endpoint: '/Users', schema: SCHEMAS.user },
+    { id: 'Group', name: 'Group', endpoint: '/Groups', schema: SCHEMAS.group }
+  ].map(resourceType => ({
+    schemas: ['urn:ietf:params:scim:schemas:core:2.0:ResourceType'],
+    ...resourceType,
+    meta: { resourceType: 'ResourceType', location: `${baseUrl}/ResourceTypes/${resourceType.id}` }
+  }));
+
+  sendResource(res, 200, scimService.toListResponse(resourceTypes, resourceTypes.length, 1));
+};
+
+// Users
+const listUsers = async (req, res) => {
+  try {
+    const { users, total, start } = await scimService.listUsers(req.enterpriseId, req.query);
+    const baseUrl = getBaseUrl(req);
+
+    sendResource(res, 200, scimService.toListResponse(
+      users.map(user => scimService.toScimUser(user, baseUrl)),
+      total,
+      start
+    ));
+  } catch (error) {
+    sendError(res, error, 'fetching users');
+  }
+};
+
+const getUser = async (req, res) => {
+  try {
+    const user = await scimService.findUser(req.enterpriseId, req.params.id);
+    if (!user) {
+      throw new ScimError(404, 'User not found');
+    }
+
+    sendResource(res, 200, scimService.toScimUser(user, getBaseUrl(req)));
+  } catch (error) {
+    sendError(res, error, 'fetching user');
+  }
+};
+
+const createUser = async (req, res) => {
+  try {
+    const attributes = scimService.userAttributesFromScim(req.body || {});
+    if (!attributes.email) {
+      throw new ScimError(400, 'userName is required', 'invalidValue');
+    }
+
+    const existingUser = await scimService.findUserByEmail(attributes.email);
+    if (existingUser) {
+      throw new ScimError(409, 'User already exists', 'uniqueness');
+    }
+
+    // Provisioned users sign in through SSO or a password reset; the random
+    // password is never shared
+    const provision = () => authService.createUser({
+      name: attributes.name || attributes.email,
+      email: attributes.email,
+      password: crypto.randomBytes(32).toString('hex'),
+      enterpriseId: req.enterpriseId
+    });
+
+    const createdUser = attributes.is_active === false ? await provision() : await withSeat(req, provision);
+
+    // The identity provider owns the address
+    let user = await scimService.updateUser(req.enterpriseId, createdUser.id, {
+      email_verified: true,
+      scim_external_id: attributes.scim_external_id || null
+    });
+
+    if (attributes.is_active === false) {
+      user = await applyUserChanges(req, user, { is_active: false });
+    }
+
+    sendResource(res, 201, scimService.toScimUser(user, getBaseUrl(req)));
+  } catch (error) {
+    sendError(res, error, 'creating user');
+  }
+};
+
+// PUT replaces the user; attributes we store are taken from the body
+const replaceUser = async (req, res) => {
+  try {
+    const user = await scimService.findUser(req.enterpriseId, req.params.id);
+    if (!user) {
+      throw new ScimError(404, 'User not found');
+    }
+
+    const attributes = scimService.userAttributesFromScim(req.body || {}, user);
+    if (!attributes.email) {
+      throw new ScimError(400, 'userName is required', 'invalidValue');
+    }
+
+    const updatedUser = await applyUserChanges(req, user, {
+      scim_external_id: null,
+      ...attributes
+    });
+
+    sendResource(res, 200, scimService.toScimUser(updatedUser, getBaseUrl(req)));
+  } catch (error) {
+    sendError(res, error, 'replacing user');
+  }
+};
+
+const patchUser = async (req, res) => {
+  try {
+    const operations = getPatchOperations(req.body);
+
+    const user = await scimService.findUser(req.enterpriseId, req.params.id);
+    if (!user) {
+      throw new ScimError(404, 'User not found');
+    }
+
+    const resource = scimService.userPatchToResource(operations);
+    const attributes = scimService.userAttributesFromScim(resource, user);
+    const updatedUser = await applyUserChanges(req, user, attributes);
+
+    sendResource(res, 200, scimService.toScimUser(updatedUser, getBaseUrl(req)));
+  } catch (error) {
+    sendError(res, error, 'updating user');
+  }
+};
+
+// Deprovisioning deactivates the membership; user data is kept
+const deleteUser = async (req, res) => {
+  try {
+    const user = await scimService.findUser(req.enterpriseId, req.params.id);
+    if (!user) {
+      throw new ScimError(404, 'User not found');
+    }
+
+    if (user.is_active) {
+      await deactivateMember(req, user.id);
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error, 'deleting user');
+  }
+};
+
+// Groups
+const memberIds = (members) => (Array.isArray(members) ? members : [])
+  .map(member => member.value)
+  .filter(Boolean);
+
+const listGroups = async (req, res) => {
+  try {
+    const { roles, total, start } = await scimService.listGroups(req.enterpriseId, req.query);
+    const excludeMembers = (req.query.excludedAttributes || '').includes('members');
+    const members = excludeMembers
+      ? []
+      : await scimService.getGroupMembers(req.enterpriseId, roles.map(role => role.id));
+    const baseUrl = getBaseUrl(req);
+
+    sendResource(res, 200, scimService.toListResponse(
+      roles.map(role => scimService.toScimGroup(role, members, baseUrl)),
+      total,
+      start
+    ));
+  } catch (error) {
+    sendError(res, error, 'fetching groups');
+  }
+};
+
+const sendGroup = async (req, res, status, role) => {
+  const members = await scimService.getGroupMembers(req.enterpriseId, [role.id]);
+  sendResource(res, status, scimService.toScimGroup(role, members, getBaseUrl(req)));
+};
+
+const getGroup = async (req, res) => {
+  try {
+    const role = await roleService.findRole({ roleId: req.params.id, enterpriseId: req.enterpriseId });
+    if (!role) {
+      throw new ScimError(404, 'Group not found');
+    }
+
+    await sendGroup(req, res, 200, role);
+  } catch (error) {
+    sendError(res, error, 'fetching group');
+  }
+};
+
+// New groups become custom roles without permissions; grant permissions
+// through role management
+const createGroup = async (req, res) => {
+  try {
+    const { displayName, members } = req.body || {};
+    if (!displayName) {
+      throw new ScimError(400, 'displayName is required', 'invalidValue');
+    }
+
+    const existingRole = await roleService.findRole({ enterpriseId: req.enterpriseId, roleName: displayName });
+    if (existingRole) {
+      throw new ScimError(409, 'Group already exists', 'uniqueness');
+    }
+
+    const role = await roleService.createRole(req.enterpriseId, {
+      name: displayName,
+      description: 'Provisioned via SCIM',
+      permissions: []
+    });
+
+    await scimService.assignUsersToRole(req.enterpriseId, role.id, memberIds(members));
+
+    await sendGroup(req, res, 201, role);
+  } catch (error) {
+    sendError(res, error, 'creating group');
+  }
+};
+
+const renameGroup = async (req, role, displayName) => {
+  if (!displayName || displayName === role.name) {
+    return role;
+  }
+
+  if (role.is_system_role) {
+    throw new ScimError(400, 'System groups cannot be renamed', 'mutability');
+  }
+
+  const existingRole = await roleService.findRole({ enterpriseId: req.enterpriseId, roleName: displayName });
+  if (existingRole) {
+    throw new ScimError(409, 'Group already exists', 'uniqueness');
+  }
+
+  return roleService.updateRole(req.enterpriseId, role.id, { name: displayName });
+};
+
+// Set the exact member list of a group
+const replaceMembers = async (req, role, ids) => {
+  const currentMembers = await scimService.getGroupMembers(req.enterpriseId, [role.id]);
+  const removedIds = currentMembers
+    .map(member => member.id)
+    .filter(id => !ids.includes(id));
+  const defaultRole = await getDefaultRole(req.enterpriseId);
+
+  await scimService.assignUsersToRole(req.enterpriseId, role.id, ids);
+  await scimService.removeUsersFromRole(req.enterpriseId, role.id, removedIds, defaultRole.id);
+};
+
+const replaceGroup = async (req, res) => {
+  try {
+    let role = await roleService.findRole({ roleId: req.params.id, enterpriseId: req.enterpriseId });
+    if (!role) {
+      throw new ScimError(404, 'Group not found');
+    }
+
+    const { displayName, members } = req.body || {};
+    role = await renameGroup(req, role, displayName);
+    await replaceMembers(req, role, memberIds(members));
+
+    await sendGroup(req, res, 200, role);
+  } catch (error) {
+    sendError(res, error, 'replacing group');
+  }
+};
+
+const patchGroup = async (req, res) => {
+  try {
+    const operations = getPatchOperations(req.body);
+
+    let role = await roleService.findRole({ roleId: req.params.id, enterpriseId: req.enterpriseId });
+    if (!role) {
+      throw new ScimError(404, 'Group not found');
+    }
+
+    for (const operation of operations) {
+      const op = String(operation.op || '').toLowerCase();
+      const path = operation.path || '';
+      const value = operation.value;
+
+      if (!path && value && typeof value === 'object' && !Array.isArray(value)) {
+        role = await renameGroup(req, role, value.displayName);
+        if (value.members) {
+          await replaceMembers(req, role, memberIds(value.members));
+        }
+      } else if (path === 'displayName') {
+        role = await renameGroup(req, role, value);
+      } else if (path === 'members' && op === 'add') {
+        await scimService.assignUsersToRole(req.enterpriseId, role.id, memberIds(value));
+      } else if (path === 'members' && op === 'replace') {
+        await replaceMembers(req, role, memberIds(value));
+      } else if (path.startsWith('members') && op === 'remove') {
+        // Either `members[value eq "id"]` or `members` with a value list
+        const filterMatch = path.match(/^members\[value eq "([^"]+)"\]$/);
+        const ids = filterMatch ? [filterMatch[1]] : memberIds(value);
+        const defaultRole = await getDefaultRole(req.enterpriseId);
+
+        if (!filterMatch && !value) {
+          await replaceMembers(req, role, []);
+        } else {
+          await scimService.removeUsersFromRole(req.enterpriseId, role.id, ids, defaultRole.id);
+        }
+      } else {
+        throw new ScimError(400, `Unsupported operation: ${operation.op} ${path}`, 'invalidPath');
+      }
+    }
+
+    await sendGroup(req, res, 200, role);
+  } catch (error) {
+    sendError(res, error, 'updating group');
+  }
+};
+
+// Members of a deleted group move to the default role
+const deleteGroup = async (req, res) => {
+  try {
+    const role = await roleService.findRole({ roleId: req.params.id, enterpriseId: req.enterpriseId });
+    if (!role) {
+      throw new ScimError(404, 'Group not found');
+    }
+
+    const defaultRole = await getDefaultRole(req.enterpriseId);
+    if (role.is_system_role || role.id === defaultRole.id) {
+      throw new ScimError(400, 'This group cannot be deleted', 'mutability');
+    }
+
+    await roleService.reassignUsers(req.enterpriseId, role.id, defaultRole.id);
+    await roleService.deleteRole(req.enterpriseId, role.id);
+
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error, 'deleting group');
+  }
+};
+
+module.exports = {
+  getServiceProviderConfig,
+  getResourceTypes,
+  listUsers,
+  getUser,
+  createUser,
+  replaceUser,
+  patchUser,
+  deleteUser,
+  listGroups,
+  getGroup,
+  createGroup,
+  replaceGroup,
+  patchGroup,
+  deleteGroup
+};
@@ -0,0 +1,271 @@
+jest.mock('../config/supabase', () => require('../__tests__/mocks/supabase').createSupabaseMock());
+jest.mock('../services/authService', () => ({
+  createUser: jest.fn(),
+  deleteUser: jest.fn()
+}));
+jest.mock('../services/membershipService', () => ({
+  setActive: jest.fn()
+}));
+jest.mock('../services/tokenService', () => ({
+  revokeAllUserSessions: jest.fn()
+}));
+jest.mock('../services/entitlementService', () => ({
+  withSeats: jest.fn()
+}));
+jest.mock('../services/roleService', () => ({
+  findRole: jest.fn(),
+  reassignUsers: jest.fn(),
+  deleteRole: jest.fn()
+}));
+jest.mock('../services/scimService', () => {
+  const scimService = jest.requireActual('../services/scimService');
+  return Object.assign(Object.create(Object.getPrototypeOf(scimService)), scimService, {
+    findUser: jest.fn(),
+    findUserByEmail: jest.fn(),
+    updateUser: jest.fn(),
+    getGroupMembers: jest.fn(),
+    assignUsersToRole: jest.fn(),
+    removeUsersFromRole: jest.fn()
+  });
+});
+
+const authService = require('../services/authService');
+const entitlementService = require('../services/entitlementService');
+const roleService = require('../services/roleService');
+const membershipService = require('../services/membershipService');
+const tokenService = require('../services/tokenService');
+const scimService = require('../services/scimService');
+const scimController = require('./scimController');
+const { mockRequest, mockResponse } = require('../__tests__/mocks/express');
+
+const SEAT_DENIAL = { status: 402, code: 'SEAT_LIMIT_REACHED', message: 'All 5 seats of the Basic plan are taken.' };
+
+describe('scimController', () => {
+  const enterprise = { id: 'ent-1', subscription_plan: 'basic', subscription_status: 'active' };
+  const user = { id: 'user-1', name: 'Ada Lovelace', email: 'ada@acme.com', is_active: true };
+  const defaultRole = { id: 'role-ae', name: 'AE', is_system_role: true };
+  const opsRole = { id: 'role-ops', name: 'Ops', is_system_role: false };
+
+  const scimRequest = ({ body, params } = {}) => mockRequest({
+    body,
+    params,
+    headers: { host: 'api.example.com' },
+    protocol: 'https',
+    baseUrl: '/scim/v2',
+    enterpriseId: enterprise.id,
+    enterprise
+  });
+
+  const scimResponse = () => {
+    const res = mockResponse();
+    res.type = jest.fn(() => res);
+    res.end = jest.fn(() => res);
+    return res;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    scimService.findUserByEmail.mockResolvedValue(null);
+    authService.createUser.mockResolvedValue(user);
+    scimService.updateUser.mockImplementation(async (enterpriseId, userId, updateData) => ({ ...user, ...updateData }));
+    entitlementService.withSeats.mockImplementation(async (ent, take) => ({ result: await take() }));
+    roleService.findRole.mockImplementation(async ({ roleId, roleName }) =>
+      [defaultRole, opsRole].find(role => role.id === roleId || role.name === roleName) || null
+    );
+    scimService.getGroupMembers.mockResolvedValue([]);
+  });
+
+  describe('createUser', () => {
+    const resource = { schemas: [scimService.SCHEMAS.user], userName: 'Ada@Acme.com', name: { formatted: 'Ada Lovelace' }, externalId: 'idp-1' };
+
+    it('provisions the user while holding a seat', async () => {
+      const res = scimResponse();
+
+      await scimController.createUser(scimRequest({ body: resource }), res);
+
+      expect(res.statusCode).toBe(201);
+      expect(entitlementService.withSeats).toHaveBeenCalledWith(enterprise, expect.any(Function));
+      expect(authService.createUser).toHaveBeenCalledWith(expect.objectContaining({ email: 'ada@acme.com', enterpriseId: 'ent-1' }));
+      expect(res.body).toMatchObject({ userName: 'ada@acme.com', externalId: 'idp-1', active: true });
+    });
+
+    it('returns a SCIM error without creating the user when no seat is left', async () => {
+      entitlementService.withSeats.mockResolvedValue({ denial: SEAT_DENIAL });
+      const res = scimResponse();
+
+      await scimController.createUser(scimRequest({ body: resource }), res);
+
+      expect(res.statusCode).toBe(402);
+      expect(res.body).toMatchObject({ status: '402', detail: SEAT_DENIAL.message });
+      expect(authService.createUser).not.toHaveBeenCalled();
+    });
+
+    it('does not need a seat for a user provisioned inactive', async () => {
+      const res = scimResponse();
+
+      await scimController.createUser(scimRequest({ body: { ...resource, active: false } }), res);
+
+      expect(entitlementService.withSeats).not.toHaveBeenCalled();
+      expect(authService.createUser).toHaveBeenCalled();
+      expect(membershipService.setActive).toHaveBeenCalledWith(user.id, 'ent-1', false);
+      expect(authService.deleteUser).not.toHaveBeenCalled();
+      expect(res.body.active).toBe(false);
+    });
+
+    it('rejects a userName already in use', async () => {
+      scimService.findUserByEmail.mockResolvedValue(user);
+      const res = scimResponse();
+
+      await scimController.createUser(scimRequest({ body: resource }), res);
+
+      expect(res.statusCode).toBe(409);
+      expect(res.body.scimType).toBe('uniqueness');
+    });
+  });
+
+  describe('patchUser', () => {
+    const activate = {
+      schemas: [scimService.SCHEMAS.patchOp],
+      Operations: [{ op: 'replace', path: 'active', value: true }]
+    };
+
+    it('reactivates the membership while holding a seat', async () => {
+      scimService.findUser
+        .mockResolvedValueOnce({ ...user, is_active: false })
+        .mockResolvedValueOnce(user);
+      entitlementService.withSeats.mockImplementation(async (ent, take) => {
+        expect(membershipService.setActive).not.toHaveBeenCalled();
+        return { result: await take() };
+      });
+      const res = scimResponse();
+
+      await scimController.patchUser(scimRequest({ params: { id: user.id }, body: activate }), res);
+
+      expect(res.statusCode).toBe(200);
+      expect(membershipService.setActive).toHaveBeenCalledWith(user.id, 'ent-1', true);
+      expect(res.body.active).toBe(true);
+    });
+
+    it('keeps the user inactive when no seat is left', async () => {
+      scimService.findUser.mockResolvedValue({ ...user, is_active: false });
+      entitlementService.withSeats.mockResolvedValue({ denial: SEAT_DENIAL });
+      const res = scimResponse();
+
+      await scimController.patchUser(scimRequest({ params: { id: user.id }, body: activate }), res);
+
+      expect(res.statusCode).toBe(402);
+      expect(membershipService.setActive).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('deprovisioning', () => {
+    const deactivate = {
+      schemas: [scimService.SCHEMAS.patchOp],
+      Operations: [{ op: 'replace', value: { active: false } }]
+    };
+
+    it('deactivates only the membership on PATCH active=false', async () => {
+      scimService.findUser.mockResolvedValue(user);
+      const res = scimResponse();
+
+      await scimController.patchUser(scimRequest({ params: { id: user.id }, body: deactivate }), res);
+
+      expect(membershipService.setActive).toHaveBeenCalledWith(user.id, 'ent-1', false);
+      expect(tokenService.revokeAllUserSessions).toHaveBeenCalledWith(user.id, 'membership_deactivated', { enterpriseId: 'ent-1' });
+      expect(authService.deleteUser).not.toHaveBeenCalled();
+      expect(res.body.active).toBe(false);
+    });
+
+    it('deactivates only the membership on DELETE and keeps the account', async () => {
+      scimService.findUser.mockResolvedValue(user);
+      const res = scimResponse();
+
+      await scimController.deleteUser(scimRequest({ params: { id: user.id } }), res);
+
+      expect(res.statusCode).toBe(204);
+      expect(membershipService.setActive).toHaveBeenCalledWith(user.id, 'ent-1', false);
+      expect(tokenService.revokeAllUserSessions).toHaveBeenCalledWith(user.id, 'membership_deactivated', { enterpriseId: 'ent-1' });
+      expect(authService.deleteUser).not.toHaveBeenCalled();
+      expect(scimService.updateUser).not.toHaveBeenCalled();
+    });
+
+    it('leaves an inactive member alone on DELETE', async () => {
+      scimService.findUser.mockResolvedValue({ ...user, is_active: false });
+      const res = scimResponse();
+
+      await scimController.deleteUser(scimRequest({ params: { id: user.id } }), res);
+
+      expect(res.statusCode).toBe(204);
+      expect(membershipService.setActive).not.toHaveBeenCalled();
+    });
+
+    it('does not find users of other enterprises', async () => {
+      scimService.findUser.mockResolvedValue(null);
+      const res = scimResponse();
+
+      await scimController.deleteUser(scimRequest({ params: { id: 'user-9' } }), res);
+
+      expect(scimService.findUser).toHaveBeenCalledWith('ent-1', 'user-9');
+      expect(res.statusCode).toBe(404);
+      expect(membershipService.setActive).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('groups', () => {
+    const patch = (Operations) => ({ schemas: [scimService.SCHEMAS.patchOp], Operations });
+
+    it('adds members to a group', async () => {
+      const res = scimResponse();
+
+      await scimController.patchGroup(scimRequest({
+        params: { id: opsRole.id },
+        body: patch([{ op: 'add', path: 'members', value: [{ value: 'user-1' }] }])
+      }), res);
+
+      expect(res.statusCode).toBe(200);
+      expect(scimService.assignUsersToRole).toHaveBeenCalledWith('ent-1', opsRole.id, ['user-1']);
+    });
+
+    it('moves members removed from a group to the default role', async () => {
+      const res = scimResponse();
+
+      await scimController.patchGroup(scimRequest({
+        params: { id: opsRole.id },
+        body: patch([{ op: 'remove', path: 'members[value eq "user-1"]' }])
+      }), res);
+
+      expect(scimService.removeUsersFromRole).toHaveBeenCalledWith('ent-1', opsRole.id, ['user-1'], defaultRole.id);
+    });
+
+    it('refuses to rename system groups', async () => {
+      const res = scimResponse();
+
+      await scimController.patchGroup(scimRequest({
+        params: { id: defaultRole.id },
+        body: patch([{ op: 'replace', path: 'displayName', value: 'Reps' }])
+      }), res);
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.scimType).toBe('mutability');
+    });
+
+    it('moves the members of a deleted group to the default role', async () => {
+      const res = scimResponse();
+
+      await scimController.deleteGroup(scimRequest({ params: { id: opsRole.id } }), res);
+
+      expect(res.statusCode).toBe(204);
+      expect(roleService.reassignUsers).toHaveBeenCalledWith('ent-1', opsRole.id, defaultRole.id);
+      expect(roleService.deleteRole).toHaveBeenCalledWith('ent-1', opsRole.id);
+    });
+
+    it('refuses to delete the default group', async () => {
+      const res = scimResponse();
+
+      await scimController.deleteGroup(scimRequest({ params: { id: defaultRole.id } }), res);
+
+      expect(res.statusCode).toBe(400);
+      expect(roleService.deleteRole).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,85 @@
+const tokenService = require('../services/tokenService');
+const sessionService = require('../services/sessionService');
+
+const formatSession = (session, currentSessionId) => ({
+  id: session.id,
+  userAgent: session.user_agent,
+  ipAddress: session.ip_address,
+  createdAt: session.created_at,
+  lastUsedAt: session.last_used_at,
+  expiresAt: session.expires_at,
+  impersonatorId: session.impersonator_id,
+  current: session.id === currentSessionId
+});
+
+// List active sessions of the current user
+const listSessions = async (req, res) => {
+  try {
+    const sessions = await sessionService.listActiveSessions(req.user.userId);
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => formatSession(session, req.user.sid))
+      }
+    });
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching sessions'
+    });
+  }
+};
+
+// Revoke one session (sign out a device)
+const revokeSession = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const session = await sessionService.findActiveSession(id);
+    if (!session || session.user_id !== req.user.userId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await tokenService.revokeFamily(session.id, 'revoked_by_user');
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking session'
+    });
+  }
+};
+
+// Sign out everywhere, including the current session
+const logoutAll = async (req, res) => {
+  try {
+    await tokenService.revokeAllUserSessions(req.user.userId, 'logout_all');
+
+    res.json({
+      success: true,
+      message: 'Signed out of all sessions'
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error signing out of all sessions'
+    });
+  }
+};
+
+module.exports = {
+  listSessions,
+  revokeSession,
+  logoutAll
+};
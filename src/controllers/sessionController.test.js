@@ -0,0 +1,66 @@
+jest.mock('../config/supabase', () => require('../__tests__/mocks/supabase').createSupabaseMock());
+jest.mock('../services/sessionService', () => ({
+  listActiveSessions: jest.fn(),
+  findActiveSession: jest.fn()
+}));
+jest.mock('../services/tokenService', () => ({
+  revokeFamily: jest.fn(),
+  revokeAllUserSessions: jest.fn()
+}));
+
+const sessionService = require('../services/sessionService');
+const tokenService = require('../services/tokenService');
+const sessionController = require('./sessionController');
+const { mockRequest, mockResponse } = require('../__tests__/mocks/express');
+
+describe('sessionController', () => {
+  const user = { userId: 'user-1', sid: 'session-1' };
+
+  const call = async (handler, request = {}) => {
+    const req = mockRequest({ user, ...request });
+    const res = mockResponse();
+    await sessionController[handler](req, res);
+    return res;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('lists the caller\'s sessions and marks the current one', async () => {
+    sessionService.listActiveSessions.mockResolvedValue([
+      { id: 'session-1', user_agent: 'Firefox', ip_address: '10.0.0.1' },
+      { id: 'session-2', user_agent: 'Safari', ip_address: '10.0.0.2' }
+    ]);
+
+    const res = await call('listSessions');
+
+    expect(sessionService.listActiveSessions).toHaveBeenCalledWith('user-1');
+    expect(res.body.data.sessions.map(session => [session.id, session.current])).toEqual([['session-1', true], ['session-2', false]]);
+  });
+
+  it('revokes a session of the caller with its refresh tokens', async () => {
+    sessionService.findActiveSession.mockResolvedValue({ id: 'session-2', user_id: 'user-1' });
+
+    const res = await call('revokeSession', { params: { id: 'session-2' } });
+
+    expect(res.statusCode).toBe(200);
+    expect(tokenService.revokeFamily).toHaveBeenCalledWith('session-2', 'revoked_by_user');
+  });
+
+  it('does not reveal or revoke another user\'s session', async () => {
+    sessionService.findActiveSession.mockResolvedValue({ id: 'session-9', user_id: 'user-2' });
+
+    const res = await call('revokeSession', { params: { id: 'session-9' } });
+
+    expect(res.statusCode).toBe(404);
+    expect(tokenService.revokeFamily).not.toHaveBeenCalled();
+  });
+
+  it('signs out everywhere', async () => {
+    const res = await call('logoutAll');
+
+    expect(res.statusCode).toBe(200);
+    expect(tokenService.revokeAllUserSessions).toHaveBeenCalledWith('user-1', 'logout_all');
+  });
+});
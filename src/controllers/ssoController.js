@@ -0,0 +1,369 @@
+const crypto = require('crypto');
+const { validationResult } = require('express-validator');
+const authService = require('../services/authService');
+const tokenService = require('../services/tokenService');
+const sessionService = require('../services/sessionService');
+const membershipService = require('../services/membershipService');
+const ssoService = require('../services/ssoService');
+const roleService = require('../services/roleService');
+const entitlementService = require('../services/entitlementService');
+const { sendEntitlementError } = require('../middleware/entitlements');
+
+// Holds the PKCE code verifier between /sso/start and /sso/callback
+const SSO_COOKIE = 'sso_login';
+const SSO_COOKIE_OPTIONS = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'lax',
+  path: '/api/auth/sso'
+};
+const SSO_COOKIE_MAX_AGE_MS = 10 * 60 * 1000; // the lifetime of the state
+
+const readCookie = (req, name) => {
+  const entry = (req.get('Cookie') || '')
+    .split(';')
+    .map(part => part.trim())
+    .find(part => part.startsWith(`${name}=`));
+
+  return entry ? decodeURIComponent(entry.slice(name.length + 1)) : null;
+};
+
+const formatConfig = (config) => ({
+  issuer: config.issuer,
+  clientId: config.client_id,
+  hasClientSecret: ssoService.hasClientSecret(config),
+  redirectUri: ssoService.getRedirectUri(config),
+  scopes: config.scopes || ['openid', 'email', 'profile'],
+  claimMapping: ssoService.getClaimMapping(config),
+  defaultRoleId: config.default_role_id,
+  jitProvisioning: config.jit_provisioning !== false,
+  enabled: config.enabled,
+  updatedAt: config.updated_at
+});
+
+// Resolve the enterprise from the email domain and return the IdP URL
+const startLogin = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { email } = req.query;
+    const domain = email.split('@').pop().toLowerCase();
+
+    const enterprise = await authService.findEnterpriseByDomain(domain);
+    const config = enterprise && await ssoService.getConfig(enterprise.id);
+    if (!config || !config.enabled) {
+      return res.status(404).json({
+        success: false,
+        message: 'SSO is not configured for this domain'
+      });
+    }
+
+    const { authorizationUrl, codeVerifier } = await ssoService.buildAuthorizationUrl(config, email);
+    res.cookie(SSO_COOKIE, codeVerifier, { ...SSO_COOKIE_OPTIONS, maxAge: SSO_COOKIE_MAX_AGE_MS });
+
+    res.json({
+      success: true,
+      data: {
+        enterprise: {
+          id: enterprise.id,
+          name: enterprise.name
+        },
+        authorizationUrl
+      }
+    });
+  } catch (error) {
+    console.error('SSO start error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error starting SSO login'
+    });
+  }
+};
+
+// Complete the login with the code returned by the IdP
+const callback = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { code, state } = req.body;
+
+    // The state is only accepted from the browser that started the login,
+    // and only once
+    const codeVerifier = readCookie(req, SSO_COOKIE);
+    res.clearCookie(SSO_COOKIE, SSO_COOKIE_OPTIONS);
+
+    const loginState = ssoService.verifyState(state, codeVerifier);
+    if (!loginState) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired SSO state'
+      });
+    }
+
+    const enterprise = await authService.findEnterpriseById(loginState.enterpriseId);
+    const config = enterprise && await ssoService.getConfig(enterprise.id);
+    if (!config || !config.enabled) {
+      return res.status(404).json({
+        success: false,
+        message: 'SSO is not configured for this enterprise'
+      });
+    }
+
+    let claims;
+    try {
+      claims = await ssoService.exchangeCode(config, code, { nonce: loginState.nonce, codeVerifier });
+    } catch (error) {
+      console.error('SSO code exchange error:', error.message);
+      return res.status(401).json({
+        success: false,
+        message: 'SSO authentication failed'
+      });
+    }
+
+    const profile = ssoService.mapClaims(config, claims);
+    if (!profile.email || !profile.emailVerified) {
+      return res.status(401).json({
+        success: false,
+        message: 'The identity provider did not return a verified email'
+      });
+    }
+
+    if (profile.email.split('@').pop() !== enterprise.domain?.toLowerCase()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Email domain does not belong to this enterprise'
+      });
+    }
+
+    let user = await authService.findUserByEmail(profile.email);
+
+    if (user && !(await membershipService.findMembership(user.id, enterprise.id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'This account is not a member of this enterprise'
+      });
+    }
+
+    // Just-in-time provisioning of first-time SSO users
+    if (!user) {
+      if (config.jit_provisioning === false) {
+        return res.status(403).json({
+          success: false,
+          message: 'No account exists for this user. Ask your administrator for an invitation.'
+        });
+      }
+
+      if (await ssoService.findAccountByEmail(profile.email)) {
+        return res.status(403).json({
+          success: false,
+          message: 'This account has been deactivated'
+        });
+      }
+
+      // SSO users sign in through the IdP; the random password is never shared
+      const { denial, result } = await entitlementService.withSeats(enterprise, () => authService.createUser({
+        name: profile.name,
+        email: profile.email,
+        password: crypto.randomBytes(32).toString('hex'),
+        enterpriseId: enterprise.id,
+        roleId: config.default_role_id
+      }));
+      if (denial) {
+        return sendEntitlementError(res, denial);
+      }
+
+      user = result;
+    }
+
+    if (!user.email_verified) {
+      user = await authService.updateUser(user.id, { email_verified: true });
+    }
+
+    // Sign in to the enterprise of the identity provider
+    user = await membershipService.scopeUser(user, enterprise.id);
+
+    // Generate tokens
+    const { accessToken, refreshToken } = await tokenService.startSession(user, sessionService.getClientInfo(req));
+    const memberships = await membershipService.listMemberships(user.id);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        user: {
+          id: user.id,
+          name: user.name,
+          email: user.email,
+          createdAt: user.createdAt
+        },
+        enterpriseId: user.enterprise_id,
+        memberships: memberships.map(membershipService.toResponse),
+        accessToken,
+        refreshToken
+      }
+    });
+  } catch (error) {
+    console.error('SSO callback error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error completing SSO login'
+    });
+  }
+};
+
+// Get the SSO configuration of an enterprise
+const getConfig = async (req, res) => {
+  try {
+    const config = await ssoService.getConfig(req.enterpriseId);
+    if (!config) {
+      return res.status(404).json({
+        success: false,
+        message: 'SSO is not configured'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        config: formatConfig(config)
+      }
+    });
+  } catch (error) {
+    console.error('Get SSO config error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching SSO configuration'
+    });
+  }
+};
+
+// Create or update the SSO configuration. The issuer is checked against its
+// discovery document before saving.
+const updateConfig = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const {
+      issuer,
+      clientId,
+      clientSecret,
+      redirectUri,
+      scopes,
+      claimMapping,
+      defaultRoleId,
+      jitProvisioning,
+      enabled
+    } = req.body;
+
+    const existingConfig = await ssoService.getConfig(req.enterpriseId);
+    if (!clientSecret && !ssoService.hasClientSecret(existingConfig)) {
+      return res.status(400).json({
+        success: false,
+        message: 'clientSecret is required'
+      });
+    }
+
+    if (defaultRoleId) {
+      const role = await roleService.findRole({ roleId: defaultRoleId, enterpriseId: req.enterpriseId });
+      if (!role) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid role ID for this enterprise'
+        });
+      }
+    }
+
+    const normalizedIssuer = issuer.replace(/\/$/, '');
+    try {
+      const metadata = await ssoService.discover(normalizedIssuer);
+      if (metadata.issuer && metadata.issuer.replace(/\/$/, '') !== normalizedIssuer) {
+        throw new Error(`Discovery document issuer is ${metadata.issuer}`);
+      }
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: `Could not load OpenID provider metadata: ${error.message}`
+      });
+    }
+
+    const config = await ssoService.saveConfig(req.enterpriseId, {
+      issuer: normalizedIssuer,
+      client_id: clientId,
+      // Kept as it is unless a new secret is given
+      ...(clientSecret && {
+        client_secret_encrypted: ssoService.encryptClientSecret(clientSecret),
+        client_secret: null
+      }),
+      redirect_uri: redirectUri || null,
+      scopes: scopes || null,
+      claim_mapping: claimMapping || {},
+      default_role_id: defaultRoleId || null,
+      jit_provisioning: jitProvisioning !== false,
+      enabled: enabled !== false
+    });
+
+    res.json({
+      success: true,
+      message: 'SSO configuration saved successfully',
+      data: {
+        config: formatConfig(config)
+      }
+    });
+  } catch (error) {
+    console.error('Update SSO config error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error saving SSO configuration'
+    });
+  }
+};
+
+// Remove the SSO configuration
+const deleteConfig = async (req, res) => {
+  try {
+    const deleted = await ssoService.deleteConfig(req.enterpriseId);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'SSO is not configured'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'SSO configuration deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete SSO config error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting SSO configuration'
+    });
+  }
+};
+
+module.exports = {
+  startLogin,
+  callback,
+  getConfig,
+  updateConfig,
+  deleteConfig
+};
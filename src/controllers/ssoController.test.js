@@ -0,0 +1,73 @@
+jest.mock('../config/supabase', () => require('../__tests__/mocks/supabase').createSupabaseMock());
+jest.mock('../services/authService', () => ({
+  findEnterpriseByDomain: jest.fn(),
+  findEnterpriseById: jest.fn()
+}));
+jest.mock('../services/ssoService', () => ({
+  getConfig: jest.fn(),
+  buildAuthorizationUrl: jest.fn(),
+  verifyState: jest.fn(),
+  exchangeCode: jest.fn()
+}));
+
+const authService = require('../services/authService');
+const ssoService = require('../services/ssoService');
+const ssoController = require('./ssoController');
+const { mockRequest, mockResponse } = require('../__tests__/mocks/express');
+
+describe('ssoController', () => {
+  const enterprise = { id: 'ent-1', name: 'Acme', domain: 'acme.com' };
+  const config = { enterprise_id: 'ent-1', enabled: true };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    authService.findEnterpriseByDomain.mockResolvedValue(enterprise);
+    authService.findEnterpriseById.mockResolvedValue(enterprise);
+    ssoService.getConfig.mockResolvedValue(config);
+  });
+
+  it('keeps the PKCE verifier in an HTTP-only cookie when starting a login', async () => {
+    ssoService.buildAuthorizationUrl.mockResolvedValue({ authorizationUrl: 'http://idp/authorize?x=1', codeVerifier: 'verifier' });
+    const res = mockResponse();
+
+    await ssoController.startLogin(mockRequest({ query: { email: 'ada@acme.com' } }), res);
+
+    expect(res.body.data.authorizationUrl).toBe('http://idp/authorize?x=1');
+    expect(res.cookies.sso_login).toMatchObject({
+      value: 'verifier',
+      options: expect.objectContaining({ httpOnly: true, sameSite: 'lax', path: '/api/auth/sso' })
+    });
+  });
+
+  it('checks the state against the cookie and clears it', async () => {
+    ssoService.verifyState.mockReturnValue(null);
+    const req = mockRequest({
+      body: { code: 'code', state: 'state' },
+      headers: { cookie: 'other=1; sso_login=verifier' }
+    });
+    const res = mockResponse();
+
+    await ssoController.callback(req, res);
+
+    expect(ssoService.verifyState).toHaveBeenCalledWith('state', 'verifier');
+    expect(res.clearCookie).toHaveBeenCalledWith('sso_login', expect.objectContaining({ path: '/api/auth/sso' }));
+    expect(res.statusCode).toBe(400);
+    expect(ssoService.exchangeCode).not.toHaveBeenCalled();
+  });
+
+  it('redeems the code with the verifier from the cookie', async () => {
+    ssoService.verifyState.mockReturnValue({ enterpriseId: 'ent-1', nonce: 'nonce' });
+    ssoService.exchangeCode.mockRejectedValue(new Error('invalid_grant'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const req = mockRequest({
+      body: { code: 'code', state: 'state' },
+      headers: { cookie: 'sso_login=verifier' }
+    });
+    const res = mockResponse();
+
+    await ssoController.callback(req, res);
+
+    expect(ssoService.exchangeCode).toHaveBeenCalledWith(config, 'code', { nonce: 'nonce', codeVerifier: 'verifier' });
+    expect(res.statusCode).toBe(401);
+  });
+});
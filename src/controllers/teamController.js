@@ -0,0 +1,314 @@
+const { validationResult } = require('express-validator');
+const authService = require('../services/authService');
+const tokenService = require('../services/tokenService');
+const membershipService = require('../services/membershipService');
+const roleService = require('../services/roleService');
+const teamService = require('../services/teamService');
+const notificationService = require('../services/notificationService');
+const emailService = require('../services/emailService');
+const entitlementService = require('../services/entitlementService');
+const { sendEntitlementError } = require('../middleware/entitlements');
+const { exceedsCallerPermissions } = require('../middleware/permissions');
+
+const formatMember = (membership) => ({
+  userId: membership.user_id,
+  isActive: membership.is_active,
+  role: membership.roles ? {
+    id: membership.roles.id,
+    name: membership.roles.name
+  } : null,
+  joinedAt: membership.created_at
+});
+
+const sendMemberNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'User not found in this enterprise'
+});
+
+const sendExceedsPermissions = (res) => res.status(403).json({
+  success: false,
+  message: 'You cannot manage a role with permissions you do not hold'
+});
+
+// An enterprise must keep at least one active MANAGER
+const isLastManager = async (enterpriseId, membership) => {
+  if (membership.roles?.name !== 'MANAGER') {
+    return false;
+  }
+
+  return (await membershipService.countActiveMembers(enterpriseId, membership.role_id)) <= 1;
+};
+
+const sendLastManager = (res) => res.status(400).json({
+  success: false,
+  message: 'The enterprise must keep at least one active MANAGER'
+});
+
+// Change the role a member holds in the enterprise. Their sessions in the
+// enterprise are revoked so the new role applies from their next sign-in.
+const changeUserRole = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { userId } = req.params;
+    const { roleId } = req.body;
+
+    if (userId === req.user.userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+
+    const membership = await membershipService.findMembership(userId, req.enterpriseId);
+    if (!membership) {
+      return sendMemberNotFound(res);
+    }
+
+    const role = await roleService.findRole({ roleId, enterpriseId: req.enterpriseId });
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    if (membership.role_id === role.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'User already has this role'
+      });
+    }
+
+    if (await exceedsCallerPermissions(req, membership.role_id) || await exceedsCallerPermissions(req, role.id)) {
+      return sendExceedsPermissions(res);
+    }
+
+    if (await isLastManager(req.enterpriseId, membership)) {
+      return sendLastManager(res);
+    }
+
+    await membershipService.setRole(req.enterpriseId, role.id, { userIds: [userId] });
+    await tokenService.revokeAllUserSessions(userId, 'role_changed', { enterpriseId: req.enterpriseId });
+
+    res.json({
+      success: true,
+      message: 'Role updated successfully',
+      data: {
+        member: formatMember({ ...membership, role_id: role.id, roles: role })
+      }
+    });
+  } catch (error) {
+    console.error('Change user role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error changing user role'
+    });
+  }
+};
+
+// Deactivate a member and sign them out of the enterprise. The account and
+// any other memberships are untouched.
+const deactivateUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (userId === req.user.userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot deactivate yourself'
+      });
+    }
+
+    const membership = await membershipService.findMembership(userId, req.enterpriseId);
+    if (!membership) {
+      return sendMemberNotFound(res);
+    }
+
+    if (await exceedsCallerPermissions(req, membership.role_id)) {
+      return sendExceedsPermissions(res);
+    }
+
+    if (await isLastManager(req.enterpriseId, membership)) {
+      return sendLastManager(res);
+    }
+
+    const deactivated = await membershipService.setActive(userId, req.enterpriseId, false);
+    if (!deactivated) {
+      return sendMemberNotFound(res);
+    }
+
+    await tokenService.revokeAllUserSessions(userId, 'membership_deactivated', { enterpriseId: req.enterpriseId });
+
+    res.json({
+      success: true,
+      message: 'User deactivated successfully',
+      data: {
+        member: formatMember(deactivated)
+      }
+    });
+  } catch (error) {
+    console.error('Deactivate user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deactivating user'
+    });
+  }
+};
+
+// Reactivate a deactivated member with the role they held before
+const reactivateUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const membership = await membershipService.findMembership(userId, req.enterpriseId, { includeInactive: true });
+    if (!membership || !(await authService.findUserById(userId))) {
+      return sendMemberNotFound(res);
+    }
+
+    if (membership.is_active) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is already active'
+      });
+    }
+
+    if (await exceedsCallerPermissions(req, membership.role_id)) {
+      return sendExceedsPermissions(res);
+    }
+
+    const { denial, result: reactivated } = await entitlementService.withSeats(req.enterprise, () =>
+      membershipService.setActive(userId, req.enterpriseId, true)
+    );
+    if (denial) {
+      return sendEntitlementError(res, denial);
+    }
+
+    if (!reactivated) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is already active'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'User reactivated successfully',
+      data: {
+        member: formatMember(reactivated)
+      }
+    });
+  } catch (error) {
+    console.error('Reactivate user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error reactivating user'
+    });
+  }
+};
+
+// Tell both sides of a transfer, in the app and by email. Failures are
+// logged; the work has been transferred either way.
+const notifyTransfer = async (enterprise, fromUser, toUser, counts) => {
+  const fromName = fromUser?.name || 'A former member';
+  const summary = `${counts.leads} lead(s), ${counts.tasks} task(s) and ${counts.meetings} meeting(s)`;
+  const parties = [
+    { user: toUser, isRecipient: true, message: `${summary} of ${fromName} have been transferred to you` },
+    { user: fromUser, isRecipient: false, message: `Your ${summary} have been transferred to ${toUser.name}` }
+  ];
+
+  for (const { user, isRecipient, message } of parties.filter(party => party.user)) {
+    await notificationService.createNotification({
+      enterpriseId: enterprise.id,
+      userId: user.id,
+      title: 'Work Transferred',
+      message,
+      type: 'info',
+      relatedId: isRecipient ? fromUser?.id : toUser.id,
+      relatedType: 'user'
+    });
+
+    try {
+      await emailService.sendWorkTransfer({ ...user, enterprises: enterprise }, {
+        isRecipient,
+        fromName,
+        toName: toUser.name,
+        counts
+      });
+    } catch (error) {
+      console.error('Work transfer email error:', error);
+    }
+  }
+};
+
+// Transfer a member's leads, tasks and meetings to another active member,
+// typically before or after deactivating a departing rep
+const transferUserWork = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { userId } = req.params;
+    const { toUserId } = req.body;
+
+    if (userId === toUserId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Work cannot be transferred to the same user'
+      });
+    }
+
+    // The departing member may already be deactivated
+    const fromMembership = await membershipService.findMembership(userId, req.enterpriseId, { includeInactive: true });
+    if (!fromMembership) {
+      return sendMemberNotFound(res);
+    }
+
+    const toUser = await authService.findUserById(toUserId);
+    if (!toUser || !(await membershipService.findMembership(toUserId, req.enterpriseId))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Work can only be transferred to an active member of this enterprise'
+      });
+    }
+
+    const counts = await teamService.transferWork(req.enterpriseId, userId, toUserId);
+
+    const fromUser = await authService.findUserById(userId);
+    await notifyTransfer(req.enterprise, fromUser, toUser, counts);
+
+    res.json({
+      success: true,
+      message: 'Work transferred successfully',
+      data: {
+        fromUserId: userId,
+        toUserId,
+        transferred: counts
+      }
+    });
+  } catch (error) {
+    console.error('Transfer user work error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error transferring work'
+    });
+  }
+};
+
+module.exports = {
+  changeUserRole,
+  deactivateUser,
+  reactivateUser,
+  transferUserWork
+};
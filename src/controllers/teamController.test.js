@@ -0,0 +1,60 @@
+jest.mock('../config/supabase', () => require('../__tests__/mocks/supabase').createSupabaseMock());
+jest.mock('../services/membershipService', () => ({
+  findMembership: jest.fn(),
+  countActiveMembers: jest.fn(),
+  setRole: jest.fn()
+}));
+jest.mock('../services/roleService', () => ({
+  findRole: jest.fn(),
+  resolveRolePermissions: jest.requireActual('../services/roleService').resolveRolePermissions
+}));
+jest.mock('../services/tokenService', () => ({
+  revokeAllUserSessions: jest.fn()
+}));
+
+const membershipService = require('../services/membershipService');
+const roleService = require('../services/roleService');
+const tokenService = require('../services/tokenService');
+const teamController = require('./teamController');
+const { mockRequest, mockResponse } = require('../__tests__/mocks/express');
+
+describe('teamController.changeUserRole', () => {
+  const sdr = { id: 'role-sdr', name: 'SDR', is_system_role: true };
+  const manager = { id: 'role-manager', name: 'MANAGER', is_system_role: true };
+
+  const changeRole = async (permissions) => {
+    const req = mockRequest({
+      params: { userId: 'user-2' },
+      body: { roleId: sdr.id },
+      user: { userId: 'user-1', permissions },
+      enterpriseId: 'ent-1'
+    });
+    const res = mockResponse();
+    await teamController.changeUserRole(req, res);
+    return res;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    roleService.findRole.mockImplementation(async ({ roleId }) => [sdr, manager].find(role => role.id === roleId) || null);
+  });
+
+  it('changes the role of a member whose role was deleted', async () => {
+    membershipService.findMembership.mockResolvedValue({ user_id: 'user-2', role_id: 'role-deleted', roles: null });
+
+    const res = await changeRole(roleService.resolveRolePermissions(sdr));
+
+    expect(res.statusCode).toBe(200);
+    expect(membershipService.setRole).toHaveBeenCalledWith('ent-1', sdr.id, { userIds: ['user-2'] });
+    expect(tokenService.revokeAllUserSessions).toHaveBeenCalled();
+  });
+
+  it('refuses to manage a member whose role holds more than the caller', async () => {
+    membershipService.findMembership.mockResolvedValue({ user_id: 'user-2', role_id: manager.id, roles: manager });
+
+    const res = await changeRole(roleService.resolveRolePermissions(sdr));
+
+    expect(res.statusCode).toBe(403);
+    expect(membershipService.setRole).not.toHaveBeenCalled();
+  });
+});
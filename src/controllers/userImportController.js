@@ -0,0 +1,136 @@
+const authService = require('../services/authService');
+const userImportService = require('../services/userImportService');
+const entitlementService = require('../services/entitlementService');
+const { sendEntitlementError } = require('../middleware/entitlements');
+
+const formatImportJob = (job) => ({
+  id: job.id,
+  status: job.status,
+  totalRows: job.total_rows,
+  processedRows: job.processed_rows,
+  invited: job.invited_count,
+  skipped: job.skipped_count,
+  failed: job.failed_count,
+  error: job.error,
+  createdBy: job.created_by,
+  createdAt: job.created_at,
+  startedAt: job.started_at,
+  completedAt: job.completed_at
+});
+
+const formatRow = ({ row, email, name, roleName, status, errors, reason }) => ({
+  row,
+  email,
+  name,
+  role: roleName,
+  status,
+  ...(errors && { errors }),
+  ...(reason && { reason })
+});
+
+// Import users from a CSV upload (Content-Type: text/csv). With
+// `?dryRun=true` the rows are only validated and reported; otherwise an
+// import job invites the valid rows in the background.
+const importUsers = async (req, res) => {
+  try {
+    if (typeof req.body !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload the CSV file as the request body with Content-Type: text/csv'
+      });
+    }
+
+    const { rows, error } = userImportService.parse(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const validatedRows = await userImportService.validateRows(req.enterpriseId, rows, { permissions: req.user.permissions });
+
+    if (req.query.dryRun === 'true') {
+      return res.json({
+        success: true,
+        data: {
+          dryRun: true,
+          summary: userImportService.summarize(validatedRows),
+          rows: validatedRows.map(formatRow)
+        }
+      });
+    }
+
+    // Every invitation sent takes a seat, so the whole import must fit. Each
+    // invitation also takes its seat under the lock as the job runs.
+    const { valid } = userImportService.summarize(validatedRows);
+    const createJob = () => userImportService.createJob(req.enterpriseId, req.user.userId, validatedRows.length);
+    let job;
+    if (valid > 0) {
+      const { denial, result } = await entitlementService.withSeats(req.enterprise, createJob, valid);
+      if (denial) {
+        return sendEntitlementError(res, denial);
+      }
+      job = result;
+    } else {
+      job = await createJob();
+    }
+
+    const inviter = req.user.userId ? await authService.findUserById(req.user.userId) : null;
+
+    userImportService.runJob(job, validatedRows, {
+      enterprise: req.enterprise,
+      invitedBy: inviter?.name,
+      invitedById: req.user.userId
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Import started',
+      data: {
+        job: formatImportJob(job),
+        summary: userImportService.summarize(validatedRows)
+      }
+    });
+  } catch (error) {
+    console.error('Import users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error importing users'
+    });
+  }
+};
+
+// Progress of an import job, with the per-row report
+const getImportJob = async (req, res) => {
+  try {
+    const job = await userImportService.findJob(req.enterpriseId, req.params.jobId);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        job: {
+          ...formatImportJob(job),
+          report: job.report || []
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get import job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching import job'
+    });
+  }
+};
+
+module.exports = {
+  importUsers,
+  getImportJob
+};
@@ -1,5 +1,10 @@
 const supabase = require('../config/supabase');
+const axios = require('axios');
 const OpenAI = require('openai');
+const configService = require('../services/configService');
+const authService = require('../services/authService');
+const entitlementService = require('../services/entitlementService');
+const { sendEntitlementError } = require('../middleware/entitlements');
 
 // Initialize OpenAI client
 const openai = new OpenAI({
@@ -107,16 +112,27 @@ const verifyLead = async (req, res) => {
       });
     }
 
-    // Get qualification rules for this enterprise
-    const { data: config, error: configError } = await supabase
-      .from('enterprise_configs')
-      .select('config_data')
-      .eq('enterprise_id', enterpriseId)
-      .eq('config_type', 'lead_qualification_rules')
-      .eq('is_active', true)
-      .single();
+    const enterprise = await authService.findEnterpriseById(enterpriseId, { includeInactive: true });
+    if (!enterprise) {
+      return res.status(404).json({
+        success: false,
+        message: 'Enterprise not found'
+      });
+    }
 
-    if (configError || !config) {
+    // Cancelled enterprises no longer accept webhooks
+    if (!enterprise.is_active) {
+      return res.status(410).json({
+        success: false,
+        code: 'ENTERPRISE_CANCELLED',
+        message: 'This enterprise has been cancelled'
+      });
+    }
+
+    // Get qualification rules for this enterprise, with their version
+    const config = await configService.getActiveConfig(enterpriseId, 'lead_qualification_rules');
+
+    if (!config) {
       console.log('No qualification rules found for enterprise:', enterpriseId);
       // If no rules are set, consider the lead qualified
       return res.status(200).json({
@@ -128,6 +144,12 @@ const verifyLead = async (req, res) => {
       });
     }
 
+    // Every AI evaluation counts towards the plan's monthly quota
+    const quotaDenial = await entitlementService.checkAiQuota(enterprise);
+    if (quotaDenial) {
+      return sendEntitlementError(res, quotaDenial);
+    }
+
     const rules = config.config_data;
     // For HubSpot contact creation events, we need to fetch the contact data
     // since the webhook payload doesn't include the properties
@@ -199,19 +221,20 @@ const verifyLead = async (req, res) => {
       contact_id: webhookPayload.objectId || webhookPayload.contactId,
       contact_data: contactData,
       rules_evaluated: rules,
+      config_version: config.version,
       qualification_result: result,
       webhook_payload: webhookPayload,
       created_at: new Date().toISOString()
     };
 
-    // You might want to store this in a separate table for analytics
-    // const { error: storeError } = await supabase
-    //   .from('lead_qualifications')
-    //   .insert(qualificationRecord);
+    // Record which rules version the lead was evaluated against
+    const { error: storeError } = await supabase
+      .from('lead_qualifications')
+      .insert(qualificationRecord);
 
-    // if (storeError) {
-    //   console.error('Error storing qualification record:', storeError);
-    // }
+    if (storeError) {
+      console.error('Error storing qualification record:', storeError);
+    }
 
     return res.status(200).json({
       success: true,
@@ -221,6 +244,7 @@ const verifyLead = async (req, res) => {
       failedRules: result.failedRules,
       contactData,
       rulesEvaluated: rules,
+      configVersion: config.version,
       message: result.qualified ? 'Lead qualified' : 'Lead disqualified'
     });
 
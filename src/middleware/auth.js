@@ -1,11 +1,59 @@
 const jwt = require('jsonwebtoken');
 const { validationResult } = require('express-validator');
+const sessionService = require('../services/sessionService');
+const apiKeyService = require('../services/apiKeyService');
+const impersonationService = require('../services/impersonationService');
 
+// API keys act for their enterprise with exactly their scopes as permissions
+const authenticateApiKey = async (key) => {
+  const apiKey = await apiKeyService.authenticate(key);
+  if (!apiKey) {
+    return null;
+  }
+
+  return {
+    authType: 'api_key',
+    apiKeyId: apiKey.id,
+    userId: null,
+    email: null,
+    enterpriseId: apiKey.enterprise_id,
+    roleId: null,
+    role: null,
+    permissions: apiKey.scopes || []
+  };
+};
+
+// Write an impersonated request to the audit log once it has ended.
+// 'close' also fires when the client disconnects before the response is
+// sent, which 'finish' does not; those requests are logged as aborted.
+const auditImpersonatedRequest = (req, res) => {
+  res.once('close', () => {
+    const aborted = !res.writableFinished;
+
+    impersonationService.logEvent({
+      sessionId: req.user.sid,
+      impersonatorId: req.actor.userId,
+      userId: req.user.userId,
+      enterpriseId: req.user.enterpriseId,
+      event: 'request',
+      method: req.method,
+      path: req.originalUrl,
+      statusCode: res.headersSent ? res.statusCode : null,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      reason: aborted ? 'aborted' : null
+    }).catch(error => console.error('Impersonation audit error:', error));
+  });
+};
+
+/**
+ * Authenticate a user access token or an API key. `req.user` is the
+ * effective user; `req.actor` is who is really making the request, which
+ * differs from `req.user` only while impersonating.
+ */
 const auth = async (req, res, next) => {
   try {
     // Check for validation errors
-    console.log(req);
-    
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({
@@ -14,9 +62,8 @@ const auth = async (req, res, next) => {
       });
     }
 
-    const token = req.header('Authorization')?.replace('Bearer ', '');
-    console.log(token);
-    
+    const token = req.header('X-API-Key') || req.header('Authorization')?.replace('Bearer ', '');
+
     if (!token) {
       return res.status(401).json({
         success: false,
@@ -24,8 +71,53 @@ const auth = async (req, res, next) => {
       });
     }
 
+    if (apiKeyService.isApiKey(token)) {
+      const apiKeyUser = await authenticateApiKey(token);
+      if (!apiKeyUser) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid or expired API key.'
+        });
+      }
+
+      req.user = apiKeyUser;
+      req.actor = apiKeyUser;
+      return next();
+    }
+
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
+
+    // Purpose tokens (invitations, etc.) are signed with the same secret but
+    // are not access tokens
+    if (decoded.type) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid token.'
+      });
+    }
+
+    // Access tokens are bound to a session; revoking it (logout, sign out
+    // everywhere, account deletion) takes effect immediately
+    if (!decoded.sid || !(await sessionService.isSessionActive(decoded.sid))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has expired or been revoked.'
+      });
+    }
+
+    req.user = { ...decoded, authType: 'user' };
+
+    if (decoded.impersonatorId) {
+      req.actor = {
+        authType: 'user',
+        userId: decoded.impersonatorId,
+        enterpriseId: decoded.enterpriseId
+      };
+      auditImpersonatedRequest(req, res);
+    } else {
+      req.actor = req.user;
+    }
+
     next();
   } catch (error) {
     res.status(401).json({
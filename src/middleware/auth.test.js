@@ -0,0 +1,131 @@
+jest.mock('../config/supabase', () => require('../__tests__/mocks/supabase').createSupabaseMock());
+jest.mock('../services/sessionService', () => ({
+  isSessionActive: jest.fn()
+}));
+jest.mock('../services/impersonationService', () => ({
+  logEvent: jest.fn()
+}));
+
+const { EventEmitter } = require('events');
+const jwt = require('jsonwebtoken');
+const sessionService = require('../services/sessionService');
+const impersonationService = require('../services/impersonationService');
+const auth = require('./auth');
+const { mockRequest, mockResponse } = require('../__tests__/mocks/express');
+
+describe('auth middleware while impersonating', () => {
+  const token = () => jwt.sign(
+    { userId: 'user-1', enterpriseId: 'ent-1', sid: 'session-1', impersonatorId: 'manager-1' },
+    process.env.JWT_SECRET
+  );
+
+  // A response that emits 'close' like http.ServerResponse does
+  const closableResponse = () => Object.assign(new EventEmitter(), mockResponse(), {
+    headersSent: false,
+    writableFinished: false
+  });
+
+  const authenticate = async (res) => {
+    const req = mockRequest({
+      method: 'GET',
+      originalUrl: '/api/enterprise/ent-1/users',
+      headers: { authorization: `Bearer ${token()}`, 'user-agent': 'jest' }
+    });
+    req.header = req.get;
+    const next = jest.fn();
+    await auth(req, res, next);
+    expect(next).toHaveBeenCalled();
+    return req;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    sessionService.isSessionActive.mockResolvedValue(true);
+    impersonationService.logEvent.mockResolvedValue();
+  });
+
+  it('audits a completed request once', async () => {
+    const res = closableResponse();
+    const req = await authenticate(res);
+
+    expect(req.actor).toMatchObject({ userId: 'manager-1' });
+
+    Object.assign(res, { statusCode: 200, headersSent: true, writableFinished: true });
+    res.emit('finish');
+    res.emit('close');
+
+    expect(impersonationService.logEvent).toHaveBeenCalledTimes(1);
+    expect(impersonationService.logEvent).toHaveBeenCalledWith(expect.objectContaining({
+      sessionId: 'session-1',
+      impersonatorId: 'manager-1',
+      event: 'request',
+      path: '/api/enterprise/ent-1/users',
+      statusCode: 200,
+      reason: null
+    }));
+  });
+
+  it('audits a request the client abandoned', async () => {
+    const res = closableResponse();
+    await authenticate(res);
+
+    res.emit('close');
+
+    expect(impersonationService.logEvent).toHaveBeenCalledWith(expect.objectContaining({
+      event: 'request',
+      statusCode: null,
+      reason: 'aborted'
+    }));
+  });
+});
+
+describe('auth middleware sessions', () => {
+  const authenticate = async (payload, options) => {
+    const req = mockRequest({ headers: { authorization: `Bearer ${jwt.sign(payload, process.env.JWT_SECRET, options)}` } });
+    req.header = req.get;
+    const res = mockResponse();
+    const next = jest.fn();
+    await auth(req, res, next);
+    return { req, res, next };
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('stops accepting the tokens of a revoked session', async () => {
+    sessionService.isSessionActive.mockResolvedValue(false);
+
+    const { res, next } = await authenticate({ userId: 'user-1', enterpriseId: 'ent-1', sid: 'session-1' });
+
+    expect(sessionService.isSessionActive).toHaveBeenCalledWith('session-1');
+    expect(res.statusCode).toBe(401);
+    expect(res.body.message).toBe('Session has expired or been revoked.');
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('rejects tokens that are not bound to a session', async () => {
+    const { res, next } = await authenticate({ userId: 'user-1', enterpriseId: 'ent-1' });
+
+    expect(res.statusCode).toBe(401);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('rejects an expired access token', async () => {
+    sessionService.isSessionActive.mockResolvedValue(true);
+
+    const { res, next } = await authenticate({ userId: 'user-1', enterpriseId: 'ent-1', sid: 'session-1' }, { expiresIn: -10 });
+
+    expect(res.statusCode).toBe(401);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('accepts a token of a live session', async () => {
+    sessionService.isSessionActive.mockResolvedValue(true);
+
+    const { req, next } = await authenticate({ userId: 'user-1', enterpriseId: 'ent-1', sid: 'session-1' });
+
+    expect(next).toHaveBeenCalled();
+    expect(req.user).toMatchObject({ userId: 'user-1', sid: 'session-1', authType: 'user' });
+  });
+});
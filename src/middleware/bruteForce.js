@@ -0,0 +1,48 @@
+const lockoutService = require('../services/lockoutService');
+
+// 429 while a progressive delay applies, 423 while the account (or IP) is
+// locked
+const sendThrottled = (res, { locked, retryAfter }) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(locked ? 423 : 429).json({
+    success: false,
+    message: locked
+      ? 'Too many failed attempts. This account is temporarily locked.'
+      : 'Too many failed attempts. Please wait before trying again.',
+    retryAfter
+  });
+};
+
+/**
+ * Throttle an authentication action per IP and per account. Rejects with
+ * 429 while a progressive delay applies and 423 while the account (or IP)
+ * is locked. Controllers record the outcome with `req.bruteForce.keys`.
+ */
+const bruteForceGuard = (action) => async (req, res, next) => {
+  try {
+    // The signed-in (or challenged) account wins over an email in the body,
+    // so the body cannot steer failures to another account's counter
+    const keys = lockoutService.buildKeys(action, {
+      ip: req.ip,
+      email: req.user?.email || req.body?.email
+    });
+
+    const attempt = await lockoutService.check(keys);
+
+    if (!attempt.allowed) {
+      return sendThrottled(res, attempt);
+    }
+
+    req.bruteForce = { action, keys };
+    next();
+  } catch (error) {
+    console.error('Brute force guard error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error checking authentication attempts'
+    });
+  }
+};
+
+module.exports = bruteForceGuard;
+module.exports.sendThrottled = sendThrottled;
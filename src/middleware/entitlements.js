@@ -0,0 +1,26 @@
+const entitlementService = require('../services/entitlementService');
+
+// Respond with a denial from entitlementService
+const sendEntitlementError = (res, denial) => res.status(denial.status).json({
+  success: false,
+  code: denial.code,
+  message: denial.message
+});
+
+/**
+ * Require a feature of the enterprise's subscription plan. Must run after
+ * `tenantScope`.
+ */
+const requireFeature = (feature) => (req, res, next) => {
+  const denial = entitlementService.checkFeature(req.enterprise, feature);
+  if (denial) {
+    return sendEntitlementError(res, denial);
+  }
+
+  next();
+};
+
+module.exports = {
+  requireFeature,
+  sendEntitlementError
+};
@@ -0,0 +1,18 @@
+/**
+ * Block changes (credentials, account deletion, settings, integrations and
+ * any other write) while impersonating another user, so impersonation
+ * sessions are read-only. Must run after `auth`.
+ */
+const blockImpersonation = (req, res, next) => {
+  if (req.user?.impersonatorId) {
+    return res.status(403).json({
+      success: false,
+      code: 'IMPERSONATION_FORBIDDEN',
+      message: 'This action is not allowed while impersonating a user'
+    });
+  }
+
+  next();
+};
+
+module.exports = blockImpersonation;
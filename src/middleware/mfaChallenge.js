@@ -0,0 +1,27 @@
+const mfaService = require('../services/mfaService');
+
+/**
+ * Authenticate the second login step with the `mfaToken` verification
+ * challenge returned by /login. `req.user` is the account and enterprise the
+ * login is for, so brute-force protection can key on the account.
+ */
+const mfaChallenge = (req, res, next) => {
+  const challenge = mfaService.verifyChallengeToken(req.body?.mfaToken, 'verify');
+  if (!challenge) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or expired MFA token'
+    });
+  }
+
+  req.user = {
+    userId: challenge.userId,
+    email: challenge.email,
+    enterpriseId: challenge.enterpriseId,
+    authType: 'user',
+    mfaChallenge: true
+  };
+  next();
+};
+
+module.exports = mfaChallenge;
@@ -0,0 +1,34 @@
+const auth = require('./auth');
+const requireUser = require('./requireUser');
+const mfaService = require('../services/mfaService');
+
+/**
+ * Authenticate MFA enrolment requests either with a regular access token or,
+ * when the enterprise policy forces enrolment during login, with the
+ * `mfaToken` enrolment challenge returned by /login.
+ */
+const mfaEnrollment = (req, res, next) => {
+  const { mfaToken } = req.body || {};
+
+  if (!mfaToken) {
+    return auth(req, res, () => requireUser(req, res, next));
+  }
+
+  const challenge = mfaService.verifyChallengeToken(mfaToken, 'enroll');
+  if (!challenge) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or expired MFA token'
+    });
+  }
+
+  req.user = {
+    userId: challenge.userId,
+    enterpriseId: challenge.enterpriseId,
+    authType: 'user',
+    mfaEnrollment: true
+  };
+  next();
+};
+
+module.exports = mfaEnrollment;
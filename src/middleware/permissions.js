@@ -0,0 +1,67 @@
+const roleService = require('../services/roleService');
+
+// Load the caller's permissions once per request from their role
+const loadPermissions = async (req) => {
+  if (!req.user.permissions) {
+    req.user.permissions = await roleService.getPermissions({
+      roleId: req.user.roleId,
+      enterpriseId: req.user.enterpriseId,
+      roleName: req.user.role
+    });
+  }
+
+  return req.user.permissions;
+};
+
+const hasPermission = async (req, permission) => {
+  const permissions = await loadPermissions(req);
+  return permissions.includes(permission);
+};
+
+// Those of `permissions` that the caller does not hold
+const missingPermissions = async (req, permissions) => {
+  const held = await loadPermissions(req);
+  return permissions.filter(permission => !held.includes(permission));
+};
+
+// Members may only be managed, and roles only granted, by callers who hold
+// every permission of the role concerned. A role that no longer exists
+// grants nothing.
+const exceedsCallerPermissions = async (req, roleId) => {
+  const role = await roleService.findRole({ roleId, enterpriseId: req.enterpriseId });
+  const missing = await missingPermissions(req, roleService.resolveRolePermissions(role));
+  return missing.length > 0;
+};
+
+/**
+ * Require every listed permission on the caller's role. Must run after `auth`.
+ */
+const requirePermission = (...required) => async (req, res, next) => {
+  try {
+    const permissions = await loadPermissions(req);
+    const missing = required.filter(permission => !permissions.includes(permission));
+
+    if (missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Insufficient permissions',
+        missingPermissions: missing
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Permission check error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error checking permissions'
+    });
+  }
+};
+
+module.exports = {
+  requirePermission,
+  hasPermission,
+  missingPermissions,
+  exceedsCallerPermissions
+};
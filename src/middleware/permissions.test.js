@@ -0,0 +1,77 @@
+jest.mock('../config/supabase', () => require('../__tests__/mocks/supabase').createSupabaseMock());
+
+const supabase = require('../config/supabase');
+const roleService = require('../services/roleService');
+const { requirePermission, hasPermission } = require('./permissions');
+const { DEFAULT_ROLE_PERMISSIONS } = require('../config/permissions');
+const { mockRequest, mockResponse } = require('../__tests__/mocks/express');
+
+describe('requirePermission', () => {
+  const callerWith = (role) => {
+    supabase.respond('roles', { data: role, error: null });
+    return mockRequest({ user: { userId: 'user-1', enterpriseId: 'ent-1', roleId: role && role.id } });
+  };
+
+  const check = async (req, ...permissions) => {
+    const res = mockResponse();
+    const next = jest.fn();
+    await requirePermission(...permissions)(req, res, next);
+    return { res, next };
+  };
+
+  beforeEach(() => {
+    supabase.reset();
+  });
+
+  it('keeps reps away from administration', async () => {
+    const req = callerWith({ id: 'role-sdr', name: 'SDR', is_system_role: false, permissions: null });
+
+    const { res, next } = await check(req, 'rules:read', 'rules:write');
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(403);
+    expect(res.body.missingPermissions).toEqual(['rules:write']);
+  });
+
+  it('lets a manager through', async () => {
+    const req = callerWith({ id: 'role-manager', name: 'MANAGER', is_system_role: true, permissions: ['enterprise:read'] });
+
+    const { next } = await check(req, 'crm:manage');
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('looks the role up in the caller\'s enterprise once per request', async () => {
+    const req = callerWith({ id: 'role-custom', name: 'Ops', is_system_role: false, permissions: ['crm:read'] });
+
+    await check(req, 'crm:read');
+    await expect(hasPermission(req, 'crm:manage')).resolves.toBe(false);
+
+    const [lookup] = supabase.queriesOf('roles');
+    expect(supabase.queriesOf('roles')).toHaveLength(1);
+    expect(lookup.calls).toContainEqual(['eq', 'enterprise_id', 'ent-1']);
+    expect(lookup.calls).toContainEqual(['eq', 'id', 'role-custom']);
+  });
+
+  it('grants nothing to a role that does not exist', async () => {
+    const req = callerWith(null);
+    req.user.roleId = 'role-deleted';
+
+    const { res } = await check(req, 'enterprise:read');
+
+    expect(res.statusCode).toBe(403);
+  });
+});
+
+describe('roleService.resolveRolePermissions', () => {
+  it('gives system roles their current default set', () => {
+    expect(roleService.resolveRolePermissions({ name: 'MANAGER', is_system_role: true, permissions: [] }))
+      .toEqual(DEFAULT_ROLE_PERMISSIONS.MANAGER);
+  });
+
+  it('uses the stored set of other roles, falling back to the defaults of seeded ones', () => {
+    expect(roleService.resolveRolePermissions({ name: 'AE', is_system_role: false, permissions: ['users:read'] })).toEqual(['users:read']);
+    expect(roleService.resolveRolePermissions({ name: 'AE', is_system_role: false, permissions: null })).toEqual(DEFAULT_ROLE_PERMISSIONS.AE);
+    expect(roleService.resolveRolePermissions({ name: 'Ops', is_system_role: false, permissions: null })).toEqual([]);
+  });
+});
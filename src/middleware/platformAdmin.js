@@ -0,0 +1,25 @@
+const crypto = require('crypto');
+
+/**
+ * Restrict platform operations (approving onboarding, etc.) to holders of
+ * the PLATFORM_ADMIN_TOKEN, sent in the X-Platform-Admin-Token header.
+ * Without the variable set these routes are disabled.
+ */
+const platformAdmin = (req, res, next) => {
+  const expected = process.env.PLATFORM_ADMIN_TOKEN;
+  const provided = req.header('X-Platform-Admin-Token');
+
+  const expectedHash = crypto.createHash('sha256').update(expected || '').digest();
+  const providedHash = crypto.createHash('sha256').update(provided || '').digest();
+
+  if (!expected || !provided || !crypto.timingSafeEqual(expectedHash, providedHash)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Platform administrator access required'
+    });
+  }
+
+  next();
+};
+
+module.exports = platformAdmin;
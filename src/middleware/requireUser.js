@@ -0,0 +1,16 @@
+/**
+ * Reject API keys on routes that act on the signed-in user's own account
+ * (profile, sessions, MFA, notifications). Must run after `auth`.
+ */
+const requireUser = (req, res, next) => {
+  if (req.user?.authType !== 'user') {
+    return res.status(403).json({
+      success: false,
+      message: 'This endpoint requires a user access token'
+    });
+  }
+
+  next();
+};
+
+module.exports = requireUser;
@@ -0,0 +1,43 @@
+const authService = require('../services/authService');
+const scimService = require('../services/scimService');
+
+const sendError = (res, status, detail) => res
+  .status(status)
+  .type('application/scim+json')
+  .json({
+    schemas: [scimService.SCHEMAS.error],
+    status: String(status),
+    detail
+  });
+
+/**
+ * Authenticate SCIM requests with the enterprise's SCIM bearer token and
+ * scope them to that enterprise (`req.enterpriseId`, `req.enterprise`).
+ */
+const scimAuth = async (req, res, next) => {
+  try {
+    const token = req.header('Authorization')?.replace('Bearer ', '');
+    if (!token) {
+      return sendError(res, 401, 'Bearer token required');
+    }
+
+    const record = await scimService.authenticate(token);
+    if (!record) {
+      return sendError(res, 401, 'Invalid bearer token');
+    }
+
+    const enterprise = await authService.findEnterpriseById(record.enterprise_id);
+    if (!enterprise) {
+      return sendError(res, 403, 'Enterprise is not active');
+    }
+
+    req.enterpriseId = enterprise.id;
+    req.enterprise = enterprise;
+    next();
+  } catch (error) {
+    console.error('SCIM auth error:', error);
+    sendError(res, 500, 'Error authenticating request');
+  }
+};
+
+module.exports = scimAuth;
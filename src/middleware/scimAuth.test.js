@@ -0,0 +1,69 @@
+jest.mock('../config/supabase', () => require('../__tests__/mocks/supabase').createSupabaseMock());
+jest.mock('../services/authService', () => ({
+  findEnterpriseById: jest.fn()
+}));
+
+const supabase = require('../config/supabase');
+const authService = require('../services/authService');
+const scimService = require('../services/scimService');
+const scimAuth = require('./scimAuth');
+const { mockRequest, mockResponse } = require('../__tests__/mocks/express');
+
+describe('scimAuth', () => {
+  const enterprise = { id: 'ent-1', name: 'Acme' };
+
+  const authenticate = async (authorization) => {
+    const req = mockRequest({ headers: authorization ? { authorization } : {} });
+    req.header = req.get;
+    const res = mockResponse();
+    res.type = jest.fn(() => res);
+    const next = jest.fn();
+    await scimAuth(req, res, next);
+    return { req, res, next };
+  };
+
+  beforeEach(() => {
+    supabase.reset();
+    jest.clearAllMocks();
+    authService.findEnterpriseById.mockResolvedValue(enterprise);
+  });
+
+  it('requires a bearer token', async () => {
+    const { res, next } = await authenticate();
+
+    expect(res.statusCode).toBe(401);
+    expect(res.body).toMatchObject({ schemas: [scimService.SCHEMAS.error], status: '401' });
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('rejects unknown and revoked tokens', async () => {
+    const { res, next } = await authenticate('Bearer scim_unknown');
+
+    const [lookup] = supabase.queriesOf('scim_tokens');
+    expect(lookup.calls).toContainEqual(['eq', 'token_hash', scimService.hashToken('scim_unknown')]);
+    expect(lookup.calls).toContainEqual(['is', 'revoked_at', null]);
+    expect(res.statusCode).toBe(401);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('scopes the request to the enterprise of the token', async () => {
+    supabase.respond('scim_tokens', { data: { id: 'token-1', enterprise_id: 'ent-1' }, error: null });
+
+    const { req, next } = await authenticate('Bearer scim_valid');
+
+    expect(next).toHaveBeenCalled();
+    expect(req.enterpriseId).toBe('ent-1');
+    expect(req.enterprise).toBe(enterprise);
+    expect(supabase.argsOf(supabase.queriesOf('scim_tokens')[1], 'update')[0]).toMatchObject({ last_used_at: expect.any(String) });
+  });
+
+  it('refuses tokens of inactive enterprises', async () => {
+    supabase.respond('scim_tokens', { data: { id: 'token-1', enterprise_id: 'ent-1' }, error: null });
+    authService.findEnterpriseById.mockResolvedValue(null);
+
+    const { res, next } = await authenticate('Bearer scim_valid');
+
+    expect(res.statusCode).toBe(403);
+    expect(next).not.toHaveBeenCalled();
+  });
+});
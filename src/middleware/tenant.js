@@ -0,0 +1,64 @@
+const authService = require('../services/authService');
+
+/**
+ * Bind the request to the caller's enterprise (from the JWT).
+ * Must run after `auth`.
+ *
+ * Options:
+ *  - param: route param holding the enterprise ID (e.g. 'id', 'enterpriseId')
+ *  - body:  body field holding the enterprise ID; defaults to the caller's
+ *           enterprise when omitted
+ *
+ * Responds 403 when the requested enterprise is not the caller's and 404
+ * when the caller's enterprise no longer exists or is inactive. On success
+ * `req.enterpriseId` and `req.enterprise` are set.
+ */
+const tenantScope = (options = {}) => async (req, res, next) => {
+  try {
+    const enterpriseId = req.user?.enterpriseId;
+    if (!enterpriseId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Enterprise information not found in token.'
+      });
+    }
+
+    let requestedId;
+    if (options.param) {
+      requestedId = req.params[options.param];
+    } else if (options.body) {
+      requestedId = req.body?.[options.body];
+    }
+
+    if (requestedId !== undefined && requestedId !== enterpriseId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied for this enterprise'
+      });
+    }
+
+    const enterprise = await authService.findEnterpriseById(enterpriseId);
+    if (!enterprise) {
+      return res.status(404).json({
+        success: false,
+        message: 'Enterprise not found'
+      });
+    }
+
+    if (options.body) {
+      req.body[options.body] = enterpriseId;
+    }
+
+    req.enterpriseId = enterpriseId;
+    req.enterprise = enterprise;
+    next();
+  } catch (error) {
+    console.error('Tenant scope error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error resolving enterprise'
+    });
+  }
+};
+
+module.exports = tenantScope;
@@ -0,0 +1,65 @@
+jest.mock('../config/supabase', () => require('../__tests__/mocks/supabase').createSupabaseMock());
+
+const supabase = require('../config/supabase');
+const tenantScope = require('./tenant');
+const { mockRequest, mockResponse } = require('../__tests__/mocks/express');
+
+describe('tenantScope', () => {
+  const enterprise = { id: 'ent-1', name: 'Acme', is_active: true };
+
+  const scope = async (options, request) => {
+    const req = mockRequest({ user: { userId: 'user-1', enterpriseId: 'ent-1' }, ...request });
+    const res = mockResponse();
+    const next = jest.fn();
+    await tenantScope(options)(req, res, next);
+    return { req, res, next };
+  };
+
+  beforeEach(() => {
+    supabase.reset();
+  });
+
+  it('rejects another enterprise in the route', async () => {
+    const { res, next } = await scope({ param: 'id' }, { params: { id: 'ent-2' } });
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.message).toBe('Access denied for this enterprise');
+    expect(next).not.toHaveBeenCalled();
+    expect(supabase.queriesOf('enterprises')).toHaveLength(0);
+  });
+
+  it('rejects another enterprise in the body', async () => {
+    const { res, next } = await scope({ body: 'enterpriseId' }, { body: { enterpriseId: 'ent-2' } });
+
+    expect(res.statusCode).toBe(403);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('rejects a token without an enterprise', async () => {
+    const { res, next } = await scope({ param: 'id' }, { params: { id: 'ent-1' }, user: { userId: 'user-1' } });
+
+    expect(res.statusCode).toBe(403);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('returns 404 when the enterprise is gone or inactive', async () => {
+    supabase.respond('enterprises', { data: null, error: { message: 'no rows' } });
+
+    const { res, next } = await scope({ param: 'id' }, { params: { id: 'ent-1' } });
+
+    expect(res.statusCode).toBe(404);
+    expect(next).not.toHaveBeenCalled();
+    expect(supabase.argsOf(supabase.queriesOf('enterprises')[0], 'eq')).toEqual(['id', 'ent-1']);
+  });
+
+  it('binds the request to the caller\'s enterprise', async () => {
+    supabase.respond('enterprises', { data: enterprise, error: null });
+
+    const { req, next } = await scope({ body: 'enterpriseId' }, { body: {} });
+
+    expect(next).toHaveBeenCalled();
+    expect(req.enterpriseId).toBe('ent-1');
+    expect(req.enterprise).toBe(enterprise);
+    expect(req.body.enterpriseId).toBe('ent-1');
+  });
+});
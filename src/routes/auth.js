@@ -1,10 +1,27 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
 const authController = require('../controllers/authController');
+const mfaController = require('../controllers/mfaController');
+const sessionController = require('../controllers/sessionController');
+const membershipController = require('../controllers/membershipController');
+const ssoController = require('../controllers/ssoController');
+const impersonationController = require('../controllers/impersonationController');
 const auth = require('../middleware/auth');
+const mfaEnrollment = require('../middleware/mfaEnrollment');
+const mfaChallenge = require('../middleware/mfaChallenge');
+const bruteForceGuard = require('../middleware/bruteForce');
+const requireUser = require('../middleware/requireUser');
+const blockImpersonation = require('../middleware/impersonation');
+const { requirePermission } = require('../middleware/permissions');
 
 const router = express.Router();
 
+// Account routes act on the signed-in user and do not accept API keys
+const userAuth = [auth, requireUser];
+
+// Credential and account changes are not allowed while impersonating
+const sensitiveUserAuth = [...userAuth, blockImpersonation];
+
 // Validation middleware
 const validateRegistration = [
   body('name')
@@ -15,14 +32,11 @@ const validateRegistration = [
     .isEmail()
     .normalizeEmail()
     .withMessage('Please provide a valid email'),
+  // Strength rules come from the enterprise password policy
   body('password')
-    .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters long')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number'),
-  body('enterpriseId')
-    .isUUID()
-    .withMessage('Valid enterprise ID is required')
+    .isString()
+    .notEmpty()
+    .withMessage('Password is required')
 ];
 
 const validateLogin = [
@@ -32,7 +46,17 @@ const validateLogin = [
     .withMessage('Please provide a valid email'),
   body('password')
     .notEmpty()
-    .withMessage('Password is required')
+    .withMessage('Password is required'),
+  body('enterpriseId')
+    .optional()
+    .isUUID()
+    .withMessage('Enterprise ID must be a valid UUID')
+];
+
+const validateSwitchEnterprise = [
+  body('enterpriseId')
+    .isUUID()
+    .withMessage('Valid enterprise ID is required')
 ];
 
 const validatePasswordReset = [
@@ -42,27 +66,131 @@ const validatePasswordReset = [
     .withMessage('Please provide a valid email')
 ];
 
+const validatePasswordResetCompletion = [
+  body('password')
+    .isString()
+    .notEmpty()
+    .withMessage('Password is required')
+];
+
+const validateAcceptInvite = [
+  body('token')
+    .notEmpty()
+    .withMessage('Invitation token is required'),
+  // Strength rules come from the enterprise password policy
+  body('password')
+    .isString()
+    .notEmpty()
+    .withMessage('Password is required')
+];
+
+const validateUnlock = [
+  body('token')
+    .notEmpty()
+    .withMessage('Unlock token is required')
+];
+
+const validateEmailVerification = [
+  body('token')
+    .notEmpty()
+    .withMessage('Verification token is required')
+];
+
+const validateMfaCode = [
+  body('code')
+    .notEmpty()
+    .withMessage('Verification code is required')
+];
+
+const validateMfaLogin = [
+  body('mfaToken')
+    .notEmpty()
+    .withMessage('MFA token is required'),
+  body('code')
+    .if(body('recoveryCode').not().exists())
+    .notEmpty()
+    .withMessage('Verification code or recovery code is required')
+];
+
+const validateMfaDisable = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  ...validateMfaCode
+];
+
+const validateSsoStart = [
+  query('email')
+    .isEmail()
+    .withMessage('Please provide a valid email')
+];
+
+const validateSsoCallback = [
+  body('code')
+    .notEmpty()
+    .withMessage('Authorization code is required'),
+  body('state')
+    .notEmpty()
+    .withMessage('State is required')
+];
+
+const validateImpersonation = [
+  body('reason')
+    .trim()
+    .isLength({ min: 5, max: 500 })
+    .withMessage('A reason between 5 and 500 characters is required')
+];
+
 const validatePasswordUpdate = [
   body('currentPassword')
     .notEmpty()
     .withMessage('Current password is required'),
   body('newPassword')
-    .isLength({ min: 6 })
-    .withMessage('New password must be at least 6 characters long')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('New password must contain at least one uppercase letter, one lowercase letter, and one number')
+    .isString()
+    .notEmpty()
+    .withMessage('New password is required')
 ];
 
 // Routes
 router.post('/register', validateRegistration, authController.register);
-router.post('/login', validateLogin, authController.login);
-router.post('/logout', auth, authController.logout);
+router.post('/login', validateLogin, bruteForceGuard('login'), authController.login);
+router.post('/accept-invite', validateAcceptInvite, authController.acceptInvite);
+router.post('/logout', userAuth, authController.logout);
+router.post('/logout-all', sensitiveUserAuth, sessionController.logoutAll);
 router.post('/refresh-token', authController.refreshToken);
-router.post('/forgot-password', validatePasswordReset, authController.forgotPassword);
-router.post('/reset-password/:token', authController.resetPassword);
-router.put('/change-password', auth, validatePasswordUpdate, authController.changePassword);
-router.get('/me', auth, authController.getProfile);
-router.put('/me', auth, authController.updateProfile);
-router.delete('/me', auth, authController.deleteAccount);
+router.post('/forgot-password', validatePasswordReset, bruteForceGuard('forgot-password'), authController.forgotPassword);
+router.post('/reset-password/:token', validatePasswordResetCompletion, bruteForceGuard('reset-password'), authController.resetPassword);
+router.post('/unlock', validateUnlock, authController.unlockAccount);
+router.put('/change-password', sensitiveUserAuth, validatePasswordUpdate, bruteForceGuard('change-password'), authController.changePassword);
+router.get('/me', userAuth, authController.getProfile);
+router.put('/me', sensitiveUserAuth, authController.updateProfile);
+router.delete('/me', sensitiveUserAuth, authController.deleteAccount);
+router.post('/verify-email', validateEmailVerification, authController.verifyEmail);
+router.post('/join-requests/verify', validateEmailVerification, authController.verifyJoinRequest);
+router.post('/resend-verification', sensitiveUserAuth, authController.resendVerification);
+
+// Enterprise memberships
+router.get('/memberships', userAuth, membershipController.listMemberships);
+router.post('/switch-enterprise', sensitiveUserAuth, validateSwitchEnterprise, membershipController.switchEnterprise);
+
+// Multi-factor authentication
+router.get('/mfa', userAuth, mfaController.getStatus);
+router.post('/mfa/setup', mfaEnrollment, blockImpersonation, mfaController.setup);
+router.post('/mfa/enable', mfaEnrollment, blockImpersonation, validateMfaCode, mfaController.enable);
+router.post('/mfa/disable', sensitiveUserAuth, validateMfaDisable, bruteForceGuard('mfa'), mfaController.disable);
+router.post('/mfa/recovery-codes', sensitiveUserAuth, validateMfaCode, bruteForceGuard('mfa'), mfaController.regenerateRecoveryCodes);
+router.post('/mfa/verify', validateMfaLogin, mfaChallenge, bruteForceGuard('mfa'), mfaController.verifyLogin);
+
+// Single sign-on (OpenID Connect)
+router.get('/sso/start', validateSsoStart, ssoController.startLogin);
+router.post('/sso/callback', validateSsoCallback, ssoController.callback);
+
+// Impersonation
+router.post('/impersonate/stop', userAuth, impersonationController.stopImpersonation);
+router.post('/impersonate/:userId', sensitiveUserAuth, requirePermission('users:impersonate'), validateImpersonation, impersonationController.startImpersonation);
+
+// Sessions
+router.get('/sessions', userAuth, sessionController.listSessions);
+router.delete('/sessions/:id', sensitiveUserAuth, sessionController.revokeSession);
 
 module.exports = router; 
\ No newline at end of file
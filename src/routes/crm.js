@@ -2,6 +2,9 @@ const express = require('express');
 const { body } = require('express-validator');
 const crmController = require('../controllers/crmController');
 const auth = require('../middleware/auth');
+const tenantScope = require('../middleware/tenant');
+const blockImpersonation = require('../middleware/impersonation');
+const { requirePermission } = require('../middleware/permissions');
 
 const router = express.Router();
 
@@ -16,9 +19,9 @@ const validateUpsert = [
 ];
 
 // Upsert CRM config
-router.put('/:provider', auth, validateUpsert, crmController.upsertCRMConfig);
+router.put('/:provider', auth, blockImpersonation, tenantScope(), requirePermission('crm:manage'), validateUpsert, crmController.upsertCRMConfig);
 
 // Get CRM config
-router.get('/:provider', auth, crmController.getCRMConfig);
+router.get('/:provider', auth, tenantScope(), requirePermission('crm:read'), crmController.getCRMConfig);
 
 module.exports = router; 
\ No newline at end of file
@@ -1,7 +1,27 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const enterpriseController = require('../controllers/enterpriseController');
+const configController = require('../controllers/configController');
+const teamController = require('../controllers/teamController');
+const userImportController = require('../controllers/userImportController');
+const roleController = require('../controllers/roleController');
+const invitationController = require('../controllers/invitationController');
+const joinRequestController = require('../controllers/joinRequestController');
+const impersonationController = require('../controllers/impersonationController');
+const ssoController = require('../controllers/ssoController');
+const apiKeyController = require('../controllers/apiKeyController');
+const planController = require('../controllers/planController');
+const exportController = require('../controllers/exportController');
+const offboardingController = require('../controllers/offboardingController');
 const auth = require('../middleware/auth');
+const tenantScope = require('../middleware/tenant');
+const requireUser = require('../middleware/requireUser');
+const blockImpersonation = require('../middleware/impersonation');
+const { requirePermission } = require('../middleware/permissions');
+const { requireFeature } = require('../middleware/entitlements');
+const { PERMISSIONS, API_KEY_SCOPES } = require('../config/permissions');
+const { CONFIG_TYPES, RESERVED_CONFIG_TYPES } = require('../config/configSchemas');
+const directoryService = require('../services/directoryService');
 
 const router = express.Router();
 
@@ -23,30 +43,312 @@ const validateEnterpriseCreation = [
     .optional()
     .isIn(['1-10', '11-50', '51-200', '201-1000', '1000+'])
     .withMessage('Invalid company size'),
+  // Plans are changed through the platform API
   body('subscription_plan')
+    .not()
+    .exists()
+    .withMessage('The subscription plan is managed by the platform administrator')
+];
+
+const validateRolePermissions = [
+  body('description')
+    .optional()
+    .isLength({ max: 255 })
+    .withMessage('Description must be less than 255 characters'),
+  body('permissions')
+    .optional()
+    .isArray()
+    .withMessage('Permissions must be an array'),
+  body('permissions.*')
+    .isIn(PERMISSIONS)
+    .withMessage('Unknown permission')
+];
+
+const validateRoleCreation = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Role name must be between 2 and 50 characters'),
+  ...validateRolePermissions
+];
+
+const validateRoleUpdate = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Role name must be between 2 and 50 characters'),
+  ...validateRolePermissions
+];
+
+const validateSsoConfig = [
+  body('issuer')
+    .isURL({ require_tld: false, protocols: process.env.NODE_ENV === 'production' ? ['https'] : ['http', 'https'] })
+    .withMessage('Issuer must be a valid URL'),
+  body('clientId')
+    .trim()
+    .notEmpty()
+    .withMessage('Client ID is required'),
+  body('clientSecret')
+    .optional()
+    .isString()
+    .withMessage('Client secret must be a string'),
+  body('redirectUri')
+    .optional()
+    .isURL({ require_tld: false })
+    .withMessage('Redirect URI must be a valid URL'),
+  body('scopes')
+    .optional()
+    .isArray()
+    .withMessage('Scopes must be an array')
+    .custom(scopes => scopes.includes('openid'))
+    .withMessage('Scopes must include openid'),
+  body('claimMapping')
+    .optional()
+    .isObject()
+    .withMessage('Claim mapping must be an object'),
+  body('defaultRoleId')
+    .optional()
+    .isUUID()
+    .withMessage('Default role ID must be a valid UUID'),
+  body('jitProvisioning')
+    .optional()
+    .isBoolean()
+    .withMessage('jitProvisioning must be a boolean'),
+  body('enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('enabled must be a boolean')
+];
+
+const validateApiKeyScopes = [
+  body('scopes.*')
+    .isIn(API_KEY_SCOPES)
+    .withMessage('Unknown scope'),
+  body('expiresAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('expiresAt must be an ISO 8601 date')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('expiresAt must be in the future')
+];
+
+const validateApiKeyCreation = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required'),
+  ...validateApiKeyScopes
+];
+
+const validateApiKeyUpdate = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+  body('scopes')
     .optional()
-    .isIn(['basic', 'pro', 'enterprise'])
-    .withMessage('Invalid subscription plan')
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required'),
+  ...validateApiKeyScopes
+];
+
+const validateJoinRequestApproval = [
+  body('roleId')
+    .optional()
+    .isUUID()
+    .withMessage('Role ID must be a valid UUID')
+];
+
+const validateRoleChange = [
+  body('roleId')
+    .isUUID()
+    .withMessage('Role ID must be a valid UUID')
+];
+
+const validateWorkTransfer = [
+  body('toUserId')
+    .isUUID()
+    .withMessage('Recipient user ID must be a valid UUID')
+];
+
+const validateCancellation = [
+  body('confirmName')
+    .isString()
+    .withMessage('confirmName is required'),
+  body('reason')
+    .optional()
+    .isString()
+    .isLength({ max: 1000 })
+    .withMessage('Reason must be less than 1000 characters')
+];
+
+const validateConfigUpdate = [
+  body('configType')
+    .not().isIn(RESERVED_CONFIG_TYPES)
+    .withMessage('Config type is reserved for internal use')
+    .bail()
+    .isIn(CONFIG_TYPES)
+    .withMessage(`Config type must be one of: ${CONFIG_TYPES.join(', ')}`),
+  body('configData')
+    .exists()
+    .withMessage('Config data is required'),
+  body('comment')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Comment must be less than 500 characters')
+];
+
+const validateConfigTypeParam = [
+  param('configType')
+    .not().isIn(RESERVED_CONFIG_TYPES)
+    .withMessage('Config type is reserved for internal use')
+    .bail()
+    .isIn(CONFIG_TYPES)
+    .withMessage(`Config type must be one of: ${CONFIG_TYPES.join(', ')}`)
+];
+
+const validateConfigVersion = [
+  ...validateConfigTypeParam,
+  param('version')
+    .isInt({ min: 1 })
+    .withMessage('Version must be a positive integer')
+];
+
+const validateConfigDiff = [
+  ...validateConfigTypeParam,
+  query(['from', 'to'])
+    .isInt({ min: 1 })
+    .withMessage('from and to must be positive integers')
+];
+
+// A query parameter given at most once
+const singleQuery = (field) => query(field)
+  .optional()
+  .not()
+  .isArray()
+  .withMessage(`${field} may only be given once`)
+  .bail();
+
+const validateEnterpriseUsersQuery = [
+  singleQuery('limit')
+    .isInt({ min: 1 })
+    .withMessage('limit must be a positive integer'),
+  singleQuery('cursor')
+    .isString(),
+  singleQuery('search')
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage('search must be less than 200 characters'),
+  singleQuery('role')
+    .isString(),
+  singleQuery('status')
+    .isIn(directoryService.statuses)
+    .withMessage(`status must be one of: ${directoryService.statuses.join(', ')}`),
+  singleQuery(['lastLoginAfter', 'lastLoginBefore'])
+    .isISO8601()
+    .withMessage('lastLoginAfter and lastLoginBefore must be ISO 8601 dates'),
+  singleQuery('sortBy')
+    .isIn(directoryService.sortFields)
+    .withMessage(`sortBy must be one of: ${directoryService.sortFields.join(', ')}`),
+  singleQuery('sortOrder')
+    .isIn(['asc', 'desc'])
+    .withMessage('sortOrder must be asc or desc'),
+  singleQuery('format')
+    .isIn(['json', 'csv'])
+    .withMessage('format must be json or csv')
+];
+
+const validateConfigRollback = [
+  ...validateConfigTypeParam,
+  body('version')
+    .isInt({ min: 1 })
+    .withMessage('Version must be a positive integer'),
+  body('comment')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Comment must be less than 500 characters')
 ];
 
 // Routes
-router.post('/create', validateEnterpriseCreation, enterpriseController.createEnterprise);
-router.get('/:id', auth, enterpriseController.getEnterprise);
-router.put('/:id', auth, validateEnterpriseCreation, enterpriseController.updateEnterprise);
-router.get('/:id/config', auth, enterpriseController.getEnterpriseConfig);  // Need to check if this is needed
-router.put('/:id/config', auth, enterpriseController.updateEnterpriseConfig); // Need to check if this is needed
+router.get('/:id', auth, tenantScope({ param: 'id' }), requirePermission('enterprise:read'), enterpriseController.getEnterprise);
+router.put('/:id', auth, blockImpersonation, tenantScope({ param: 'id' }), requirePermission('enterprise:update'), validateEnterpriseCreation, enterpriseController.updateEnterprise);
+router.post('/:id/cancel', auth, requireUser, blockImpersonation, tenantScope({ param: 'id' }), requirePermission('enterprise:cancel'), validateCancellation, offboardingController.cancelEnterprise);
+router.get('/:id/usage', auth, tenantScope({ param: 'id' }), requirePermission('enterprise:read'), planController.getUsage);
+router.get('/:id/config', auth, tenantScope({ param: 'id' }), requirePermission('config:read'), enterpriseController.getEnterpriseConfig);  // Need to check if this is needed
+router.put('/:id/config', auth, blockImpersonation, tenantScope({ param: 'id' }), requirePermission('config:write'), validateConfigUpdate, enterpriseController.updateEnterpriseConfig); // Need to check if this is needed
+router.get('/:id/config/schema', auth, tenantScope({ param: 'id' }), requirePermission('config:read'), configController.getConfigSchema);
+// Config version history
+router.get('/:id/config/:configType/versions', auth, tenantScope({ param: 'id' }), requirePermission('config:read'), validateConfigTypeParam, configController.listConfigVersions);
+router.get('/:id/config/:configType/versions/:version', auth, tenantScope({ param: 'id' }), requirePermission('config:read'), validateConfigVersion, configController.getConfigVersion);
+router.get('/:id/config/:configType/diff', auth, tenantScope({ param: 'id' }), requirePermission('config:read'), validateConfigDiff, configController.diffConfigVersions);
+router.post('/:id/config/:configType/rollback', auth, blockImpersonation, tenantScope({ param: 'id' }), requirePermission('config:write'), validateConfigRollback, configController.rollbackConfig);
 // Lead fields
-router.put('/:id/lead-fields', auth, enterpriseController.storeLeadFields);
-router.get('/:id/lead-fields', auth, enterpriseController.getLeadFields);
-router.post('/:id/lead-fields/refresh', auth, enterpriseController.refreshLeadFieldsFromHubspot);
-router.get('/:id/lead-fields/selected', auth, enterpriseController.getSelectedLeadFields);
+router.put('/:id/lead-fields', auth, blockImpersonation, tenantScope({ param: 'id' }), requirePermission('lead_fields:write'), enterpriseController.storeLeadFields);
+router.get('/:id/lead-fields', auth, tenantScope({ param: 'id' }), requirePermission('lead_fields:read'), enterpriseController.getLeadFields);
+router.post('/:id/lead-fields/refresh', auth, blockImpersonation, tenantScope({ param: 'id' }), requirePermission('lead_fields:write'), enterpriseController.refreshLeadFieldsFromHubspot);
+router.get('/:id/lead-fields/selected', auth, tenantScope({ param: 'id' }), requirePermission('lead_fields:read'), enterpriseController.getSelectedLeadFields);
 
 // Qualification rules
-router.put('/:id/lead-qualification-rules', auth, enterpriseController.storeQualificationRules);
-router.get('/:id/lead-qualification-rules', auth, enterpriseController.getQualificationRules);
+router.put('/:id/lead-qualification-rules', auth, blockImpersonation, tenantScope({ param: 'id' }), requirePermission('rules:write'), enterpriseController.storeQualificationRules);
+router.get('/:id/lead-qualification-rules', auth, tenantScope({ param: 'id' }), requirePermission('rules:read'), enterpriseController.getQualificationRules);
 
 // Team management routes
-router.get('/:enterpriseId/users', enterpriseController.getEnterpriseUsers);
-router.get('/:enterpriseId/users/:userId', enterpriseController.getEnterpriseUserById);
+router.get('/:enterpriseId/users', auth, tenantScope({ param: 'enterpriseId' }), requirePermission('users:read'), validateEnterpriseUsersQuery, enterpriseController.getEnterpriseUsers);
+router.get('/:enterpriseId/locked-accounts', auth, tenantScope({ param: 'enterpriseId' }), requirePermission('users:manage'), enterpriseController.getLockedAccounts);
+router.delete('/:enterpriseId/locked-accounts/:userId', auth, blockImpersonation, tenantScope({ param: 'enterpriseId' }), requirePermission('users:manage'), enterpriseController.unlockEnterpriseUser);
+router.post('/:enterpriseId/users/import', auth, blockImpersonation, tenantScope({ param: 'enterpriseId' }), requirePermission('users:invite'), requireFeature('bulk_import'), express.text({ type: 'text/csv', limit: '1mb' }), userImportController.importUsers);
+router.get('/:enterpriseId/users/import/:jobId', auth, tenantScope({ param: 'enterpriseId' }), requirePermission('users:invite'), userImportController.getImportJob);
+router.get('/:enterpriseId/users/:userId', auth, tenantScope({ param: 'enterpriseId' }), requirePermission('users:read'), enterpriseController.getEnterpriseUserById);
+router.put('/:enterpriseId/users/:userId/role', auth, blockImpersonation, tenantScope({ param: 'enterpriseId' }), requirePermission('users:manage'), validateRoleChange, teamController.changeUserRole);
+router.post('/:enterpriseId/users/:userId/deactivate', auth, blockImpersonation, tenantScope({ param: 'enterpriseId' }), requirePermission('users:manage'), teamController.deactivateUser);
+router.post('/:enterpriseId/users/:userId/reactivate', auth, blockImpersonation, tenantScope({ param: 'enterpriseId' }), requirePermission('users:manage'), teamController.reactivateUser);
+router.post('/:enterpriseId/users/:userId/transfer', auth, blockImpersonation, tenantScope({ param: 'enterpriseId' }), requirePermission('users:manage'), validateWorkTransfer, teamController.transferUserWork);
+
+// Invitation management routes
+router.get('/:id/invitations', auth, tenantScope({ param: 'id' }), requirePermission('users:invite'), invitationController.listInvitations);
+router.post('/:id/invitations/:invitationId/resend', auth, blockImpersonation, tenantScope({ param: 'id' }), requirePermission('users:invite'), invitationController.resendInvitation);
+router.delete('/:id/invitations/:invitationId', auth, blockImpersonation, tenantScope({ param: 'id' }), requirePermission('users:invite'), invitationController.revokeInvitation);
+
+// Join requests from self sign-up
+router.get('/:id/join-requests', auth, tenantScope({ param: 'id' }), requirePermission('users:invite'), joinRequestController.listJoinRequests);
+router.post('/:id/join-requests/:requestId/approve', auth, requireUser, blockImpersonation, tenantScope({ param: 'id' }), requirePermission('users:invite'), validateJoinRequestApproval, joinRequestController.approveJoinRequest);
+router.post('/:id/join-requests/:requestId/deny', auth, requireUser, blockImpersonation, tenantScope({ param: 'id' }), requirePermission('users:invite'), joinRequestController.denyJoinRequest);
+
+// Role management routes
+router.get('/:id/roles', auth, tenantScope({ param: 'id' }), requirePermission('users:read'), roleController.listRoles);
+router.post('/:id/roles', auth, requireUser, blockImpersonation, tenantScope({ param: 'id' }), requirePermission('roles:manage'), validateRoleCreation, roleController.createRole);
+router.put('/:id/roles/:roleId', auth, requireUser, blockImpersonation, tenantScope({ param: 'id' }), requirePermission('roles:manage'), validateRoleUpdate, roleController.updateRole);
+router.delete('/:id/roles/:roleId', auth, requireUser, blockImpersonation, tenantScope({ param: 'id' }), requirePermission('roles:manage'), roleController.deleteRole);
+
+// Single sign-on configuration
+router.get('/:id/sso', auth, tenantScope({ param: 'id' }), requirePermission('sso:manage'), ssoController.getConfig);
+router.put('/:id/sso', auth, blockImpersonation, tenantScope({ param: 'id' }), requirePermission('sso:manage'), requireFeature('sso'), validateSsoConfig, ssoController.updateConfig);
+router.delete('/:id/sso', auth, blockImpersonation, tenantScope({ param: 'id' }), requirePermission('sso:manage'), ssoController.deleteConfig);
+
+// API keys
+router.get('/:id/api-keys', auth, requireUser, tenantScope({ param: 'id' }), requirePermission('api_keys:manage'), apiKeyController.listApiKeys);
+router.post('/:id/api-keys', auth, requireUser, blockImpersonation, tenantScope({ param: 'id' }), requirePermission('api_keys:manage'), requireFeature('api_keys'), validateApiKeyCreation, apiKeyController.createApiKey);
+router.put('/:id/api-keys/:keyId', auth, requireUser, blockImpersonation, tenantScope({ param: 'id' }), requirePermission('api_keys:manage'), validateApiKeyUpdate, apiKeyController.updateApiKey);
+router.delete('/:id/api-keys/:keyId', auth, requireUser, blockImpersonation, tenantScope({ param: 'id' }), requirePermission('api_keys:manage'), apiKeyController.revokeApiKey);
+
+// Impersonation audit trail
+router.get('/:id/impersonation-logs', auth, tenantScope({ param: 'id' }), requirePermission('users:manage'), impersonationController.listAuditLogs);
+
+// SCIM provisioning token
+router.get('/:id/scim-token', auth, requireUser, tenantScope({ param: 'id' }), requirePermission('scim:manage'), enterpriseController.getScimToken);
+router.post('/:id/scim-token', auth, requireUser, blockImpersonation, tenantScope({ param: 'id' }), requirePermission('scim:manage'), requireFeature('scim'), enterpriseController.createScimToken);
+router.delete('/:id/scim-token', auth, requireUser, blockImpersonation, tenantScope({ param: 'id' }), requirePermission('scim:manage'), enterpriseController.revokeScimToken);
+
+// Data exports
+router.get('/:id/exports', auth, requireUser, tenantScope({ param: 'id' }), requirePermission('enterprise:export'), exportController.listExports);
+router.post('/:id/exports', auth, requireUser, blockImpersonation, tenantScope({ param: 'id' }), requirePermission('enterprise:export'), exportController.createExport);
+router.get('/:id/exports/:exportId', auth, requireUser, tenantScope({ param: 'id' }), requirePermission('enterprise:export'), exportController.getExport);
 
 module.exports = router; 
\ No newline at end of file
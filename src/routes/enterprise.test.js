@@ -0,0 +1,157 @@
+jest.mock('../config/supabase', () => require('../__tests__/mocks/supabase').createSupabaseMock());
+jest.mock('../config/database', () => require('../__tests__/mocks/database').createDatabaseMock());
+jest.mock('../services/apiKeyService', () => ({
+  isApiKey: jest.fn(token => token.startsWith('rvp_')),
+  authenticate: jest.fn()
+}));
+jest.mock('../services/sessionService', () => ({
+  isSessionActive: jest.fn().mockResolvedValue(true)
+}));
+jest.mock('../services/impersonationService', () => ({
+  logEvent: jest.fn().mockResolvedValue()
+}));
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const supabase = require('../config/supabase');
+const { pool } = require('../config/database');
+const apiKeyService = require('../services/apiKeyService');
+const { API_KEY_SCOPES, PERMISSIONS } = require('../config/permissions');
+
+const app = express();
+app.use(express.json());
+app.use('/api/enterprise', require('./enterprise'));
+app.use('/api/notifications', require('./notifications'));
+
+const ENTERPRISE_ID = '7f1c6c1e-2f7a-4a47-9d53-3f4a3c1b9e10';
+
+describe('API key principals', () => {
+  beforeEach(() => {
+    // A key holding every permission, as keys issued before scopes were
+    // restricted may
+    apiKeyService.authenticate.mockResolvedValue({ id: 'key-1', enterprise_id: ENTERPRISE_ID, scopes: [...PERMISSIONS] });
+  });
+
+  it.each([
+    ['post', `/api/enterprise/${ENTERPRISE_ID}/roles`],
+    ['put', `/api/enterprise/${ENTERPRISE_ID}/roles/role-1`],
+    ['delete', `/api/enterprise/${ENTERPRISE_ID}/roles/role-1`],
+    ['get', `/api/enterprise/${ENTERPRISE_ID}/scim-token`],
+    ['post', `/api/enterprise/${ENTERPRISE_ID}/scim-token`],
+    ['delete', `/api/enterprise/${ENTERPRISE_ID}/scim-token`],
+    ['post', `/api/enterprise/${ENTERPRISE_ID}/join-requests/request-1/approve`],
+    ['post', `/api/enterprise/${ENTERPRISE_ID}/join-requests/request-1/deny`],
+    ['post', '/api/notifications/account-invite']
+  ])('cannot %s %s', async (method, path) => {
+    const res = await request(app)[method](path)
+      .set('X-API-Key', 'rvp_test_secret')
+      .send({ enterpriseId: ENTERPRISE_ID });
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe('This endpoint requires a user access token');
+  });
+
+  it('cannot be granted permissions that manage access', () => {
+    ['api_keys:manage', 'roles:manage', 'scim:manage', 'users:impersonate'].forEach(permission => {
+      expect(API_KEY_SCOPES).not.toContain(permission);
+    });
+    expect(API_KEY_SCOPES).toContain('users:invite');
+  });
+});
+
+describe('tenant isolation', () => {
+  const OTHER_ENTERPRISE_ID = '0b5f1e7a-8c2d-4f3e-9a6b-1d2c3e4f5a6b';
+  const token = jwt.sign({ userId: 'user-1', enterpriseId: ENTERPRISE_ID, sid: 'session-1' }, process.env.JWT_SECRET);
+
+  beforeEach(() => {
+    supabase.reset();
+  });
+
+  it.each([
+    ['get', `/api/enterprise/${OTHER_ENTERPRISE_ID}`],
+    ['get', `/api/enterprise/${OTHER_ENTERPRISE_ID}/users`],
+    ['get', `/api/enterprise/${OTHER_ENTERPRISE_ID}/users/user-2`],
+    ['put', `/api/enterprise/${OTHER_ENTERPRISE_ID}/config`],
+    ['get', `/api/enterprise/${OTHER_ENTERPRISE_ID}/roles`],
+    ['post', '/api/notifications/account-invite']
+  ])('cannot %s %s of another enterprise', async (method, path) => {
+    const res = await request(app)[method](path)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ enterpriseId: OTHER_ENTERPRISE_ID });
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe('Access denied for this enterprise');
+    expect(supabase.queriesOf('enterprises')).toHaveLength(0);
+  });
+
+  it('requires a token to list an enterprise\'s team', async () => {
+    const res = await request(app).get(`/api/enterprise/${ENTERPRISE_ID}/users`);
+
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('impersonation sessions', () => {
+  const token = jwt.sign(
+    { userId: 'user-1', enterpriseId: ENTERPRISE_ID, sid: 'session-1', impersonatorId: 'manager-1' },
+    process.env.JWT_SECRET
+  );
+
+  it.each([
+    ['put', `/api/enterprise/${ENTERPRISE_ID}`],
+    ['put', `/api/enterprise/${ENTERPRISE_ID}/config`],
+    ['post', `/api/enterprise/${ENTERPRISE_ID}/config/crm/rollback`],
+    ['put', `/api/enterprise/${ENTERPRISE_ID}/lead-qualification-rules`],
+    ['delete', `/api/enterprise/${ENTERPRISE_ID}/locked-accounts/user-2`],
+    ['post', `/api/enterprise/${ENTERPRISE_ID}/users/user-2/transfer`],
+    ['delete', `/api/enterprise/${ENTERPRISE_ID}/invitations/invitation-1`],
+    ['post', `/api/enterprise/${ENTERPRISE_ID}/roles`],
+    ['delete', `/api/enterprise/${ENTERPRISE_ID}/roles/role-1`],
+    ['post', `/api/enterprise/${ENTERPRISE_ID}/join-requests/request-1/approve`],
+    ['put', '/api/notifications/mark-all-read']
+  ])('cannot %s %s', async (method, path) => {
+    const res = await request(app)[method](path)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ enterpriseId: ENTERPRISE_ID });
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('IMPERSONATION_FORBIDDEN');
+  });
+});
+
+describe('GET /api/enterprise/:enterpriseId/users', () => {
+  beforeEach(() => {
+    supabase.reset();
+    pool.query.mockClear();
+    supabase.respond('enterprises', { data: { id: ENTERPRISE_ID, name: 'Acme', domain: 'acme.com' }, error: null });
+    apiKeyService.authenticate.mockResolvedValue({ id: 'key-1', enterprise_id: ENTERPRISE_ID, scopes: ['users:read'] });
+  });
+
+  const list = (query) => request(app)
+    .get(`/api/enterprise/${ENTERPRISE_ID}/users`)
+    .query(query)
+    .set('X-API-Key', 'rvp_test_secret');
+
+  it.each([
+    ['status=deleted', 'status must be one of: active, inactive, all'],
+    ['sortBy=email', 'sortBy must be one of: name, created, joined, lastLogin'],
+    ['lastLoginAfter=yesterday', 'lastLoginAfter and lastLoginBefore must be ISO 8601 dates'],
+    ['limit=0', 'limit must be a positive integer'],
+    ['sortOrder=asc&sortOrder=desc', 'sortOrder may only be given once']
+  ])('rejects %s', async (query, message) => {
+    const res = await list(query);
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map(error => error.msg)).toContain(message);
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+
+  it('rejects a malformed cursor with 400', async () => {
+    const res = await list({ cursor: Buffer.from('["joined","desc","x","y"]').toString('base64url') });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Invalid cursor for this sort order');
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+});
@@ -2,6 +2,11 @@ const express = require('express');
 const { body } = require('express-validator');
 const notificationController = require('../controllers/notificationController');
 const auth = require('../middleware/auth');
+const requireUser = require('../middleware/requireUser');
+const blockImpersonation = require('../middleware/impersonation');
+const tenantScope = require('../middleware/tenant');
+const { requirePermission } = require('../middleware/permissions');
+const bruteForceGuard = require('../middleware/bruteForce');
 
 const router = express.Router();
 
@@ -56,25 +61,25 @@ const validateLeadAssignment = [
 ];
 
 // Account invitation routes
-router.post('/account-invite', notificationController.sendAccountInvite);
-router.post('/welcome-email/:userId', auth, notificationController.sendWelcomeEmail);
+router.post('/account-invite', auth, requireUser, blockImpersonation, tenantScope({ body: 'enterpriseId' }), requirePermission('users:invite'), validateAccountInvite, notificationController.sendAccountInvite);
+router.post('/welcome-email/:userId', auth, blockImpersonation, tenantScope(), requirePermission('users:invite'), notificationController.sendWelcomeEmail);
 
 // Password reset routes
-router.post('/password-reset', validatePasswordReset, notificationController.sendPasswordResetEmail);
+router.post('/password-reset', validatePasswordReset, bruteForceGuard('forgot-password'), notificationController.sendPasswordResetEmail);
 
 // Meeting invitation routes
-router.post('/meeting-invite', auth, validateMeetingInvite, notificationController.sendMeetingInvite);
+router.post('/meeting-invite', auth, blockImpersonation, tenantScope(), requirePermission('notifications:send'), validateMeetingInvite, notificationController.sendMeetingInvite);
 
 // Lead assignment routes
-router.post('/lead-assignment', auth, validateLeadAssignment, notificationController.sendLeadAssignmentNotification);
+router.post('/lead-assignment', auth, blockImpersonation, tenantScope(), requirePermission('leads:assign'), validateLeadAssignment, notificationController.sendLeadAssignmentNotification);
 
 // Task reminder routes
-router.post('/task-reminder/:taskId', auth, notificationController.sendTaskReminder);
+router.post('/task-reminder/:taskId', auth, blockImpersonation, tenantScope(), notificationController.sendTaskReminder);
 
 // Notification management routes
-router.get('/user', auth, notificationController.getUserNotifications);
-router.put('/:notificationId/read', auth, notificationController.markNotificationAsRead);
-router.put('/mark-all-read', auth, notificationController.markAllNotificationsAsRead);
+router.get('/user', auth, requireUser, tenantScope(), notificationController.getUserNotifications);
+router.put('/:notificationId/read', auth, requireUser, blockImpersonation, tenantScope(), notificationController.markNotificationAsRead);
+router.put('/mark-all-read', auth, requireUser, blockImpersonation, tenantScope(), notificationController.markAllNotificationsAsRead);
 
 // Test email endpoint (remove in production)
 router.post('/test-email', async (req, res) => {
@@ -98,9 +103,13 @@ router.post('/test-email', async (req, res) => {
       roleName: 'Test Role',
       loginUrl: 'http://localhost:3000',
       supportEmail: 'sanipatel0401@gmail.com',
-      tempPassword: 'TestPass123!',
+      acceptUrl: 'http://localhost:3000/accept-invite?token=test-token',
       invitedBy: 'Test Manager',
       resetUrl: 'http://localhost:3000/reset-password?token=test-token',
+      verifyUrl: 'http://localhost:3000/verify-email?token=test-token',
+      isEmailChange: false,
+      unlockUrl: 'http://localhost:3000/unlock-account?token=test-token',
+      lockedMinutes: 30,
       expiresIn: '1 hour',
       gettingStartedUrl: 'http://localhost:3000/getting-started'
     };
@@ -0,0 +1,41 @@
+const express = require('express');
+const { body } = require('express-validator');
+const onboardingController = require('../controllers/onboardingController');
+
+const router = express.Router();
+
+const validateOnboarding = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 200 })
+    .withMessage('Enterprise name must be between 2 and 200 characters'),
+  body('domain')
+    .isFQDN()
+    .withMessage('Please provide a valid domain'),
+  body('industry')
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage('Industry must be less than 100 characters'),
+  body('company_size')
+    .optional()
+    .isIn(['1-10', '11-50', '51-200', '201-1000', '1000+'])
+    .withMessage('Invalid company size'),
+  body('owner.name')
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Owner name must be between 2 and 50 characters'),
+  body('owner.email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid owner email'),
+  // Strength rules come from the default password policy
+  body('owner.password')
+    .isString()
+    .notEmpty()
+    .withMessage('Owner password is required')
+];
+
+// Self-service enterprise sign-up
+router.post('/', validateOnboarding, onboardingController.onboard);
+
+module.exports = router;
@@ -0,0 +1,66 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const onboardingController = require('../controllers/onboardingController');
+const planController = require('../controllers/planController');
+const offboardingController = require('../controllers/offboardingController');
+const platformAdmin = require('../middleware/platformAdmin');
+const { PLAN_IDS, SUBSCRIPTION_STATUSES } = require('../config/plans');
+
+const router = express.Router();
+
+// Every platform route requires the platform administrator token
+router.use(platformAdmin);
+
+const validateReviewNote = [
+  body('note')
+    .optional()
+    .isString()
+    .isLength({ max: 1000 })
+    .withMessage('Note must be less than 1000 characters')
+];
+
+const validateEnterpriseId = [
+  param('enterpriseId')
+    .isUUID()
+    .withMessage('Enterprise ID must be a valid UUID')
+];
+
+const validateCancellation = [
+  ...validateEnterpriseId,
+  body('reason')
+    .optional()
+    .isString()
+    .isLength({ max: 1000 })
+    .withMessage('Reason must be less than 1000 characters')
+];
+
+const validateSubscriptionUpdate = [
+  ...validateEnterpriseId,
+  body('plan')
+    .optional()
+    .isIn(PLAN_IDS)
+    .withMessage(`Plan must be one of: ${PLAN_IDS.join(', ')}`),
+  body('status')
+    .optional()
+    .isIn(SUBSCRIPTION_STATUSES)
+    .withMessage(`Status must be one of: ${SUBSCRIPTION_STATUSES.join(', ')}`),
+  body()
+    .custom(value => value.plan !== undefined || value.status !== undefined)
+    .withMessage('Provide a plan or a status')
+];
+
+// Onboarding requests
+router.get('/onboarding-requests', onboardingController.listOnboardingRequests);
+router.post('/onboarding-requests/:requestId/approve', validateReviewNote, onboardingController.approveOnboardingRequest);
+router.post('/onboarding-requests/:requestId/reject', validateReviewNote, onboardingController.rejectOnboardingRequest);
+
+// Subscriptions
+router.put('/enterprises/:enterpriseId/subscription', validateSubscriptionUpdate, planController.updateSubscription);
+
+// Offboarding
+router.get('/enterprises/cancelled', offboardingController.listCancelledEnterprises);
+router.post('/enterprises/:enterpriseId/cancel', validateCancellation, offboardingController.cancelEnterpriseAsPlatform);
+router.post('/enterprises/:enterpriseId/restore', validateEnterpriseId, offboardingController.restoreEnterprise);
+router.get('/enterprises/:enterpriseId/deletion-certificate', validateEnterpriseId, offboardingController.getDeletionCertificate);
+
+module.exports = router;
@@ -0,0 +1,31 @@
+const express = require('express');
+const scimController = require('../controllers/scimController');
+const scimAuth = require('../middleware/scimAuth');
+
+const router = express.Router();
+
+// Identity providers send `application/scim+json` bodies
+router.use(express.json({ type: ['application/json', 'application/scim+json'] }));
+router.use(scimAuth);
+
+// Discovery
+router.get('/ServiceProviderConfig', scimController.getServiceProviderConfig);
+router.get('/ResourceTypes', scimController.getResourceTypes);
+
+// Users
+router.get('/Users', scimController.listUsers);
+router.get('/Users/:id', scimController.getUser);
+router.post('/Users', scimController.createUser);
+router.put('/Users/:id', scimController.replaceUser);
+router.patch('/Users/:id', scimController.patchUser);
+router.delete('/Users/:id', scimController.deleteUser);
+
+// Groups (roles)
+router.get('/Groups', scimController.listGroups);
+router.get('/Groups/:id', scimController.getGroup);
+router.post('/Groups', scimController.createGroup);
+router.put('/Groups/:id', scimController.replaceGroup);
+router.patch('/Groups/:id', scimController.patchGroup);
+router.delete('/Groups/:id', scimController.deleteGroup);
+
+module.exports = router;
@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const supabase = require('../config/supabase');
+
+const KEY_PATTERN = /^rvp_([0-9a-f]{12})_([A-Za-z0-9_-]+)$/;
+const LAST_USED_RESOLUTION_MS = 60 * 1000; // avoid a write on every request
+
+const API_KEY_COLUMNS = 'id, enterprise_id, name, prefix, scopes, created_by, expires_at, last_used_at, revoked_at, created_at, updated_at';
+
+class ApiKeyService {
+  hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+  }
+
+  isApiKey(token) {
+    return typeof token === 'string' && token.startsWith('rvp_');
+  }
+
+  // Keys look like rvp_<prefix>_<secret>. The prefix identifies the key and
+  // is safe to display; only a hash of the secret is stored.
+  generateKey() {
+    const prefix = crypto.randomBytes(6).toString('hex');
+    const secret = crypto.randomBytes(24).toString('base64url');
+
+    return { key: `rvp_${prefix}_${secret}`, prefix, secret };
+  }
+
+  async createKey(enterpriseId, { name, scopes, expiresAt, createdBy }) {
+    const { key, prefix, secret } = this.generateKey();
+
+    const { data: apiKey, error } = await supabase
+      .from('api_keys')
+      .insert({
+        enterprise_id: enterpriseId,
+        name,
+        prefix,
+        key_hash: this.hashSecret(secret),
+        scopes,
+        created_by: createdBy,
+        expires_at: expiresAt || null
+      })
+      .select(API_KEY_COLUMNS)
+      .single();
+
+    if (error) {
+      throw new Error(`Error creating API key: ${error.message}`);
+    }
+
+    return { key, apiKey };
+  }
+
+  async listKeys(enterpriseId) {
+    const { data: apiKeys, error } = await supabase
+      .from('api_keys')
+      .select(API_KEY_COLUMNS)
+      .eq('enterprise_id', enterpriseId)
+      .is('revoked_at', null)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      throw new Error(`Error fetching API keys: ${error.message}`);
+    }
+
+    return apiKeys;
+  }
+
+  async findKey(enterpriseId, keyId) {
+    const { data: apiKey, error } = await supabase
+      .from('api_keys')
+      .select(API_KEY_COLUMNS)
+      .eq('enterprise_id', enterpriseId)
+      .eq('id', keyId)
+      .is('revoked_at', null)
+      .maybeSingle();
+
+    if (error || !apiKey) {
+      return null;
+    }
+
+    return apiKey;
+  }
+
+  async updateKey(enterpriseId, keyId, updateData) {
+    const { data: apiKey, error } = await supabase
+      .from('api_keys')
+      .update({ ...updateData, updated_at: new Date().toISOString() })
+      .eq('enterprise_id', enterpriseId)
+      .eq('id', keyId)
+      .is('revoked_at', null)
+      .select(API_KEY_COLUMNS)
+      .maybeSingle();
+
+    if (error || !apiKey) {
+      return null;
+    }
+
+    return apiKey;
+  }
+
+  async revokeKey(enterpriseId, keyId) {
+    const { data: revoked, error } = await supabase
+      .from('api_keys')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('enterprise_id', enterpriseId)
+      .eq('id', keyId)
+      .is('revoked_at', null)
+      .select('id');
+
+    if (error) {
+      throw new Error(`Error revoking API key: ${error.message}`);
+    }
+
+    return revoked.length > 0;
+  }
+
+  async revokeAllKeys(enterpriseId) {
+    const { error } = await supabase
+      .from('api_keys')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('enterprise_id', enterpriseId)
+      .is('revoked_at', null);
+
+    if (error) {
+      throw new Error(`Error revoking API keys: ${error.message}`);
+    }
+  }
+
+  // Returns the key record for a valid, unexpired key, or null
+  async authenticate(key) {
+    const match = KEY_PATTERN.exec(key);
+    if (!match) {
+      return null;
+    }
+
+    const [, prefix, secret] = match;
+
+    const { data: apiKey, error } = await supabase
+      .from('api_keys')
+      .select(`${API_KEY_COLUMNS}, key_hash`)
+      .eq('prefix', prefix)
+      .is('revoked_at', null)
+      .maybeSingle();
+
+    if (error || !apiKey) {
+      return null;
+    }
+
+    const expected = Buffer.from(apiKey.key_hash, 'hex');
+    const actual = Buffer.from(this.hashSecret(secret), 'hex');
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    if (apiKey.expires_at && new Date(apiKey.expires_at) < new Date()) {
+      return null;
+    }
+
+    const lastUsedAt = apiKey.last_used_at ? new Date(apiKey.last_used_at).getTime() : 0;
+    if (Date.now() - lastUsedAt > LAST_USED_RESOLUTION_MS) {
+      await supabase
+        .from('api_keys')
+        .update({ last_used_at: new Date().toISOString() })
+        .eq('id', apiKey.id);
+    }
+
+    delete apiKey.key_hash;
+    return apiKey;
+  }
+}
+
+module.exports = new ApiKeyService();
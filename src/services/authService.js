@@ -1,16 +1,29 @@
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const supabase = require('../config/supabase');
+const tokenService = require('./tokenService');
+const passwordPolicyService = require('./passwordPolicyService');
+const membershipService = require('./membershipService');
+const roleService = require('./roleService');
+
+// Per-enterprise authentication settings, stored as the `auth_settings`
+// enterprise config and merged over these defaults
+const DEFAULT_AUTH_SETTINGS = {
+  requireEmailVerification: false,
+  mfaPolicy: 'optional', // 'optional' | 'managers' | 'all'
+  ssoOnly: false, // password login only for holders of `sso:manage`
+  selfSignup: 'approval' // 'auto_join' | 'approval' | 'disabled', for registration by email domain
+};
 
 class AuthService {
   // User management
+  // Takes either a plain `password` or a `passwordHash` computed earlier
+  // (approved join requests)
   async createUser(userData) {
-    const { name, email, password, enterpriseId, roleId } = userData;
+    const { name, email, password, passwordHash, enterpriseId, roleId } = userData;
 
     // Hash password
-    const saltRounds = 12;
-    const hashedPassword = await bcrypt.hash(password, saltRounds);
+    const hashedPassword = passwordHash || await this.hashPassword(password);
 
     // Use the provided roleId or get default AE role
     let finalRoleId = roleId;
@@ -38,7 +51,8 @@ class AuthService {
       password_hash: hashedPassword,
       role_id: finalRoleId,
       is_active: true,
-      email_verified: false
+      email_verified: false,
+      password_changed_at: new Date().toISOString()
     };
 
     const { data: newUser, error } = await supabase
@@ -65,6 +79,8 @@ class AuthService {
       throw new Error(`Error creating user: ${error.message}`);
     }
 
+    await membershipService.addMembership(newUser.id, enterpriseId, finalRoleId);
+
     // Return user without password
     const { password_hash, ...userWithoutPassword } = newUser;
     return userWithoutPassword;
@@ -172,14 +188,19 @@ class AuthService {
       return false;
     }
 
-    // Remove associated refresh tokens
-    await this.removeAllUserRefreshTokens(userId);
+    // Revoke every refresh token family of the user
+    await tokenService.revokeAllUserSessions(userId, 'account_deleted');
     
     return true;
   }
 
   // Password management
-  async changePassword(userId, currentPassword, newPassword) {
+  async hashPassword(password) {
+    const saltRounds = 12;
+    return bcrypt.hash(password, saltRounds);
+  }
+
+  async verifyPassword(userId, password) {
     const { data: user, error } = await supabase
       .from('users')
       .select('password_hash')
@@ -188,25 +209,46 @@ class AuthService {
 
     if (error || !user) return false;
 
-    // Verify current password
-    const isCurrentPasswordValid = await bcrypt.compare(currentPassword, user.password_hash);
-    if (!isCurrentPasswordValid) return false;
+    return bcrypt.compare(password, user.password_hash);
+  }
+
+  // Store a new password, keeping the replaced hash in the password history
+  async setPassword(userId, newPassword) {
+    const { data: user, error } = await supabase
+      .from('users')
+      .select('password_hash')
+      .eq('id', userId)
+      .single();
+
+    if (error || !user) return false;
 
     // Hash new password
-    const saltRounds = 12;
-    const hashedNewPassword = await bcrypt.hash(newPassword, saltRounds);
+    const hashedNewPassword = await this.hashPassword(newPassword);
 
     // Update password
     const { error: updateError } = await supabase
       .from('users')
-      .update({ password_hash: hashedNewPassword })
+      .update({
+        password_hash: hashedNewPassword,
+        password_changed_at: new Date().toISOString()
+      })
       .eq('id', userId);
 
     if (updateError) return false;
 
+    await passwordPolicyService.recordHistory(userId, user.password_hash);
+
     return true;
   }
 
+  async changePassword(userId, currentPassword, newPassword) {
+    // Verify current password
+    const isCurrentPasswordValid = await this.verifyPassword(userId, currentPassword);
+    if (!isCurrentPasswordValid) return false;
+
+    return this.setPassword(userId, newPassword);
+  }
+
   generatePasswordResetToken() {
     return crypto.randomBytes(32).toString('hex');
   }
@@ -232,129 +274,58 @@ class AuthService {
     }
   }
 
-  async resetPasswordWithToken(token, newPassword) {
-    // Find reset token in enterprise_configs
-    const { data: configs, error } = await supabase
-      .from('enterprise_configs')
-      .select('config_data')
-      .eq('config_type', 'password_reset_tokens')
-      .contains('config_data', { token });
-
-    if (error || !configs || configs.length === 0) {
-      return false;
-    }
-
-    const resetToken = configs[0].config_data;
-    
-    if (new Date(resetToken.expiresAt) < new Date()) {
-      return false;
+  // Issue a reset token when the user's password has expired under the
+  // enterprise policy. Only call this once every factor of the login has
+  // been verified. Returns the token, or null if the password is current.
+  async issueExpiredPasswordReset(user, authSettings) {
+    if (!passwordPolicyService.isExpired(user, passwordPolicyService.getPolicy(authSettings))) {
+      return null;
     }
 
-    // Hash new password
-    const saltRounds = 12;
-    const hashedPassword = await bcrypt.hash(newPassword, saltRounds);
-
-    // Update password
-    const { error: updateError } = await supabase
-      .from('users')
-      .update({ password_hash: hashedPassword })
-      .eq('id', resetToken.userId);
-
-    if (updateError) return false;
-
-    // Remove used token
-    await supabase
-      .from('enterprise_configs')
-      .delete()
-      .eq('config_type', 'password_reset_tokens')
-      .contains('config_data', { token });
-
-    return true;
-  }
-
-  // Token management
-  generateAccessToken(user) {
-    return jwt.sign(
-      { 
-        userId: user.id, 
-        email: user.email,
-        enterpriseId: user.enterprise_id,
-        role: user.roles?.name
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '30d' }
-    );
-  }
+    const resetToken = this.generatePasswordResetToken();
+    await this.savePasswordResetToken(user.id, resetToken);
 
-  generateRefreshToken(user) {
-    return jwt.sign(
-      { 
-        userId: user.id,
-        enterpriseId: user.enterprise_id,
-        type: 'refresh'
-      },
-      process.env.JWT_REFRESH_SECRET,
-      { expiresIn: '7d' }
-    );
+    return resetToken;
   }
 
-  async saveRefreshToken(userId, token) {
-    const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000); // 7 days
-
-    // Store refresh token in enterprise_configs
-    const user = await this.findUserById(userId);
-    const { error } = await supabase
-      .from('enterprise_configs')
-      .insert({
-        enterprise_id: user.enterprise_id,
-        config_type: 'refresh_tokens',
-        config_data: {
-          userId,
-          token,
-          expiresAt: expiresAt.toISOString()
-        }
-      });
-
-    if (error) {
-      throw new Error('Failed to save refresh token');
-    }
-  }
-
-  async findRefreshToken(token) {
-    // Find refresh token in enterprise_configs
+  // Returns the data of a valid, unexpired reset token, or null
+  async findPasswordResetToken(token) {
     const { data: configs, error } = await supabase
       .from('enterprise_configs')
       .select('config_data')
-      .eq('config_type', 'refresh_tokens')
+      .eq('config_type', 'password_reset_tokens')
       .contains('config_data', { token });
 
     if (error || !configs || configs.length === 0) {
       return null;
     }
 
-    const refreshToken = configs[0].config_data;
-    
-    if (new Date(refreshToken.expiresAt) < new Date()) {
+    const resetToken = configs[0].config_data;
+
+    if (new Date(resetToken.expiresAt) < new Date()) {
       return null;
     }
 
-    return refreshToken;
+    return resetToken;
   }
 
-  async removeRefreshToken(token) {
+  async resetPasswordWithToken(token, newPassword) {
+    const resetToken = await this.findPasswordResetToken(token);
+    if (!resetToken) {
+      return false;
+    }
+
+    const updated = await this.setPassword(resetToken.userId, newPassword);
+    if (!updated) return false;
+
+    // Remove used token
     await supabase
       .from('enterprise_configs')
       .delete()
-      .eq('config_type', 'refresh_tokens')
+      .eq('config_type', 'password_reset_tokens')
       .contains('config_data', { token });
-  }
 
-  async removeAllUserRefreshTokens(userId) {
-    await supabase
-      .from('enterprise_configs')
-      .delete()
-      .eq('config_type', 'refresh_tokens')
-      .contains('config_data', { userId });
+    return true;
   }
 
   // Utility methods
@@ -367,11 +338,7 @@ class AuthService {
     const now = new Date().toISOString();
     
     // Clean up expired refresh tokens
-    await supabase
-      .from('enterprise_configs')
-      .delete()
-      .eq('config_type', 'refresh_tokens')
-      .lt('config_data->expiresAt', now);
+    await tokenService.cleanupExpiredRefreshTokens();
 
     // Clean up expired password reset tokens
     await supabase
@@ -382,33 +349,62 @@ class AuthService {
   }
 
   // Enterprise management methods
-  async createEnterprise(enterpriseData) {
-    const { data: enterprise, error } = await supabase
+  // Inactive (cancelled) enterprises are only returned with `includeInactive`
+  async findEnterpriseById(id, { includeInactive = false } = {}) {
+    let query = supabase
       .from('enterprises')
-      .insert(enterpriseData)
-      .select()
-      .single();
+      .select('*')
+      .eq('id', id);
 
-    if (error) {
-      throw new Error(`Error creating enterprise: ${error.message}`);
+    if (!includeInactive) {
+      query = query.eq('is_active', true);
+    }
+
+    const { data: enterprise, error } = await query.single();
+
+    if (error || !enterprise) {
+      return null;
     }
 
     return enterprise;
   }
 
-  async findEnterpriseById(id) {
-    const { data: enterprise, error } = await supabase
-      .from('enterprises')
-      .select('*')
-      .eq('id', id)
+  async getAuthSettings(enterpriseId) {
+    const { data: config } = await supabase
+      .from('enterprise_configs')
+      .select('config_data')
+      .eq('enterprise_id', enterpriseId)
+      .eq('config_type', 'auth_settings')
       .eq('is_active', true)
-      .single();
+      .maybeSingle();
 
-    if (error || !enterprise) {
-      return null;
+    return { ...DEFAULT_AUTH_SETTINGS, ...(config?.config_data || {}) };
+  }
+
+  // Why an enterprise does not let the user (scoped to it) sign in with a
+  // password, as `{ code, message }`, or null when it does. The second
+  // factor is checked separately.
+  async getSignInRestriction(user, authSettings) {
+    if (authSettings.requireEmailVerification && !user.email_verified) {
+      return {
+        code: 'EMAIL_NOT_VERIFIED',
+        message: 'Please verify your email address before logging in'
+      };
     }
 
-    return enterprise;
+    // SSO-only enterprises keep password login for SSO administrators so a
+    // broken IdP configuration can still be fixed
+    if (authSettings.ssoOnly) {
+      const permissions = await roleService.getPermissions({ roleId: user.role_id, enterpriseId: user.enterprise_id });
+      if (!permissions.includes('sso:manage')) {
+        return {
+          code: 'SSO_REQUIRED',
+          message: 'Your enterprise requires single sign-on. Use SSO to log in.'
+        };
+      }
+    }
+
+    return null;
   }
 
   async findEnterpriseByDomain(domain) {
@@ -0,0 +1,36 @@
+const axios = require('axios');
+
+// Any siteverify-compatible provider (Cloudflare Turnstile, hCaptcha,
+// reCAPTCHA) works; set CAPTCHA_VERIFY_URL for providers other than Turnstile
+const DEFAULT_VERIFY_URL = 'https://challenges.cloudflare.com/turnstile/v0/siteverify';
+
+class CaptchaService {
+  isConfigured() {
+    return Boolean(process.env.CAPTCHA_SECRET);
+  }
+
+  async verify(token, remoteIp) {
+    if (!this.isConfigured() || !token) {
+      return false;
+    }
+
+    try {
+      const response = await axios.post(
+        process.env.CAPTCHA_VERIFY_URL || DEFAULT_VERIFY_URL,
+        new URLSearchParams({
+          secret: process.env.CAPTCHA_SECRET,
+          response: token,
+          ...(remoteIp && { remoteip: remoteIp })
+        }),
+        { timeout: 5000 }
+      );
+
+      return response.data?.success === true;
+    } catch (error) {
+      console.error('Captcha verification error:', error.message);
+      return false;
+    }
+  }
+}
+
+module.exports = new CaptchaService();
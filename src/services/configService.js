@@ -0,0 +1,260 @@
+const supabase = require('../config/supabase');
+const { withTransaction } = require('../config/database');
+const { CONFIG_SCHEMAS, CONFIG_TYPES } = require('../config/configSchemas');
+
+const VERSION_COLUMNS = 'id, enterprise_id, config_type, version, comment, created_by, api_key_id, rolled_back_from, created_at';
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const typeOf = (value) => {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  if (Array.isArray(type)) {
+    return type.some(option => matchesType(value, option));
+  }
+
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+};
+
+const joinPath = (path, key) => (typeof key === 'number' ? `${path}[${key}]` : (path ? `${path}.${key}` : key));
+
+// Check `value` against `schema` (see config/configSchemas.js for the
+// supported keywords). Returns `{ path, msg }` for every violation.
+const validateValue = (value, schema, path) => {
+  if (schema.type && !matchesType(value, schema.type)) {
+    return [{ path, msg: `Must be of type ${[].concat(schema.type).join(' or ')}` }];
+  }
+
+  const errors = [];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, msg: `Must be one of: ${schema.enum.join(', ')}` });
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, msg: `Must be at least ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, msg: `Must be at most ${schema.maximum}` });
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path, msg: `Must be at least ${schema.minLength} characters long` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path, msg: `Must be at most ${schema.maxLength} characters long` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path, msg: `Must match ${schema.pattern}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path, msg: `Must have at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateValue(item, schema.items, joinPath(path, index))));
+    }
+  }
+
+  if (isPlainObject(value)) {
+    const properties = schema.properties || {};
+
+    (schema.required || [])
+      .filter(key => value[key] === undefined)
+      .forEach(key => errors.push({ path: joinPath(path, key), msg: 'Is required' }));
+
+    Object.entries(value).forEach(([key, child]) => {
+      if (properties[key]) {
+        errors.push(...validateValue(child, properties[key], joinPath(path, key)));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: joinPath(path, key), msg: 'Is not a known setting' });
+      } else if (isPlainObject(schema.additionalProperties)) {
+        errors.push(...validateValue(child, schema.additionalProperties, joinPath(path, key)));
+      }
+    });
+  }
+
+  return errors;
+};
+
+// Differences between two config values as `{ path, change, from, to }`
+// entries, `change` being added, removed or changed. Objects and arrays are
+// compared member by member; paths use dots and array indexes.
+const diffValues = (from, to, path = '') => {
+  const bothObjects = isPlainObject(from) && isPlainObject(to);
+  const bothArrays = Array.isArray(from) && Array.isArray(to);
+
+  if (!bothObjects && !bothArrays) {
+    return JSON.stringify(from) === JSON.stringify(to)
+      ? []
+      : [{ path, change: 'changed', from, to }];
+  }
+
+  const keys = bothArrays
+    ? [...Array(Math.max(from.length, to.length)).keys()]
+    : [...new Set([...Object.keys(from), ...Object.keys(to)])];
+
+  return keys.flatMap(key => {
+    const childPath = joinPath(path, key);
+
+    if (!(key in from) || from[key] === undefined) {
+      return [{ path: childPath, change: 'added', to: to[key] }];
+    }
+    if (!(key in to) || to[key] === undefined) {
+      return [{ path: childPath, change: 'removed', from: from[key] }];
+    }
+
+    return diffValues(from[key], to[key], childPath);
+  });
+};
+
+/**
+ * Enterprise configs are versioned: every write stores an immutable copy in
+ * `enterprise_config_versions` (numbered per enterprise and config type)
+ * and makes it the active `enterprise_configs` row, which records its
+ * version. All config writes go through this service.
+ */
+class ConfigService {
+  isKnownType(configType) {
+    return CONFIG_TYPES.includes(configType);
+  }
+
+  getSchemas() {
+    return CONFIG_SCHEMAS;
+  }
+
+  /**
+   * Validate config data against the schema of its type. Errors are shaped
+   * like express-validator's, with paths under `field` (the body field the
+   * data was sent in), so they can be returned as is.
+   */
+  validateConfig(configType, configData, field = 'configData') {
+    return validateValue(configData, CONFIG_SCHEMAS[configType], field)
+      .map(({ path, msg }) => ({ type: 'field', path, msg, location: 'body' }));
+  }
+
+  /**
+   * Store `configData` as the next version and make it active, using
+   * `client` inside a transaction the caller already opened. `author` is
+   * `{ userId, apiKeyId }`. Returns `{ config, version }`.
+   */
+  async writeConfig(client, enterpriseId, configType, configData, { author = {}, comment, rolledBackFrom } = {}) {
+    // Serialize writers of the same config so version numbers stay unique
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`${enterpriseId}:${configType}`]);
+
+    const { rows: [{ next }] } = await client.query(
+      `SELECT coalesce(max(version), 0) + 1 AS next
+       FROM enterprise_config_versions
+       WHERE enterprise_id = $1 AND config_type = $2`,
+      [enterpriseId, configType]
+    );
+
+    const { rows: [version] } = await client.query(
+      `INSERT INTO enterprise_config_versions
+         (enterprise_id, config_type, version, config_data, comment, created_by, api_key_id, rolled_back_from)
+       VALUES ($1, $2, $3, $4::jsonb, $5, $6, $7, $8)
+       RETURNING ${VERSION_COLUMNS}`,
+      [
+        enterpriseId,
+        configType,
+        next,
+        JSON.stringify(configData),
+        comment || null,
+        author.userId || null,
+        author.apiKeyId || null,
+        rolledBackFrom || null
+      ]
+    );
+
+    const { rows: [config] } = await client.query(
+      `INSERT INTO enterprise_configs (enterprise_id, config_type, config_data, is_active, version)
+       VALUES ($1, $2, $3::jsonb, true, $4)
+       ON CONFLICT (enterprise_id, config_type)
+       DO UPDATE SET config_data = EXCLUDED.config_data, is_active = true, version = EXCLUDED.version
+       RETURNING *`,
+      [enterpriseId, configType, JSON.stringify(configData), next]
+    );
+
+    return { config, version };
+  }
+
+  async saveConfig(enterpriseId, configType, configData, options) {
+    return withTransaction(client => this.writeConfig(client, enterpriseId, configType, configData, options));
+  }
+
+  // The active config with its version number, or null
+  async getActiveConfig(enterpriseId, configType) {
+    const { data: config, error } = await supabase
+      .from('enterprise_configs')
+      .select('config_data, version')
+      .eq('enterprise_id', enterpriseId)
+      .eq('config_type', configType)
+      .eq('is_active', true)
+      .maybeSingle();
+
+    if (error || !config) {
+      return null;
+    }
+
+    return config;
+  }
+
+  // Version history of a config, newest first, without the config data
+  async listVersions(enterpriseId, configType) {
+    const { data: versions, error } = await supabase
+      .from('enterprise_config_versions')
+      .select(VERSION_COLUMNS)
+      .eq('enterprise_id', enterpriseId)
+      .eq('config_type', configType)
+      .order('version', { ascending: false });
+
+    if (error) {
+      throw new Error(`Error fetching config versions: ${error.message}`);
+    }
+
+    return versions;
+  }
+
+  async findVersion(enterpriseId, configType, version) {
+    const { data: configVersion, error } = await supabase
+      .from('enterprise_config_versions')
+      .select(`${VERSION_COLUMNS}, config_data`)
+      .eq('enterprise_id', enterpriseId)
+      .eq('config_type', configType)
+      .eq('version', version)
+      .maybeSingle();
+
+    if (error || !configVersion) {
+      return null;
+    }
+
+    return configVersion;
+  }
+
+  diff(fromData, toData) {
+    return diffValues(fromData, toData);
+  }
+
+  // Make a prior version (as returned by findVersion) active again by
+  // writing its data as a new version
+  async rollback(configVersion, { author, comment } = {}) {
+    return this.saveConfig(configVersion.enterprise_id, configVersion.config_type, configVersion.config_data, {
+      author,
+      comment: comment || `Rollback to version ${configVersion.version}`,
+      rolledBackFrom: configVersion.version
+    });
+  }
+}
+
+module.exports = new ConfigService();
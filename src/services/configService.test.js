@@ -0,0 +1,99 @@
+jest.mock('../config/supabase', () => require('../__tests__/mocks/supabase').createSupabaseMock());
+jest.mock('../config/database', () => require('../__tests__/mocks/database').createDatabaseMock());
+
+const supabase = require('../config/supabase');
+const { client } = require('../config/database');
+const configService = require('./configService');
+
+describe('configService.validateConfig', () => {
+  it.each([
+    ['the onboarding default', { rules: [] }],
+    ['rules without a rules key', { minBudget: 10000, industries: ['SaaS'], notes: 'Prefer EMEA' }],
+    ['rules with free-form operators', { rules: [{ field: 'budget', operator: 'at_least', value: 100 }] }],
+    ['a list of rules', [{ field: 'country', operator: 'in', value: ['DE', 'FR'] }]]
+  ])('accepts lead qualification rules saved before schemas: %s', (description, rules) => {
+    expect(configService.validateConfig('lead_qualification_rules', rules, 'rules')).toEqual([]);
+  });
+
+  it('rejects lead qualification rules that are not JSON objects or arrays', () => {
+    expect(configService.validateConfig('lead_qualification_rules', 'qualify everyone', 'rules')).toEqual([
+      expect.objectContaining({ path: 'rules', msg: 'Must be of type object or array' })
+    ]);
+  });
+
+  it('still validates typed configs', () => {
+    expect(configService.validateConfig('auth_settings', { mfaPolicy: 'sometimes' })).toEqual([
+      expect.objectContaining({ path: 'configData.mfaPolicy' })
+    ]);
+  });
+});
+
+describe('configService versions', () => {
+  const version = (overrides = {}) => ({
+    id: 'version-3',
+    enterprise_id: 'ent-1',
+    config_type: 'auth_settings',
+    version: 3,
+    config_data: { mfaPolicy: 'required' },
+    ...overrides
+  });
+
+  beforeEach(() => {
+    supabase.reset();
+    jest.clearAllMocks();
+    client.query.mockImplementation(async (sql) => {
+      if (sql.includes('AS next')) return { rows: [{ next: 5 }] };
+      if (sql.includes('INSERT INTO enterprise_config_versions')) return { rows: [{ version: 5 }] };
+      if (sql.includes('INSERT INTO enterprise_configs')) return { rows: [{ config_type: 'auth_settings', version: 5 }] };
+      return { rows: [] };
+    });
+  });
+
+  it('writes the next version under a lock and makes it active', async () => {
+    const { config } = await configService.saveConfig('ent-1', 'auth_settings', { mfaPolicy: 'optional' }, {
+      author: { userId: 'user-1' },
+      comment: 'Relax MFA'
+    });
+
+    const statements = client.query.mock.calls.map(([sql]) => sql);
+    expect(statements[0]).toBe('BEGIN');
+    expect(client.query.mock.calls[1]).toEqual(['SELECT pg_advisory_xact_lock(hashtext($1))', ['ent-1:auth_settings']]);
+    expect(statements[statements.length - 1]).toBe('COMMIT');
+
+    const [, insertParams] = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO enterprise_config_versions'));
+    expect(insertParams).toEqual(['ent-1', 'auth_settings', 5, '{"mfaPolicy":"optional"}', 'Relax MFA', 'user-1', null, null]);
+
+    const [, activeParams] = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO enterprise_configs'));
+    expect(activeParams[3]).toBe(5);
+    expect(config.version).toBe(5);
+  });
+
+  it('rolls back by writing the prior data as a new version', async () => {
+    await configService.rollback(version(), { author: { apiKeyId: 'key-1' } });
+
+    const [, insertParams] = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO enterprise_config_versions'));
+    expect(insertParams).toEqual(['ent-1', 'auth_settings', 5, '{"mfaPolicy":"required"}', 'Rollback to version 3', null, 'key-1', 3]);
+  });
+
+  it('looks versions up within the enterprise', async () => {
+    supabase.respond('enterprise_config_versions', { data: version(), error: null });
+
+    await expect(configService.findVersion('ent-1', 'auth_settings', 3)).resolves.toMatchObject({ version: 3 });
+    await expect(configService.findVersion('ent-2', 'auth_settings', 3)).resolves.toBeNull();
+
+    const [lookup] = supabase.queriesOf('enterprise_config_versions');
+    expect(lookup.calls).toContainEqual(['eq', 'enterprise_id', 'ent-1']);
+    expect(lookup.calls).toContainEqual(['eq', 'version', 3]);
+  });
+
+  it('diffs nested values member by member', () => {
+    expect(configService.diff(
+      { mfaPolicy: 'optional', passwordPolicy: { minLength: 8 }, allowedDomains: ['acme.com'] },
+      { mfaPolicy: 'required', passwordPolicy: { minLength: 8, requireSymbols: true }, allowedDomains: [] }
+    )).toEqual([
+      { path: 'mfaPolicy', change: 'changed', from: 'optional', to: 'required' },
+      { path: 'passwordPolicy.requireSymbols', change: 'added', to: true },
+      { path: 'allowedDomains[0]', change: 'removed', from: 'acme.com' }
+    ]);
+  });
+});
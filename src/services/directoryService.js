@@ -0,0 +1,243 @@
+const { pool } = require('../config/database');
+const { toCsv } = require('../utils/csv');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const MAX_EXPORT_ROWS = 10000;
+const STATUSES = ['active', 'inactive', 'all'];
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+// timestamptz values as Postgres prints them in text
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}:\d{2}(\.\d+)?([+-]\d{2}(:?\d{2})?|Z)$/;
+
+// Sort keys, as text so they survive the round trip through a cursor
+const SORT_KEYS = {
+  name: { expression: 'lower(coalesce(u.name, \'\'))', type: 'text' },
+  created: { expression: 'u.created_at', type: 'timestamptz' },
+  joined: { expression: 'm.created_at', type: 'timestamptz' },
+  // Users who never signed in sort as the oldest logins
+  lastLogin: { expression: 'coalesce(u.last_login, \'-infinity\'::timestamptz)', type: 'timestamptz' }
+};
+
+const DIRECTORY_FROM = `
+  FROM enterprise_memberships m
+  JOIN users u ON u.id = m.user_id
+  LEFT JOIN roles r ON r.id = m.role_id
+`;
+
+const CSV_COLUMNS = ['id', 'name', 'email', 'role', 'isActive', 'emailVerified', 'lastLogin', 'joinedAt', 'createdAt'];
+
+// Escape LIKE wildcards so the search term matches literally
+const toContainsPattern = (term) => `%${term.replace(/[\\%_]/g, '\\$&')}%`;
+
+const encodeCursor = (cursor) => Buffer.from(JSON.stringify(cursor)).toString('base64url');
+
+// A cursor's sort key must cast to the sort's type and its membership id
+// must be a uuid, or the query would fail in Postgres
+const isValidSortKey = (value, type) => {
+  if (typeof value !== 'string' || value.includes('\u0000')) {
+    return false;
+  }
+
+  if (type !== 'timestamptz') {
+    return true;
+  }
+
+  return value === '-infinity' || (TIMESTAMP_PATTERN.test(value) && !isNaN(Date.parse(value)));
+};
+
+const decodeCursor = (cursor, sortBy, sortOrder) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+  } catch (error) {
+    return null;
+  }
+
+  if (!Array.isArray(decoded) || decoded.length !== 4) {
+    return null;
+  }
+
+  const [cursorSortBy, cursorSortOrder, keyValue, membershipId] = decoded;
+  if (cursorSortBy !== sortBy || cursorSortOrder !== sortOrder) {
+    return null;
+  }
+
+  if (!isValidSortKey(keyValue, SORT_KEYS[sortBy].type) || typeof membershipId !== 'string' || !UUID_PATTERN.test(membershipId)) {
+    return null;
+  }
+
+  return { keyValue, membershipId };
+};
+
+const formatMember = (row) => ({
+  id: row.id,
+  name: row.name,
+  email: row.email,
+  avatar: row.avatar_url,
+  phone: row.phone,
+  timezone: row.timezone,
+  isActive: row.is_active,
+  emailVerified: row.email_verified,
+  lastLogin: row.last_login,
+  joinedAt: row.joined_at,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+  role: {
+    id: row.role_id,
+    name: row.role_name,
+    description: row.role_description,
+    isSystemRole: row.role_is_system_role
+  }
+});
+
+/**
+ * Team directory of an enterprise: its members with the role they hold
+ * there. Queried in SQL because keyset pagination over user columns cannot
+ * be expressed through the Supabase client.
+ */
+class DirectoryService {
+  get sortFields() {
+    return Object.keys(SORT_KEYS);
+  }
+
+  // Membership statuses members can be filtered by
+  get statuses() {
+    return STATUSES;
+  }
+
+  get maxExportRows() {
+    return MAX_EXPORT_ROWS;
+  }
+
+  // WHERE clause and parameters for the filters. Deleted accounts are never
+  // listed; `status` refers to the membership (see user deactivation).
+  buildFilter(enterpriseId, { search, roleId, status = 'active', lastLoginAfter, lastLoginBefore }) {
+    const params = [enterpriseId];
+    const conditions = ['m.enterprise_id = $1', 'u.is_active = true'];
+    const addParam = (value) => {
+      params.push(value);
+      return `$${params.length}`;
+    };
+
+    if (status === 'active') {
+      conditions.push('m.is_active = true');
+    } else if (status === 'inactive') {
+      conditions.push('m.is_active = false');
+    }
+
+    if (search) {
+      const pattern = addParam(toContainsPattern(search));
+      conditions.push(`(u.name ILIKE ${pattern} OR u.email ILIKE ${pattern})`);
+    }
+
+    if (roleId) {
+      conditions.push(`m.role_id = ${addParam(roleId)}`);
+    }
+
+    if (lastLoginAfter) {
+      conditions.push(`u.last_login >= ${addParam(lastLoginAfter)}`);
+    }
+
+    if (lastLoginBefore) {
+      conditions.push(`u.last_login < ${addParam(lastLoginBefore)}`);
+    }
+
+    return { conditions, params, addParam };
+  }
+
+  /**
+   * One page of members matching `filters`, after `cursor` when given.
+   * Returns `{ members, nextCursor, limit }`, or null when the cursor is
+   * malformed or belongs to another sort order.
+   */
+  async listMembers(enterpriseId, filters, { sortBy = 'joined', sortOrder = 'desc', limit = DEFAULT_LIMIT, cursor } = {}) {
+    const { conditions, params, addParam } = this.buildFilter(enterpriseId, filters);
+    const sortKey = SORT_KEYS[sortBy];
+    const direction = sortOrder === 'asc' ? 'ASC' : 'DESC';
+    const pageSize = Math.min(Math.max(parseInt(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+    if (cursor) {
+      const decoded = decodeCursor(cursor, sortBy, sortOrder);
+      if (!decoded) {
+        return null;
+      }
+
+      const { keyValue, membershipId } = decoded;
+      conditions.push(
+        `(${sortKey.expression}, m.id) ${direction === 'ASC' ? '>' : '<'} (${addParam(keyValue)}::${sortKey.type}, ${addParam(membershipId)}::uuid)`
+      );
+    }
+
+    const { rows } = await pool.query(
+      `SELECT m.id AS membership_id, m.is_active AS membership_active, m.created_at AS joined_at,
+              u.id, u.name, u.email, u.avatar_url, u.phone, u.timezone, u.email_verified,
+              u.last_login, u.created_at, u.updated_at,
+              r.id AS role_id, r.name AS role_name, r.description AS role_description,
+              r.is_system_role AS role_is_system_role,
+              (${sortKey.expression})::text AS sort_key
+       ${DIRECTORY_FROM}
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY ${sortKey.expression} ${direction}, m.id ${direction}
+       LIMIT ${pageSize + 1}`,
+      params
+    );
+
+    const page = rows.slice(0, pageSize);
+    const last = page[page.length - 1];
+
+    return {
+      members: page.map(row => formatMember({ ...row, is_active: row.membership_active })),
+      nextCursor: rows.length > pageSize ? encodeCursor([sortBy, sortOrder, last.sort_key, last.membership_id]) : null,
+      limit: pageSize
+    };
+  }
+
+  // Totals over every member matching `filters`, regardless of pagination
+  async getStatistics(enterpriseId, filters) {
+    const { conditions, params } = this.buildFilter(enterpriseId, filters);
+
+    const { rows } = await pool.query(
+      `SELECT coalesce(r.name, 'Unknown') AS role_name,
+              count(*)::int AS total,
+              count(*) FILTER (WHERE m.is_active)::int AS active
+       ${DIRECTORY_FROM}
+       WHERE ${conditions.join(' AND ')}
+       GROUP BY coalesce(r.name, 'Unknown')`,
+      params
+    );
+
+    return {
+      totalUsers: rows.reduce((sum, row) => sum + row.total, 0),
+      activeUsers: rows.reduce((sum, row) => sum + row.active, 0),
+      roleDistribution: Object.fromEntries(rows.map(row => [row.role_name, row.total]))
+    };
+  }
+
+  /**
+   * Every member matching `filters` as CSV, up to MAX_EXPORT_ROWS. Returns
+   * `{ csv, truncated }`; `truncated` is set when more members matched.
+   */
+  async exportCsv(enterpriseId, filters, { sortBy = 'joined', sortOrder = 'desc' } = {}) {
+    const { conditions, params } = this.buildFilter(enterpriseId, filters);
+    const sortKey = SORT_KEYS[sortBy];
+    const direction = sortOrder === 'asc' ? 'ASC' : 'DESC';
+
+    const { rows } = await pool.query(
+      `SELECT u.id, u.name, u.email, r.name AS role, m.is_active AS "isActive",
+              u.email_verified AS "emailVerified", u.last_login AS "lastLogin",
+              m.created_at AS "joinedAt", u.created_at AS "createdAt"
+       ${DIRECTORY_FROM}
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY ${sortKey.expression} ${direction}, m.id ${direction}
+       LIMIT ${MAX_EXPORT_ROWS + 1}`,
+      params
+    );
+
+    return {
+      csv: toCsv(CSV_COLUMNS, rows.slice(0, MAX_EXPORT_ROWS)),
+      truncated: rows.length > MAX_EXPORT_ROWS
+    };
+  }
+}
+
+module.exports = new DirectoryService();
@@ -0,0 +1,58 @@
+jest.mock('../config/database', () => require('../__tests__/mocks/database').createDatabaseMock());
+
+const { pool } = require('../config/database');
+const directoryService = require('./directoryService');
+
+const cursorOf = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+const MEMBERSHIP_ID = '2b0c0a8e-8d8e-4d3c-9a55-5f2d1c9f6a11';
+
+describe('directoryService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('listMembers', () => {
+    it('continues after a cursor it issued', async () => {
+      pool.query.mockResolvedValueOnce({
+        rows: [{ id: 'user-1', membership_id: MEMBERSHIP_ID, sort_key: '2025-07-25 09:00:00.123456+00' }, { id: 'user-2' }]
+      });
+      const first = await directoryService.listMembers('ent-1', {}, { limit: 1 });
+
+      pool.query.mockResolvedValueOnce({ rows: [] });
+      await expect(directoryService.listMembers('ent-1', {}, { limit: 1, cursor: first.nextCursor })).resolves.toMatchObject({ members: [] });
+
+      const [, params] = pool.query.mock.calls[1];
+      expect(params).toEqual(['ent-1', '2025-07-25 09:00:00.123456+00', MEMBERSHIP_ID]);
+    });
+
+    it.each([
+      ['not base64 JSON', 'not-a-cursor'],
+      ['for another sort', cursorOf(['name', 'desc', 'ada', MEMBERSHIP_ID])],
+      ['with a sort key that is not a timestamp', cursorOf(['joined', 'desc', 'yesterday', MEMBERSHIP_ID])],
+      ['with a membership id that is not a uuid', cursorOf(['joined', 'desc', '2025-07-25 09:00:00+00', '1; DROP'])],
+      ['with values that are not strings', cursorOf(['joined', 'desc', 1, { id: 1 }])]
+    ])('rejects a cursor %s before querying', async (description, cursor) => {
+      await expect(directoryService.listMembers('ent-1', {}, { cursor })).resolves.toBeNull();
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('exportCsv', () => {
+    it('reports when more members match than an export holds', async () => {
+      const rows = Array.from({ length: directoryService.maxExportRows + 1 }, (row, i) => ({ id: `user-${i}` }));
+      pool.query.mockResolvedValueOnce({ rows });
+
+      const { csv, truncated } = await directoryService.exportCsv('ent-1', {});
+
+      expect(truncated).toBe(true);
+      expect(csv.trim().split('\n')).toHaveLength(directoryService.maxExportRows + 1);
+      expect(pool.query.mock.calls[0][0]).toContain(`LIMIT ${directoryService.maxExportRows + 1}`);
+    });
+
+    it('is not truncated when every member fits', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ id: 'user-1' }] });
+
+      await expect(directoryService.exportCsv('ent-1', {})).resolves.toMatchObject({ truncated: false });
+    });
+  });
+});
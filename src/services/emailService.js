@@ -88,9 +88,9 @@ class EmailService {
     }
   }
 
-  // Account creation invite email
+  // Account invitation email with acceptance link
   async sendAccountInvite(userData, inviteData) {
-    const subject = `Welcome to ${userData.enterprises?.name || 'RevUp Bolt'} - Your Account is Ready!`;
+    const subject = `You're invited to join ${userData.enterprises?.name || 'RevUp Bolt'}`;
     
     const data = {
       userName: userData.name,
@@ -121,6 +121,109 @@ class EmailService {
     return this.sendEmail(userData.email, subject, 'password-reset', data);
   }
 
+  // Email address verification (new accounts and email changes)
+  async sendEmailVerification(userData, verificationData) {
+    const subject = `Verify Your Email - ${userData.enterprises?.name || 'RevUp Bolt'}`;
+
+    const data = {
+      userName: userData.name,
+      userEmail: verificationData.email,
+      enterpriseName: userData.enterprises?.name || 'RevUp Bolt',
+      verifyUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/verify-email?token=${verificationData.token}`,
+      expiresIn: '24 hours',
+      isEmailChange: Boolean(verificationData.isEmailChange),
+      supportEmail: process.env.SUPPORT_EMAIL || 'support@revup-bolt.com'
+    };
+
+    return this.sendEmail(verificationData.email, subject, 'email-verification', data);
+  }
+
+  // Account lockout notice with unlock link
+  async sendAccountUnlock(userData, unlockData) {
+    const subject = `Your Account Has Been Locked - ${userData.enterprises?.name || 'RevUp Bolt'}`;
+
+    const data = {
+      userName: userData.name,
+      userEmail: userData.email,
+      enterpriseName: userData.enterprises?.name || 'RevUp Bolt',
+      unlockUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/unlock-account?token=${unlockData.token}`,
+      lockedMinutes: unlockData.lockedMinutes,
+      supportEmail: process.env.SUPPORT_EMAIL || 'support@revup-bolt.com'
+    };
+
+    return this.sendEmail(userData.email, subject, 'account-unlock', data);
+  }
+
+  // Link confirming the address of a request to join an enterprise
+  async sendJoinRequestVerification(userData, verificationData) {
+    const subject = `Confirm your request to join ${userData.enterprises?.name || 'RevUp Bolt'}`;
+
+    const data = {
+      userName: userData.name,
+      userEmail: userData.email,
+      enterpriseName: userData.enterprises?.name || 'RevUp Bolt',
+      verifyUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/verify-join-request?token=${verificationData.token}`,
+      expiresIn: '24 hours',
+      supportEmail: process.env.SUPPORT_EMAIL || 'support@revup-bolt.com'
+    };
+
+    return this.sendEmail(userData.email, subject, 'join-request-verification', data);
+  }
+
+  // Notice that a request to join an enterprise was declined
+  async sendJoinRequestDenied(userData) {
+    const subject = `Your request to join ${userData.enterprises?.name || 'RevUp Bolt'}`;
+
+    const data = {
+      userName: userData.name,
+      userEmail: userData.email,
+      enterpriseName: userData.enterprises?.name || 'RevUp Bolt',
+      supportEmail: process.env.SUPPORT_EMAIL || 'support@revup-bolt.com'
+    };
+
+    return this.sendEmail(userData.email, subject, 'join-request-denied', data);
+  }
+
+  // Notice of leads, tasks and meetings handed over from one member to
+  // another; sent to both. `transferData.isRecipient` tells which side
+  // `userData` is on.
+  async sendWorkTransfer(userData, transferData) {
+    const subject = `Work transferred - ${userData.enterprises?.name || 'RevUp Bolt'}`;
+
+    const data = {
+      userName: userData.name,
+      userEmail: userData.email,
+      enterpriseName: userData.enterprises?.name || 'RevUp Bolt',
+      isRecipient: transferData.isRecipient,
+      fromName: transferData.fromName,
+      toName: transferData.toName,
+      leadCount: transferData.counts.leads,
+      taskCount: transferData.counts.tasks,
+      meetingCount: transferData.counts.meetings,
+      loginUrl: process.env.FRONTEND_URL || 'http://localhost:3000',
+      supportEmail: process.env.SUPPORT_EMAIL || 'support@revup-bolt.com'
+    };
+
+    return this.sendEmail(userData.email, subject, 'work-transfer', data);
+  }
+
+  // Download link of a completed data export, sent to whoever requested it
+  async sendDataExportReady(userData, exportData) {
+    const subject = `Your data export is ready - ${userData.enterprises?.name || 'RevUp Bolt'}`;
+
+    const data = {
+      userName: userData.name,
+      userEmail: userData.email,
+      enterpriseName: userData.enterprises?.name || 'RevUp Bolt',
+      downloadUrl: exportData.downloadUrl,
+      expiresAt: new Date(exportData.expiresAt).toLocaleDateString(),
+      recordCount: exportData.recordCount,
+      supportEmail: process.env.SUPPORT_EMAIL || 'support@revup-bolt.com'
+    };
+
+    return this.sendEmail(userData.email, subject, 'data-export-ready', data);
+  }
+
   // Welcome email for new users
   async sendWelcomeEmail(userData) {
     const subject = `Welcome to ${userData.enterprises?.name || 'RevUp Bolt'}!`;
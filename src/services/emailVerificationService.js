@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+const supabase = require('../config/supabase');
+const emailService = require('./emailService');
+
+const VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+class EmailVerificationService {
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  // Create a verification token for an address, replacing the user's
+  // outstanding token of the same purpose: verifying the account email and
+  // confirming an email change have separate links
+  async createToken(userId, email, purpose) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + VERIFICATION_TTL_MS);
+
+    const { error: deleteError } = await supabase
+      .from('email_verification_tokens')
+      .delete()
+      .eq('user_id', userId)
+      .eq('purpose', purpose)
+      .is('used_at', null);
+
+    if (deleteError) {
+      throw new Error(`Failed to replace verification token: ${deleteError.message}`);
+    }
+
+    const { error } = await supabase
+      .from('email_verification_tokens')
+      .insert({
+        user_id: userId,
+        email: email.toLowerCase(),
+        purpose,
+        token_hash: this.hashToken(token),
+        expires_at: expiresAt.toISOString()
+      });
+
+    if (error) {
+      throw new Error(`Failed to save verification token: ${error.message}`);
+    }
+
+    return token;
+  }
+
+  async sendVerification(user, email = user.email) {
+    const isEmailChange = email.toLowerCase() !== user.email;
+    const token = await this.createToken(user.id, email, isEmailChange ? 'email_change' : 'verify_email');
+
+    await emailService.sendEmailVerification(user, {
+      email,
+      token,
+      isEmailChange
+    });
+  }
+
+  // Redeem a token once. Returns the token record or null if the token is
+  // unknown, used or expired.
+  async consumeToken(token) {
+    const { data: record, error } = await supabase
+      .from('email_verification_tokens')
+      .select('*')
+      .eq('token_hash', this.hashToken(token))
+      .maybeSingle();
+
+    if (error || !record || record.used_at) {
+      return null;
+    }
+
+    if (new Date(record.expires_at) < new Date()) {
+      return null;
+    }
+
+    const { data: used, error: updateError } = await supabase
+      .from('email_verification_tokens')
+      .update({ used_at: new Date().toISOString() })
+      .eq('id', record.id)
+      .is('used_at', null)
+      .select('id');
+
+    if (updateError || !used || used.length === 0) {
+      return null;
+    }
+
+    return record;
+  }
+}
+
+module.exports = new EmailVerificationService();
@@ -0,0 +1,61 @@
+jest.mock('../config/supabase', () => require('../__tests__/mocks/supabase').createSupabaseMock());
+jest.mock('./emailService', () => ({
+  sendEmailVerification: jest.fn()
+}));
+
+const supabase = require('../config/supabase');
+const emailService = require('./emailService');
+const emailVerificationService = require('./emailVerificationService');
+
+const user = { id: 'user-1', name: 'Ada', email: 'ada@example.com' };
+
+describe('emailVerificationService', () => {
+  beforeEach(() => {
+    supabase.reset();
+    jest.clearAllMocks();
+  });
+
+  describe('sendVerification', () => {
+    it('replaces only the outstanding account verification token', async () => {
+      await emailVerificationService.sendVerification(user);
+
+      const [deletion, insert] = supabase.queriesOf('email_verification_tokens');
+      expect(deletion.calls).toContainEqual(['eq', 'purpose', 'verify_email']);
+      expect(supabase.argsOf(insert, 'insert')[0]).toMatchObject({ email: user.email, purpose: 'verify_email' });
+      expect(emailService.sendEmailVerification).toHaveBeenCalledWith(user, expect.objectContaining({ isEmailChange: false }));
+    });
+
+    it('keeps the account verification token when an email change is requested', async () => {
+      await emailVerificationService.sendVerification(user, 'Ada.New@example.com');
+
+      const [deletion, insert] = supabase.queriesOf('email_verification_tokens');
+      expect(deletion.calls).toContainEqual(['eq', 'purpose', 'email_change']);
+      expect(deletion.calls).not.toContainEqual(['eq', 'purpose', 'verify_email']);
+      expect(supabase.argsOf(insert, 'insert')[0]).toMatchObject({ email: 'ada.new@example.com', purpose: 'email_change' });
+      expect(emailService.sendEmailVerification).toHaveBeenCalledWith(user, expect.objectContaining({ isEmailChange: true }));
+    });
+  });
+
+  describe('consumeToken', () => {
+    it('redeems a token once', async () => {
+      const record = { id: 'token-1', user_id: user.id, used_at: null, expires_at: new Date(Date.now() + 60 * 1000).toISOString() };
+      supabase.respond('email_verification_tokens',
+        { data: record, error: null },
+        { data: [{ id: 'token-1' }], error: null },
+        { data: { ...record, used_at: new Date().toISOString() }, error: null }
+      );
+
+      await expect(emailVerificationService.consumeToken('token')).resolves.toEqual(record);
+      await expect(emailVerificationService.consumeToken('token')).resolves.toBeNull();
+    });
+
+    it('rejects expired tokens', async () => {
+      supabase.respond('email_verification_tokens', {
+        data: { id: 'token-1', used_at: null, expires_at: new Date(Date.now() - 1000).toISOString() },
+        error: null
+      });
+
+      await expect(emailVerificationService.consumeToken('token')).resolves.toBeNull();
+    });
+  });
+});
@@ -0,0 +1,225 @@
+const supabase = require('../config/supabase');
+const { pool, withTransaction } = require('../config/database');
+const { FEATURES, PLANS, DEFAULT_PLAN, ACTIVE_SUBSCRIPTION_STATUSES } = require('../config/plans');
+
+const FEATURE_NAMES = {
+  sso: 'Single sign-on',
+  scim: 'SCIM provisioning',
+  api_keys: 'API keys',
+  bulk_import: 'Bulk user import'
+};
+
+// Start of the current quota period (calendar month, UTC)
+const getPeriodStart = (now = new Date()) => new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+
+const getPeriodEnd = (now = new Date()) => new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+
+/**
+ * What an enterprise may do under its subscription plan (see
+ * config/plans.js). The check methods return null when the action is
+ * allowed, or `{ status, code, message }` to respond with: 402 when the
+ * subscription is inactive or a limit is reached, 403 when the plan does
+ * not include the feature or provider.
+ */
+class EntitlementService {
+  getPlanId(enterprise) {
+    return PLANS[enterprise.subscription_plan] ? enterprise.subscription_plan : DEFAULT_PLAN;
+  }
+
+  getPlan(enterprise) {
+    return PLANS[this.getPlanId(enterprise)];
+  }
+
+  isSubscriptionActive(enterprise) {
+    return ACTIVE_SUBSCRIPTION_STATUSES.includes(enterprise.subscription_status);
+  }
+
+  checkSubscription(enterprise) {
+    if (this.isSubscriptionActive(enterprise)) {
+      return null;
+    }
+
+    return {
+      status: 402,
+      code: 'SUBSCRIPTION_INACTIVE',
+      message: `The subscription of this enterprise is ${enterprise.subscription_status || 'inactive'}. Renew it to continue.`
+    };
+  }
+
+  checkFeature(enterprise, feature) {
+    const inactive = this.checkSubscription(enterprise);
+    if (inactive) {
+      return inactive;
+    }
+
+    const plan = this.getPlan(enterprise);
+    if (plan.features.includes(feature)) {
+      return null;
+    }
+
+    return {
+      status: 403,
+      code: 'FEATURE_NOT_IN_PLAN',
+      message: `${FEATURE_NAMES[feature] || feature} is not included in the ${plan.name} plan`
+    };
+  }
+
+  checkCrmProvider(enterprise, provider) {
+    const inactive = this.checkSubscription(enterprise);
+    if (inactive) {
+      return inactive;
+    }
+
+    const plan = this.getPlan(enterprise);
+    if (plan.crmProviders.includes(provider)) {
+      return null;
+    }
+
+    return {
+      status: 403,
+      code: 'CRM_PROVIDER_NOT_IN_PLAN',
+      message: `The ${plan.name} plan does not include ${provider}. Allowed providers: ${plan.crmProviders.join(', ')}`
+    };
+  }
+
+  // Seats taken: active members with an active account, plus pending
+  // invitations that have not expired
+  async countSeats(enterpriseId) {
+    const { rows: [seats] } = await pool.query(
+      `SELECT
+         (SELECT count(*)::int
+          FROM enterprise_memberships m
+          JOIN users u ON u.id = m.user_id
+          WHERE m.enterprise_id = $1 AND m.is_active = true AND u.is_active = true) AS members,
+         (SELECT count(*)::int
+          FROM invitations
+          WHERE enterprise_id = $1 AND status = 'pending' AND expires_at > now()) AS pending_invitations`,
+      [enterpriseId]
+    );
+
+    return {
+      members: seats.members,
+      pendingInvitations: seats.pending_invitations,
+      used: seats.members + seats.pending_invitations
+    };
+  }
+
+  // Whether `count` more seats can be taken
+  async checkSeats(enterprise, count = 1) {
+    const inactive = this.checkSubscription(enterprise);
+    if (inactive) {
+      return inactive;
+    }
+
+    const plan = this.getPlan(enterprise);
+    if (plan.seats === null) {
+      return null;
+    }
+
+    const { used } = await this.countSeats(enterprise.id);
+    if (used + count <= plan.seats) {
+      return null;
+    }
+
+    const available = Math.max(plan.seats - used, 0);
+    return {
+      status: 402,
+      code: 'SEAT_LIMIT_REACHED',
+      message: available === 0
+        ? `All ${plan.seats} seats of the ${plan.name} plan are taken. Upgrade the plan or free up seats.`
+        : `Only ${available} of the ${plan.seats} seats of the ${plan.name} plan are available. Upgrade the plan or free up seats.`
+    };
+  }
+
+  /**
+   * Check that `count` more seats can be taken and run `take`, which takes
+   * them, under a lock on the enterprise's seats. Concurrent callers wait
+   * for each other, so two of them cannot both take the last seat. Returns
+   * `{ denial }` when the seats are not available, otherwise `{ result }`
+   * with what `take` returned.
+   */
+  async withSeats(enterprise, take, count = 1) {
+    return withTransaction(async (client) => {
+      await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`seats:${enterprise.id}`]);
+
+      const denial = await this.checkSeats(enterprise, count);
+      if (denial) {
+        return { denial };
+      }
+
+      return { result: await take() };
+    });
+  }
+
+  // AI lead qualifications run since `since`, one per `lead_qualifications` row
+  async countAiQualifications(enterpriseId, since = getPeriodStart()) {
+    const { count, error } = await supabase
+      .from('lead_qualifications')
+      .select('id', { count: 'exact', head: true })
+      .eq('enterprise_id', enterpriseId)
+      .gte('created_at', since.toISOString());
+
+    if (error) {
+      throw new Error(`Error counting AI qualifications: ${error.message}`);
+    }
+
+    return count || 0;
+  }
+
+  async checkAiQuota(enterprise) {
+    const inactive = this.checkSubscription(enterprise);
+    if (inactive) {
+      return inactive;
+    }
+
+    const plan = this.getPlan(enterprise);
+    if (plan.aiQualificationsPerMonth === null) {
+      return null;
+    }
+
+    const used = await this.countAiQualifications(enterprise.id);
+    if (used < plan.aiQualificationsPerMonth) {
+      return null;
+    }
+
+    return {
+      status: 402,
+      code: 'AI_QUOTA_EXCEEDED',
+      message: `The ${plan.name} plan includes ${plan.aiQualificationsPerMonth} AI qualifications per month and all have been used. The quota resets on ${getPeriodEnd().toISOString().slice(0, 10)}.`
+    };
+  }
+
+  // Plan limits next to current usage
+  async getUsage(enterprise) {
+    const plan = this.getPlan(enterprise);
+    const [seats, aiQualifications] = await Promise.all([
+      this.countSeats(enterprise.id),
+      this.countAiQualifications(enterprise.id)
+    ]);
+
+    return {
+      plan: {
+        id: this.getPlanId(enterprise),
+        name: plan.name
+      },
+      subscription: {
+        status: enterprise.subscription_status,
+        active: this.isSubscriptionActive(enterprise)
+      },
+      seats: {
+        ...seats,
+        limit: plan.seats
+      },
+      aiQualifications: {
+        used: aiQualifications,
+        limit: plan.aiQualificationsPerMonth,
+        periodStart: getPeriodStart(),
+        periodEnd: getPeriodEnd()
+      },
+      crmProviders: plan.crmProviders,
+      features: Object.fromEntries(FEATURES.map(feature => [feature, plan.features.includes(feature)]))
+    };
+  }
+}
+
+module.exports = new EntitlementService();
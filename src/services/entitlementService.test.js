@@ -0,0 +1,78 @@
+jest.mock('../config/supabase', () => require('../__tests__/mocks/supabase').createSupabaseMock());
+jest.mock('../config/database', () => require('../__tests__/mocks/database').createDatabaseMock());
+
+const { pool, client, withTransaction } = require('../config/database');
+const entitlementService = require('./entitlementService');
+
+describe('entitlementService.withSeats', () => {
+  const enterprise = { id: 'ent-1', subscription_plan: 'basic', subscription_status: 'active' };
+  let members;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    members = 4;
+    pool.query.mockImplementation(async () => ({ rows: [{ members, pending_invitations: 0 }] }));
+  });
+
+  // Run withSeats calls on separate transaction clients whose advisory
+  // locks exclude each other, as Postgres does
+  const withLockingClients = () => {
+    let held = Promise.resolve();
+
+    withTransaction.mockImplementation(async (fn) => {
+      let release;
+      const client = {
+        query: jest.fn(async (sql) => {
+          if (sql.includes('pg_advisory_xact_lock')) {
+            const previous = held;
+            held = new Promise(resolve => { release = resolve; });
+            await previous;
+          }
+          return { rows: [] };
+        })
+      };
+
+      try {
+        return await fn(client);
+      } finally {
+        release?.();
+      }
+    });
+  };
+
+  it('takes the seat under a per-enterprise lock', async () => {
+    const take = jest.fn(async () => 'user-5');
+
+    await expect(entitlementService.withSeats(enterprise, take)).resolves.toEqual({ result: 'user-5' });
+
+    expect(client.query).toHaveBeenCalledWith('SELECT pg_advisory_xact_lock(hashtext($1))', ['seats:ent-1']);
+  });
+
+  it('does not take a seat the plan does not have', async () => {
+    members = 5;
+    const take = jest.fn();
+
+    const { denial } = await entitlementService.withSeats(enterprise, take);
+
+    expect(denial).toMatchObject({ status: 402, code: 'SEAT_LIMIT_REACHED' });
+    expect(take).not.toHaveBeenCalled();
+  });
+
+  it('gives the last seat to only one of two concurrent callers', async () => {
+    withLockingClients();
+    const take = jest.fn(async () => {
+      await new Promise(resolve => setImmediate(resolve));
+      members++;
+      return 'taken';
+    });
+
+    const outcomes = await Promise.all([
+      entitlementService.withSeats(enterprise, take),
+      entitlementService.withSeats(enterprise, take)
+    ]);
+
+    expect(take).toHaveBeenCalledTimes(1);
+    expect(outcomes.filter(outcome => outcome.denial)).toHaveLength(1);
+    expect(members).toBe(5);
+  });
+});
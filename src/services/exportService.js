@@ -0,0 +1,512 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { once } = require('events');
+const { pipeline } = require('stream/promises');
+const supabase = require('../config/supabase');
+const { withTransaction } = require('../config/database');
+const { CONFIG_TYPES } = require('../config/configSchemas');
+const { toCsvRow } = require('../utils/csv');
+const emailService = require('./emailService');
+
+const EXPORT_FORMAT_VERSION = 1;
+const RETENTION_DAYS = 7;
+const BATCH_SIZE = 1000;
+
+const EXPORT_JOB_COLUMNS = 'id, enterprise_id, requested_by, status, datasets_total, datasets_done, current_dataset, records_exported, storage_path, size_bytes, manifest, error, expires_at, created_at, started_at, completed_at';
+
+// Columns that are never exported, whichever table they appear in
+const SECRET_COLUMNS = [
+  'password_hash',
+  'token_hash',
+  'unlock_token_hash',
+  'key_hash',
+  'client_secret',
+  'credential_data',
+  'recovery_code_hashes'
+];
+
+// What an export contains, one file per format. `csv` datasets are flat
+// enough to also be useful as spreadsheets; NDJSON keeps nested values.
+const DATASETS = [
+  {
+    name: 'users',
+    csv: true,
+    description: 'Members with their role in the enterprise',
+    query: `SELECT u.id, u.name, u.email, u.phone, u.timezone, u.avatar_url, u.email_verified,
+                   u.is_active AS account_active, u.last_login, u.created_at, u.updated_at,
+                   m.role_id, r.name AS role_name, m.is_active AS membership_active, m.created_at AS joined_at
+            FROM enterprise_memberships m
+            JOIN users u ON u.id = m.user_id
+            LEFT JOIN roles r ON r.id = m.role_id
+            WHERE m.enterprise_id = $1
+            ORDER BY m.created_at`
+  },
+  {
+    name: 'roles',
+    csv: true,
+    description: 'Roles and their permissions',
+    query: 'SELECT * FROM roles WHERE enterprise_id = $1'
+  },
+  {
+    name: 'invitations',
+    csv: true,
+    description: 'Invitations, without their tokens',
+    query: 'SELECT * FROM invitations WHERE enterprise_id = $1'
+  },
+  {
+    name: 'configs',
+    description: 'Active configs',
+    query: 'SELECT * FROM enterprise_configs WHERE enterprise_id = $1 AND config_type = ANY($2)',
+    params: [CONFIG_TYPES]
+  },
+  {
+    name: 'config_versions',
+    description: 'Version history of the configs',
+    query: 'SELECT * FROM enterprise_config_versions WHERE enterprise_id = $1 AND config_type = ANY($2) ORDER BY config_type, version',
+    params: [CONFIG_TYPES]
+  },
+  {
+    name: 'crm_connections',
+    csv: true,
+    description: 'Connected CRM providers, without their credentials',
+    query: 'SELECT * FROM enterprise_crm_credentials WHERE enterprise_id = $1'
+  },
+  {
+    name: 'notifications',
+    csv: true,
+    description: 'In-app notifications',
+    query: 'SELECT * FROM notifications WHERE enterprise_id = $1'
+  },
+  {
+    name: 'leads',
+    csv: true,
+    description: 'Leads',
+    query: 'SELECT * FROM leads WHERE enterprise_id = $1'
+  },
+  {
+    name: 'meetings',
+    csv: true,
+    description: 'Meetings',
+    query: 'SELECT * FROM meetings WHERE enterprise_id = $1'
+  },
+  {
+    name: 'tasks',
+    csv: true,
+    description: 'Tasks',
+    query: 'SELECT * FROM tasks WHERE enterprise_id = $1'
+  },
+  {
+    name: 'lead_qualifications',
+    description: 'AI lead qualification history',
+    query: 'SELECT * FROM lead_qualifications WHERE enterprise_id = $1 ORDER BY created_at'
+  }
+];
+
+const omitSecrets = (row) => Object.fromEntries(
+  Object.entries(row).filter(([column]) => !SECRET_COLUMNS.includes(column))
+);
+
+// POSIX ustar header of a regular file
+const tarHeader = (name, size, mtime) => {
+  const header = Buffer.alloc(512);
+  const octal = (value, length) => `${value.toString(8).padStart(length - 1, '0')}\0`;
+
+  header.write(name, 0, 100);
+  header.write(octal(0o644, 8), 100);
+  header.write(octal(0, 8), 108);
+  header.write(octal(0, 8), 116);
+  header.write(octal(size, 12), 124);
+  header.write(octal(mtime, 12), 136);
+  header.write(' '.repeat(8), 148);
+  header.write('0', 156);
+  header.write('ustar\0', 257);
+  header.write('00', 263);
+
+  const checksum = header.reduce((sum, byte) => sum + byte, 0);
+  header.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148);
+
+  return header;
+};
+
+// Tar stream of `{ path, size, content }` files, where `content` is a
+// buffer or the path of a file on disk
+async function* tarEntries(files, mtime) {
+  for (const { path: name, size, content } of files) {
+    yield tarHeader(name, size, mtime);
+    if (Buffer.isBuffer(content)) {
+      yield content;
+    } else {
+      yield* fs.createReadStream(content);
+    }
+    yield Buffer.alloc((512 - (size % 512)) % 512);
+  }
+  yield Buffer.alloc(1024);
+}
+
+// Append-only file on disk that keeps the size and SHA-256 of what was
+// written, honouring backpressure
+const createFileWriter = (filePath) => {
+  const stream = fs.createWriteStream(filePath);
+  const hash = crypto.createHash('sha256');
+  let bytes = 0;
+  let failure = null;
+
+  stream.on('error', (error) => {
+    failure = error;
+  });
+
+  return {
+    async write(text) {
+      if (failure) {
+        throw failure;
+      }
+
+      const chunk = Buffer.from(text);
+      hash.update(chunk);
+      bytes += chunk.length;
+      if (!stream.write(chunk)) {
+        await once(stream, 'drain');
+      }
+    },
+
+    async close() {
+      if (failure) {
+        throw failure;
+      }
+
+      stream.end();
+      await once(stream, 'finish');
+      return { bytes, sha256: hash.digest('hex') };
+    },
+
+    destroy() {
+      stream.destroy();
+    }
+  };
+};
+
+const getBucket = () => process.env.EXPORT_BUCKET || 'tenant-exports';
+
+/**
+ * Full data exports of an enterprise. An export job collects every dataset
+ * into a .tar.gz archive of NDJSON and CSV files with a manifest, uploads
+ * it to Supabase storage and emails the requester a signed download link.
+ * Secrets (password hashes, tokens, CRM credentials) are never exported.
+ */
+class ExportService {
+  get datasets() {
+    return DATASETS.map(({ name, description }) => ({ name, description }));
+  }
+
+  async createJob(enterpriseId, requestedBy) {
+    const { data: job, error } = await supabase
+      .from('export_jobs')
+      .insert({
+        enterprise_id: enterpriseId,
+        requested_by: requestedBy,
+        status: 'pending',
+        datasets_total: DATASETS.length,
+        datasets_done: 0,
+        records_exported: 0
+      })
+      .select(EXPORT_JOB_COLUMNS)
+      .single();
+
+    if (error) {
+      throw new Error(`Error creating export job: ${error.message}`);
+    }
+
+    return job;
+  }
+
+  async findJob(enterpriseId, jobId) {
+    const { data: job, error } = await supabase
+      .from('export_jobs')
+      .select(EXPORT_JOB_COLUMNS)
+      .eq('id', jobId)
+      .eq('enterprise_id', enterpriseId)
+      .maybeSingle();
+
+    if (error || !job) {
+      return null;
+    }
+
+    return job;
+  }
+
+  // Exports run in the server process, so at startup every export still
+  // pending or running was cut off when the previous process stopped. Mark
+  // them as failed; they would otherwise block new exports forever.
+  async failInterruptedJobs() {
+    const { data: jobs, error } = await supabase
+      .from('export_jobs')
+      .update({
+        status: 'failed',
+        error: 'The export was interrupted',
+        completed_at: new Date().toISOString()
+      })
+      .in('status', ['pending', 'running'])
+      .select('id');
+
+    if (error) {
+      throw new Error(`Error updating export jobs: ${error.message}`);
+    }
+
+    return jobs.length;
+  }
+
+  // A pending or running export of the enterprise, if any
+  async findActiveJob(enterpriseId) {
+    const { data: job, error } = await supabase
+      .from('export_jobs')
+      .select(EXPORT_JOB_COLUMNS)
+      .eq('enterprise_id', enterpriseId)
+      .in('status', ['pending', 'running'])
+      .limit(1)
+      .maybeSingle();
+
+    if (error || !job) {
+      return null;
+    }
+
+    return job;
+  }
+
+  async listJobs(enterpriseId, { limit = 20 } = {}) {
+    const { data: jobs, error } = await supabase
+      .from('export_jobs')
+      .select(EXPORT_JOB_COLUMNS)
+      .eq('enterprise_id', enterpriseId)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      throw new Error(`Error fetching export jobs: ${error.message}`);
+    }
+
+    return jobs;
+  }
+
+  async updateJob(jobId, updateData) {
+    const { error } = await supabase
+      .from('export_jobs')
+      .update(updateData)
+      .eq('id', jobId);
+
+    if (error) {
+      throw new Error(`Error updating export job: ${error.message}`);
+    }
+  }
+
+  // Signed link to the archive of a completed export, valid until the
+  // export expires. Null when there is nothing to download.
+  async createDownloadUrl(job) {
+    if (job.status !== 'completed' || !job.storage_path) {
+      return null;
+    }
+
+    const expiresIn = Math.floor((new Date(job.expires_at) - Date.now()) / 1000);
+    if (expiresIn <= 0) {
+      return null;
+    }
+
+    const { data, error } = await supabase.storage
+      .from(getBucket())
+      .createSignedUrl(job.storage_path, expiresIn);
+
+    if (error) {
+      throw new Error(`Error signing export download: ${error.message}`);
+    }
+
+    return data.signedUrl;
+  }
+
+  // Delete export archives from storage (when their enterprise is purged)
+  async removeArchives(storagePaths) {
+    if (storagePaths.length === 0) {
+      return;
+    }
+
+    const { error } = await supabase.storage.from(getBucket()).remove(storagePaths);
+
+    if (error) {
+      throw new Error(`Error removing export archives: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read one dataset through a server-side cursor, passing each batch of
+   * rows (without secret columns) and the exported columns to `onBatch`.
+   * Only one batch is held in memory at a time; the last batch is shorter
+   * than BATCH_SIZE, and may be empty.
+   */
+  async collectDataset(dataset, enterpriseId, onBatch) {
+    await withTransaction(async (client) => {
+      await client.query(`DECLARE export_rows NO SCROLL CURSOR FOR ${dataset.query}`, [enterpriseId, ...(dataset.params || [])]);
+
+      let rows;
+      do {
+        const result = await client.query(`FETCH ${BATCH_SIZE} FROM export_rows`);
+        const columns = result.fields.map(field => field.name).filter(column => !SECRET_COLUMNS.includes(column));
+        rows = result.rows;
+        await onBatch(rows.map(omitSecrets), columns);
+      } while (rows.length === BATCH_SIZE);
+
+      await client.query('CLOSE export_rows');
+    });
+  }
+
+  // Write a dataset's NDJSON (and CSV) file into `dir`. Returns the
+  // archive entries with their record counts, sizes and checksums.
+  async writeDataset(dataset, enterpriseId, dir) {
+    const ndjsonPath = path.join(dir, `${dataset.name}.ndjson`);
+    const csvPath = path.join(dir, `${dataset.name}.csv`);
+    const ndjson = createFileWriter(ndjsonPath);
+    const csv = dataset.csv ? createFileWriter(csvPath) : null;
+    let records = 0;
+    let csvHeaderWritten = false;
+
+    try {
+      await this.collectDataset(dataset, enterpriseId, async (rows, columns) => {
+        records += rows.length;
+        await ndjson.write(rows.map(row => `${JSON.stringify(row)}\n`).join(''));
+
+        if (csv) {
+          const lines = rows.map(row => toCsvRow(columns.map(column => row[column])));
+          if (!csvHeaderWritten) {
+            lines.unshift(toCsvRow(columns));
+            csvHeaderWritten = true;
+          } else if (lines.length > 0) {
+            lines.unshift('');
+          }
+          await csv.write(lines.join('\r\n'));
+        }
+      });
+
+      const files = [{ path: `data/${dataset.name}.ndjson`, format: 'ndjson', content: ndjsonPath, ...await ndjson.close() }];
+      if (csv) {
+        files.push({ path: `csv/${dataset.name}.csv`, format: 'csv', content: csvPath, ...await csv.close() });
+      }
+
+      return { records, files };
+    } finally {
+      ndjson.destroy();
+      if (csv) {
+        csv.destroy();
+      }
+    }
+  }
+
+  /**
+   * Build the archive, recording progress per dataset, then upload it and
+   * email the requester. Runs in the background after the request has been
+   * answered; a failure marks the job failed. Datasets are staged in a
+   * temporary directory and the archive is gzipped as a stream, so neither
+   * the tenant's data nor the archive is ever held in memory.
+   */
+  async runJob(job, { enterprise, requester }) {
+    const startedAt = new Date();
+    const files = [];
+    const manifestFiles = [];
+    let recordsExported = 0;
+    let dir = null;
+
+    try {
+      await this.updateJob(job.id, { status: 'running', started_at: startedAt.toISOString() });
+
+      dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'export-'));
+
+      for (const [index, dataset] of DATASETS.entries()) {
+        await this.updateJob(job.id, { datasets_done: index, current_dataset: dataset.name, records_exported: recordsExported });
+
+        const { records, files: datasetFiles } = await this.writeDataset(dataset, enterprise.id, dir);
+        recordsExported += records;
+
+        datasetFiles.forEach(({ path: filePath, format, content, bytes, sha256 }) => {
+          files.push({ path: filePath, size: bytes, content });
+          manifestFiles.push({ path: filePath, dataset: dataset.name, format, records, bytes, sha256 });
+        });
+      }
+
+      const manifest = {
+        formatVersion: EXPORT_FORMAT_VERSION,
+        exportId: job.id,
+        enterprise: {
+          id: enterprise.id,
+          name: enterprise.name,
+          domain: enterprise.domain
+        },
+        requestedBy: requester ? { id: requester.id, email: requester.email } : null,
+        generatedAt: new Date().toISOString(),
+        datasets: this.datasets,
+        excludedColumns: SECRET_COLUMNS,
+        files: manifestFiles
+      };
+
+      const manifestContent = Buffer.from(JSON.stringify(manifest, null, 2));
+      const archivePath = path.join(dir, 'export.tar.gz');
+      await pipeline(
+        tarEntries([
+          { path: 'manifest.json', size: manifestContent.length, content: manifestContent },
+          ...files
+        ], Math.floor(startedAt.getTime() / 1000)),
+        zlib.createGzip(),
+        fs.createWriteStream(archivePath)
+      );
+      const { size: archiveSize } = await fs.promises.stat(archivePath);
+
+      const storagePath = `${enterprise.id}/${job.id}.tar.gz`;
+      const { error: uploadError } = await supabase.storage
+        .from(getBucket())
+        .upload(storagePath, fs.createReadStream(archivePath), { contentType: 'application/gzip', upsert: true, duplex: 'half' });
+
+      if (uploadError) {
+        throw new Error(`Error uploading export: ${uploadError.message}`);
+      }
+
+      const completed = {
+        status: 'completed',
+        datasets_done: DATASETS.length,
+        current_dataset: null,
+        records_exported: recordsExported,
+        storage_path: storagePath,
+        size_bytes: archiveSize,
+        manifest: { generatedAt: manifest.generatedAt, files: manifestFiles },
+        completed_at: new Date().toISOString(),
+        expires_at: new Date(Date.now() + RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString()
+      };
+      await this.updateJob(job.id, completed);
+
+      if (requester) {
+        // The archive stays downloadable from the export job either way
+        try {
+          await emailService.sendDataExportReady({ ...requester, enterprises: enterprise }, {
+            downloadUrl: await this.createDownloadUrl({ ...job, ...completed }),
+            expiresAt: completed.expires_at,
+            recordCount: recordsExported
+          });
+        } catch (error) {
+          console.error('Data export email error:', error);
+        }
+      }
+    } catch (error) {
+      console.error('Data export job error:', error);
+      await this.updateJob(job.id, {
+        status: 'failed',
+        error: error.message,
+        records_exported: recordsExported,
+        completed_at: new Date().toISOString()
+      }).catch(updateError => console.error('Data export job error:', updateError));
+    } finally {
+      if (dir) {
+        await fs.promises.rm(dir, { recursive: true, force: true })
+          .catch(error => console.error('Data export cleanup error:', error));
+      }
+    }
+  }
+}
+
+module.exports = new ExportService();
@@ -0,0 +1,160 @@
+jest.mock('../config/supabase', () => require('../__tests__/mocks/supabase').createSupabaseMock());
+jest.mock('../config/database', () => require('../__tests__/mocks/database').createDatabaseMock());
+jest.mock('./emailService', () => ({
+  sendDataExportReady: jest.fn()
+}));
+
+const zlib = require('zlib');
+const supabase = require('../config/supabase');
+const { client } = require('../config/database');
+const emailService = require('./emailService');
+const exportService = require('./exportService');
+
+// Files of a .tar.gz archive by path, in archive order
+const readArchive = (archive) => {
+  const tar = zlib.gunzipSync(archive);
+  const files = {};
+
+  for (let offset = 0; tar[offset] !== 0;) {
+    const name = tar.toString('utf8', offset, offset + 100).replace(/\0[\s\S]*$/, '');
+    const size = parseInt(tar.toString('utf8', offset + 124, offset + 135), 8);
+    files[name] = tar.toString('utf8', offset + 512, offset + 512 + size);
+    offset += 512 + Math.ceil(size / 512) * 512;
+  }
+
+  return files;
+};
+
+describe('exportService', () => {
+  const enterprise = { id: 'ent-1', name: 'Acme', domain: 'acme.com' };
+  const job = { id: 'job-1', enterprise_id: 'ent-1' };
+  let uploaded;
+
+  // A cursor per dataset: `users` has `userCount` members, every other
+  // dataset is empty
+  const serveDatasets = (userCount) => {
+    let cursor = null;
+    let served = 0;
+
+    client.query.mockImplementation(async (sql) => {
+      if (sql.startsWith('DECLARE')) {
+        cursor = sql.includes('enterprise_memberships') ? 'users' : 'other';
+        served = 0;
+      }
+      if (!sql.startsWith('FETCH')) {
+        return { rows: [], rowCount: 0 };
+      }
+      if (cursor !== 'users') {
+        return { rows: [], fields: [{ name: 'id' }, { name: 'enterprise_id' }] };
+      }
+
+      const count = Math.min(1000, userCount - served);
+      const rows = Array.from({ length: count }, (_, index) => ({
+        id: `user-${served + index}`,
+        name: served + index === 0 ? '=HYPERLINK("x")' : 'Ada',
+        password_hash: 'secret'
+      }));
+      served += count;
+
+      return { rows, fields: [{ name: 'id' }, { name: 'name' }, { name: 'password_hash' }] };
+    });
+  };
+
+  beforeEach(() => {
+    supabase.reset();
+    jest.clearAllMocks();
+    uploaded = null;
+    jest.spyOn(supabase.storage, 'from').mockReturnValue({
+      upload: async (storagePath, body) => {
+        const chunks = [];
+        for await (const chunk of body) {
+          chunks.push(chunk);
+        }
+        uploaded = { storagePath, archive: Buffer.concat(chunks) };
+        return { data: {}, error: null };
+      },
+      createSignedUrl: async () => ({ data: { signedUrl: 'https://storage/export' }, error: null })
+    });
+  });
+
+  describe('runJob', () => {
+    it('streams every dataset in batches into the archive', async () => {
+      serveDatasets(1001);
+
+      await exportService.runJob(job, { enterprise, requester: { id: 'user-1', email: 'ada@acme.com' } });
+
+      const fetches = client.query.mock.calls.filter(([sql]) => sql.startsWith('FETCH'));
+      expect(fetches[0][0]).toBe('FETCH 1000 FROM export_rows');
+      expect(fetches).toHaveLength(2 + 10);
+
+      expect(uploaded.storagePath).toBe('ent-1/job-1.tar.gz');
+      const files = readArchive(uploaded.archive);
+      expect(Object.keys(files)[0]).toBe('manifest.json');
+
+      const users = files['data/users.ndjson'].trim().split('\n').map(line => JSON.parse(line));
+      expect(users).toHaveLength(1001);
+      expect(users[1000]).toEqual({ id: 'user-1000', name: 'Ada' });
+
+      const csv = files['csv/users.csv'].split('\r\n');
+      expect(csv).toHaveLength(1002);
+      expect(csv.slice(0, 2)).toEqual(['id,name', 'user-0,"\'=HYPERLINK(""x"")"']);
+      expect(files['csv/roles.csv']).toBe('id,enterprise_id');
+
+      const manifest = JSON.parse(files['manifest.json']);
+      const usersFile = manifest.files.find(file => file.path === 'data/users.ndjson');
+      expect(usersFile).toMatchObject({ records: 1001, bytes: Buffer.byteLength(files['data/users.ndjson']) });
+
+      const [completed] = supabase.queriesOf('export_jobs')
+        .map(query => supabase.argsOf(query, 'update')[0])
+        .filter(update => update.status === 'completed');
+      expect(completed).toMatchObject({ records_exported: 1001, size_bytes: uploaded.archive.length });
+      expect(emailService.sendDataExportReady).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 'user-1' }),
+        expect.objectContaining({ downloadUrl: 'https://storage/export', recordCount: 1001 })
+      );
+    });
+
+    it('marks the job failed when a dataset cannot be read', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      client.query.mockImplementation(async (sql) => {
+        if (sql.startsWith('FETCH')) {
+          throw new Error('connection terminated');
+        }
+        return { rows: [], rowCount: 0 };
+      });
+
+      await exportService.runJob(job, { enterprise, requester: null });
+
+      const updates = supabase.queriesOf('export_jobs').map(query => supabase.argsOf(query, 'update')[0]);
+      expect(updates[updates.length - 1]).toMatchObject({ status: 'failed', error: 'connection terminated' });
+      expect(uploaded).toBeNull();
+    });
+  });
+
+  describe('failInterruptedJobs', () => {
+    it('fails every pending or running export, however recent', async () => {
+      supabase.respond('export_jobs', { data: [{ id: 'export-1' }, { id: 'export-2' }], error: null });
+
+      await expect(exportService.failInterruptedJobs()).resolves.toBe(2);
+
+      const [interrupted] = supabase.queriesOf('export_jobs');
+      expect(supabase.argsOf(interrupted, 'update')[0]).toMatchObject({ status: 'failed', error: 'The export was interrupted' });
+      expect(supabase.argsOf(interrupted, 'in')).toEqual(['status', ['pending', 'running']]);
+      expect(supabase.argsOf(interrupted, 'lt')).toBeUndefined();
+      expect(supabase.argsOf(interrupted, 'eq')).toBeUndefined();
+    });
+  });
+
+  describe('findActiveJob', () => {
+    it('counts a running export as active however long it has run', async () => {
+      const job = { id: 'export-1', status: 'running', created_at: new Date(Date.now() - 12 * 60 * 60 * 1000).toISOString() };
+      supabase.respond('export_jobs', { data: job, error: null });
+
+      await expect(exportService.findActiveJob('ent-1')).resolves.toEqual(job);
+
+      const [active] = supabase.queriesOf('export_jobs');
+      expect(supabase.argsOf(active, 'update')).toBeUndefined();
+      expect(active.calls).toContainEqual(['eq', 'enterprise_id', 'ent-1']);
+    });
+  });
+});
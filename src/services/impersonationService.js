@@ -0,0 +1,68 @@
+const supabase = require('../config/supabase');
+
+class ImpersonationService {
+  // Record one event of an impersonation session: its start and end, and
+  // every request made with the impersonation token
+  async logEvent({ sessionId, impersonatorId, userId, enterpriseId, event, method, path, statusCode, ipAddress, userAgent, reason }) {
+    const { error } = await supabase
+      .from('impersonation_audit_logs')
+      .insert({
+        session_id: sessionId,
+        impersonator_id: impersonatorId,
+        user_id: userId,
+        enterprise_id: enterpriseId,
+        event,
+        method: method || null,
+        path: path || null,
+        status_code: statusCode || null,
+        ip_address: ipAddress || null,
+        user_agent: userAgent || null,
+        reason: reason || null
+      });
+
+    if (error) {
+      throw new Error(`Error writing impersonation audit log: ${error.message}`);
+    }
+  }
+
+  async listAuditLogs(enterpriseId, { impersonatorId, userId, sessionId, limit = 100, offset = 0 }) {
+    let query = supabase
+      .from('impersonation_audit_logs')
+      .select(`
+        *,
+        impersonator:impersonator_id (
+          id,
+          name,
+          email
+        ),
+        user:user_id (
+          id,
+          name,
+          email
+        )
+      `, { count: 'exact' })
+      .eq('enterprise_id', enterpriseId)
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (impersonatorId) {
+      query = query.eq('impersonator_id', impersonatorId);
+    }
+    if (userId) {
+      query = query.eq('user_id', userId);
+    }
+    if (sessionId) {
+      query = query.eq('session_id', sessionId);
+    }
+
+    const { data: logs, count, error } = await query;
+
+    if (error) {
+      throw new Error(`Error fetching impersonation audit logs: ${error.message}`);
+    }
+
+    return { logs, count: count || 0 };
+  }
+}
+
+module.exports = new ImpersonationService();
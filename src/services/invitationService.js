@@ -0,0 +1,227 @@
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const supabase = require('../config/supabase');
+const emailService = require('./emailService');
+
+const INVITATION_TTL_DAYS = 7;
+
+const INVITATION_SELECT = `
+  *,
+  roles:role_id (
+    id,
+    name,
+    description
+  )
+`;
+
+class InvitationService {
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  // Signed, single-use token. Only the hash is stored, so issuing a new
+  // token (resend) invalidates the previous one.
+  generateInvitationToken(invitationId) {
+    return jwt.sign(
+      { invitationId, type: 'invite' },
+      process.env.JWT_SECRET,
+      { expiresIn: `${INVITATION_TTL_DAYS}d`, jwtid: crypto.randomUUID() }
+    );
+  }
+
+  getExpiryDate() {
+    return new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000);
+  }
+
+  async createInvitation({ enterpriseId, email, name, roleId, invitedBy }) {
+    const { data: invitation, error } = await supabase
+      .from('invitations')
+      .insert({
+        enterprise_id: enterpriseId,
+        email: email.toLowerCase(),
+        name,
+        role_id: roleId,
+        invited_by: invitedBy,
+        status: 'pending',
+        expires_at: this.getExpiryDate().toISOString()
+      })
+      .select(INVITATION_SELECT)
+      .single();
+
+    if (error) {
+      throw new Error(`Error creating invitation: ${error.message}`);
+    }
+
+    const token = await this.issueToken(invitation.id);
+    return { invitation, token };
+  }
+
+  async issueToken(invitationId) {
+    const token = this.generateInvitationToken(invitationId);
+
+    const { error } = await supabase
+      .from('invitations')
+      .update({
+        token_hash: this.hashToken(token),
+        expires_at: this.getExpiryDate().toISOString()
+      })
+      .eq('id', invitationId);
+
+    if (error) {
+      throw new Error(`Error saving invitation token: ${error.message}`);
+    }
+
+    return token;
+  }
+
+  async findInvitationById(enterpriseId, invitationId) {
+    const { data: invitation, error } = await supabase
+      .from('invitations')
+      .select(INVITATION_SELECT)
+      .eq('id', invitationId)
+      .eq('enterprise_id', enterpriseId)
+      .maybeSingle();
+
+    if (error || !invitation) {
+      return null;
+    }
+
+    return invitation;
+  }
+
+  async findPendingInvitation(enterpriseId, email) {
+    const { data: invitation, error } = await supabase
+      .from('invitations')
+      .select(INVITATION_SELECT)
+      .eq('enterprise_id', enterpriseId)
+      .eq('email', email.toLowerCase())
+      .eq('status', 'pending')
+      .gt('expires_at', new Date().toISOString())
+      .maybeSingle();
+
+    if (error || !invitation) {
+      return null;
+    }
+
+    return invitation;
+  }
+
+  async listInvitations(enterpriseId, status) {
+    let query = supabase
+      .from('invitations')
+      .select(INVITATION_SELECT)
+      .eq('enterprise_id', enterpriseId)
+      .order('created_at', { ascending: false });
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data: invitations, error } = await query;
+
+    if (error) {
+      throw new Error(`Error fetching invitations: ${error.message}`);
+    }
+
+    return invitations;
+  }
+
+  async revokeInvitation(enterpriseId, invitationId) {
+    const { data: invitation, error } = await supabase
+      .from('invitations')
+      .update({ status: 'revoked', token_hash: null, revoked_at: new Date().toISOString() })
+      .eq('id', invitationId)
+      .eq('enterprise_id', enterpriseId)
+      .eq('status', 'pending')
+      .select()
+      .maybeSingle();
+
+    if (error || !invitation) {
+      return null;
+    }
+
+    return invitation;
+  }
+
+  async sendInvitationEmail(invitation, token, { enterprise, invitedBy }) {
+    return emailService.sendAccountInvite(
+      {
+        name: invitation.name,
+        email: invitation.email,
+        enterprises: enterprise
+      },
+      {
+        acceptUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/accept-invite?token=${token}`,
+        expiresIn: `${INVITATION_TTL_DAYS} days`,
+        invitedBy,
+        roleName: invitation.roles?.name || 'User'
+      }
+    );
+  }
+
+  // Resolve a token to its pending invitation, or null if the token is
+  // invalid, superseded, already used, revoked or expired
+  async verifyInvitationToken(token) {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+      return null;
+    }
+
+    if (decoded.type !== 'invite') {
+      return null;
+    }
+
+    const { data: invitation, error } = await supabase
+      .from('invitations')
+      .select(`
+        ${INVITATION_SELECT},
+        enterprises:enterprise_id (
+          id,
+          name,
+          domain
+        )
+      `)
+      .eq('id', decoded.invitationId)
+      .eq('token_hash', this.hashToken(token))
+      .maybeSingle();
+
+    if (error || !invitation || invitation.status !== 'pending') {
+      return null;
+    }
+
+    if (new Date(invitation.expires_at) < new Date()) {
+      return null;
+    }
+
+    return invitation;
+  }
+
+  // Claim a pending invitation. Conditional on status so a token can only
+  // be redeemed once, even under concurrent requests.
+  async claimInvitation(invitationId) {
+    const { data: claimed, error } = await supabase
+      .from('invitations')
+      .update({ status: 'accepted', accepted_at: new Date().toISOString() })
+      .eq('id', invitationId)
+      .eq('status', 'pending')
+      .select('id');
+
+    if (error) {
+      throw new Error(`Error accepting invitation: ${error.message}`);
+    }
+
+    return Boolean(claimed && claimed.length > 0);
+  }
+
+  // Undo a claim when the account could not be created
+  async releaseInvitation(invitationId) {
+    await supabase
+      .from('invitations')
+      .update({ status: 'pending', accepted_at: null })
+      .eq('id', invitationId);
+  }
+}
+
+module.exports = new InvitationService();
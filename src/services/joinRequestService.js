@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+const supabase = require('../config/supabase');
+const emailService = require('./emailService');
+
+// The chosen password is kept (hashed) until the request is decided so the
+// account can be created on approval
+const JOIN_REQUEST_COLUMNS = 'id, enterprise_id, name, email, status, user_id, reviewed_by, reviewed_at, created_at';
+
+const VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+class JoinRequestService {
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  // Create a request that stays 'unverified', hidden from administrators,
+  // until the requester follows the emailed link. An earlier unverified
+  // request for the address is replaced, so whoever first claims an address
+  // cannot hold it against its owner. Returns the request and the token.
+  async createRequest({ enterpriseId, name, email, passwordHash }) {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    const { error: deleteError } = await supabase
+      .from('join_requests')
+      .delete()
+      .eq('enterprise_id', enterpriseId)
+      .eq('email', email.toLowerCase())
+      .eq('status', 'unverified');
+
+    if (deleteError) {
+      throw new Error(`Error replacing join request: ${deleteError.message}`);
+    }
+
+    const { data: joinRequest, error } = await supabase
+      .from('join_requests')
+      .insert({
+        enterprise_id: enterpriseId,
+        name,
+        email: email.toLowerCase(),
+        password_hash: passwordHash,
+        status: 'unverified',
+        verification_token_hash: this.hashToken(token),
+        verification_expires_at: new Date(Date.now() + VERIFICATION_TTL_MS).toISOString()
+      })
+      .select(JOIN_REQUEST_COLUMNS)
+      .single();
+
+    if (error) {
+      throw new Error(`Error creating join request: ${error.message}`);
+    }
+
+    return { joinRequest, token };
+  }
+
+  // Redeem an emailed verification token, moving its request to 'pending'
+  // where administrators see it. Conditional on the request still being
+  // unverified so a token is redeemed once. Returns the request, or null if
+  // the token is unknown, used or expired.
+  async verifyRequest(token) {
+    const { data: joinRequest, error } = await supabase
+      .from('join_requests')
+      .update({
+        status: 'pending',
+        verification_token_hash: null,
+        verification_expires_at: null
+      })
+      .eq('verification_token_hash', this.hashToken(token))
+      .eq('status', 'unverified')
+      .gt('verification_expires_at', new Date().toISOString())
+      .select(JOIN_REQUEST_COLUMNS)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Error verifying join request: ${error.message}`);
+    }
+
+    return joinRequest;
+  }
+
+  async findRequest(enterpriseId, requestId) {
+    const { data: joinRequest, error } = await supabase
+      .from('join_requests')
+      .select(JOIN_REQUEST_COLUMNS)
+      .eq('id', requestId)
+      .eq('enterprise_id', enterpriseId)
+      .maybeSingle();
+
+    if (error || !joinRequest) {
+      return null;
+    }
+
+    return joinRequest;
+  }
+
+  async findPendingRequest(enterpriseId, email) {
+    const { data: joinRequest, error } = await supabase
+      .from('join_requests')
+      .select(JOIN_REQUEST_COLUMNS)
+      .eq('enterprise_id', enterpriseId)
+      .eq('email', email.toLowerCase())
+      .eq('status', 'pending')
+      .maybeSingle();
+
+    if (error || !joinRequest) {
+      return null;
+    }
+
+    return joinRequest;
+  }
+
+  // Unverified requests are not listed; their address is not proven yet
+  async listRequests(enterpriseId, status) {
+    let query = supabase
+      .from('join_requests')
+      .select(JOIN_REQUEST_COLUMNS)
+      .eq('enterprise_id', enterpriseId)
+      .order('created_at', { ascending: false });
+
+    query = status ? query.eq('status', status) : query.neq('status', 'unverified');
+
+    const { data: joinRequests, error } = await query;
+
+    if (error) {
+      throw new Error(`Error fetching join requests: ${error.message}`);
+    }
+
+    return joinRequests;
+  }
+
+  // Move a pending request to 'approved' or 'denied'. Conditional on the
+  // request still being pending so it is decided only once. Returns the
+  // request with its password hash, or null if it was not pending.
+  async decideRequest(enterpriseId, requestId, status, reviewerId) {
+    const { data: joinRequest, error } = await supabase
+      .from('join_requests')
+      .update({
+        status,
+        reviewed_by: reviewerId || null,
+        reviewed_at: new Date().toISOString()
+      })
+      .eq('id', requestId)
+      .eq('enterprise_id', enterpriseId)
+      .eq('status', 'pending')
+      .select(`${JOIN_REQUEST_COLUMNS}, password_hash`)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Error updating join request: ${error.message}`);
+    }
+
+    return joinRequest;
+  }
+
+  // Record the outcome of a decision and drop the password hash, which is
+  // no longer needed
+  async completeRequest(requestId, { userId } = {}) {
+    const { error } = await supabase
+      .from('join_requests')
+      .update({ user_id: userId || null, password_hash: null })
+      .eq('id', requestId);
+
+    if (error) {
+      throw new Error(`Error updating join request: ${error.message}`);
+    }
+  }
+
+  // Put an approved request back to pending when its account could not be
+  // created
+  async releaseRequest(requestId) {
+    await supabase
+      .from('join_requests')
+      .update({ status: 'pending', reviewed_by: null, reviewed_at: null })
+      .eq('id', requestId);
+  }
+
+  async sendVerification(joinRequest, enterprise, token) {
+    return emailService.sendJoinRequestVerification({
+      name: joinRequest.name,
+      email: joinRequest.email,
+      enterprises: enterprise
+    }, { token });
+  }
+
+  async sendDeniedEmail(joinRequest, enterprise) {
+    return emailService.sendJoinRequestDenied({
+      name: joinRequest.name,
+      email: joinRequest.email,
+      enterprises: enterprise
+    });
+  }
+}
+
+module.exports = new JoinRequestService();
@@ -0,0 +1,74 @@
+jest.mock('../config/supabase', () => require('../__tests__/mocks/supabase').createSupabaseMock());
+jest.mock('./emailService', () => ({
+  sendJoinRequestVerification: jest.fn()
+}));
+
+const supabase = require('../config/supabase');
+const joinRequestService = require('./joinRequestService');
+
+describe('joinRequestService', () => {
+  beforeEach(() => {
+    supabase.reset();
+    jest.clearAllMocks();
+  });
+
+  describe('createRequest', () => {
+    it('holds the request as unverified behind an emailed token', async () => {
+      supabase.respond('join_requests',
+        { error: null },
+        { data: { id: 'request-1', status: 'unverified' }, error: null }
+      );
+
+      const { joinRequest, token } = await joinRequestService.createRequest({
+        enterpriseId: 'ent-1',
+        name: 'Ada',
+        email: 'Ada@Acme.com',
+        passwordHash: 'hash'
+      });
+
+      const [replaced, insert] = supabase.queriesOf('join_requests');
+      expect(replaced.calls).toEqual(expect.arrayContaining([
+        ['delete'],
+        ['eq', 'email', 'ada@acme.com'],
+        ['eq', 'status', 'unverified']
+      ]));
+      expect(supabase.argsOf(insert, 'insert')[0]).toMatchObject({
+        email: 'ada@acme.com',
+        status: 'unverified',
+        verification_token_hash: joinRequestService.hashToken(token)
+      });
+      expect(joinRequest.status).toBe('unverified');
+    });
+  });
+
+  describe('verifyRequest', () => {
+    it('moves an unverified, unexpired request to pending', async () => {
+      supabase.respond('join_requests', { data: { id: 'request-1', status: 'pending' }, error: null });
+
+      await expect(joinRequestService.verifyRequest('token')).resolves.toMatchObject({ status: 'pending' });
+
+      const [update] = supabase.queriesOf('join_requests');
+      expect(supabase.argsOf(update, 'update')[0]).toMatchObject({ status: 'pending', verification_token_hash: null });
+      expect(update.calls).toEqual(expect.arrayContaining([
+        ['eq', 'verification_token_hash', joinRequestService.hashToken('token')],
+        ['eq', 'status', 'unverified'],
+        ['gt', 'verification_expires_at', expect.any(String)]
+      ]));
+    });
+
+    it('returns null for an unknown, used or expired token', async () => {
+      await expect(joinRequestService.verifyRequest('token')).resolves.toBeNull();
+    });
+  });
+
+  describe('listRequests', () => {
+    it('leaves out unverified requests', async () => {
+      supabase.respond('join_requests', { data: [], error: null });
+
+      await joinRequestService.listRequests('ent-1');
+
+      const [list] = supabase.queriesOf('join_requests');
+      expect(list.calls).toContainEqual(['neq', 'status', 'unverified']);
+    });
+  });
+});
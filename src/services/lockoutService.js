@@ -0,0 +1,219 @@
+const crypto = require('crypto');
+const supabase = require('../config/supabase');
+const emailService = require('./emailService');
+
+const ATTEMPT_WINDOW_MS = 15 * 60 * 1000; // failures older than this are forgotten
+const FREE_ATTEMPTS = 3; // failures allowed before delays start
+const MAX_DELAY_SECONDS = 60;
+const ACCOUNT_LOCK_THRESHOLD = 10;
+const IP_BLOCK_THRESHOLD = 50;
+const LOCK_DURATION_MS = 30 * 60 * 1000;
+
+class LockoutService {
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  // Counter keys for an attempt. Guessing a password (login and
+  // change-password) or a second factor (mfa) shares one account counter;
+  // other actions get their own.
+  buildKeys(action, { ip, email }) {
+    const keys = [{ key: `ip:${action}:${ip}`, scope: 'ip' }];
+
+    if (email) {
+      const normalized = email.toLowerCase();
+      const lockable = ['login', 'change-password', 'mfa'].includes(action);
+      keys.push({
+        key: lockable ? `account:${normalized}` : `account:${action}:${normalized}`,
+        scope: 'account',
+        email: normalized,
+        lockable
+      });
+    }
+
+    return keys;
+  }
+
+  async getRecords(keys) {
+    const { data: records, error } = await supabase
+      .from('auth_attempts')
+      .select('*')
+      .in('key', keys.map(entry => entry.key));
+
+    if (error) {
+      throw new Error(`Error reading auth attempts: ${error.message}`);
+    }
+
+    return records || [];
+  }
+
+  // Whether another attempt is allowed now. Returns { allowed, locked,
+  // retryAfter } where retryAfter is in seconds.
+  async check(keys) {
+    const records = await this.getRecords(keys);
+    const now = Date.now();
+    let retryAt = 0;
+    let locked = false;
+
+    records.forEach(record => {
+      const lockedUntil = record.locked_until ? new Date(record.locked_until).getTime() : 0;
+      const nextAttemptAt = record.next_attempt_at ? new Date(record.next_attempt_at).getTime() : 0;
+
+      if (lockedUntil > now) {
+        locked = true;
+        retryAt = Math.max(retryAt, lockedUntil);
+      } else if (nextAttemptAt > now) {
+        retryAt = Math.max(retryAt, nextAttemptAt);
+      }
+    });
+
+    return {
+      allowed: retryAt <= now,
+      locked,
+      retryAfter: Math.max(0, Math.ceil((retryAt - now) / 1000))
+    };
+  }
+
+  getDelaySeconds(failedCount) {
+    if (failedCount < FREE_ATTEMPTS) {
+      return 0;
+    }
+
+    return Math.min(2 ** (failedCount - FREE_ATTEMPTS), MAX_DELAY_SECONDS);
+  }
+
+  // Record a failed attempt on every key. `user` (optional) is the account
+  // the attempt targeted; lockable keys of a known user get an unlock email.
+  async recordFailure(keys, user = null) {
+    const records = await this.getRecords(keys);
+    const now = Date.now();
+
+    for (const entry of keys) {
+      const record = records.find(item => item.key === entry.key);
+      const withinWindow = record?.last_failed_at
+        && now - new Date(record.last_failed_at).getTime() < ATTEMPT_WINDOW_MS;
+      const failedCount = (withinWindow ? record.failed_count : 0) + 1;
+
+      const update = {
+        key: entry.key,
+        scope: entry.scope,
+        email: entry.email || null,
+        user_id: entry.scope === 'account' ? user?.id || null : null,
+        enterprise_id: entry.scope === 'account' ? user?.enterprise_id || null : null,
+        failed_count: failedCount,
+        last_failed_at: new Date(now).toISOString(),
+        next_attempt_at: new Date(now + this.getDelaySeconds(failedCount) * 1000).toISOString()
+      };
+
+      const threshold = entry.scope === 'account' ? ACCOUNT_LOCK_THRESHOLD : IP_BLOCK_THRESHOLD;
+      const alreadyLocked = record?.locked_until && new Date(record.locked_until).getTime() > now;
+      let unlockToken = null;
+
+      if (failedCount >= threshold && !alreadyLocked) {
+        update.locked_until = new Date(now + LOCK_DURATION_MS).toISOString();
+
+        if (entry.lockable && user) {
+          unlockToken = crypto.randomBytes(32).toString('hex');
+          update.unlock_token_hash = this.hashToken(unlockToken);
+        }
+      }
+
+      const { error } = await supabase
+        .from('auth_attempts')
+        .upsert(update, { onConflict: 'key' });
+
+      if (error) {
+        throw new Error(`Error recording auth attempt: ${error.message}`);
+      }
+
+      if (unlockToken) {
+        try {
+          await emailService.sendAccountUnlock(user, {
+            token: unlockToken,
+            lockedMinutes: LOCK_DURATION_MS / 60000
+          });
+        } catch (emailError) {
+          console.error('Send account unlock email error:', emailError);
+        }
+      }
+    }
+  }
+
+  // A successful attempt clears the account counter. IP counters are left
+  // to expire so one valid account cannot reset them.
+  async recordSuccess(keys) {
+    const accountKeys = keys.filter(entry => entry.scope === 'account').map(entry => entry.key);
+    if (accountKeys.length === 0) {
+      return;
+    }
+
+    await supabase
+      .from('auth_attempts')
+      .delete()
+      .in('key', accountKeys);
+  }
+
+  async unlockWithToken(token) {
+    const { data: record, error } = await supabase
+      .from('auth_attempts')
+      .select('key')
+      .eq('unlock_token_hash', this.hashToken(token))
+      .maybeSingle();
+
+    if (error || !record) {
+      return false;
+    }
+
+    await supabase
+      .from('auth_attempts')
+      .delete()
+      .eq('key', record.key);
+
+    return true;
+  }
+
+  async listLockedAccounts(enterpriseId) {
+    const { data: records, error } = await supabase
+      .from('auth_attempts')
+      .select(`
+        key,
+        email,
+        failed_count,
+        last_failed_at,
+        locked_until,
+        users:user_id (
+          id,
+          name,
+          email
+        )
+      `)
+      .eq('enterprise_id', enterpriseId)
+      .eq('scope', 'account')
+      .gt('locked_until', new Date().toISOString())
+      .order('locked_until', { ascending: false });
+
+    if (error) {
+      throw new Error(`Error fetching locked accounts: ${error.message}`);
+    }
+
+    return records;
+  }
+
+  async clearAccountLock(enterpriseId, userId) {
+    const { data: cleared, error } = await supabase
+      .from('auth_attempts')
+      .delete()
+      .eq('enterprise_id', enterpriseId)
+      .eq('user_id', userId)
+      .eq('scope', 'account')
+      .select('key');
+
+    if (error) {
+      throw new Error(`Error clearing account lock: ${error.message}`);
+    }
+
+    return cleared.length > 0;
+  }
+}
+
+module.exports = new LockoutService();
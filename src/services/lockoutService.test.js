@@ -0,0 +1,70 @@
+jest.mock('../config/supabase', () => require('../__tests__/mocks/supabase').createSupabaseMock());
+jest.mock('./emailService', () => ({
+  sendAccountUnlock: jest.fn()
+}));
+
+const supabase = require('../config/supabase');
+const emailService = require('./emailService');
+const lockoutService = require('./lockoutService');
+
+const user = { id: 'user-1', email: 'ada@example.com', enterprise_id: 'ent-1' };
+
+describe('lockoutService', () => {
+  beforeEach(() => {
+    supabase.reset();
+    jest.clearAllMocks();
+  });
+
+  describe('buildKeys', () => {
+    it('shares the account counter between passwords and MFA codes', () => {
+      const [, login] = lockoutService.buildKeys('login', { ip: '10.0.0.1', email: 'Ada@Example.com' });
+      const [, mfa] = lockoutService.buildKeys('mfa', { ip: '10.0.0.1', email: 'ada@example.com' });
+      const [, reset] = lockoutService.buildKeys('forgot-password', { ip: '10.0.0.1', email: 'ada@example.com' });
+
+      expect(mfa).toEqual(login);
+      expect(mfa).toMatchObject({ key: 'account:ada@example.com', lockable: true });
+      expect(reset).toMatchObject({ key: 'account:forgot-password:ada@example.com', lockable: false });
+    });
+
+    it('counts attempts per IP and action', () => {
+      const [ip] = lockoutService.buildKeys('mfa', { ip: '10.0.0.1' });
+
+      expect(ip).toEqual({ key: 'ip:mfa:10.0.0.1', scope: 'ip' });
+    });
+  });
+
+  describe('check', () => {
+    it('rejects while the account is locked', async () => {
+      const lockedUntil = new Date(Date.now() + 60 * 1000).toISOString();
+      supabase.respond('auth_attempts', { data: [{ key: 'account:ada@example.com', locked_until: lockedUntil }], error: null });
+
+      const result = await lockoutService.check(lockoutService.buildKeys('mfa', { ip: '10.0.0.1', email: user.email }));
+
+      expect(result).toMatchObject({ allowed: false, locked: true });
+      expect(result.retryAfter).toBeGreaterThan(0);
+    });
+  });
+
+  describe('recordFailure', () => {
+    it('locks the account on the tenth failure and emails an unlock link', async () => {
+      const keys = lockoutService.buildKeys('mfa', { ip: '10.0.0.1', email: user.email });
+      supabase.respond('auth_attempts', {
+        data: [{ key: 'account:ada@example.com', failed_count: 9, last_failed_at: new Date().toISOString() }],
+        error: null
+      });
+
+      await lockoutService.recordFailure(keys, user);
+
+      const upserts = supabase.queriesOf('auth_attempts').slice(1).map(query => supabase.argsOf(query, 'upsert')[0]);
+      const account = upserts.find(row => row.scope === 'account');
+      const ip = upserts.find(row => row.scope === 'ip');
+
+      expect(account).toMatchObject({ failed_count: 10, user_id: user.id, enterprise_id: user.enterprise_id });
+      expect(account.locked_until).toBeDefined();
+      expect(account.unlock_token_hash).toBeDefined();
+      expect(ip).toMatchObject({ failed_count: 1 });
+      expect(ip.locked_until).toBeUndefined();
+      expect(emailService.sendAccountUnlock).toHaveBeenCalledWith(user, expect.objectContaining({ lockedMinutes: 30 }));
+    });
+  });
+});
@@ -0,0 +1,205 @@
+const supabase = require('../config/supabase');
+
+const MEMBERSHIP_SELECT = `
+  id,
+  user_id,
+  enterprise_id,
+  role_id,
+  is_active,
+  created_at,
+  roles:role_id (
+    id,
+    name,
+    description
+  ),
+  enterprises:enterprise_id (
+    id,
+    name,
+    domain,
+    subscription_plan,
+    subscription_status,
+    is_active
+  )
+`;
+
+// Memberships of cancelled enterprises are treated as ended
+const isEnterpriseActive = (membership) => membership.enterprises?.is_active !== false;
+
+/**
+ * A user can belong to several enterprises with a role in each. The
+ * `enterprise_id` and `role_id` on the user row are the user's home
+ * membership and are kept in step with its `enterprise_memberships` row.
+ */
+class MembershipService {
+  // Add a user to an enterprise, or reactivate a previous membership
+  async addMembership(userId, enterpriseId, roleId) {
+    const { data: membership, error } = await supabase
+      .from('enterprise_memberships')
+      .upsert({
+        user_id: userId,
+        enterprise_id: enterpriseId,
+        role_id: roleId,
+        is_active: true,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'user_id,enterprise_id' })
+      .select(MEMBERSHIP_SELECT)
+      .single();
+
+    if (error) {
+      throw new Error(`Error adding membership: ${error.message}`);
+    }
+
+    return membership;
+  }
+
+  // Deactivated memberships are only returned with `includeInactive`
+  async findMembership(userId, enterpriseId, { includeInactive = false } = {}) {
+    let query = supabase
+      .from('enterprise_memberships')
+      .select(MEMBERSHIP_SELECT)
+      .eq('user_id', userId)
+      .eq('enterprise_id', enterpriseId);
+
+    if (!includeInactive) {
+      query = query.eq('is_active', true);
+    }
+
+    const { data: membership, error } = await query.maybeSingle();
+
+    if (error || !membership || !isEnterpriseActive(membership)) {
+      return null;
+    }
+
+    return membership;
+  }
+
+  async listMemberships(userId) {
+    const { data: memberships, error } = await supabase
+      .from('enterprise_memberships')
+      .select(MEMBERSHIP_SELECT)
+      .eq('user_id', userId)
+      .eq('is_active', true)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Error fetching memberships: ${error.message}`);
+    }
+
+    return memberships.filter(isEnterpriseActive);
+  }
+
+  // Deactivate or reactivate a membership, keeping its role. Returns the
+  // membership, or null if it was already in that state.
+  async setActive(userId, enterpriseId, isActive) {
+    const { data: membership, error } = await supabase
+      .from('enterprise_memberships')
+      .update({ is_active: isActive, updated_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .eq('enterprise_id', enterpriseId)
+      .eq('is_active', !isActive)
+      .select(MEMBERSHIP_SELECT)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Error updating membership: ${error.message}`);
+    }
+
+    return membership;
+  }
+
+  async countActiveMembers(enterpriseId, roleId) {
+    const { count, error } = await supabase
+      .from('enterprise_memberships')
+      .select('id', { count: 'exact', head: true })
+      .eq('enterprise_id', enterpriseId)
+      .eq('role_id', roleId)
+      .eq('is_active', true);
+
+    if (error) {
+      throw new Error(`Error counting members: ${error.message}`);
+    }
+
+    return count || 0;
+  }
+
+  // Move members of an enterprise to a role, optionally only those holding
+  // `fromRoleId`. Home memberships are mirrored on the user rows. Returns
+  // the IDs of the users moved.
+  async setRole(enterpriseId, roleId, { userIds, fromRoleId } = {}) {
+    let query = supabase
+      .from('enterprise_memberships')
+      .update({ role_id: roleId, updated_at: new Date().toISOString() })
+      .eq('enterprise_id', enterpriseId);
+
+    let usersQuery = supabase
+      .from('users')
+      .update({ role_id: roleId })
+      .eq('enterprise_id', enterpriseId);
+
+    if (userIds) {
+      query = query.in('user_id', userIds);
+      usersQuery = usersQuery.in('id', userIds);
+    }
+    if (fromRoleId) {
+      query = query.eq('role_id', fromRoleId);
+      usersQuery = usersQuery.eq('role_id', fromRoleId);
+    }
+
+    const { data: updated, error } = await query.select('user_id');
+    if (error) {
+      throw new Error(`Error updating member roles: ${error.message}`);
+    }
+
+    const { error: usersError } = await usersQuery;
+    if (usersError) {
+      throw new Error(`Error updating member roles: ${usersError.message}`);
+    }
+
+    return updated.map(membership => membership.user_id);
+  }
+
+  // The user as a member of one enterprise: `enterprise_id`, `role_id`,
+  // `roles` and `enterprises` describe that membership. Tokens and sessions
+  // are issued for this view of the user. Returns null for non-members.
+  async scopeUser(user, enterpriseId = user.enterprise_id) {
+    const membership = await this.findMembership(user.id, enterpriseId);
+    if (!membership) {
+      return null;
+    }
+
+    return {
+      ...user,
+      enterprise_id: membership.enterprise_id,
+      role_id: membership.role_id,
+      roles: membership.roles,
+      enterprises: membership.enterprises
+    };
+  }
+
+  // Scope the user to the enterprise they sign in to by default: the home
+  // enterprise, or their oldest membership when that one has ended
+  async scopeUserToDefault(user) {
+    const homeUser = await this.scopeUser(user);
+    if (homeUser) {
+      return homeUser;
+    }
+
+    const [membership] = await this.listMemberships(user.id);
+    return membership ? this.scopeUser(user, membership.enterprise_id) : null;
+  }
+
+  toResponse(membership) {
+    return {
+      enterpriseId: membership.enterprise_id,
+      enterpriseName: membership.enterprises?.name,
+      enterpriseDomain: membership.enterprises?.domain,
+      role: membership.roles ? {
+        id: membership.roles.id,
+        name: membership.roles.name
+      } : null,
+      joinedAt: membership.created_at
+    };
+  }
+}
+
+module.exports = new MembershipService();
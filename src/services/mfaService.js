@@ -0,0 +1,324 @@
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const supabase = require('../config/supabase');
+const { pool } = require('../config/database');
+const { encrypt, decrypt } = require('../utils/encryption');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_WINDOW = 1; // accept one step of clock drift either way
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL = '5m';
+
+// RFC 4648 base32, as expected by authenticator apps
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = input.replace(/=+$/, '').toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+class MfaService {
+  // Secrets are encrypted at rest with AES-256-GCM
+  getEncryptionKey() {
+    return process.env.MFA_ENCRYPTION_KEY || process.env.JWT_SECRET;
+  }
+
+  encryptSecret(secret) {
+    return encrypt(secret, this.getEncryptionKey());
+  }
+
+  decryptSecret(payload) {
+    return decrypt(payload, this.getEncryptionKey());
+  }
+
+  // TOTP (RFC 6238) over HOTP (RFC 4226) with HMAC-SHA1
+  generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+  }
+
+  generateHotp(secret, counter) {
+    const counterBuffer = Buffer.alloc(8);
+    counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = ((hmac[offset] & 0x7f) << 24)
+      | (hmac[offset + 1] << 16)
+      | (hmac[offset + 2] << 8)
+      | hmac[offset + 3];
+
+    return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+  }
+
+  getCurrentStep() {
+    return Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS);
+  }
+
+  // Returns the matching time step, or null
+  findMatchingStep(secret, code) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(normalized)) {
+      return null;
+    }
+
+    const currentStep = this.getCurrentStep();
+    for (let drift = -TOTP_WINDOW; drift <= TOTP_WINDOW; drift++) {
+      const step = currentStep + drift;
+      const expected = this.generateHotp(secret, step);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+        return step;
+      }
+    }
+
+    return null;
+  }
+
+  buildOtpauthUrl(secret, accountName, issuer) {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer,
+      algorithm: 'SHA1',
+      digits: String(TOTP_DIGITS),
+      period: String(TOTP_PERIOD_SECONDS)
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+
+  // Recovery codes
+  hashRecoveryCode(code) {
+    return crypto
+      .createHash('sha256')
+      .update(code.replace(/-/g, '').toLowerCase())
+      .digest('hex');
+  }
+
+  generateRecoveryCodes() {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+  }
+
+  // Enrolment state
+  async getMfa(userId) {
+    const { data: mfa, error } = await supabase
+      .from('user_mfa')
+      .select('*')
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error || !mfa) {
+      return null;
+    }
+
+    return mfa;
+  }
+
+  async isEnabled(userId) {
+    const mfa = await this.getMfa(userId);
+    return Boolean(mfa?.enabled);
+  }
+
+  // Start (or restart) enrolment with a fresh secret
+  async startEnrollment(user, issuer) {
+    const secret = this.generateSecret();
+
+    const { error } = await supabase
+      .from('user_mfa')
+      .upsert({
+        user_id: user.id,
+        secret_encrypted: this.encryptSecret(secret),
+        enabled: false,
+        recovery_code_hashes: [],
+        last_used_step: null,
+        enabled_at: null
+      }, { onConflict: 'user_id' });
+
+    if (error) {
+      throw new Error(`Error starting MFA enrolment: ${error.message}`);
+    }
+
+    return {
+      secret,
+      otpauthUrl: this.buildOtpauthUrl(secret, user.email, issuer)
+    };
+  }
+
+  // Confirm enrolment with a first code; returns the recovery codes or null
+  async confirmEnrollment(userId, code) {
+    const mfa = await this.getMfa(userId);
+    if (!mfa || mfa.enabled) {
+      return null;
+    }
+
+    const step = this.findMatchingStep(this.decryptSecret(mfa.secret_encrypted), code);
+    if (step === null) {
+      return null;
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+
+    const { error } = await supabase
+      .from('user_mfa')
+      .update({
+        enabled: true,
+        enabled_at: new Date().toISOString(),
+        last_used_step: step,
+        recovery_code_hashes: recoveryCodes.map(recoveryCode => this.hashRecoveryCode(recoveryCode))
+      })
+      .eq('user_id', userId);
+
+    if (error) {
+      throw new Error(`Error enabling MFA: ${error.message}`);
+    }
+
+    return recoveryCodes;
+  }
+
+  // Verify a TOTP code of an enrolled user. Each time step can only be used
+  // once to stop replay of an observed code.
+  async verifyCode(userId, code) {
+    const mfa = await this.getMfa(userId);
+    if (!mfa?.enabled) {
+      return false;
+    }
+
+    const step = this.findMatchingStep(this.decryptSecret(mfa.secret_encrypted), code);
+    if (step === null || (mfa.last_used_step !== null && step <= mfa.last_used_step)) {
+      return false;
+    }
+
+    let query = supabase
+      .from('user_mfa')
+      .update({ last_used_step: step })
+      .eq('user_id', userId);
+
+    query = mfa.last_used_step === null
+      ? query.is('last_used_step', null)
+      : query.eq('last_used_step', mfa.last_used_step);
+
+    const { data: updated } = await query.select('user_id');
+
+    return Boolean(updated && updated.length > 0);
+  }
+
+  // Redeem a single-use recovery code. The code is removed in a single
+  // statement that only matches while it is still unused, so concurrent
+  // requests cannot both redeem it.
+  async useRecoveryCode(userId, code) {
+    if (!code) {
+      return false;
+    }
+
+    const { rowCount } = await pool.query(
+      `UPDATE user_mfa SET recovery_code_hashes = array_remove(recovery_code_hashes, $2)
+       WHERE user_id = $1 AND enabled AND $2 = ANY(recovery_code_hashes)`,
+      [userId, this.hashRecoveryCode(String(code))]
+    );
+
+    return rowCount === 1;
+  }
+
+  async regenerateRecoveryCodes(userId) {
+    const recoveryCodes = this.generateRecoveryCodes();
+
+    const { error } = await supabase
+      .from('user_mfa')
+      .update({
+        recovery_code_hashes: recoveryCodes.map(recoveryCode => this.hashRecoveryCode(recoveryCode))
+      })
+      .eq('user_id', userId);
+
+    if (error) {
+      throw new Error(`Error regenerating recovery codes: ${error.message}`);
+    }
+
+    return recoveryCodes;
+  }
+
+  async disable(userId) {
+    const { error } = await supabase
+      .from('user_mfa')
+      .delete()
+      .eq('user_id', userId);
+
+    if (error) {
+      throw new Error(`Error disabling MFA: ${error.message}`);
+    }
+  }
+
+  // Enterprise policy: 'optional', 'managers' or 'all'
+  isRequiredFor(authSettings, roleName) {
+    if (authSettings.mfaPolicy === 'all') {
+      return true;
+    }
+
+    return authSettings.mfaPolicy === 'managers' && roleName === 'MANAGER';
+  }
+
+  // Short-lived token bridging password login and the second factor.
+  // purpose is 'verify' (enrolled user) or 'enroll' (policy requires setup);
+  // the user is scoped to the enterprise the login is for. The email keys
+  // the lockout of failed codes.
+  generateChallengeToken(user, purpose) {
+    return jwt.sign(
+      { userId: user.id, email: user.email, purpose, enterpriseId: user.enterprise_id, type: 'mfa_challenge' },
+      process.env.JWT_SECRET,
+      { expiresIn: CHALLENGE_TTL }
+    );
+  }
+
+  verifyChallengeToken(token, purpose) {
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      if (decoded.type !== 'mfa_challenge' || decoded.purpose !== purpose) {
+        return null;
+      }
+      return decoded;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = new MfaService();
@@ -0,0 +1,98 @@
+jest.mock('../config/supabase', () => require('../__tests__/mocks/supabase').createSupabaseMock());
+jest.mock('../config/database', () => require('../__tests__/mocks/database').createDatabaseMock());
+
+const supabase = require('../config/supabase');
+const { pool } = require('../config/database');
+const mfaService = require('./mfaService');
+
+// RFC 6238 test secret "12345678901234567890" in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+const enrolled = (overrides = {}) => ({
+  user_id: 'user-1',
+  enabled: true,
+  secret_encrypted: mfaService.encryptSecret(RFC_SECRET),
+  last_used_step: null,
+  recovery_code_hashes: [],
+  ...overrides
+});
+
+describe('mfaService', () => {
+  beforeEach(() => {
+    supabase.reset();
+    jest.clearAllMocks();
+  });
+
+  describe('TOTP', () => {
+    it('matches the RFC 6238 test vectors', () => {
+      expect(mfaService.generateHotp(RFC_SECRET, 1)).toBe('287082');
+      expect(mfaService.generateHotp(RFC_SECRET, 37037036)).toBe('081804');
+    });
+
+    it('accepts one step of clock drift either way', () => {
+      const step = mfaService.getCurrentStep();
+
+      expect(mfaService.findMatchingStep(RFC_SECRET, mfaService.generateHotp(RFC_SECRET, step - 1))).toBe(step - 1);
+      expect(mfaService.findMatchingStep(RFC_SECRET, mfaService.generateHotp(RFC_SECRET, step + 2))).toBeNull();
+      expect(mfaService.findMatchingStep(RFC_SECRET, 'abcdef')).toBeNull();
+    });
+
+    it('encrypts secrets at rest', () => {
+      const encrypted = mfaService.encryptSecret(RFC_SECRET);
+
+      expect(encrypted).not.toContain(RFC_SECRET);
+      expect(mfaService.decryptSecret(encrypted)).toBe(RFC_SECRET);
+    });
+  });
+
+  describe('challenge tokens', () => {
+    it('carry the account and enterprise of the login and only verify for their purpose', () => {
+      const token = mfaService.generateChallengeToken({ id: 'user-1', email: 'ada@example.com', enterprise_id: 'ent-1' }, 'verify');
+
+      expect(mfaService.verifyChallengeToken(token, 'verify')).toMatchObject({ userId: 'user-1', email: 'ada@example.com', enterpriseId: 'ent-1' });
+      expect(mfaService.verifyChallengeToken(token, 'enroll')).toBeNull();
+    });
+  });
+
+  describe('verifyCode', () => {
+    it('records the step conditionally on the previous one', async () => {
+      const step = mfaService.getCurrentStep();
+      supabase.respond('user_mfa',
+        { data: enrolled({ last_used_step: step - 5 }), error: null },
+        { data: [{ user_id: 'user-1' }], error: null }
+      );
+
+      await expect(mfaService.verifyCode('user-1', mfaService.generateHotp(RFC_SECRET, step))).resolves.toBe(true);
+
+      const [, update] = supabase.queriesOf('user_mfa');
+      expect(update.calls).toContainEqual(['eq', 'last_used_step', step - 5]);
+    });
+
+    it('rejects a code of a step that was already used', async () => {
+      const step = mfaService.getCurrentStep();
+      supabase.respond('user_mfa', { data: enrolled({ last_used_step: step }), error: null });
+
+      await expect(mfaService.verifyCode('user-1', mfaService.generateHotp(RFC_SECRET, step))).resolves.toBe(false);
+      expect(supabase.queriesOf('user_mfa')).toHaveLength(1);
+    });
+  });
+
+  describe('useRecoveryCode', () => {
+    it('removes the code only while it is unused', async () => {
+      pool.query.mockResolvedValueOnce({ rowCount: 1 });
+
+      await expect(mfaService.useRecoveryCode('user-1', 'ABCDE-12345')).resolves.toBe(true);
+
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toMatch(/array_remove/);
+      expect(sql).toMatch(/\$2 = ANY\(recovery_code_hashes\)/);
+      expect(params).toEqual(['user-1', mfaService.hashRecoveryCode('abcde12345')]);
+    });
+
+    it('fails when another request redeemed the code first', async () => {
+      pool.query.mockResolvedValueOnce({ rowCount: 0 });
+
+      await expect(mfaService.useRecoveryCode('user-1', 'abcde-12345')).resolves.toBe(false);
+    });
+  });
+});
@@ -0,0 +1,25 @@
+const supabase = require('../config/supabase');
+
+class NotificationService {
+  // In-app notification shown to a user. Failures are logged; notifications
+  // never fail the action that triggered them.
+  async createNotification({ enterpriseId, userId, title, message, type, relatedId, relatedType }) {
+    const { error } = await supabase
+      .from('notifications')
+      .insert({
+        enterprise_id: enterpriseId,
+        user_id: userId,
+        title,
+        message,
+        type,
+        related_id: relatedId || null,
+        related_type: relatedType || null
+      });
+
+    if (error) {
+      console.error('Error creating notification record:', error);
+    }
+  }
+}
+
+module.exports = new NotificationService();
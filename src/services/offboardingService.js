@@ -0,0 +1,330 @@
+const crypto = require('crypto');
+const supabase = require('../config/supabase');
+const { pool, withTransaction } = require('../config/database');
+const tokenService = require('./tokenService');
+const apiKeyService = require('./apiKeyService');
+const scimService = require('./scimService');
+const exportService = require('./exportService');
+
+const DEFAULT_GRACE_DAYS = 30;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+const PURGE_STARTUP_DELAY_MS = 60 * 1000;
+const PURGE_BATCH_SIZE = 10;
+
+const CERTIFICATE_COLUMNS = 'id, enterprise_id, enterprise_name, enterprise_domain, cancelled_at, cancelled_by, cancellation_reason, deleted_users, deleted_rows, purged_at, digest';
+
+// Tenant tables in deletion order: rows referencing others go first. $1 is
+// the enterprise ID, $2 the IDs of the accounts being deleted with it.
+const PURGE_STEPS = [
+  { table: 'lead_qualifications', where: 'enterprise_id = $1' },
+  { table: 'notifications', where: 'enterprise_id = $1 OR user_id = ANY($2)' },
+  { table: 'tasks', where: 'enterprise_id = $1' },
+  { table: 'meetings', where: 'enterprise_id = $1' },
+  { table: 'leads', where: 'enterprise_id = $1' },
+  { table: 'import_jobs', where: 'enterprise_id = $1' },
+  { table: 'export_jobs', where: 'enterprise_id = $1' },
+  { table: 'enterprise_config_versions', where: 'enterprise_id = $1' },
+  { table: 'enterprise_configs', where: 'enterprise_id = $1' },
+  { table: 'enterprise_crm_credentials', where: 'enterprise_id = $1' },
+  { table: 'enterprise_sso_configs', where: 'enterprise_id = $1' },
+  { table: 'scim_tokens', where: 'enterprise_id = $1' },
+  { table: 'api_keys', where: 'enterprise_id = $1' },
+  { table: 'impersonation_audit_logs', where: 'enterprise_id = $1' },
+  { table: 'invitations', where: 'enterprise_id = $1' },
+  { table: 'join_requests', where: 'enterprise_id = $1' },
+  { table: 'onboarding_requests', where: 'enterprise_id = $1' },
+  { table: 'auth_attempts', where: 'enterprise_id = $1 OR user_id = ANY($2)' },
+  { table: 'refresh_tokens', where: 'enterprise_id = $1 OR user_id = ANY($2)' },
+  { table: 'sessions', where: 'enterprise_id = $1 OR user_id = ANY($2)' },
+  { table: 'email_verification_tokens', where: 'user_id = ANY($2)' },
+  { table: 'password_history', where: 'user_id = ANY($2)' },
+  { table: 'user_mfa', where: 'user_id = ANY($2)' },
+  { table: 'enterprise_memberships', where: 'enterprise_id = $1' },
+  { table: 'users', where: 'id = ANY($2)' },
+  { table: 'roles', where: 'enterprise_id = $1' },
+  { table: 'enterprises', where: 'id = $1' }
+];
+
+const getGraceDays = () => {
+  const days = parseInt(process.env.OFFBOARDING_GRACE_DAYS);
+  return Number.isInteger(days) && days >= 0 ? days : DEFAULT_GRACE_DAYS;
+};
+
+/**
+ * Closing an enterprise. Cancelling deactivates it and revokes every way in
+ * (sessions, API keys, SCIM tokens, CRM credentials, invitations); its data
+ * is kept for the grace period (OFFBOARDING_GRACE_DAYS), during which a
+ * platform administrator can restore it. After that a scheduled purge
+ * deletes every tenant row and records a deletion certificate.
+ */
+class OffboardingService {
+  /**
+   * Cancel an active enterprise. `cancelledBy` is the user ID, or null for
+   * platform administrators. The subscription status it had is kept for a
+   * restore. Cancelling an enterprise that is already cancelled repeats the
+   * revocations, so a cancellation interrupted by a failed revocation can be
+   * retried. Returns the enterprise, or null if it is neither active nor
+   * cancelled.
+   */
+  async cancelEnterprise(enterpriseId, { cancelledBy = null, reason = null } = {}) {
+    const cancelledAt = new Date();
+    const purgeAfter = new Date(cancelledAt.getTime() + getGraceDays() * 24 * 60 * 60 * 1000);
+
+    const { rows: [cancelled] } = await pool.query(
+      `UPDATE enterprises
+       SET is_active = false, previous_subscription_status = subscription_status, subscription_status = 'canceled',
+           cancelled_at = $2, cancelled_by = $3, cancellation_reason = $4, purge_after = $5
+       WHERE id = $1 AND is_active = true
+       RETURNING *`,
+      [enterpriseId, cancelledAt.toISOString(), cancelledBy, reason, purgeAfter.toISOString()]
+    );
+
+    const enterprise = cancelled || await this.findCancelled(enterpriseId);
+    if (!enterprise) {
+      return null;
+    }
+
+    await tokenService.revokeEnterpriseSessions(enterpriseId, 'enterprise_cancelled');
+    await apiKeyService.revokeAllKeys(enterpriseId);
+    await scimService.revokeTokens(enterpriseId);
+
+    // Credentials are wiped, not just disabled; they are re-entered on restore
+    const { error: crmError } = await supabase
+      .from('enterprise_crm_credentials')
+      .update({ is_active: false, credential_data: {} })
+      .eq('enterprise_id', enterpriseId);
+
+    if (crmError) {
+      throw new Error(`Error revoking CRM credentials: ${crmError.message}`);
+    }
+
+    const { error: invitationError } = await supabase
+      .from('invitations')
+      .update({ status: 'revoked' })
+      .eq('enterprise_id', enterpriseId)
+      .eq('status', 'pending');
+
+    if (invitationError) {
+      throw new Error(`Error revoking invitations: ${invitationError.message}`);
+    }
+
+    return enterprise;
+  }
+
+  // A cancelled enterprise that has not been purged yet, or null
+  async findCancelled(enterpriseId) {
+    const { data: enterprise, error } = await supabase
+      .from('enterprises')
+      .select()
+      .eq('id', enterpriseId)
+      .eq('is_active', false)
+      .not('cancelled_at', 'is', null)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Error fetching enterprise: ${error.message}`);
+    }
+
+    return enterprise;
+  }
+
+  // Cancelled enterprises that have not been purged yet, next purge first
+  async listCancelled() {
+    const { data: enterprises, error } = await supabase
+      .from('enterprises')
+      .select('id, name, domain, subscription_plan, cancelled_at, cancelled_by, cancellation_reason, purge_after')
+      .eq('is_active', false)
+      .not('cancelled_at', 'is', null)
+      .order('purge_after', { ascending: true });
+
+    if (error) {
+      throw new Error(`Error fetching cancelled enterprises: ${error.message}`);
+    }
+
+    return enterprises;
+  }
+
+  /**
+   * Reactivate a cancelled enterprise within its grace period, with the
+   * subscription status it had when it was cancelled. Members sign in again;
+   * API keys, SCIM tokens and CRM credentials have to be issued again.
+   * Returns the enterprise, or null when it cannot be restored.
+   */
+  async restoreEnterprise(enterpriseId) {
+    const { rows: [enterprise] } = await pool.query(
+      `UPDATE enterprises
+       SET is_active = true, subscription_status = COALESCE(previous_subscription_status, 'active'),
+           previous_subscription_status = NULL, cancelled_at = NULL, cancelled_by = NULL,
+           cancellation_reason = NULL, purge_after = NULL
+       WHERE id = $1 AND is_active = false AND cancelled_at IS NOT NULL AND purge_after > now()
+       RETURNING *`,
+      [enterpriseId]
+    );
+
+    return enterprise || null;
+  }
+
+  /**
+   * Hard-delete a cancelled enterprise whose grace period is over, in one
+   * transaction. Accounts that belong to no other enterprise are deleted
+   * with it; accounts that do are moved to their oldest other membership.
+   * Returns the deletion certificate, or null if the enterprise is not due.
+   */
+  async purgeEnterprise(enterpriseId) {
+    const { certificate, archives } = await withTransaction(async (client) => {
+      const { rows: [enterprise] } = await client.query(
+        `SELECT * FROM enterprises
+         WHERE id = $1 AND is_active = false AND cancelled_at IS NOT NULL AND purge_after <= now()
+         FOR UPDATE SKIP LOCKED`,
+        [enterpriseId]
+      );
+
+      if (!enterprise) {
+        return {};
+      }
+
+      const { rows: users } = await client.query(
+        `SELECT u.id FROM users u
+         WHERE (u.enterprise_id = $1
+                OR EXISTS (SELECT 1 FROM enterprise_memberships m WHERE m.user_id = u.id AND m.enterprise_id = $1))
+           AND NOT EXISTS (SELECT 1 FROM enterprise_memberships m WHERE m.user_id = u.id AND m.enterprise_id <> $1)`,
+        [enterpriseId]
+      );
+      const userIds = users.map(user => user.id);
+
+      // Members of other enterprises keep their account under a new home
+      await client.query(
+        `UPDATE users u SET enterprise_id = home.enterprise_id, role_id = home.role_id
+         FROM (SELECT DISTINCT ON (user_id) user_id, enterprise_id, role_id
+               FROM enterprise_memberships
+               WHERE enterprise_id <> $1
+               ORDER BY user_id, created_at) home
+         WHERE u.id = home.user_id AND u.enterprise_id = $1`,
+        [enterpriseId]
+      );
+
+      const { rows: exportJobs } = await client.query(
+        'SELECT storage_path FROM export_jobs WHERE enterprise_id = $1 AND storage_path IS NOT NULL',
+        [enterpriseId]
+      );
+
+      const deletedRows = {};
+      for (const { table, where } of PURGE_STEPS) {
+        const { rowCount } = await client.query(`DELETE FROM ${table} WHERE ${where}`, [enterpriseId, userIds]);
+        deletedRows[table] = rowCount;
+      }
+
+      const content = {
+        enterpriseId,
+        enterpriseName: enterprise.name,
+        enterpriseDomain: enterprise.domain,
+        cancelledAt: enterprise.cancelled_at,
+        cancelledBy: enterprise.cancelled_by,
+        cancellationReason: enterprise.cancellation_reason,
+        deletedUsers: userIds.length,
+        deletedRows,
+        purgedAt: new Date().toISOString()
+      };
+
+      const { rows: [record] } = await client.query(
+        `INSERT INTO enterprise_deletion_certificates
+           (enterprise_id, enterprise_name, enterprise_domain, cancelled_at, cancelled_by, cancellation_reason,
+            deleted_users, deleted_rows, purged_at, digest)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8::jsonb, $9, $10)
+         RETURNING ${CERTIFICATE_COLUMNS}`,
+        [
+          enterpriseId,
+          content.enterpriseName,
+          content.enterpriseDomain,
+          content.cancelledAt,
+          content.cancelledBy,
+          content.cancellationReason,
+          content.deletedUsers,
+          JSON.stringify(deletedRows),
+          content.purgedAt,
+          crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex')
+        ]
+      );
+
+      return { certificate: record, archives: exportJobs.map(job => job.storage_path) };
+    });
+
+    if (!certificate) {
+      return null;
+    }
+
+    // The rows are gone either way; leftover archives are logged for cleanup
+    try {
+      await exportService.removeArchives(archives);
+    } catch (error) {
+      console.error('Enterprise purge archive cleanup error:', error);
+    }
+
+    return certificate;
+  }
+
+  // Purge every enterprise whose grace period is over. One failure does not
+  // stop the others. Returns the certificates issued.
+  async purgeDueEnterprises() {
+    const { data: due, error } = await supabase
+      .from('enterprises')
+      .select('id')
+      .eq('is_active', false)
+      .not('cancelled_at', 'is', null)
+      .lte('purge_after', new Date().toISOString())
+      .limit(PURGE_BATCH_SIZE);
+
+    if (error) {
+      throw new Error(`Error fetching enterprises to purge: ${error.message}`);
+    }
+
+    const certificates = [];
+    for (const { id } of due) {
+      try {
+        const certificate = await this.purgeEnterprise(id);
+        if (certificate) {
+          console.log(`Enterprise ${id} purged, deletion certificate ${certificate.id}`);
+          certificates.push(certificate);
+        }
+      } catch (error) {
+        console.error(`Enterprise ${id} purge error:`, error);
+      }
+    }
+
+    return certificates;
+  }
+
+  // Run the purge in this process shortly after it starts, then
+  // periodically. Returns a function that stops the schedule.
+  startPurgeSchedule(intervalMs = PURGE_INTERVAL_MS, startupDelayMs = PURGE_STARTUP_DELAY_MS) {
+    const purge = () => {
+      this.purgeDueEnterprises().catch(error => console.error('Enterprise purge error:', error));
+    };
+
+    const startup = setTimeout(purge, startupDelayMs);
+    const timer = setInterval(purge, intervalMs);
+    startup.unref();
+    timer.unref();
+
+    return () => {
+      clearTimeout(startup);
+      clearInterval(timer);
+    };
+  }
+
+  async findCertificate(enterpriseId) {
+    const { data: certificate, error } = await supabase
+      .from('enterprise_deletion_certificates')
+      .select(CERTIFICATE_COLUMNS)
+      .eq('enterprise_id', enterpriseId)
+      .maybeSingle();
+
+    if (error || !certificate) {
+      return null;
+    }
+
+    return certificate;
+  }
+}
+
+module.exports = new OffboardingService();
@@ -0,0 +1,178 @@
+jest.mock('../config/supabase', () => require('../__tests__/mocks/supabase').createSupabaseMock());
+jest.mock('../config/database', () => require('../__tests__/mocks/database').createDatabaseMock());
+jest.mock('./tokenService', () => ({
+  revokeEnterpriseSessions: jest.fn()
+}));
+jest.mock('./apiKeyService', () => ({
+  revokeAllKeys: jest.fn()
+}));
+jest.mock('./scimService', () => ({
+  revokeTokens: jest.fn()
+}));
+jest.mock('./exportService', () => ({
+  removeArchives: jest.fn()
+}));
+
+const supabase = require('../config/supabase');
+const { pool, client } = require('../config/database');
+const tokenService = require('./tokenService');
+const apiKeyService = require('./apiKeyService');
+const scimService = require('./scimService');
+const exportService = require('./exportService');
+const offboardingService = require('./offboardingService');
+
+describe('offboardingService', () => {
+  const cancelled = { id: 'ent-1', name: 'Acme', is_active: false, subscription_status: 'canceled', cancelled_at: '2026-10-01T00:00:00.000Z' };
+
+  beforeEach(() => {
+    supabase.reset();
+    jest.clearAllMocks();
+    pool.query.mockResolvedValue({ rows: [], rowCount: 0 });
+    tokenService.revokeEnterpriseSessions.mockResolvedValue();
+    apiKeyService.revokeAllKeys.mockResolvedValue();
+    scimService.revokeTokens.mockResolvedValue();
+  });
+
+  describe('cancelEnterprise', () => {
+    it('keeps the subscription status and revokes every way in', async () => {
+      pool.query.mockResolvedValue({ rows: [cancelled], rowCount: 1 });
+
+      await expect(offboardingService.cancelEnterprise('ent-1', { cancelledBy: 'user-1', reason: 'Too expensive' })).resolves.toBe(cancelled);
+
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain('previous_subscription_status = subscription_status');
+      expect(sql).toContain('is_active = true');
+      expect(params.slice(0, 4)).toEqual(['ent-1', expect.any(String), 'user-1', 'Too expensive']);
+      expect(tokenService.revokeEnterpriseSessions).toHaveBeenCalledWith('ent-1', 'enterprise_cancelled');
+      expect(apiKeyService.revokeAllKeys).toHaveBeenCalledWith('ent-1');
+      expect(scimService.revokeTokens).toHaveBeenCalledWith('ent-1');
+      expect(supabase.argsOf(supabase.queriesOf('enterprise_crm_credentials')[0], 'update')).toEqual([{ is_active: false, credential_data: {} }]);
+      expect(supabase.argsOf(supabase.queriesOf('invitations')[0], 'update')).toEqual([{ status: 'revoked' }]);
+    });
+
+    it('repeats the revocations when retried after one failed', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [cancelled], rowCount: 1 });
+      apiKeyService.revokeAllKeys.mockRejectedValueOnce(new Error('Error revoking API keys: timeout'));
+
+      await expect(offboardingService.cancelEnterprise('ent-1')).rejects.toThrow('timeout');
+      expect(scimService.revokeTokens).not.toHaveBeenCalled();
+
+      supabase.respond('enterprises', { data: cancelled, error: null });
+      await expect(offboardingService.cancelEnterprise('ent-1')).resolves.toBe(cancelled);
+
+      const [lookup] = supabase.queriesOf('enterprises');
+      expect(supabase.argsOf(lookup, 'eq')).toEqual(['id', 'ent-1']);
+      expect(supabase.argsOf(lookup, 'not')).toEqual(['cancelled_at', 'is', null]);
+      expect(apiKeyService.revokeAllKeys).toHaveBeenCalledTimes(2);
+      expect(scimService.revokeTokens).toHaveBeenCalledWith('ent-1');
+    });
+
+    it('returns null for an enterprise that is neither active nor cancelled', async () => {
+      await expect(offboardingService.cancelEnterprise('ent-2')).resolves.toBeNull();
+      expect(tokenService.revokeEnterpriseSessions).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('restoreEnterprise', () => {
+    it('restores the subscription status the enterprise had', async () => {
+      const restored = { id: 'ent-1', is_active: true, subscription_status: 'trialing' };
+      pool.query.mockResolvedValue({ rows: [restored], rowCount: 1 });
+
+      await expect(offboardingService.restoreEnterprise('ent-1')).resolves.toBe(restored);
+
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain('subscription_status = COALESCE(previous_subscription_status, \'active\')');
+      expect(sql).toContain('purge_after > now()');
+      expect(params).toEqual(['ent-1']);
+    });
+
+    it('returns null outside the grace period', async () => {
+      await expect(offboardingService.restoreEnterprise('ent-1')).resolves.toBeNull();
+    });
+  });
+
+  describe('purgeEnterprise', () => {
+    it('does nothing for an enterprise that is not due', async () => {
+      await expect(offboardingService.purgeEnterprise('ent-1')).resolves.toBeNull();
+
+      expect(client.query.mock.calls.some(([sql]) => sql.startsWith('DELETE'))).toBe(false);
+      expect(exportService.removeArchives).not.toHaveBeenCalled();
+    });
+
+    it('deletes the tenant, issues a certificate and removes the export archives', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      client.query.mockImplementation(async (sql) => {
+        if (sql.startsWith('DELETE')) {
+          return { rows: [], rowCount: 1 };
+        }
+        if (sql.startsWith('SELECT * FROM enterprises')) {
+          return { rows: [{ ...cancelled, domain: 'acme.com', cancellation_reason: null }] };
+        }
+        if (sql.startsWith('SELECT u.id')) {
+          return { rows: [{ id: 'user-1' }, { id: 'user-2' }] };
+        }
+        if (sql.includes('FROM export_jobs')) {
+          return { rows: [{ storage_path: 'ent-1/job-1.tar.gz' }] };
+        }
+        if (sql.startsWith('INSERT INTO enterprise_deletion_certificates')) {
+          return { rows: [{ id: 'certificate-1' }] };
+        }
+        return { rows: [], rowCount: 0 };
+      });
+      exportService.removeArchives.mockRejectedValue(new Error('storage unavailable'));
+
+      await expect(offboardingService.purgeEnterprise('ent-1')).resolves.toEqual({ id: 'certificate-1' });
+
+      const deletes = client.query.mock.calls.filter(([sql]) => sql.startsWith('DELETE'));
+      expect(deletes[0]).toEqual(['DELETE FROM lead_qualifications WHERE enterprise_id = $1', ['ent-1', ['user-1', 'user-2']]]);
+      expect(deletes[deletes.length - 1][0]).toBe('DELETE FROM enterprises WHERE id = $1');
+      expect(client.query).toHaveBeenLastCalledWith('COMMIT');
+
+      const [, certificate] = client.query.mock.calls.find(([sql]) => sql.startsWith('INSERT'));
+      expect(certificate[6]).toBe(2);
+      expect(JSON.parse(certificate[7])).toMatchObject({ users: 1, enterprises: 1 });
+      expect(exportService.removeArchives).toHaveBeenCalledWith(['ent-1/job-1.tar.gz']);
+    });
+  });
+
+  describe('purgeDueEnterprises', () => {
+    it('carries on past an enterprise that fails to purge', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      supabase.respond('enterprises', { data: [{ id: 'ent-1' }, { id: 'ent-2' }], error: null });
+      const purge = jest.spyOn(offboardingService, 'purgeEnterprise')
+        .mockRejectedValueOnce(new Error('deadlock detected'))
+        .mockResolvedValueOnce({ id: 'certificate-2' });
+
+      await expect(offboardingService.purgeDueEnterprises()).resolves.toEqual([{ id: 'certificate-2' }]);
+      expect(purge).toHaveBeenCalledWith('ent-2');
+
+      purge.mockRestore();
+    });
+  });
+
+  describe('startPurgeSchedule', () => {
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('purges shortly after boot and then on every interval', () => {
+      jest.useFakeTimers();
+      const purge = jest.spyOn(offboardingService, 'purgeDueEnterprises').mockResolvedValue([]);
+
+      const stop = offboardingService.startPurgeSchedule(60 * 60 * 1000, 60 * 1000);
+
+      jest.advanceTimersByTime(60 * 1000);
+      expect(purge).toHaveBeenCalledTimes(1);
+
+      jest.advanceTimersByTime(60 * 60 * 1000);
+      expect(purge).toHaveBeenCalledTimes(2);
+
+      stop();
+      jest.advanceTimersByTime(2 * 60 * 60 * 1000);
+      expect(purge).toHaveBeenCalledTimes(2);
+
+      purge.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,224 @@
+const supabase = require('../config/supabase');
+const { pool, withTransaction } = require('../config/database');
+const configService = require('./configService');
+const { DEFAULT_ROLE_PERMISSIONS, DEFAULT_ROLES } = require('../config/permissions');
+const { DEFAULT_PLAN } = require('../config/plans');
+
+// Configs every new enterprise starts with
+const DEFAULT_ENTERPRISE_CONFIGS = {
+  lead_fields: {},
+  lead_qualification_rules: { rules: [] }
+};
+
+const ONBOARDING_REQUEST_COLUMNS = 'id, enterprise_data, owner_name, owner_email, status, enterprise_id, reviewed_at, review_note, created_at';
+
+class OnboardingService {
+  // 'captcha' provisions immediately after a captcha check; 'approval'
+  // queues requests for a platform administrator
+  getProtectionMode() {
+    return process.env.ONBOARDING_PROTECTION === 'captcha' ? 'captcha' : 'approval';
+  }
+
+  /**
+   * Create an enterprise with its default roles and configs and its owner,
+   * a MANAGER, in one transaction. Nothing is created if any step fails.
+   * Unless `domainVerified`, the domain is only held as `pending_domain`
+   * and is bound by `claimPendingDomain` once the owner proves an address
+   * at it. Returns `{ enterpriseId, ownerId }`, or null when the domain or
+   * the owner's email is already taken.
+   */
+  async provisionEnterprise({ enterprise, owner, domainVerified = true }) {
+    return withTransaction(async (client) => {
+      const { rows: takenDomains } = await client.query(
+        'SELECT id FROM enterprises WHERE lower(domain) = lower($1)',
+        [enterprise.domain]
+      );
+      const { rows: takenEmails } = await client.query(
+        'SELECT id FROM users WHERE email = $1',
+        [owner.email.toLowerCase()]
+      );
+      if (takenDomains.length > 0 || takenEmails.length > 0) {
+        return null;
+      }
+
+      const { rows: [newEnterprise] } = await client.query(
+        `INSERT INTO enterprises (name, domain, pending_domain, industry, company_size, subscription_plan, subscription_status, is_active)
+         VALUES ($1, $2, $3, $4, $5, $6, 'active', true)
+         RETURNING id`,
+        [
+          enterprise.name,
+          domainVerified ? enterprise.domain.toLowerCase() : null,
+          domainVerified ? null : enterprise.domain.toLowerCase(),
+          enterprise.industry || null,
+          enterprise.company_size || null,
+          // New enterprises start on the default plan whatever the request
+          // says; plans change through the subscription route
+          DEFAULT_PLAN
+        ]
+      );
+
+      const roleIds = {};
+      for (const role of DEFAULT_ROLES) {
+        const { rows: [newRole] } = await client.query(
+          `INSERT INTO roles (enterprise_id, name, description, is_system_role, permissions)
+           VALUES ($1, $2, $3, $4, $5::jsonb)
+           RETURNING id`,
+          [newEnterprise.id, role.name, role.description, role.is_system_role, JSON.stringify(DEFAULT_ROLE_PERMISSIONS[role.name])]
+        );
+        roleIds[role.name] = newRole.id;
+      }
+
+      for (const [configType, configData] of Object.entries(DEFAULT_ENTERPRISE_CONFIGS)) {
+        await configService.writeConfig(client, newEnterprise.id, configType, configData, {
+          comment: 'Initial configuration'
+        });
+      }
+
+      const { rows: [newOwner] } = await client.query(
+        `INSERT INTO users (enterprise_id, name, email, password_hash, role_id, is_active, email_verified, password_changed_at)
+         VALUES ($1, $2, $3, $4, $5, true, false, now())
+         RETURNING id`,
+        [newEnterprise.id, owner.name, owner.email.toLowerCase(), owner.passwordHash, roleIds.MANAGER]
+      );
+
+      await client.query(
+        `INSERT INTO enterprise_memberships (user_id, enterprise_id, role_id, is_active)
+         VALUES ($1, $2, $3, true)`,
+        [newOwner.id, newEnterprise.id, roleIds.MANAGER]
+      );
+
+      return { enterpriseId: newEnterprise.id, ownerId: newOwner.id };
+    });
+  }
+
+  /**
+   * Bind an enterprise's pending domain once `user`, a member with a
+   * verified email at that domain, has proven control of it. Another
+   * enterprise may have claimed the domain first, in which case it stays
+   * pending. Returns whether the domain was bound.
+   */
+  async claimPendingDomain(user) {
+    const emailDomain = user.email.split('@').pop().toLowerCase();
+
+    const { rowCount } = await pool.query(
+      `UPDATE enterprises SET domain = pending_domain, pending_domain = NULL
+       WHERE id = $1 AND pending_domain = $2
+         AND NOT EXISTS (SELECT 1 FROM enterprises WHERE lower(domain) = $2)`,
+      [user.enterprise_id, emailDomain]
+    );
+
+    return rowCount === 1;
+  }
+
+  // Onboarding requests waiting for platform administrator approval
+  async createRequest({ enterprise, owner }) {
+    const { data: onboardingRequest, error } = await supabase
+      .from('onboarding_requests')
+      .insert({
+        enterprise_data: enterprise,
+        owner_name: owner.name,
+        owner_email: owner.email.toLowerCase(),
+        owner_password_hash: owner.passwordHash,
+        status: 'pending'
+      })
+      .select(ONBOARDING_REQUEST_COLUMNS)
+      .single();
+
+    if (error) {
+      throw new Error(`Error creating onboarding request: ${error.message}`);
+    }
+
+    return onboardingRequest;
+  }
+
+  async findRequest(requestId) {
+    const { data: onboardingRequest, error } = await supabase
+      .from('onboarding_requests')
+      .select(ONBOARDING_REQUEST_COLUMNS)
+      .eq('id', requestId)
+      .maybeSingle();
+
+    if (error || !onboardingRequest) {
+      return null;
+    }
+
+    return onboardingRequest;
+  }
+
+  async hasPendingRequest(domain) {
+    const { count, error } = await supabase
+      .from('onboarding_requests')
+      .select('id', { count: 'exact', head: true })
+      .eq('enterprise_data->>domain', domain.toLowerCase())
+      .eq('status', 'pending');
+
+    if (error) {
+      throw new Error(`Error fetching onboarding requests: ${error.message}`);
+    }
+
+    return count > 0;
+  }
+
+  async listRequests(status) {
+    let query = supabase
+      .from('onboarding_requests')
+      .select(ONBOARDING_REQUEST_COLUMNS)
+      .order('created_at', { ascending: false });
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data: onboardingRequests, error } = await query;
+
+    if (error) {
+      throw new Error(`Error fetching onboarding requests: ${error.message}`);
+    }
+
+    return onboardingRequests;
+  }
+
+  // Move a pending request to 'approved' or 'rejected', once. Returns the
+  // request with the owner's password hash, or null if it was not pending.
+  async decideRequest(requestId, status, reviewNote) {
+    const { data: onboardingRequest, error } = await supabase
+      .from('onboarding_requests')
+      .update({
+        status,
+        review_note: reviewNote || null,
+        reviewed_at: new Date().toISOString()
+      })
+      .eq('id', requestId)
+      .eq('status', 'pending')
+      .select(`${ONBOARDING_REQUEST_COLUMNS}, owner_password_hash`)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Error updating onboarding request: ${error.message}`);
+    }
+
+    return onboardingRequest;
+  }
+
+  // Record the outcome of a decision and drop the password hash
+  async completeRequest(requestId, { enterpriseId } = {}) {
+    const { error } = await supabase
+      .from('onboarding_requests')
+      .update({ enterprise_id: enterpriseId || null, owner_password_hash: null })
+      .eq('id', requestId);
+
+    if (error) {
+      throw new Error(`Error updating onboarding request: ${error.message}`);
+    }
+  }
+
+  // Put an approved request back to pending when provisioning failed
+  async releaseRequest(requestId) {
+    await supabase
+      .from('onboarding_requests')
+      .update({ status: 'pending', review_note: null, reviewed_at: null })
+      .eq('id', requestId);
+  }
+}
+
+module.exports = new OnboardingService();
@@ -0,0 +1,74 @@
+jest.mock('../config/supabase', () => require('../__tests__/mocks/supabase').createSupabaseMock());
+jest.mock('../config/database', () => require('../__tests__/mocks/database').createDatabaseMock());
+jest.mock('./configService', () => ({
+  writeConfig: jest.fn()
+}));
+
+const { pool, client } = require('../config/database');
+const onboardingService = require('./onboardingService');
+
+describe('onboardingService', () => {
+  const enterprise = { name: 'Acme', domain: 'Acme.com' };
+  const owner = { name: 'Ada', email: 'ada@acme.com', passwordHash: 'hash' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    client.query.mockImplementation(async (sql) => (
+      sql.startsWith('INSERT') ? { rows: [{ id: 'new-id' }], rowCount: 1 } : { rows: [], rowCount: 0 }
+    ));
+  });
+
+  const enterpriseInsert = () => client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO enterprises'));
+
+  describe('provisionEnterprise', () => {
+    it('binds the domain of a reviewed enterprise', async () => {
+      await onboardingService.provisionEnterprise({ enterprise, owner });
+
+      const [, params] = enterpriseInsert();
+      expect(params.slice(0, 3)).toEqual(['Acme', 'acme.com', null]);
+    });
+
+    it('holds the domain as pending until it is verified', async () => {
+      await expect(onboardingService.provisionEnterprise({ enterprise, owner, domainVerified: false }))
+        .resolves.toEqual({ enterpriseId: 'new-id', ownerId: 'new-id' });
+
+      const [, params] = enterpriseInsert();
+      expect(params.slice(0, 3)).toEqual(['Acme', null, 'acme.com']);
+    });
+
+    it('starts every enterprise on the basic plan', async () => {
+      await onboardingService.provisionEnterprise({ enterprise: { ...enterprise, subscription_plan: 'enterprise' }, owner });
+
+      const [sql, params] = enterpriseInsert();
+      expect(sql).toContain('subscription_plan');
+      expect(params).toContain('basic');
+      expect(params).not.toContain('enterprise');
+    });
+
+    it('creates nothing when the domain is bound to another enterprise', async () => {
+      client.query.mockImplementation(async (sql) => (
+        sql.startsWith('SELECT id FROM enterprises') ? { rows: [{ id: 'other' }], rowCount: 1 } : { rows: [], rowCount: 0 }
+      ));
+
+      await expect(onboardingService.provisionEnterprise({ enterprise, owner })).resolves.toBeNull();
+      expect(enterpriseInsert()).toBeUndefined();
+    });
+  });
+
+  describe('claimPendingDomain', () => {
+    it('binds the pending domain matching a verified address', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [], rowCount: 1 });
+
+      await expect(onboardingService.claimPendingDomain({ enterprise_id: 'ent-1', email: 'ada@acme.com' })).resolves.toBe(true);
+
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain('SET domain = pending_domain');
+      expect(sql).toContain('NOT EXISTS');
+      expect(params).toEqual(['ent-1', 'acme.com']);
+    });
+
+    it('leaves the domain pending when it does not match or is taken', async () => {
+      await expect(onboardingService.claimPendingDomain({ enterprise_id: 'ent-1', email: 'ada@gmail.com' })).resolves.toBe(false);
+    });
+  });
+});
@@ -0,0 +1,161 @@
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const supabase = require('../config/supabase');
+
+// Enterprises override these with `passwordPolicy` in their auth settings
+const DEFAULT_PASSWORD_POLICY = {
+  minLength: 8,
+  requireUppercase: true,
+  requireLowercase: true,
+  requireNumber: true,
+  requireSymbol: false,
+  blockCommonPasswords: true,
+  historyDepth: 5, // recent passwords that cannot be reused, 0 to allow reuse
+  maxAgeDays: 0 // 0 disables expiry
+};
+
+// bcrypt only uses the first 72 bytes of a password
+const MAX_PASSWORD_BYTES = 72;
+const MAX_HISTORY_DEPTH = 24;
+
+const COMMON_PASSWORDS = new Set(
+  fs.readFileSync(path.join(__dirname, '../config/common-passwords.txt'), 'utf8')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+);
+
+class PasswordPolicyService {
+  getPolicy(authSettings = {}) {
+    const policy = { ...DEFAULT_PASSWORD_POLICY, ...(authSettings.passwordPolicy || {}) };
+
+    policy.minLength = Math.max(parseInt(policy.minLength) || DEFAULT_PASSWORD_POLICY.minLength, 6);
+    policy.historyDepth = Math.min(Math.max(parseInt(policy.historyDepth) || 0, 0), MAX_HISTORY_DEPTH);
+    policy.maxAgeDays = Math.max(parseInt(policy.maxAgeDays) || 0, 0);
+
+    return policy;
+  }
+
+  // Common passwords, including with digits or symbols appended
+  // ("Summer2024!")
+  isCommonPassword(password) {
+    const normalized = password.toLowerCase();
+    const base = normalized.replace(/[\d\W_]+$/, '');
+
+    return COMMON_PASSWORDS.has(normalized) || (base.length >= 4 && COMMON_PASSWORDS.has(base));
+  }
+
+  // Returns the list of policy violations; empty when the password is valid.
+  // `user` (name and email) is used to reject passwords built from them.
+  validate(password, policy, user = {}) {
+    if (typeof password !== 'string' || password.length === 0) {
+      return ['Password is required'];
+    }
+
+    const violations = [];
+
+    if (password.length < policy.minLength) {
+      violations.push(`Password must be at least ${policy.minLength} characters long`);
+    }
+    if (Buffer.byteLength(password, 'utf8') > MAX_PASSWORD_BYTES) {
+      violations.push(`Password must be at most ${MAX_PASSWORD_BYTES} bytes long`);
+    }
+    if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+      violations.push('Password must contain at least one uppercase letter');
+    }
+    if (policy.requireLowercase && !/[a-z]/.test(password)) {
+      violations.push('Password must contain at least one lowercase letter');
+    }
+    if (policy.requireNumber && !/\d/.test(password)) {
+      violations.push('Password must contain at least one number');
+    }
+    if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+      violations.push('Password must contain at least one symbol');
+    }
+    if (policy.blockCommonPasswords && this.isCommonPassword(password)) {
+      violations.push('Password is too common or has appeared in a data breach');
+    }
+
+    const normalized = password.toLowerCase();
+    const personalTerms = [
+      user.email?.split('@')[0],
+      ...(user.name || '').split(/\s+/)
+    ].filter(term => term && term.length >= 3);
+
+    if (personalTerms.some(term => normalized.includes(term.toLowerCase()))) {
+      violations.push('Password must not contain your name or email');
+    }
+
+    return violations;
+  }
+
+  // Whether the password matches the current one or one of the recent
+  // previous ones, up to the policy's history depth
+  async isReused(userId, password, policy) {
+    if (policy.historyDepth === 0) {
+      return false;
+    }
+
+    const { data: user } = await supabase
+      .from('users')
+      .select('password_hash')
+      .eq('id', userId)
+      .single();
+
+    const { data: history } = await supabase
+      .from('password_history')
+      .select('password_hash')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+      .limit(policy.historyDepth - 1);
+
+    const hashes = [user?.password_hash, ...(history || []).map(entry => entry.password_hash)]
+      .filter(Boolean);
+
+    for (const hash of hashes) {
+      if (await bcrypt.compare(password, hash)) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  // Keep the replaced hash for reuse checks, trimmed to the largest depth a
+  // policy can ask for
+  async recordHistory(userId, previousHash) {
+    const { error } = await supabase
+      .from('password_history')
+      .insert({ user_id: userId, password_hash: previousHash });
+
+    if (error) {
+      throw new Error(`Error recording password history: ${error.message}`);
+    }
+
+    const { data: stale } = await supabase
+      .from('password_history')
+      .select('id')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+      .range(MAX_HISTORY_DEPTH, MAX_HISTORY_DEPTH + 100);
+
+    if (stale && stale.length > 0) {
+      await supabase
+        .from('password_history')
+        .delete()
+        .in('id', stale.map(entry => entry.id));
+    }
+  }
+
+  isExpired(user, policy) {
+    if (policy.maxAgeDays === 0) {
+      return false;
+    }
+
+    const changedAt = new Date(user.password_changed_at || user.created_at);
+    return Date.now() - changedAt.getTime() > policy.maxAgeDays * 24 * 60 * 60 * 1000;
+  }
+}
+
+module.exports = new PasswordPolicyService();
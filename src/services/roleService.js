@@ -0,0 +1,149 @@
+const supabase = require('../config/supabase');
+const membershipService = require('./membershipService');
+const { DEFAULT_ROLE_PERMISSIONS } = require('../config/permissions');
+
+class RoleService {
+  async findRole({ roleId, enterpriseId, roleName }) {
+    let query = supabase
+      .from('roles')
+      .select('*')
+      .eq('enterprise_id', enterpriseId);
+
+    query = roleId ? query.eq('id', roleId) : query.eq('name', roleName);
+
+    const { data: role, error } = await query.maybeSingle();
+
+    if (error || !role) {
+      return null;
+    }
+
+    return role;
+  }
+
+  // System roles always carry their current default set so new permissions
+  // reach them; other roles use their stored set, falling back to the
+  // defaults for seeded roles that predate stored permissions
+  resolveRolePermissions(role) {
+    if (!role) {
+      return [];
+    }
+
+    if (role.is_system_role && DEFAULT_ROLE_PERMISSIONS[role.name]) {
+      return DEFAULT_ROLE_PERMISSIONS[role.name];
+    }
+
+    if (Array.isArray(role.permissions)) {
+      return role.permissions;
+    }
+
+    return DEFAULT_ROLE_PERMISSIONS[role.name] || [];
+  }
+
+  async getPermissions({ roleId, enterpriseId, roleName }) {
+    if (!enterpriseId || (!roleId && !roleName)) {
+      return [];
+    }
+
+    const role = await this.findRole({ roleId, enterpriseId, roleName });
+    return this.resolveRolePermissions(role);
+  }
+
+  // Custom role management
+  async listRoles(enterpriseId) {
+    const { data: roles, error } = await supabase
+      .from('roles')
+      .select('*')
+      .eq('enterprise_id', enterpriseId)
+      .order('name', { ascending: true });
+
+    if (error) {
+      throw new Error(`Error fetching roles: ${error.message}`);
+    }
+
+    const { data: members, error: membersError } = await supabase
+      .from('enterprise_memberships')
+      .select('role_id, users!inner(id)')
+      .eq('enterprise_id', enterpriseId)
+      .eq('is_active', true)
+      .eq('users.is_active', true);
+
+    if (membersError) {
+      throw new Error(`Error counting role members: ${membersError.message}`);
+    }
+
+    const counts = {};
+    members.forEach(member => {
+      counts[member.role_id] = (counts[member.role_id] || 0) + 1;
+    });
+
+    return roles.map(role => ({ ...role, user_count: counts[role.id] || 0 }));
+  }
+
+  async createRole(enterpriseId, { name, description, permissions }) {
+    const { data: role, error } = await supabase
+      .from('roles')
+      .insert({
+        enterprise_id: enterpriseId,
+        name,
+        description,
+        permissions,
+        is_system_role: false
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error creating role: ${error.message}`);
+    }
+
+    return role;
+  }
+
+  async updateRole(enterpriseId, roleId, updateData) {
+    const { data: role, error } = await supabase
+      .from('roles')
+      .update(updateData)
+      .eq('id', roleId)
+      .eq('enterprise_id', enterpriseId)
+      .select()
+      .single();
+
+    if (error || !role) {
+      return null;
+    }
+
+    return role;
+  }
+
+  async countRoleUsers(enterpriseId, roleId) {
+    const { count, error } = await supabase
+      .from('enterprise_memberships')
+      .select('id', { count: 'exact', head: true })
+      .eq('enterprise_id', enterpriseId)
+      .eq('role_id', roleId);
+
+    if (error) {
+      throw new Error(`Error counting role members: ${error.message}`);
+    }
+
+    return count || 0;
+  }
+
+  async reassignUsers(enterpriseId, fromRoleId, toRoleId) {
+    await membershipService.setRole(enterpriseId, toRoleId, { fromRoleId });
+  }
+
+  async deleteRole(enterpriseId, roleId) {
+    const { error } = await supabase
+      .from('roles')
+      .delete()
+      .eq('id', roleId)
+      .eq('enterprise_id', enterpriseId);
+
+    if (error) {
+      throw new Error(`Error deleting role: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new RoleService();
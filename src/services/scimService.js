@@ -0,0 +1,453 @@
+const crypto = require('crypto');
+const supabase = require('../config/supabase');
+const membershipService = require('./membershipService');
+
+const SCHEMAS = {
+  user: 'urn:ietf:params:scim:schemas:core:2.0:User',
+  group: 'urn:ietf:params:scim:schemas:core:2.0:Group',
+  listResponse: 'urn:ietf:params:scim:api:messages:2.0:ListResponse',
+  patchOp: 'urn:ietf:params:scim:api:messages:2.0:PatchOp',
+  error: 'urn:ietf:params:scim:api:messages:2.0:Error'
+};
+
+const USER_COLUMNS = 'id, enterprise_id, name, email, role_id, is_active, scim_external_id, created_at, updated_at';
+
+// Users are read through their membership of the enterprise, which holds
+// their role and whether they are active there
+const MEMBER_SELECT = `
+  role_id,
+  is_active,
+  users!inner (id, name, email, is_active, scim_external_id, created_at, updated_at),
+  roles:role_id (id, name)
+`;
+
+// SCIM filter attributes we can search on, mapped to user columns
+const USER_FILTER_COLUMNS = {
+  username: 'email',
+  externalid: 'scim_external_id',
+  'emails.value': 'email',
+  'emails[type eq "work"].value': 'email'
+};
+
+const GROUP_FILTER_COLUMNS = {
+  displayname: 'name'
+};
+
+// Error with the SCIM status and scimType, rendered by the controller
+class ScimError extends Error {
+  constructor(status, detail, scimType) {
+    super(detail);
+    this.status = status;
+    this.scimType = scimType;
+  }
+}
+
+// A member as a user with the role and state of their membership. Deleted
+// accounts are inactive in every enterprise.
+const toMemberUser = (member) => ({
+  ...member.users,
+  role_id: member.role_id,
+  roles: member.roles,
+  is_active: member.is_active && member.users.is_active
+});
+
+class ScimService {
+  // Bearer tokens
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  // Issue a new token for the enterprise, revoking any previous one
+  async createToken(enterpriseId, createdBy) {
+    await this.revokeTokens(enterpriseId);
+
+    const token = `scim_${crypto.randomBytes(32).toString('hex')}`;
+
+    const { data: record, error } = await supabase
+      .from('scim_tokens')
+      .insert({
+        enterprise_id: enterpriseId,
+        token_hash: this.hashToken(token),
+        created_by: createdBy
+      })
+      .select('id, created_at')
+      .single();
+
+    if (error) {
+      throw new Error(`Error creating SCIM token: ${error.message}`);
+    }
+
+    return { token, record };
+  }
+
+  async getActiveToken(enterpriseId) {
+    const { data: record } = await supabase
+      .from('scim_tokens')
+      .select('id, created_by, created_at, last_used_at')
+      .eq('enterprise_id', enterpriseId)
+      .is('revoked_at', null)
+      .maybeSingle();
+
+    return record;
+  }
+
+  async revokeTokens(enterpriseId) {
+    const { data: revoked, error } = await supabase
+      .from('scim_tokens')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('enterprise_id', enterpriseId)
+      .is('revoked_at', null)
+      .select('id');
+
+    if (error) {
+      throw new Error(`Error revoking SCIM tokens: ${error.message}`);
+    }
+
+    return revoked.length > 0;
+  }
+
+  // Returns the token record for a valid bearer token, or null
+  async authenticate(token) {
+    const { data: record, error } = await supabase
+      .from('scim_tokens')
+      .select('id, enterprise_id')
+      .eq('token_hash', this.hashToken(token))
+      .is('revoked_at', null)
+      .maybeSingle();
+
+    if (error || !record) {
+      return null;
+    }
+
+    await supabase
+      .from('scim_tokens')
+      .update({ last_used_at: new Date().toISOString() })
+      .eq('id', record.id);
+
+    return record;
+  }
+
+  // Filtering and paging
+  // Only `attribute eq "value"` filters are supported, which is what
+  // identity providers use to look up existing resources
+  parseFilter(filter, columns) {
+    if (!filter) {
+      return null;
+    }
+
+    const match = filter.match(/^\s*(\S+)\s+eq\s+"((?:[^"\\]|\\.)*)"\s*$/i);
+    const column = match && columns[match[1].toLowerCase()];
+    if (!column) {
+      throw new ScimError(400, `Unsupported filter: ${filter}`, 'invalidFilter');
+    }
+
+    return { column, value: match[2].replace(/\\(.)/g, '$1') };
+  }
+
+  getPaging({ startIndex, count }) {
+    const start = Math.max(parseInt(startIndex) || 1, 1);
+    const size = Math.min(Math.max(parseInt(count) || 100, 0), 200);
+
+    return { start, size };
+  }
+
+  // Users
+  async listUsers(enterpriseId, query) {
+    const filter = this.parseFilter(query.filter, USER_FILTER_COLUMNS);
+    const { start, size } = this.getPaging(query);
+
+    let dbQuery = supabase
+      .from('enterprise_memberships')
+      .select(MEMBER_SELECT, { count: 'exact' })
+      .eq('enterprise_id', enterpriseId)
+      .order('created_at', { ascending: true });
+
+    if (filter) {
+      dbQuery = filter.column === 'email'
+        ? dbQuery.eq('users.email', filter.value.toLowerCase())
+        : dbQuery.eq(`users.${filter.column}`, filter.value);
+    }
+
+    const { data: members, count, error } = size > 0
+      ? await dbQuery.range(start - 1, start + size - 2)
+      : await dbQuery.limit(0);
+
+    if (error) {
+      throw new Error(`Error fetching users: ${error.message}`);
+    }
+
+    return { users: (members || []).map(toMemberUser), total: count || 0, start };
+  }
+
+  // Finds active and deactivated members of the enterprise
+  async findUser(enterpriseId, userId) {
+    const { data: member, error } = await supabase
+      .from('enterprise_memberships')
+      .select(MEMBER_SELECT)
+      .eq('enterprise_id', enterpriseId)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error || !member) {
+      return null;
+    }
+
+    return toMemberUser(member);
+  }
+
+  async findUserByEmail(email) {
+    const { data: user } = await supabase
+      .from('users')
+      .select(USER_COLUMNS)
+      .eq('email', email.toLowerCase())
+      .maybeSingle();
+
+    return user;
+  }
+
+  async updateUser(enterpriseId, userId, updateData) {
+    const { error } = await supabase
+      .from('users')
+      .update(updateData)
+      .eq('enterprise_id', enterpriseId)
+      .eq('id', userId);
+
+    if (error) {
+      throw new Error(`Error updating user: ${error.message}`);
+    }
+
+    return this.findUser(enterpriseId, userId);
+  }
+
+  // Map a SCIM user resource (or a partial one) to user columns
+  userAttributesFromScim(resource, currentUser = {}) {
+    const attributes = {};
+
+    if (resource.userName !== undefined) {
+      attributes.email = String(resource.userName).toLowerCase();
+    } else if (Array.isArray(resource.emails) && resource.emails.length > 0) {
+      const email = resource.emails.find(entry => entry.primary) || resource.emails[0];
+      attributes.email = String(email.value).toLowerCase();
+    }
+
+    const name = resource.name || {};
+    const [currentGivenName, ...currentFamilyName] = (currentUser.name || '').split(' ');
+    if (name.formatted) {
+      attributes.name = name.formatted;
+    } else if (name.givenName !== undefined || name.familyName !== undefined) {
+      attributes.name = [
+        name.givenName ?? currentGivenName,
+        name.familyName ?? currentFamilyName.join(' ')
+      ].filter(Boolean).join(' ');
+    } else if (resource.displayName) {
+      attributes.name = resource.displayName;
+    }
+
+    if (resource.externalId !== undefined) {
+      attributes.scim_external_id = resource.externalId || null;
+    }
+
+    if (resource.active !== undefined) {
+      attributes.is_active = resource.active === true || resource.active === 'true' || resource.active === 'True';
+    }
+
+    return attributes;
+  }
+
+  // Translate PATCH operations on a user into a partial SCIM resource
+  userPatchToResource(operations) {
+    const resource = {};
+
+    operations.forEach(operation => {
+      const op = String(operation.op || '').toLowerCase();
+      if (!['add', 'replace', 'remove'].includes(op)) {
+        throw new ScimError(400, `Unsupported operation: ${operation.op}`, 'invalidSyntax');
+      }
+
+      const value = op === 'remove' ? null : operation.value;
+
+      if (!operation.path) {
+        if (!value || typeof value !== 'object') {
+          throw new ScimError(400, 'Operation value must be an object', 'invalidValue');
+        }
+        Object.entries(value).forEach(([attribute, attributeValue]) => {
+          this.setPatchAttribute(resource, attribute, attributeValue);
+        });
+        return;
+      }
+
+      this.setPatchAttribute(resource, operation.path, value);
+    });
+
+    return resource;
+  }
+
+  setPatchAttribute(resource, path, value) {
+    const attribute = path.replace(`${SCHEMAS.user}:`, '');
+
+    switch (attribute.toLowerCase()) {
+    case 'username':
+    case 'emails[type eq "work"].value':
+      resource.userName = value;
+      break;
+    case 'emails':
+      resource.emails = value;
+      break;
+    case 'displayname':
+      resource.displayName = value;
+      break;
+    case 'name':
+      resource.name = { ...(resource.name || {}), ...(value || {}) };
+      break;
+    case 'name.formatted':
+    case 'name.givenname':
+    case 'name.familyname': {
+      const key = attribute.split('.')[1];
+      const normalizedKey = { formatted: 'formatted', givenname: 'givenName', familyname: 'familyName' }[key.toLowerCase()];
+      resource.name = { ...(resource.name || {}), [normalizedKey]: value || '' };
+      break;
+    }
+    case 'externalid':
+      resource.externalId = value;
+      break;
+    case 'active':
+      resource.active = value;
+      break;
+    default:
+      // Attributes we do not store (phone numbers, addresses...) are ignored
+      break;
+    }
+  }
+
+  toScimUser(user, baseUrl) {
+    const [givenName, ...familyName] = (user.name || '').split(' ');
+
+    return {
+      schemas: [SCHEMAS.user],
+      id: user.id,
+      externalId: user.scim_external_id || undefined,
+      userName: user.email,
+      name: {
+        formatted: user.name,
+        givenName,
+        familyName: familyName.join(' ')
+      },
+      displayName: user.name,
+      emails: [{ value: user.email, type: 'work', primary: true }],
+      active: user.is_active,
+      groups: user.roles ? [{ value: user.roles.id, display: user.roles.name }] : [],
+      meta: {
+        resourceType: 'User',
+        created: user.created_at,
+        lastModified: user.updated_at || user.created_at,
+        location: `${baseUrl}/Users/${user.id}`
+      }
+    };
+  }
+
+  // Groups (roles)
+  async listGroups(enterpriseId, query) {
+    const filter = this.parseFilter(query.filter, GROUP_FILTER_COLUMNS);
+    const { start, size } = this.getPaging(query);
+
+    let dbQuery = supabase
+      .from('roles')
+      .select('*', { count: 'exact' })
+      .eq('enterprise_id', enterpriseId)
+      .order('name', { ascending: true });
+
+    if (filter) {
+      dbQuery = dbQuery.eq(filter.column, filter.value);
+    }
+
+    const { data: roles, count, error } = size > 0
+      ? await dbQuery.range(start - 1, start + size - 2)
+      : await dbQuery.limit(0);
+
+    if (error) {
+      throw new Error(`Error fetching roles: ${error.message}`);
+    }
+
+    return { roles: roles || [], total: count || 0, start };
+  }
+
+  async getGroupMembers(enterpriseId, roleIds) {
+    if (roleIds.length === 0) {
+      return [];
+    }
+
+    const { data: members, error } = await supabase
+      .from('enterprise_memberships')
+      .select('role_id, users!inner(id, name, email)')
+      .eq('enterprise_id', enterpriseId)
+      .eq('is_active', true)
+      .eq('users.is_active', true)
+      .in('role_id', roleIds);
+
+    if (error) {
+      throw new Error(`Error fetching role members: ${error.message}`);
+    }
+
+    return members.map(member => ({ ...member.users, role_id: member.role_id }));
+  }
+
+  // Move users into a role. Users who are not members of the enterprise are
+  // rejected.
+  async assignUsersToRole(enterpriseId, roleId, userIds) {
+    if (userIds.length === 0) {
+      return;
+    }
+
+    const updated = await membershipService.setRole(enterpriseId, roleId, { userIds });
+
+    if (updated.length !== new Set(userIds).size) {
+      throw new ScimError(400, 'One or more members do not exist', 'invalidValue');
+    }
+  }
+
+  // Users removed from a group fall back to the enterprise default role
+  async removeUsersFromRole(enterpriseId, roleId, userIds, defaultRoleId) {
+    if (userIds.length === 0 || roleId === defaultRoleId) {
+      return;
+    }
+
+    await membershipService.setRole(enterpriseId, defaultRoleId, { userIds, fromRoleId: roleId });
+  }
+
+  toScimGroup(role, members, baseUrl) {
+    return {
+      schemas: [SCHEMAS.group],
+      id: role.id,
+      displayName: role.name,
+      members: members
+        .filter(member => member.role_id === role.id)
+        .map(member => ({
+          value: member.id,
+          display: member.name,
+          $ref: `${baseUrl}/Users/${member.id}`
+        })),
+      meta: {
+        resourceType: 'Group',
+        created: role.created_at,
+        lastModified: role.updated_at || role.created_at,
+        location: `${baseUrl}/Groups/${role.id}`
+      }
+    };
+  }
+
+  toListResponse(resources, total, start) {
+    return {
+      schemas: [SCHEMAS.listResponse],
+      totalResults: total,
+      startIndex: start,
+      itemsPerPage: resources.length,
+      Resources: resources
+    };
+  }
+}
+
+const scimService = new ScimService();
+scimService.SCHEMAS = SCHEMAS;
+scimService.ScimError = ScimError;
+
+module.exports = scimService;
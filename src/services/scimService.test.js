@@ -0,0 +1,174 @@
+jest.mock('../config/supabase', () => require('../__tests__/mocks/supabase').createSupabaseMock());
+jest.mock('./membershipService', () => ({
+  setRole: jest.fn()
+}));
+
+const supabase = require('../config/supabase');
+const membershipService = require('./membershipService');
+const scimService = require('./scimService');
+
+describe('scimService', () => {
+  beforeEach(() => {
+    supabase.reset();
+    jest.clearAllMocks();
+  });
+
+  describe('createToken', () => {
+    it('revokes the previous token and stores only the hash of the new one', async () => {
+      supabase.respond('scim_tokens',
+        { data: [{ id: 'token-old' }], error: null },
+        { data: { id: 'token-new', created_at: '2024-01-01T00:00:00Z' }, error: null }
+      );
+
+      const { token } = await scimService.createToken('ent-1', 'user-1');
+
+      const [revoke, insert] = supabase.queriesOf('scim_tokens');
+      expect(revoke.calls).toContainEqual(['eq', 'enterprise_id', 'ent-1']);
+      expect(token).toMatch(/^scim_[0-9a-f]{64}$/);
+      expect(supabase.argsOf(insert, 'insert')[0]).toEqual({ enterprise_id: 'ent-1', token_hash: scimService.hashToken(token), created_by: 'user-1' });
+    });
+  });
+
+  describe('members', () => {
+    const member = (overrides = {}) => ({
+      role_id: 'role-ops',
+      is_active: true,
+      users: { id: 'user-1', name: 'Ada Lovelace', email: 'ada@acme.com', is_active: true },
+      roles: { id: 'role-ops', name: 'Ops' },
+      ...overrides
+    });
+
+    it('lists users through their membership of the enterprise', async () => {
+      supabase.respond('enterprise_memberships', { data: [member(), member({ is_active: false })], count: 2, error: null });
+
+      const { users, total } = await scimService.listUsers('ent-1', { filter: 'userName eq "Ada@Acme.com"' });
+
+      const [list] = supabase.queriesOf('enterprise_memberships');
+      expect(supabase.queriesOf('users')).toHaveLength(0);
+      expect(list.calls).toContainEqual(['eq', 'enterprise_id', 'ent-1']);
+      expect(list.calls).toContainEqual(['eq', 'users.email', 'ada@acme.com']);
+      expect(total).toBe(2);
+      expect(users.map(user => [user.role_id, user.is_active])).toEqual([['role-ops', true], ['role-ops', false]]);
+    });
+
+    it('finds a member with the role held in the enterprise', async () => {
+      supabase.respond('enterprise_memberships', { data: member({ users: { id: 'user-1', email: 'ada@acme.com', is_active: false } }), error: null });
+
+      const user = await scimService.findUser('ent-2', 'user-1');
+
+      const [lookup] = supabase.queriesOf('enterprise_memberships');
+      expect(lookup.calls).toContainEqual(['eq', 'enterprise_id', 'ent-2']);
+      expect(lookup.calls).toContainEqual(['eq', 'user_id', 'user-1']);
+      expect(user).toMatchObject({ id: 'user-1', role_id: 'role-ops', roles: { id: 'role-ops', name: 'Ops' }, is_active: false });
+    });
+
+    it('does not find users who are not members', async () => {
+      await expect(scimService.findUser('ent-2', 'user-9')).resolves.toBeNull();
+    });
+
+    it('lists the active members of groups', async () => {
+      supabase.respond('enterprise_memberships', { data: [{ role_id: 'role-ops', users: { id: 'user-1', name: 'Ada', email: 'ada@acme.com' } }], error: null });
+
+      const members = await scimService.getGroupMembers('ent-1', ['role-ops']);
+
+      const [list] = supabase.queriesOf('enterprise_memberships');
+      expect(list.calls).toContainEqual(['eq', 'is_active', true]);
+      expect(list.calls).toContainEqual(['in', 'role_id', ['role-ops']]);
+      expect(members).toEqual([{ id: 'user-1', name: 'Ada', email: 'ada@acme.com', role_id: 'role-ops' }]);
+    });
+  });
+
+  describe('parseFilter', () => {
+    const columns = { username: 'email', externalid: 'scim_external_id' };
+
+    it('supports equality filters on known attributes', () => {
+      expect(scimService.parseFilter('userName eq "ada@acme.com"', columns)).toEqual({ column: 'email', value: 'ada@acme.com' });
+      expect(scimService.parseFilter('externalId eq "a\\"b"', columns)).toEqual({ column: 'scim_external_id', value: 'a"b' });
+      expect(scimService.parseFilter(undefined, columns)).toBeNull();
+    });
+
+    it('rejects other filters', () => {
+      expect(() => scimService.parseFilter('name.familyName co "Love"', columns)).toThrow(scimService.ScimError);
+      expect(() => scimService.parseFilter('title eq "CEO"', columns)).toThrow('Unsupported filter: title eq "CEO"');
+    });
+  });
+
+  describe('getPaging', () => {
+    it('defaults to the first 100 resources and caps the page size', () => {
+      expect(scimService.getPaging({})).toEqual({ start: 1, size: 100 });
+      expect(scimService.getPaging({ startIndex: '0', count: '500' })).toEqual({ start: 1, size: 200 });
+      expect(scimService.getPaging({ startIndex: '11', count: '10' })).toEqual({ start: 11, size: 10 });
+    });
+  });
+
+  describe('user attributes', () => {
+    it('maps a SCIM user resource to user columns', () => {
+      expect(scimService.userAttributesFromScim({
+        userName: 'Ada@Acme.com',
+        name: { givenName: 'Ada', familyName: 'Lovelace' },
+        externalId: 'idp-1',
+        active: 'False'
+      })).toEqual({ email: 'ada@acme.com', name: 'Ada Lovelace', scim_external_id: 'idp-1', is_active: false });
+    });
+
+    it('translates PATCH operations, keeping the name parts that are not changed', () => {
+      const resource = scimService.userPatchToResource([
+        { op: 'replace', path: 'name.familyName', value: 'King' },
+        { op: 'replace', value: { active: false } },
+        { op: 'add', path: 'phoneNumbers', value: [{ value: '555' }] }
+      ]);
+
+      expect(scimService.userAttributesFromScim(resource, { name: 'Ada Lovelace' })).toEqual({ name: 'Ada King', is_active: false });
+    });
+
+    it('rejects unsupported operations', () => {
+      expect(() => scimService.userPatchToResource([{ op: 'move', path: 'active' }])).toThrow(scimService.ScimError);
+    });
+
+    it('renders a user with its role as its group', () => {
+      const user = {
+        id: 'user-1',
+        name: 'Ada Lovelace',
+        email: 'ada@acme.com',
+        is_active: true,
+        roles: { id: 'role-ae', name: 'AE' },
+        created_at: '2024-01-01T00:00:00Z'
+      };
+
+      expect(scimService.toScimUser(user, 'https://api.example.com/scim/v2')).toMatchObject({
+        userName: 'ada@acme.com',
+        name: { givenName: 'Ada', familyName: 'Lovelace' },
+        active: true,
+        groups: [{ value: 'role-ae', display: 'AE' }],
+        meta: { location: 'https://api.example.com/scim/v2/Users/user-1' }
+      });
+    });
+  });
+
+  describe('group membership', () => {
+    it('rejects members who do not belong to the enterprise', async () => {
+      membershipService.setRole.mockResolvedValue(['user-1']);
+
+      await expect(scimService.assignUsersToRole('ent-1', 'role-ae', ['user-1', 'user-9']))
+        .rejects.toMatchObject({ status: 400, scimType: 'invalidValue' });
+      expect(membershipService.setRole).toHaveBeenCalledWith('ent-1', 'role-ae', { userIds: ['user-1', 'user-9'] });
+    });
+
+    it('moves removed members to the default role', async () => {
+      await scimService.removeUsersFromRole('ent-1', 'role-ops', ['user-1'], 'role-ae');
+      await scimService.removeUsersFromRole('ent-1', 'role-ae', ['user-2'], 'role-ae');
+
+      expect(membershipService.setRole).toHaveBeenCalledTimes(1);
+      expect(membershipService.setRole).toHaveBeenCalledWith('ent-1', 'role-ae', { userIds: ['user-1'], fromRoleId: 'role-ops' });
+    });
+
+    it('lists only the members of the group', () => {
+      const group = scimService.toScimGroup({ id: 'role-ops', name: 'Ops' }, [
+        { id: 'user-1', name: 'Ada', role_id: 'role-ops' },
+        { id: 'user-2', name: 'Grace', role_id: 'role-ae' }
+      ], 'https://api.example.com/scim/v2');
+
+      expect(group.members).toEqual([{ value: 'user-1', display: 'Ada', $ref: 'https://api.example.com/scim/v2/Users/user-1' }]);
+    });
+  });
+});
@@ -0,0 +1,137 @@
+const supabase = require('../config/supabase');
+
+class SessionService {
+  // Device metadata recorded for a session
+  getClientInfo(req) {
+    return {
+      userAgent: req.get('User-Agent'),
+      ipAddress: req.ip
+    };
+  }
+
+  // `impersonatorId` and `reason` mark a session opened by another user
+  // through impersonation
+  async createSession(user, { userAgent, ipAddress, expiresAt, impersonatorId, reason }) {
+    const { data: session, error } = await supabase
+      .from('sessions')
+      .insert({
+        user_id: user.id,
+        enterprise_id: user.enterprise_id,
+        user_agent: userAgent || null,
+        ip_address: ipAddress || null,
+        last_used_at: new Date().toISOString(),
+        expires_at: expiresAt.toISOString(),
+        impersonator_id: impersonatorId || null,
+        impersonation_reason: reason || null
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error creating session: ${error.message}`);
+    }
+
+    return session;
+  }
+
+  async findActiveSession(sessionId) {
+    const { data: session, error } = await supabase
+      .from('sessions')
+      .select('*')
+      .eq('id', sessionId)
+      .is('revoked_at', null)
+      .maybeSingle();
+
+    if (error || !session || new Date(session.expires_at) < new Date()) {
+      return null;
+    }
+
+    return session;
+  }
+
+  async isSessionActive(sessionId) {
+    return Boolean(await this.findActiveSession(sessionId));
+  }
+
+  // Record use of a session on token refresh
+  async touchSession(sessionId, { userAgent, ipAddress, expiresAt }) {
+    const { error } = await supabase
+      .from('sessions')
+      .update({
+        user_agent: userAgent || null,
+        ip_address: ipAddress || null,
+        last_used_at: new Date().toISOString(),
+        expires_at: expiresAt.toISOString()
+      })
+      .eq('id', sessionId);
+
+    if (error) {
+      throw new Error(`Error updating session: ${error.message}`);
+    }
+  }
+
+  async listActiveSessions(userId) {
+    const { data: sessions, error } = await supabase
+      .from('sessions')
+      .select('id, user_agent, ip_address, impersonator_id, created_at, last_used_at, expires_at')
+      .eq('user_id', userId)
+      .is('revoked_at', null)
+      .gt('expires_at', new Date().toISOString())
+      .order('last_used_at', { ascending: false });
+
+    if (error) {
+      throw new Error(`Error fetching sessions: ${error.message}`);
+    }
+
+    return sessions;
+  }
+
+  async revokeSession(sessionId, reason) {
+    const { data: revoked, error } = await supabase
+      .from('sessions')
+      .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+      .eq('id', sessionId)
+      .is('revoked_at', null)
+      .select('id');
+
+    if (error) {
+      throw new Error(`Error revoking session: ${error.message}`);
+    }
+
+    return revoked.length > 0;
+  }
+
+  // Pass `enterpriseId` to only revoke the sessions opened in that enterprise
+  async revokeUserSessions(userId, reason, { enterpriseId } = {}) {
+    let query = supabase
+      .from('sessions')
+      .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+      .eq('user_id', userId)
+      .is('revoked_at', null);
+
+    if (enterpriseId) {
+      query = query.eq('enterprise_id', enterpriseId);
+    }
+
+    const { error } = await query;
+
+    if (error) {
+      throw new Error(`Error revoking sessions: ${error.message}`);
+    }
+  }
+
+  // Every session opened in an enterprise, whoever it belongs to
+  async revokeEnterpriseSessions(enterpriseId, reason) {
+    const { error } = await supabase
+      .from('sessions')
+      .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+      .eq('enterprise_id', enterpriseId)
+      .is('revoked_at', null);
+
+    if (error) {
+      throw new Error(`Error revoking sessions: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new SessionService();
@@ -0,0 +1,61 @@
+jest.mock('../config/supabase', () => require('../__tests__/mocks/supabase').createSupabaseMock());
+
+const supabase = require('../config/supabase');
+const sessionService = require('./sessionService');
+
+describe('sessionService', () => {
+  const session = (overrides = {}) => ({
+    id: 'session-1',
+    user_id: 'user-1',
+    revoked_at: null,
+    expires_at: new Date(Date.now() + 60 * 1000).toISOString(),
+    ...overrides
+  });
+
+  beforeEach(() => {
+    supabase.reset();
+  });
+
+  describe('isSessionActive', () => {
+    it('accepts a live session', async () => {
+      supabase.respond('sessions', { data: session(), error: null });
+
+      await expect(sessionService.isSessionActive('session-1')).resolves.toBe(true);
+      expect(supabase.argsOf(supabase.queriesOf('sessions')[0], 'is')).toEqual(['revoked_at', null]);
+    });
+
+    it('rejects an expired or unknown session', async () => {
+      supabase.respond('sessions',
+        { data: session({ expires_at: new Date(Date.now() - 1000).toISOString() }), error: null },
+        { data: null, error: null }
+      );
+
+      await expect(sessionService.isSessionActive('session-1')).resolves.toBe(false);
+      await expect(sessionService.isSessionActive('session-2')).resolves.toBe(false);
+    });
+  });
+
+  describe('revokeSession', () => {
+    it('reports whether a live session was revoked', async () => {
+      supabase.respond('sessions', { data: [{ id: 'session-1' }], error: null }, { data: [], error: null });
+
+      await expect(sessionService.revokeSession('session-1', 'logout')).resolves.toBe(true);
+      await expect(sessionService.revokeSession('session-1', 'logout')).resolves.toBe(false);
+
+      const [update] = supabase.argsOf(supabase.queriesOf('sessions')[0], 'update');
+      expect(update).toMatchObject({ revoked_at: expect.any(String), revoked_reason: 'logout' });
+    });
+  });
+
+  describe('revokeUserSessions', () => {
+    it('can be limited to the sessions of one enterprise', async () => {
+      await sessionService.revokeUserSessions('user-1', 'role_changed', { enterpriseId: 'ent-1' });
+      await sessionService.revokeUserSessions('user-1', 'password_changed');
+
+      const [scoped, everywhere] = supabase.queriesOf('sessions');
+      expect(scoped.calls).toContainEqual(['eq', 'enterprise_id', 'ent-1']);
+      expect(everywhere.calls).not.toContainEqual(['eq', 'enterprise_id', 'ent-1']);
+      expect(everywhere.calls).toContainEqual(['eq', 'user_id', 'user-1']);
+    });
+  });
+});
@@ -0,0 +1,280 @@
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const supabase = require('../config/supabase');
+const { encrypt, decrypt } = require('../utils/encryption');
+
+const STATE_TTL = '10m';
+const METADATA_CACHE_TTL_MS = 60 * 60 * 1000; // 1 hour
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+// Which ID token claims hold the user's details
+const DEFAULT_CLAIM_MAPPING = {
+  email: 'email',
+  name: 'name'
+};
+
+class SsoService {
+  constructor() {
+    // Discovery documents and JWKS keyed by URL
+    this.metadataCache = new Map();
+  }
+
+  // Configuration
+  async getConfig(enterpriseId) {
+    const { data: config, error } = await supabase
+      .from('enterprise_sso_configs')
+      .select('*')
+      .eq('enterprise_id', enterpriseId)
+      .maybeSingle();
+
+    if (error || !config) {
+      return null;
+    }
+
+    return config;
+  }
+
+  async saveConfig(enterpriseId, configData) {
+    const { data: config, error } = await supabase
+      .from('enterprise_sso_configs')
+      .upsert({
+        enterprise_id: enterpriseId,
+        ...configData,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'enterprise_id' })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error saving SSO configuration: ${error.message}`);
+    }
+
+    return config;
+  }
+
+  async deleteConfig(enterpriseId) {
+    const { data: deleted, error } = await supabase
+      .from('enterprise_sso_configs')
+      .delete()
+      .eq('enterprise_id', enterpriseId)
+      .select('id');
+
+    if (error) {
+      throw new Error(`Error deleting SSO configuration: ${error.message}`);
+    }
+
+    return deleted.length > 0;
+  }
+
+  // Client secrets are encrypted at rest with AES-256-GCM. Configurations
+  // saved before encryption keep their plaintext `client_secret` until they
+  // are saved again.
+  getEncryptionKey() {
+    return process.env.SSO_ENCRYPTION_KEY || process.env.JWT_SECRET;
+  }
+
+  encryptClientSecret(clientSecret) {
+    return encrypt(clientSecret, this.getEncryptionKey());
+  }
+
+  getClientSecret(config) {
+    return config.client_secret_encrypted
+      ? decrypt(config.client_secret_encrypted, this.getEncryptionKey())
+      : config.client_secret;
+  }
+
+  hasClientSecret(config) {
+    return Boolean(config?.client_secret_encrypted || config?.client_secret);
+  }
+
+  getClaimMapping(config) {
+    return { ...DEFAULT_CLAIM_MAPPING, ...(config.claim_mapping || {}) };
+  }
+
+  getRedirectUri(config) {
+    return config.redirect_uri || `${process.env.FRONTEND_URL || 'http://localhost:3000'}/sso/callback`;
+  }
+
+  // Provider metadata
+  async fetchCached(url) {
+    const cached = this.metadataCache.get(url);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.data;
+    }
+
+    const { data } = await axios.get(url, { timeout: 10000 });
+    this.metadataCache.set(url, { data, expiresAt: Date.now() + METADATA_CACHE_TTL_MS });
+
+    return data;
+  }
+
+  async discover(issuer) {
+    const discoveryUrl = `${issuer.replace(/\/$/, '')}/.well-known/openid-configuration`;
+    const metadata = await this.fetchCached(discoveryUrl);
+
+    if (!metadata.authorization_endpoint || !metadata.token_endpoint || !metadata.jwks_uri) {
+      throw new Error('Incomplete OpenID provider metadata');
+    }
+
+    return metadata;
+  }
+
+  // Find the signing key for an ID token. The JWKS is refetched once when
+  // the key is unknown, which covers key rotation at the provider.
+  async getSigningKey(jwksUri, kid) {
+    const findKey = (jwks) => (jwks.keys || []).find(key => (kid ? key.kid === kid : key.use !== 'enc'));
+
+    let jwk = findKey(await this.fetchCached(jwksUri));
+    if (!jwk) {
+      this.metadataCache.delete(jwksUri);
+      jwk = findKey(await this.fetchCached(jwksUri));
+    }
+
+    if (!jwk) {
+      throw new Error('Signing key not found');
+    }
+
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  }
+
+  // Login flow. Each login gets a PKCE code verifier (RFC 7636) that is
+  // kept in an HTTP-only cookie of the browser starting the login. The
+  // state carries only its S256 challenge, so a state is bound to that
+  // browser and a stolen code cannot be redeemed without the verifier.
+  getCodeChallenge(codeVerifier) {
+    return crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+  }
+
+  generateState(enterpriseId) {
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const codeVerifier = crypto.randomBytes(32).toString('base64url');
+    const codeChallenge = this.getCodeChallenge(codeVerifier);
+    const state = jwt.sign(
+      { enterpriseId, nonce, codeChallenge, type: 'sso_state' },
+      process.env.JWT_SECRET,
+      { expiresIn: STATE_TTL }
+    );
+
+    return { state, nonce, codeVerifier, codeChallenge };
+  }
+
+  // The decoded state, or null unless it is valid and was issued together
+  // with `codeVerifier`
+  verifyState(state, codeVerifier) {
+    let decoded;
+    try {
+      decoded = jwt.verify(state, process.env.JWT_SECRET);
+    } catch (error) {
+      return null;
+    }
+
+    if (decoded.type !== 'sso_state' || !decoded.codeChallenge || !codeVerifier) {
+      return null;
+    }
+
+    const expected = Buffer.from(decoded.codeChallenge);
+    const actual = Buffer.from(this.getCodeChallenge(codeVerifier));
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    return decoded;
+  }
+
+  // The IdP URL to send the browser to, and the code verifier to keep in its
+  // cookie until the callback
+  async buildAuthorizationUrl(config, loginHint) {
+    const metadata = await this.discover(config.issuer);
+    const { state, nonce, codeVerifier, codeChallenge } = this.generateState(config.enterprise_id);
+
+    const params = new URLSearchParams({
+      response_type: 'code',
+      client_id: config.client_id,
+      redirect_uri: this.getRedirectUri(config),
+      scope: (config.scopes || ['openid', 'email', 'profile']).join(' '),
+      state,
+      nonce,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256'
+    });
+
+    if (loginHint) {
+      params.set('login_hint', loginHint);
+    }
+
+    return {
+      authorizationUrl: `${metadata.authorization_endpoint}?${params.toString()}`,
+      codeVerifier
+    };
+  }
+
+  // Exchange the authorization code and return the verified ID token claims
+  async exchangeCode(config, code, { nonce, codeVerifier }) {
+    const metadata = await this.discover(config.issuer);
+
+    const { data: tokens } = await axios.post(
+      metadata.token_endpoint,
+      new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: this.getRedirectUri(config),
+        client_id: config.client_id,
+        client_secret: this.getClientSecret(config),
+        code_verifier: codeVerifier
+      }).toString(),
+      {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        timeout: 10000
+      }
+    );
+
+    if (!tokens.id_token) {
+      throw new Error('Token response did not include an ID token');
+    }
+
+    const { header } = jwt.decode(tokens.id_token, { complete: true }) || {};
+    if (!header) {
+      throw new Error('Malformed ID token');
+    }
+
+    const publicKey = await this.getSigningKey(metadata.jwks_uri, header.kid);
+    const claims = jwt.verify(tokens.id_token, publicKey, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer: metadata.issuer || config.issuer,
+      audience: config.client_id
+    });
+
+    if (claims.nonce !== nonce) {
+      throw new Error('ID token nonce mismatch');
+    }
+
+    return claims;
+  }
+
+  // Map ID token claims to user details using the enterprise's claim mapping.
+  // Only an explicit `email_verified: true` counts as verified.
+  mapClaims(config, claims) {
+    const mapping = this.getClaimMapping(config);
+    const email = claims[mapping.email];
+
+    return {
+      email: typeof email === 'string' ? email.toLowerCase() : null,
+      name: claims[mapping.name] || email,
+      emailVerified: claims.email_verified === true
+    };
+  }
+
+  // Any account with the email, including deactivated ones
+  async findAccountByEmail(email) {
+    const { data: user } = await supabase
+      .from('users')
+      .select('id, enterprise_id, is_active')
+      .eq('email', email.toLowerCase())
+      .maybeSingle();
+
+    return user;
+  }
+}
+
+module.exports = new SsoService();
@@ -0,0 +1,169 @@
+jest.mock('axios', () => ({
+  get: jest.fn(),
+  post: jest.fn()
+}));
+jest.mock('../config/supabase', () => require('../__tests__/mocks/supabase').createSupabaseMock());
+
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const ssoService = require('./ssoService');
+
+const ISSUER = 'http://localhost:4011';
+
+// A mock OpenID provider: discovery, JWKS and a token endpoint that issues
+// an ID token for an authorization code once the PKCE verifier matches
+const createMockIdp = () => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const issued = new Map();
+
+  const metadata = {
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    jwks_uri: `${ISSUER}/jwks`
+  };
+
+  const idp = {
+    privateKey,
+    tokenRequests: [],
+
+    // What the user's browser gets back after signing in at the IdP
+    authorize(authorizationUrl, claims) {
+      const params = new URL(authorizationUrl).searchParams;
+      const code = crypto.randomBytes(8).toString('hex');
+      issued.set(code, { params, claims });
+      return { code, state: params.get('state') };
+    },
+
+    signIdToken(claims, key = privateKey) {
+      return jwt.sign(claims, key, { algorithm: 'RS256', keyid: 'idp-key', expiresIn: '5m' });
+    }
+  };
+
+  axios.get.mockImplementation(async (url) => {
+    if (url === `${ISSUER}/.well-known/openid-configuration`) {
+      return { data: metadata };
+    }
+    if (url === metadata.jwks_uri) {
+      return { data: { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'idp-key', use: 'sig', alg: 'RS256' }] } };
+    }
+    throw new Error(`Unexpected GET ${url}`);
+  });
+
+  axios.post.mockImplementation(async (url, body) => {
+    const form = new URLSearchParams(body);
+    idp.tokenRequests.push(form);
+
+    const grant = issued.get(form.get('code'));
+    const challenge = crypto.createHash('sha256').update(form.get('code_verifier') || '').digest('base64url');
+    if (!grant || grant.params.get('code_challenge') !== challenge || form.get('client_secret') !== 'idp-secret') {
+      throw new Error('invalid_grant');
+    }
+    issued.delete(form.get('code'));
+
+    return {
+      data: {
+        id_token: idp.signIdToken({
+          iss: ISSUER,
+          aud: grant.params.get('client_id'),
+          sub: 'idp-user-1',
+          nonce: grant.params.get('nonce'),
+          ...grant.claims
+        })
+      }
+    };
+  });
+
+  return idp;
+};
+
+const ssoConfig = () => ({
+  enterprise_id: 'ent-1',
+  issuer: ISSUER,
+  client_id: 'revup',
+  client_secret_encrypted: ssoService.encryptClientSecret('idp-secret')
+});
+
+describe('ssoService against a mock IdP', () => {
+  let idp;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ssoService.metadataCache.clear();
+    idp = createMockIdp();
+  });
+
+  it('completes the authorization code flow with PKCE', async () => {
+    const config = ssoConfig();
+    const { authorizationUrl, codeVerifier } = await ssoService.buildAuthorizationUrl(config, 'ada@acme.com');
+
+    const params = new URL(authorizationUrl).searchParams;
+    expect(params.get('code_challenge_method')).toBe('S256');
+    expect(params.get('login_hint')).toBe('ada@acme.com');
+    expect(authorizationUrl).not.toContain(codeVerifier);
+
+    const { code, state } = idp.authorize(authorizationUrl, { email: 'Ada@Acme.com', name: 'Ada', email_verified: true });
+
+    const loginState = ssoService.verifyState(state, codeVerifier);
+    expect(loginState).toMatchObject({ enterpriseId: 'ent-1' });
+
+    const claims = await ssoService.exchangeCode(config, code, { nonce: loginState.nonce, codeVerifier });
+    expect(ssoService.mapClaims(config, claims)).toEqual({ email: 'ada@acme.com', name: 'Ada', emailVerified: true });
+
+    expect(ssoService.mapClaims(config, { email: 'ada@acme.com' }).emailVerified).toBe(false);
+    expect(ssoService.mapClaims(config, { email: 'ada@acme.com', email_verified: 'true' }).emailVerified).toBe(false);
+
+    const [tokenRequest] = idp.tokenRequests;
+    expect(tokenRequest.get('code_verifier')).toBe(codeVerifier);
+    expect(tokenRequest.get('client_secret')).toBe('idp-secret');
+  });
+
+  it('rejects a state presented without the verifier it was issued with', async () => {
+    const { authorizationUrl } = await ssoService.buildAuthorizationUrl(ssoConfig());
+    const { state } = idp.authorize(authorizationUrl, { email: 'ada@acme.com' });
+    const { codeVerifier: otherBrowser } = ssoService.generateState('ent-1');
+
+    expect(ssoService.verifyState(state, otherBrowser)).toBeNull();
+    expect(ssoService.verifyState(state, null)).toBeNull();
+  });
+
+  it('cannot redeem a code without the PKCE verifier', async () => {
+    const config = ssoConfig();
+    const { authorizationUrl } = await ssoService.buildAuthorizationUrl(config);
+    const { code, state } = idp.authorize(authorizationUrl, { email: 'ada@acme.com' });
+    const { nonce } = jwt.decode(state);
+
+    await expect(ssoService.exchangeCode(config, code, { nonce, codeVerifier: 'guessed-verifier' })).rejects.toThrow('invalid_grant');
+  });
+
+  it('rejects an ID token for another login', async () => {
+    const config = ssoConfig();
+    const { authorizationUrl, codeVerifier } = await ssoService.buildAuthorizationUrl(config);
+    const { code } = idp.authorize(authorizationUrl, { email: 'ada@acme.com' });
+
+    await expect(ssoService.exchangeCode(config, code, { nonce: 'another-nonce', codeVerifier })).rejects.toThrow('nonce mismatch');
+  });
+
+  it('rejects an ID token signed with a key outside the JWKS', async () => {
+    const config = ssoConfig();
+    const { privateKey: otherKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    axios.post.mockResolvedValueOnce({
+      data: { id_token: idp.signIdToken({ iss: ISSUER, aud: 'revup', nonce: 'n', email: 'ada@acme.com' }, otherKey) }
+    });
+
+    await expect(ssoService.exchangeCode(config, 'code', { nonce: 'n', codeVerifier: 'v' })).rejects.toThrow('invalid signature');
+  });
+});
+
+describe('ssoService client secrets', () => {
+  it('stores them encrypted and reads legacy plaintext ones', () => {
+    const encrypted = ssoService.encryptClientSecret('idp-secret');
+
+    expect(encrypted).not.toContain('idp-secret');
+    expect(ssoService.getClientSecret({ client_secret_encrypted: encrypted })).toBe('idp-secret');
+    expect(ssoService.getClientSecret({ client_secret: 'legacy-secret' })).toBe('legacy-secret');
+    expect(ssoService.hasClientSecret({ client_secret_encrypted: encrypted })).toBe(true);
+    expect(ssoService.hasClientSecret(null)).toBe(false);
+  });
+});
@@ -0,0 +1,29 @@
+const { withTransaction } = require('../config/database');
+
+class TeamService {
+  /**
+   * Hand a member's leads, tasks and meetings in an enterprise over to
+   * another member, in one transaction. Work in other enterprises the user
+   * belongs to is left alone. Returns the number of records moved per kind.
+   */
+  async transferWork(enterpriseId, fromUserId, toUserId) {
+    return withTransaction(async (client) => {
+      const { rowCount: leads } = await client.query(
+        'UPDATE leads SET assigned_to = $3 WHERE enterprise_id = $1 AND assigned_to = $2',
+        [enterpriseId, fromUserId, toUserId]
+      );
+      const { rowCount: tasks } = await client.query(
+        'UPDATE tasks SET user_id = $3 WHERE enterprise_id = $1 AND user_id = $2',
+        [enterpriseId, fromUserId, toUserId]
+      );
+      const { rowCount: meetings } = await client.query(
+        'UPDATE meetings SET organizer_id = $3 WHERE enterprise_id = $1 AND organizer_id = $2',
+        [enterpriseId, fromUserId, toUserId]
+      );
+
+      return { leads, tasks, meetings };
+    });
+  }
+}
+
+module.exports = new TeamService();
@@ -0,0 +1,262 @@
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const supabase = require('../config/supabase');
+const sessionService = require('./sessionService');
+
+const ACCESS_TOKEN_TTL = '15m';
+const IMPERSONATION_TTL_MS = 30 * 60 * 1000; // 30 minutes
+const REFRESH_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+class TokenService {
+  // Access tokens are short-lived and bound to a session (`sid`) so that
+  // revoking the session stops them immediately
+  generateAccessToken(user, sessionId, { impersonatorId, expiresIn = ACCESS_TOKEN_TTL } = {}) {
+    return jwt.sign(
+      {
+        userId: user.id,
+        email: user.email,
+        enterpriseId: user.enterprise_id,
+        roleId: user.role_id,
+        role: user.roles?.name,
+        sid: sessionId,
+        ...(impersonatorId && { impersonatorId })
+      },
+      process.env.JWT_SECRET,
+      { expiresIn, jwtid: crypto.randomUUID() }
+    );
+  }
+
+  // Refresh tokens
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  generateRefreshToken(user, familyId) {
+    return jwt.sign(
+      {
+        userId: user.id,
+        enterpriseId: user.enterprise_id,
+        familyId,
+        type: 'refresh'
+      },
+      process.env.JWT_REFRESH_SECRET,
+      { expiresIn: '7d', jwtid: crypto.randomUUID() }
+    );
+  }
+
+  getRefreshExpiry() {
+    return new Date(Date.now() + REFRESH_TOKEN_TTL_MS);
+  }
+
+  // Issue a refresh token and persist its hash. The token family is the
+  // session: every rotation of a login's refresh token shares its ID.
+  async issueRefreshToken(user, { familyId, parentId }) {
+    const token = this.generateRefreshToken(user, familyId);
+
+    const { error } = await supabase
+      .from('refresh_tokens')
+      .insert({
+        user_id: user.id,
+        enterprise_id: user.enterprise_id,
+        family_id: familyId,
+        parent_id: parentId || null,
+        token_hash: this.hashToken(token),
+        expires_at: this.getRefreshExpiry().toISOString()
+      });
+
+    if (error) {
+      throw new Error(`Failed to save refresh token: ${error.message}`);
+    }
+
+    return token;
+  }
+
+  async issueTokenPair(user, { sessionId, parentId }) {
+    const accessToken = this.generateAccessToken(user, sessionId);
+    const refreshToken = await this.issueRefreshToken(user, { familyId: sessionId, parentId });
+
+    return { accessToken, refreshToken };
+  }
+
+  // Start a session for a new login and issue its first token pair.
+  // `client` carries the userAgent and ipAddress of the request.
+  async startSession(user, client = {}) {
+    const session = await sessionService.createSession(user, {
+      ...client,
+      expiresAt: this.getRefreshExpiry()
+    });
+
+    return this.issueTokenPair(user, { sessionId: session.id });
+  }
+
+  // Open a time-boxed session acting as `user`. It gets a single access
+  // token and no refresh token, so it ends when the token expires.
+  async startImpersonation(impersonatorId, user, { reason, ...client }) {
+    const expiresAt = new Date(Date.now() + IMPERSONATION_TTL_MS);
+    const session = await sessionService.createSession(user, {
+      ...client,
+      expiresAt,
+      impersonatorId,
+      reason
+    });
+
+    const accessToken = this.generateAccessToken(user, session.id, {
+      impersonatorId,
+      expiresIn: IMPERSONATION_TTL_MS / 1000
+    });
+
+    return { accessToken, session };
+  }
+
+  // Rotate a consumed refresh token within its session
+  async rotateSession(user, tokenRecord, client = {}) {
+    await sessionService.touchSession(tokenRecord.family_id, {
+      ...client,
+      expiresAt: this.getRefreshExpiry()
+    });
+
+    return this.issueTokenPair(user, {
+      sessionId: tokenRecord.family_id,
+      parentId: tokenRecord.id
+    });
+  }
+
+  // Mark a refresh token as used and return its record. Presenting a token
+  // that was already rotated or revoked is treated as theft: the whole
+  // family is revoked and null is returned.
+  async consumeRefreshToken(token) {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_REFRESH_SECRET);
+    } catch (error) {
+      return null;
+    }
+
+    if (decoded.type !== 'refresh') {
+      return null;
+    }
+
+    const { data: record, error } = await supabase
+      .from('refresh_tokens')
+      .select('*')
+      .eq('token_hash', this.hashToken(token))
+      .maybeSingle();
+
+    if (error || !record) {
+      return null;
+    }
+
+    if (record.revoked_at) {
+      if (record.revoked_reason === 'rotated') {
+        console.warn('Refresh token reuse detected, revoking family:', record.family_id);
+        await this.revokeFamily(record.family_id, 'reuse_detected');
+      }
+      return null;
+    }
+
+    if (new Date(record.expires_at) < new Date()) {
+      return null;
+    }
+
+    if (!(await sessionService.isSessionActive(record.family_id))) {
+      return null;
+    }
+
+    // Conditional update so two concurrent refreshes cannot both win
+    const { data: rotated, error: updateError } = await supabase
+      .from('refresh_tokens')
+      .update({ revoked_at: new Date().toISOString(), revoked_reason: 'rotated' })
+      .eq('id', record.id)
+      .is('revoked_at', null)
+      .select('id');
+
+    if (updateError) {
+      throw new Error(`Failed to rotate refresh token: ${updateError.message}`);
+    }
+
+    if (!rotated || rotated.length === 0) {
+      console.warn('Concurrent refresh token reuse detected, revoking family:', record.family_id);
+      await this.revokeFamily(record.family_id, 'reuse_detected');
+      return null;
+    }
+
+    return record;
+  }
+
+  // Revoke the family of a refresh token owned by the given user (logout)
+  async revokeRefreshToken(token, userId, reason = 'logout') {
+    const { data: record } = await supabase
+      .from('refresh_tokens')
+      .select('family_id, user_id')
+      .eq('token_hash', this.hashToken(token))
+      .maybeSingle();
+
+    if (!record || record.user_id !== userId) {
+      return false;
+    }
+
+    await this.revokeFamily(record.family_id, reason);
+    return true;
+  }
+
+  // Revoke a session together with its refresh token family
+  async revokeFamily(familyId, reason) {
+    await sessionService.revokeSession(familyId, reason);
+
+    const { error } = await supabase
+      .from('refresh_tokens')
+      .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+      .eq('family_id', familyId)
+      .is('revoked_at', null);
+
+    if (error) {
+      throw new Error(`Failed to revoke token family: ${error.message}`);
+    }
+  }
+
+  // `enterpriseId` limits the revocation to sessions in one enterprise
+  async revokeAllUserSessions(userId, reason = 'logout_all', { enterpriseId } = {}) {
+    await sessionService.revokeUserSessions(userId, reason, { enterpriseId });
+
+    let query = supabase
+      .from('refresh_tokens')
+      .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+      .eq('user_id', userId)
+      .is('revoked_at', null);
+
+    if (enterpriseId) {
+      query = query.eq('enterprise_id', enterpriseId);
+    }
+
+    const { error } = await query;
+
+    if (error) {
+      throw new Error(`Failed to revoke refresh tokens: ${error.message}`);
+    }
+  }
+
+  // Sessions and refresh tokens of every member of an enterprise in it
+  async revokeEnterpriseSessions(enterpriseId, reason) {
+    await sessionService.revokeEnterpriseSessions(enterpriseId, reason);
+
+    const { error } = await supabase
+      .from('refresh_tokens')
+      .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+      .eq('enterprise_id', enterpriseId)
+      .is('revoked_at', null);
+
+    if (error) {
+      throw new Error(`Failed to revoke refresh tokens: ${error.message}`);
+    }
+  }
+
+  // Clean up expired tokens (call this periodically in production)
+  async cleanupExpiredRefreshTokens() {
+    await supabase
+      .from('refresh_tokens')
+      .delete()
+      .lt('expires_at', new Date().toISOString());
+  }
+}
+
+module.exports = new TokenService();
@@ -0,0 +1,150 @@
+jest.mock('../config/supabase', () => require('../__tests__/mocks/supabase').createSupabaseMock());
+jest.mock('./sessionService', () => ({
+  createSession: jest.fn(),
+  touchSession: jest.fn(),
+  isSessionActive: jest.fn(),
+  revokeSession: jest.fn(),
+  revokeUserSessions: jest.fn(),
+  revokeEnterpriseSessions: jest.fn()
+}));
+
+const jwt = require('jsonwebtoken');
+const supabase = require('../config/supabase');
+const sessionService = require('./sessionService');
+const tokenService = require('./tokenService');
+
+const user = { id: 'user-1', email: 'ada@example.com', enterprise_id: 'ent-1', role_id: 'role-1' };
+
+const tokenRecord = (overrides = {}) => ({
+  id: 'token-1',
+  user_id: user.id,
+  family_id: 'session-1',
+  revoked_at: null,
+  revoked_reason: null,
+  expires_at: new Date(Date.now() + 60 * 1000).toISOString(),
+  ...overrides
+});
+
+describe('tokenService', () => {
+  beforeEach(() => {
+    supabase.reset();
+    jest.clearAllMocks();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    sessionService.isSessionActive.mockResolvedValue(true);
+  });
+
+  describe('issueTokenPair', () => {
+    it('binds the access token to the session and stores only the refresh token hash', async () => {
+      const { accessToken, refreshToken } = await tokenService.issueTokenPair(user, { sessionId: 'session-1' });
+
+      expect(jwt.verify(accessToken, process.env.JWT_SECRET)).toMatchObject({ userId: user.id, sid: 'session-1' });
+      expect(jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET)).toMatchObject({ familyId: 'session-1', type: 'refresh' });
+
+      const [insert] = supabase.queriesOf('refresh_tokens');
+      const [row] = supabase.argsOf(insert, 'insert');
+      expect(row).toMatchObject({ family_id: 'session-1', token_hash: tokenService.hashToken(refreshToken) });
+      expect(JSON.stringify(row)).not.toContain(refreshToken);
+    });
+  });
+
+  describe('consumeRefreshToken', () => {
+    it('rotates a valid token with a conditional update', async () => {
+      const token = tokenService.generateRefreshToken(user, 'session-1');
+      supabase.respond('refresh_tokens',
+        { data: tokenRecord(), error: null },
+        { data: [{ id: 'token-1' }], error: null }
+      );
+
+      await expect(tokenService.consumeRefreshToken(token)).resolves.toMatchObject({ id: 'token-1' });
+
+      const [, update] = supabase.queriesOf('refresh_tokens');
+      expect(supabase.argsOf(update, 'update')[0]).toMatchObject({ revoked_reason: 'rotated' });
+      expect(supabase.argsOf(update, 'is')).toEqual(['revoked_at', null]);
+    });
+
+    it('revokes the whole family when a rotated token is presented again', async () => {
+      const token = tokenService.generateRefreshToken(user, 'session-1');
+      supabase.respond('refresh_tokens', {
+        data: tokenRecord({ revoked_at: new Date().toISOString(), revoked_reason: 'rotated' }),
+        error: null
+      });
+
+      await expect(tokenService.consumeRefreshToken(token)).resolves.toBeNull();
+
+      expect(sessionService.revokeSession).toHaveBeenCalledWith('session-1', 'reuse_detected');
+      const [, revoke] = supabase.queriesOf('refresh_tokens');
+      expect(supabase.argsOf(revoke, 'eq')).toEqual(['family_id', 'session-1']);
+    });
+
+    it('revokes the family when a concurrent refresh already rotated the token', async () => {
+      const token = tokenService.generateRefreshToken(user, 'session-1');
+      supabase.respond('refresh_tokens',
+        { data: tokenRecord(), error: null },
+        { data: [], error: null }
+      );
+
+      await expect(tokenService.consumeRefreshToken(token)).resolves.toBeNull();
+      expect(sessionService.revokeSession).toHaveBeenCalledWith('session-1', 'reuse_detected');
+    });
+
+    it('rejects tokens of a revoked session', async () => {
+      const token = tokenService.generateRefreshToken(user, 'session-1');
+      sessionService.isSessionActive.mockResolvedValue(false);
+      supabase.respond('refresh_tokens', { data: tokenRecord(), error: null });
+
+      await expect(tokenService.consumeRefreshToken(token)).resolves.toBeNull();
+      expect(supabase.queriesOf('refresh_tokens')).toHaveLength(1);
+    });
+
+    it('rejects access tokens and tokens signed with another secret', async () => {
+      const accessToken = tokenService.generateAccessToken(user, 'session-1');
+      const forged = jwt.sign({ userId: user.id, familyId: 'session-1', type: 'refresh' }, 'another-secret');
+
+      await expect(tokenService.consumeRefreshToken(accessToken)).resolves.toBeNull();
+      await expect(tokenService.consumeRefreshToken(forged)).resolves.toBeNull();
+      expect(supabase.queriesOf('refresh_tokens')).toHaveLength(0);
+    });
+  });
+
+  describe('access tokens', () => {
+    it('are short-lived and carry a unique jti', async () => {
+      const first = jwt.decode(tokenService.generateAccessToken(user, 'session-1'));
+      const second = jwt.decode(tokenService.generateAccessToken(user, 'session-1'));
+
+      expect(first.exp - first.iat).toBe(15 * 60);
+      expect(first.jti).toEqual(expect.any(String));
+      expect(first.jti).not.toBe(second.jti);
+    });
+  });
+
+  describe('revokeFamily', () => {
+    it('revokes the session and its refresh tokens', async () => {
+      await tokenService.revokeFamily('session-1', 'revoked_by_user');
+
+      expect(sessionService.revokeSession).toHaveBeenCalledWith('session-1', 'revoked_by_user');
+      const [revoke] = supabase.queriesOf('refresh_tokens');
+      expect(revoke.calls).toContainEqual(['eq', 'family_id', 'session-1']);
+      expect(supabase.argsOf(revoke, 'update')[0]).toMatchObject({ revoked_reason: 'revoked_by_user' });
+    });
+  });
+
+  describe('revokeAllUserSessions', () => {
+    it('revokes every session and refresh token of the user', async () => {
+      await tokenService.revokeAllUserSessions(user.id);
+
+      expect(sessionService.revokeUserSessions).toHaveBeenCalledWith(user.id, 'logout_all', { enterpriseId: undefined });
+      const [revoke] = supabase.queriesOf('refresh_tokens');
+      expect(revoke.calls).toContainEqual(['eq', 'user_id', user.id]);
+      expect(revoke.calls.some(([method, column]) => method === 'eq' && column === 'enterprise_id')).toBe(false);
+    });
+  });
+
+  describe('revokeRefreshToken', () => {
+    it('does not revoke a token owned by another user', async () => {
+      supabase.respond('refresh_tokens', { data: { family_id: 'session-1', user_id: 'user-2' }, error: null });
+
+      await expect(tokenService.revokeRefreshToken('token', user.id)).resolves.toBe(false);
+      expect(sessionService.revokeSession).not.toHaveBeenCalled();
+    });
+  });
+});
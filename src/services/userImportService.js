@@ -0,0 +1,360 @@
+const supabase = require('../config/supabase');
+const roleService = require('./roleService');
+const invitationService = require('./invitationService');
+const entitlementService = require('./entitlementService');
+
+const MAX_IMPORT_ROWS = 1000;
+const DEFAULT_ROLE_NAME = 'AE';
+const LOOKUP_CHUNK_SIZE = 200;
+const PROGRESS_INTERVAL = 25;
+// Jobs run in the server process, so one still pending or running after
+// this long was cut off by a restart
+const STALE_JOB_MS = 60 * 60 * 1000; // 1 hour
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const IMPORT_JOB_COLUMNS = 'id, enterprise_id, created_by, status, total_rows, processed_rows, invited_count, skipped_count, failed_count, report, error, created_at, started_at, completed_at';
+
+// Split CSV text into records of fields. Handles quoted fields with commas,
+// escaped quotes ("") and line breaks, CRLF line endings and a leading BOM.
+const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  const input = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  // Blank lines carry no data
+  return records.filter(fields => fields.some(value => value.trim() !== ''));
+};
+
+const chunk = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+};
+
+/**
+ * Bulk invitation of users from a CSV with `email`, `name` and an optional
+ * `role` (role name, default AE) column. Rows are validated up front; valid
+ * rows are invited by an import job whose progress and per-row report are
+ * stored in `import_jobs`.
+ */
+class UserImportService {
+  // Parse the CSV into rows keyed by column. Returns `{ rows }` or
+  // `{ error }` when the file itself cannot be imported.
+  parse(text) {
+    const [header, ...records] = parseCsv(text || '');
+    if (!header) {
+      return { error: 'The CSV file is empty' };
+    }
+
+    const columns = header.map(column => column.trim().toLowerCase());
+    const missing = ['email', 'name'].filter(column => !columns.includes(column));
+    if (missing.length > 0) {
+      return { error: `Missing required column(s): ${missing.join(', ')}` };
+    }
+
+    if (records.length === 0) {
+      return { error: 'The CSV file has no rows' };
+    }
+
+    if (records.length > MAX_IMPORT_ROWS) {
+      return { error: `A CSV file may contain at most ${MAX_IMPORT_ROWS} rows` };
+    }
+
+    const rows = records.map((fields, index) => {
+      const values = Object.fromEntries(columns.map((column, i) => [column, (fields[i] || '').trim()]));
+
+      return {
+        // Numbered as in a spreadsheet, the header being row 1
+        row: index + 2,
+        email: values.email.toLowerCase(),
+        name: values.name,
+        roleName: values.role || DEFAULT_ROLE_NAME
+      };
+    });
+
+    return { rows };
+  }
+
+  // Emails among `emails` that already belong to members of the enterprise
+  // or have a pending invitation to it
+  async findExisting(enterpriseId, emails) {
+    const members = new Set();
+    const invited = new Set();
+
+    for (const emailChunk of chunk(emails, LOOKUP_CHUNK_SIZE)) {
+      const { data: users, error: usersError } = await supabase
+        .from('enterprise_memberships')
+        .select('users!inner(email)')
+        .eq('enterprise_id', enterpriseId)
+        .eq('is_active', true)
+        .in('users.email', emailChunk);
+
+      if (usersError) {
+        throw new Error(`Error fetching members: ${usersError.message}`);
+      }
+
+      const { data: invitations, error: invitationsError } = await supabase
+        .from('invitations')
+        .select('email')
+        .eq('enterprise_id', enterpriseId)
+        .eq('status', 'pending')
+        .gt('expires_at', new Date().toISOString())
+        .in('email', emailChunk);
+
+      if (invitationsError) {
+        throw new Error(`Error fetching invitations: ${invitationsError.message}`);
+      }
+
+      users.forEach(member => members.add(member.users.email));
+      invitations.forEach(invitation => invited.add(invitation.email));
+    }
+
+    return { members, invited };
+  }
+
+  /**
+   * Check every row. Each row comes back with a `status`: `valid` (with the
+   * resolved `roleId`), `skipped` when the user is already a member or
+   * invited, or `invalid` with its `errors`. A role may only be granted by
+   * a caller holding every permission of it, as for role changes.
+   */
+  async validateRows(enterpriseId, rows, { permissions }) {
+    const roles = await roleService.listRoles(enterpriseId);
+    const rolesByName = new Map(roles.map(role => [role.name.toLowerCase(), role]));
+    const { members, invited } = await this.findExisting(enterpriseId, [...new Set(rows.map(row => row.email))]);
+    const seen = new Set();
+
+    return rows.map(row => {
+      const errors = [];
+      const role = rolesByName.get(row.roleName.toLowerCase());
+
+      if (!EMAIL_PATTERN.test(row.email)) {
+        errors.push('Invalid email');
+      } else if (seen.has(row.email)) {
+        errors.push('Duplicate email in file');
+      }
+      if (row.name.length < 2 || row.name.length > 100) {
+        errors.push('Name must be between 2 and 100 characters');
+      }
+      if (!role) {
+        errors.push(`Unknown role: ${row.roleName}`);
+      } else if (roleService.resolveRolePermissions(role).some(permission => !permissions.includes(permission))) {
+        errors.push(`Role ${role.name} has permissions you do not hold`);
+      }
+      seen.add(row.email);
+
+      if (errors.length > 0) {
+        return { ...row, status: 'invalid', errors };
+      }
+      if (members.has(row.email)) {
+        return { ...row, status: 'skipped', reason: 'Already a member' };
+      }
+      if (invited.has(row.email)) {
+        return { ...row, status: 'skipped', reason: 'Invitation already pending' };
+      }
+
+      return { ...row, roleId: role.id, roleName: role.name, status: 'valid' };
+    });
+  }
+
+  // Summary of validated rows as returned by a dry run
+  summarize(rows) {
+    return {
+      total: rows.length,
+      valid: rows.filter(row => row.status === 'valid').length,
+      skipped: rows.filter(row => row.status === 'skipped').length,
+      invalid: rows.filter(row => row.status === 'invalid').length
+    };
+  }
+
+  async createJob(enterpriseId, createdBy, totalRows) {
+    const { data: job, error } = await supabase
+      .from('import_jobs')
+      .insert({
+        enterprise_id: enterpriseId,
+        created_by: createdBy,
+        status: 'pending',
+        total_rows: totalRows,
+        processed_rows: 0,
+        invited_count: 0,
+        skipped_count: 0,
+        failed_count: 0,
+        report: []
+      })
+      .select(IMPORT_JOB_COLUMNS)
+      .single();
+
+    if (error) {
+      throw new Error(`Error creating import job: ${error.message}`);
+    }
+
+    return job;
+  }
+
+  async findJob(enterpriseId, jobId) {
+    const { data: job, error } = await supabase
+      .from('import_jobs')
+      .select(IMPORT_JOB_COLUMNS)
+      .eq('id', jobId)
+      .eq('enterprise_id', enterpriseId)
+      .maybeSingle();
+
+    if (error || !job) {
+      return null;
+    }
+
+    return job;
+  }
+
+  async updateJob(jobId, updateData) {
+    const { error } = await supabase
+      .from('import_jobs')
+      .update(updateData)
+      .eq('id', jobId);
+
+    if (error) {
+      throw new Error(`Error updating import job: ${error.message}`);
+    }
+  }
+
+  // Mark jobs of the enterprise that a restart left pending or running as
+  // failed
+  async failStaleJobs(enterpriseId) {
+    const { error } = await supabase
+      .from('import_jobs')
+      .update({
+        status: 'failed',
+        error: 'The import was interrupted',
+        completed_at: new Date().toISOString()
+      })
+      .eq('enterprise_id', enterpriseId)
+      .in('status', ['pending', 'running'])
+      .lt('created_at', new Date(Date.now() - STALE_JOB_MS).toISOString());
+
+    if (error) {
+      throw new Error(`Error updating import jobs: ${error.message}`);
+    }
+  }
+
+  /**
+   * Invite the valid rows, recording progress as it goes. Skipped and
+   * invalid rows go straight into the report. Runs in the background after
+   * the upload has been answered; a failure marks the job failed.
+   */
+  async runJob(job, rows, { enterprise, invitedBy, invitedById }) {
+    const report = [];
+    const counts = { invited: 0, skipped: 0, failed: 0 };
+
+    const progress = () => ({
+      processed_rows: report.length,
+      invited_count: counts.invited,
+      skipped_count: counts.skipped,
+      failed_count: counts.failed,
+      report
+    });
+
+    try {
+      await this.failStaleJobs(job.enterprise_id);
+      await this.updateJob(job.id, { status: 'running', started_at: new Date().toISOString() });
+
+      for (const row of rows) {
+        const entry = { row: row.row, email: row.email };
+
+        if (row.status === 'invalid') {
+          counts.failed++;
+          report.push({ ...entry, status: 'failed', errors: row.errors });
+        } else if (row.status === 'skipped') {
+          counts.skipped++;
+          report.push({ ...entry, status: 'skipped', reason: row.reason });
+        } else {
+          try {
+            // Seats may have been taken since the import was checked
+            const { denial, result } = await entitlementService.withSeats(enterprise, () => invitationService.createInvitation({
+              enterpriseId: enterprise.id,
+              email: row.email,
+              name: row.name,
+              roleId: row.roleId,
+              invitedBy: invitedById
+            }));
+            if (denial) {
+              throw new Error(denial.message);
+            }
+
+            const { invitation, token } = result;
+            counts.invited++;
+            const invited = { ...entry, status: 'invited', invitationId: invitation.id };
+            try {
+              await invitationService.sendInvitationEmail(invitation, token, { enterprise, invitedBy });
+            } catch (error) {
+              // The invitation stands; it can be resent from the invitations list
+              invited.warning = `Invitation email could not be sent: ${error.message}`;
+            }
+            report.push(invited);
+          } catch (error) {
+            counts.failed++;
+            report.push({ ...entry, status: 'failed', errors: [error.message] });
+          }
+        }
+
+        if (report.length % PROGRESS_INTERVAL === 0) {
+          await this.updateJob(job.id, progress());
+        }
+      }
+
+      await this.updateJob(job.id, {
+        ...progress(),
+        status: 'completed',
+        completed_at: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('User import job error:', error);
+      await this.updateJob(job.id, {
+        ...progress(),
+        status: 'failed',
+        error: error.message,
+        completed_at: new Date().toISOString()
+      }).catch(updateError => console.error('User import job error:', updateError));
+    }
+  }
+}
+
+module.exports = new UserImportService();
@@ -0,0 +1,111 @@
+jest.mock('../config/supabase', () => require('../__tests__/mocks/supabase').createSupabaseMock());
+jest.mock('./roleService', () => ({
+  listRoles: jest.fn(),
+  resolveRolePermissions: jest.requireActual('./roleService').resolveRolePermissions
+}));
+jest.mock('./invitationService', () => ({
+  createInvitation: jest.fn(),
+  sendInvitationEmail: jest.fn()
+}));
+jest.mock('./entitlementService', () => ({
+  withSeats: jest.fn(async (enterprise, take) => ({ result: await take() }))
+}));
+
+const supabase = require('../config/supabase');
+const roleService = require('./roleService');
+const invitationService = require('./invitationService');
+const entitlementService = require('./entitlementService');
+const userImportService = require('./userImportService');
+
+const roles = [
+  { id: 'role-ae', name: 'AE', is_system_role: true },
+  { id: 'role-manager', name: 'MANAGER', is_system_role: true }
+];
+
+describe('userImportService', () => {
+  beforeEach(() => {
+    supabase.reset();
+    jest.clearAllMocks();
+    roleService.listRoles.mockResolvedValue(roles);
+  });
+
+  describe('parse', () => {
+    it('reads quoted fields and defaults the role', () => {
+      const { rows } = userImportService.parse('\uFEFFEmail,Name\r\n"Ada@Acme.com","Lovelace, Ada"\r\n\r\n');
+
+      expect(rows).toEqual([{ row: 2, email: 'ada@acme.com', name: 'Lovelace, Ada', roleName: 'AE' }]);
+    });
+
+    it('rejects a file without the required columns', () => {
+      expect(userImportService.parse('email\nada@acme.com')).toEqual({ error: 'Missing required column(s): name' });
+    });
+  });
+
+  describe('validateRows', () => {
+    const validate = (csv, permissions) => {
+      supabase.respond('enterprise_memberships', { data: [], error: null });
+      supabase.respond('invitations', { data: [{ email: 'grace@acme.com' }], error: null });
+      return userImportService.validateRows('ent-1', userImportService.parse(csv).rows, { permissions });
+    };
+
+    it('rejects roles with permissions the caller does not hold', async () => {
+      const permissions = roleService.resolveRolePermissions(roles[0]).concat('users:invite');
+      const rows = await validate('email,name,role\nada@acme.com,Ada,MANAGER\nalan@acme.com,Alan,AE', permissions);
+
+      expect(rows[0]).toMatchObject({ status: 'invalid', errors: ['Role MANAGER has permissions you do not hold'] });
+      expect(rows[1]).toMatchObject({ status: 'valid', roleId: 'role-ae' });
+    });
+
+    it('skips pending invitations and flags duplicates', async () => {
+      const permissions = roleService.resolveRolePermissions(roles[1]);
+      const rows = await validate('email,name\ngrace@acme.com,Grace\nada@acme.com,Ada\nada@acme.com,Ada', permissions);
+
+      expect(rows.map(row => row.status)).toEqual(['skipped', 'valid', 'invalid']);
+      expect(rows[2].errors).toEqual(['Duplicate email in file']);
+    });
+  });
+
+  describe('runJob', () => {
+    it('fails jobs a restart left behind before starting', async () => {
+      invitationService.createInvitation.mockResolvedValue({ invitation: { id: 'invitation-1' }, token: 'token' });
+
+      await userImportService.runJob({ id: 'job-1', enterprise_id: 'ent-1' }, [
+        { row: 2, email: 'ada@acme.com', name: 'Ada', roleId: 'role-ae', status: 'valid' }
+      ], { enterprise: { id: 'ent-1' } });
+
+      const [stale, running, completed] = supabase.queriesOf('import_jobs');
+      expect(supabase.argsOf(stale, 'update')[0]).toMatchObject({ status: 'failed' });
+      expect(stale.calls).toEqual(expect.arrayContaining([
+        ['eq', 'enterprise_id', 'ent-1'],
+        ['in', 'status', ['pending', 'running']],
+        ['lt', 'created_at', expect.any(String)]
+      ]));
+      expect(supabase.argsOf(running, 'update')[0]).toMatchObject({ status: 'running' });
+      expect(supabase.argsOf(completed, 'update')[0]).toMatchObject({ status: 'completed', invited_count: 1 });
+    });
+
+    it('takes a seat for each invitation and fails the rows no seat is left for', async () => {
+      invitationService.createInvitation.mockResolvedValue({ invitation: { id: 'invitation-1' }, token: 'token' });
+      entitlementService.withSeats
+        .mockImplementationOnce(async (enterprise, take) => ({ result: await take() }))
+        .mockResolvedValueOnce({ denial: { status: 402, message: 'All 5 seats of the Basic plan are taken.' } });
+
+      await userImportService.runJob({ id: 'job-1', enterprise_id: 'ent-1' }, [
+        { row: 2, email: 'ada@acme.com', name: 'Ada', roleId: 'role-ae', status: 'valid' },
+        { row: 3, email: 'grace@acme.com', name: 'Grace', roleId: 'role-ae', status: 'valid' }
+      ], { enterprise: { id: 'ent-1' } });
+
+      expect(entitlementService.withSeats).toHaveBeenCalledWith({ id: 'ent-1' }, expect.any(Function));
+      expect(invitationService.createInvitation).toHaveBeenCalledTimes(1);
+      const completed = supabase.queriesOf('import_jobs').pop();
+      expect(supabase.argsOf(completed, 'update')[0]).toMatchObject({
+        invited_count: 1,
+        failed_count: 1,
+        report: [
+          expect.objectContaining({ row: 2, status: 'invited' }),
+          { row: 3, email: 'grace@acme.com', status: 'failed', errors: ['All 5 seats of the Basic plan are taken.'] }
+        ]
+      });
+    });
+  });
+});
@@ -0,0 +1,36 @@
+// Quote a CSV field. Values that a spreadsheet would run as a formula are
+// prefixed with a quote; objects are written as JSON.
+const toCsvField = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One CSV line (without line break) of `values`
+const toCsvRow = (values) => values.map(toCsvField).join(',');
+
+// CSV document with a header row of `columns` and one line per row object
+const toCsv = (columns, rows) => [columns, ...rows.map(row => columns.map(column => row[column]))]
+  .map(toCsvRow)
+  .join('\r\n');
+
+module.exports = {
+  toCsvField,
+  toCsvRow,
+  toCsv
+};
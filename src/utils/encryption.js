@@ -0,0 +1,28 @@
+const crypto = require('crypto');
+
+// AES-256-GCM encryption of secrets kept at rest. The key is derived from
+// `keyMaterial` (an environment secret); payloads are `iv.tag.ciphertext`
+// in base64.
+const deriveKey = (keyMaterial) => crypto.createHash('sha256').update(keyMaterial).digest();
+
+const encrypt = (plaintext, keyMaterial) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(keyMaterial), iv);
+  const encrypted = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+
+  return [iv, tag, encrypted].map(part => part.toString('base64')).join('.');
+};
+
+const decrypt = (payload, keyMaterial) => {
+  const [iv, tag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', deriveKey(keyMaterial), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+module.exports = {
+  encrypt,
+  decrypt
+};